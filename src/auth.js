@@ -1,7 +1,9 @@
 /**
  * Модуль аутентификации
  */
-import { saveAccessToken, saveCookieHeader } from './token-storage.js';
+import { ITDAuthError, ITDValidationError, errorFromResponse } from './errors.js';
+import { acquireFileLock } from './file-lock.js';
+import { describeToken } from './jwt.js';
 
 export class AuthManager {
     /**
@@ -28,24 +30,153 @@ export class AuthManager {
         }
     }
     
+    /**
+     * Сохраняет часть сессии в client.sessionStore. Ошибка хранилища не отменяет успешный refresh —
+     * токен уже в памяти клиента, поэтому она только логируется.
+     * @private
+     */
+    async _saveSession(session) {
+        try {
+            await this.client.sessionStore.save(session);
+        } catch (error) {
+            this.client.logger.error('session.save.failed', 'Не удалось сохранить сессию в хранилище', { error });
+        }
+    }
+
+    /**
+     * Значение refresh_token в cookie jar клиента.
+     * @private
+     */
+    _currentRefreshToken() {
+        try {
+            const cookies = this.client.cookieJar.getCookiesSync(this.client.baseUrl);
+            return cookies.find((c) => c.key === 'refresh_token')?.value ?? null;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    /**
+     * Сверяет сессию в хранилище с памятью клиента. Если другой процесс уже сделал refresh
+     * (в хранилище другой refresh_token или свежий accessToken), забирает его результат.
+     * @private
+     * @returns {Promise<string|null>} accessToken другого процесса или null — нужно обновлять самим
+     */
+    async _adoptStoredSession() {
+        let stored;
+        try {
+            stored = await this.client.sessionStore.load();
+        } catch (error) {
+            this.client.logger.warn('session.load.failed', 'Не удалось перечитать сессию из хранилища', { error });
+            return null;
+        }
+        if (!stored) return null;
+
+        const storedRefreshToken = stored.cookies?.match(/(?:^|;\s*)refresh_token=([^;]+)/)?.[1]?.trim() ?? null;
+        if (storedRefreshToken && storedRefreshToken !== this._currentRefreshToken()) {
+            this.client._loadCookiesFromString(stored.cookies);
+        }
+
+        const token = stored.accessToken;
+        if (!token || token === this.client.accessToken) return null;
+        const { expiresIn } = describeToken(token);
+        if (expiresIn !== null && expiresIn <= (this.client.autoRefresh?.skew ?? 0)) return null;
+
+        this.client.setAccessToken(token);
+        this.client.logger.info('auth.refresh.adopted', 'Токен уже обновлён другим процессом — используется сохранённый');
+        await this.client._notifyTokenRefresh(token);
+        return token;
+    }
+
+    /**
+     * Применяет ответ с accessToken (refresh, вход, OTP): токен в клиент, Set-Cookie в cookie jar,
+     * токен и auth-cookies — в хранилище сессии.
+     * @private
+     */
+    async _applyAuthResponse(response) {
+        const accessToken = response.data.accessToken;
+        // Обновляем токен в клиенте
+        this.client.setAccessToken(accessToken);
+        
+        // Сохраняем токен в хранилище сессии (по умолчанию — .env в корне проекта)
+        await this._saveSession({ accessToken });
+        
+        // Обновляем cookies, если они пришли в ответе
+        if (response.headers['set-cookie']) {
+            const cookies = response.headers['set-cookie'];
+            // Обновляем CookieJar с новыми cookies
+            for (const cookieString of cookies) {
+                try {
+                    this.client.cookieJar.setCookieSync(cookieString, this.client.baseUrl);
+                } catch (e) {
+                    // Игнорируем ошибки парсинга отдельных cookies
+                }
+            }
+            
+            // Получаем все cookies из jar и обновляем хранилище (по умолчанию — файл .cookies)
+            try {
+                const allCookies = await this.client.cookieJar.getCookiesSync(this.client.baseUrl);
+                // Сохраняем только важные cookies (refresh_token и другие auth cookies)
+                const importantCookies = allCookies.filter(c => 
+                    c.key === 'refresh_token' || 
+                    c.key.startsWith('__ddg') || 
+                    c.key === 'is_auth'
+                );
+                if (importantCookies.length > 0) {
+                    const cookieHeader = importantCookies.map(c => `${c.key}=${c.value}`).join('; ');
+                    await this._saveSession({ cookies: cookieHeader });
+                }
+            } catch (e) {
+                this.client.logger.warn('auth.refresh.save_cookies_failed', 'Не удалось сохранить обновленные cookies', { error: e });
+            }
+        }
+    }
+
     /**
      * Обновляет accessToken через /api/v1/auth/refresh
      * ВАЖНО: обычно этот endpoint работает только при наличии refresh-cookie,
      * который браузер/сервер поставил ранее.
      *
+     * С опцией клиента refreshLock refresh выполняется под файловой блокировкой хранилища:
+     * процессы с общими .cookies обновляют токен по очереди, а дождавшиеся сначала перечитывают
+     * хранилище и берут уже ротированный refresh_token и новый accessToken.
+     *
      * @returns {Promise<string|null>} accessToken или null
      */
     async refreshAccessToken() {
+        const lockPath = this.client.sessionStore.lockPath;
+        if (!this.client.refreshLock || !lockPath) {
+            return await this._requestRefresh();
+        }
+
+        let release;
+        try {
+            release = await acquireFileLock(lockPath, this.client.refreshLock);
+        } catch (error) {
+            this.client.logger.warn('auth.refresh.lock_failed', 'Не удалось захватить блокировку refresh — обновляем без неё', { error });
+            return await this._requestRefresh();
+        }
+        try {
+            return (await this._adoptStoredSession()) ?? (await this._requestRefresh());
+        } finally {
+            await release();
+        }
+    }
+
+    /**
+     * Сам запрос /api/v1/auth/refresh и сохранение результата.
+     * @private
+     */
+    async _requestRefresh() {
         // Проверяем наличие refresh_token перед попыткой обновления
         if (!this.hasRefreshToken()) {
-            console.error('❌ Не удалось обновить токен: refresh_token не найден в cookies');
-            console.error('💡 Решение:');
-            console.error('   1. Откройте итд.com в браузере и войдите в аккаунт');
-            console.error('   2. Откройте DevTools (F12) → Network');
-            console.error('   3. Найдите любой запрос к итд.com');
-            console.error('   4. Скопируйте значение заголовка Cookie');
-            console.error('   5. Вставьте в файл .cookies в корне проекта');
-            console.error('   6. Убедитесь, что в Cookie есть refresh_token');
+            this.client.logger.error(
+                'auth.refresh.no_refresh_token',
+                'Не удалось обновить токен: refresh_token не найден в cookies. '
+                + 'Откройте итд.com в браузере, войдите в аккаунт, скопируйте заголовок Cookie '
+                + 'любого запроса (DevTools → Network) в файл .cookies и убедитесь, что в нём есть refresh_token'
+            );
+            this.client._notifyTokenRefreshError(new ITDAuthError('refresh_token не найден в cookies'));
             return null;
         }
         
@@ -57,66 +188,36 @@ export class AuthManager {
                 'Origin': this.client.baseUrl,
             };
 
-            const response = await this.axios.post(refreshUrl, {}, { headers });
+            // Без повторов: refresh ротирует refresh_token, повтор после 5xx может инвалидировать сессию
+            const response = await this.axios.post(refreshUrl, {}, { headers, itdRetry: false });
 
             if (response.status === 200 && response.data?.accessToken) {
                 const newToken = response.data.accessToken;
                 
-                // Обновляем токен в клиенте
-                this.client.setAccessToken(newToken);
-                
-                // Сохраняем токен в .env файл (в корне проекта)
-                await saveAccessToken(newToken, this.client.envPath);
-                
-                // Обновляем cookies, если они пришли в ответе
-                if (response.headers['set-cookie']) {
-                    const cookies = response.headers['set-cookie'];
-                    // Обновляем CookieJar с новыми cookies
-                    for (const cookieString of cookies) {
-                        try {
-                            this.client.cookieJar.setCookieSync(cookieString, this.client.baseUrl);
-                        } catch (e) {
-                            // Игнорируем ошибки парсинга отдельных cookies
-                        }
-                    }
-                    
-                    // Получаем все cookies из jar и обновляем .cookies файл
-                    try {
-                        const allCookies = await this.client.cookieJar.getCookiesSync(this.client.baseUrl);
-                        // Сохраняем только важные cookies (refresh_token и другие auth cookies)
-                        const importantCookies = allCookies.filter(c => 
-                            c.key === 'refresh_token' || 
-                            c.key.startsWith('__ddg') || 
-                            c.key === 'is_auth'
-                        );
-                        if (importantCookies.length > 0) {
-                            const cookieHeader = importantCookies.map(c => `${c.key}=${c.value}`).join('; ');
-                            await saveCookieHeader(cookieHeader, this.client.cookiesPath);
-                        }
-                    } catch (e) {
-                        console.warn('⚠️  Не удалось сохранить обновленные cookies:', e.message);
-                    }
-                }
+                await this._applyAuthResponse(response);
+
+                await this.client._notifyTokenRefresh(newToken);
                 
                 return newToken;
             }
 
+            this.client._notifyTokenRefreshError(errorFromResponse(response));
             return null;
         } catch (error) {
             if (error.response) {
                 const status = error.response.status;
                 const errorData = error.response.data;
                 if (errorData?.error?.code === 'REFRESH_TOKEN_MISSING') {
-                    console.error('❌ Не удалось обновить токен: refresh_token не найден');
-                    console.error('💡 Решение: обновите файл .cookies из браузера (см. инструкцию выше)');
+                    this.client.logger.error('auth.refresh.no_refresh_token', 'Не удалось обновить токен: refresh_token не найден. Обновите файл .cookies из браузера', { status, data: errorData });
                 } else if (status === 429) {
-                    console.error('❌ Rate limit (429): слишком много запросов. Подождите 1–2 минуты и повторите.');
+                    this.client.logger.error('auth.refresh.rate_limited', 'Rate limit (429): слишком много запросов. Подождите 1–2 минуты и повторите', { status, data: errorData });
                 } else {
-                    console.error('refreshAccessToken failed:', status, errorData);
+                    this.client.logger.error('auth.refresh.failed', 'Не удалось обновить токен', { status, data: errorData });
                 }
             } else {
-                console.error('refreshAccessToken failed:', error.message);
+                this.client.logger.error('auth.refresh.failed', 'Не удалось обновить токен', { error });
             }
+            this.client._notifyTokenRefreshError(error);
             return null;
         }
     }
@@ -131,29 +232,24 @@ export class AuthManager {
      */
     async changePassword(oldPassword, newPassword) {
         if (!await this.client.requireAuth()) {
-            console.error('Ошибка: необходим accessToken');
-            return null;
+            return this.client._authRequired(null);
         }
         if (!this.hasRefreshToken()) {
-            console.error('Ошибка: необходим refresh_token в cookies');
-            return null;
+            return this.client._handleError(new ITDAuthError('Необходим refresh_token в cookies'), null);
         }
         try {
             const url = `${this.client.baseUrl}/api/v1/auth/change-password`;
             const response = await this.axios.post(url, {
                 oldPassword,
                 newPassword,
-            });
+            }, { itdRetry: false });
             if (response.status === 200) {
                 return response.data;
             }
-            return null;
+            return this.client._handleError(errorFromResponse(response), null);
         } catch (error) {
-            console.error('Ошибка смены пароля:', error.message);
-            if (error.response) {
-                console.error('Response:', error.response.status, error.response.data);
-            }
-            return null;
+            this.client.logger.error('auth.changePassword.failed', 'Ошибка смены пароля', { error });
+            return this.client._handleError(error, null);
         }
     }
 
@@ -161,6 +257,9 @@ export class AuthManager {
      * Выход из аккаунта.
      * POST /api/v1/auth/logout → 204
      *
+     * При успехе очищает сессию и в клиенте, и в хранилище: по умолчанию удаляет ITD_ACCESS_TOKEN из .env
+     * и refresh_token из .cookies (или из sessionStore) — после выхода нужен новый вход.
+     *
      * @returns {Promise<boolean>} True если успешно
      */
     async logout() {
@@ -175,15 +274,182 @@ export class AuthManager {
                 } catch (e) {
                     // MemoryCookieStore поддерживает removeAllCookiesSync
                 }
+                // Иначе после перезапуска клиент подхватит из хранилища токен вышедшей сессии
+                await this._saveSession({ accessToken: null, cookies: null });
                 return true;
             }
-            return false;
+            return this.client._handleError(errorFromResponse(response), false);
         } catch (error) {
-            console.error('Ошибка выхода:', error.message);
-            return false;
+            this.client.logger.error('auth.logout.failed', 'Ошибка выхода', { error });
+            return this.client._handleError(error, false);
         }
     }
     
+    /**
+     * POST на /api/v1/auth/<path> без повторов (каждый вызов может отправить письмо или погасить код).
+     * @private
+     */
+    async _postAuth(path, body) {
+        const url = `${this.client.baseUrl}/api/v1/auth/${path}`;
+        return await this.axios.post(url, body, {
+            headers: {
+                'Referer': `${this.client.baseUrl}/`,
+                'Origin': this.client.baseUrl,
+            },
+            itdRetry: false,
+        });
+    }
+
+    /**
+     * Требует ли ответ входа подтверждения кодом из письма (OTP).
+     * @private
+     */
+    _isOtpRequired(response) {
+        const data = response?.data;
+        if (!data || data.accessToken) return false;
+        if (response.status >= 200 && response.status < 300) return true;
+        const code = data.error?.code ?? data.code ?? '';
+        return /OTP/i.test(String(code));
+    }
+
+    /**
+     * Вход по email и паролю. POST /api/v1/auth/sign-in
+     * При успехе accessToken ставится в клиент, а accessToken и refresh_token сохраняются
+     * в хранилище сессии — дальше клиент обновляет токен сам, как после копирования .cookies.
+     *
+     * Если сайт просит код из письма (OTP), вызывается options.onOtp и код отправляется
+     * в verifyOtp. Без onOtp метод возвращает { otpRequired: true, ... } — подтвердите вход
+     * вызовом verifyOtp(email, code).
+     *
+     * @param {string} [email] - Email (по умолчанию ITD_USERNAME из .env)
+     * @param {string} [password] - Пароль (по умолчанию ITD_PASSWORD из .env)
+     * @param {Object} [options]
+     * @param {function({ email: string, data: Object, resend: function(): Promise<boolean> }): (string|Promise<string>)} [options.onOtp] - Возвращает код из письма
+     * @returns {Promise<Object|null>} Ответ API (с accessToken), { otpRequired: true, ... } или null при ошибке
+     */
+    async signIn(email = process.env.ITD_USERNAME, password = process.env.ITD_PASSWORD, options = {}) {
+        if (!email || !password) {
+            return this.client._handleError(new ITDValidationError('Укажите email и пароль (или ITD_USERNAME и ITD_PASSWORD в .env)'), null);
+        }
+        let response;
+        try {
+            response = await this._postAuth('sign-in', { email, password });
+        } catch (error) {
+            if (!this._isOtpRequired(error.response)) {
+                this.client.logger.error('auth.signIn.failed', 'Ошибка входа', { error });
+                return this.client._handleError(error, null);
+            }
+            response = error.response;
+        }
+
+        if (response.data?.accessToken) {
+            await this._applyAuthResponse(response);
+            this.client.logger.info('auth.signIn.success', 'Вход выполнен, сессия сохранена');
+            return response.data;
+        }
+        if (!this._isOtpRequired(response)) {
+            return this.client._handleError(errorFromResponse(response), null);
+        }
+        if (typeof options.onOtp !== 'function') {
+            return { ...response.data, otpRequired: true };
+        }
+
+        let code;
+        try {
+            code = await options.onOtp({ email, data: response.data, resend: () => this.resendOtp(email) });
+        } catch (error) {
+            this.client.logger.error('auth.signIn.failed', 'onOtp не вернул код подтверждения', { error });
+            return this.client._handleError(error, null);
+        }
+        if (!code) {
+            return this.client._handleError(new ITDAuthError('Вход не подтверждён: onOtp не вернул код'), null);
+        }
+        return await this.verifyOtp(email, String(code).trim());
+    }
+
+    /**
+     * Подтверждение входа кодом из письма. POST /api/v1/auth/verify-otp
+     * При успехе сессия применяется и сохраняется так же, как в signIn.
+     *
+     * @param {string} email - Email, на который пришёл код
+     * @param {string} code - Код из письма
+     * @returns {Promise<Object|null>} Ответ API (с accessToken) или null при ошибке
+     */
+    async verifyOtp(email, code) {
+        try {
+            const response = await this._postAuth('verify-otp', { email, code });
+            if (response.status === 200 && response.data?.accessToken) {
+                await this._applyAuthResponse(response);
+                this.client.logger.info('auth.signIn.success', 'Вход выполнен, сессия сохранена');
+                return response.data;
+            }
+            return this.client._handleError(errorFromResponse(response), null);
+        } catch (error) {
+            this.client.logger.error('auth.verifyOtp.failed', 'Ошибка подтверждения кода', { error });
+            return this.client._handleError(error, null);
+        }
+    }
+
+    /**
+     * Повторная отправка кода на почту. POST /api/v1/auth/resend-otp
+     *
+     * @param {string} email - Email
+     * @returns {Promise<boolean>} True если код отправлен
+     */
+    async resendOtp(email) {
+        try {
+            const response = await this._postAuth('resend-otp', { email });
+            if (response.status === 200 || response.status === 204) {
+                return true;
+            }
+            return this.client._handleError(errorFromResponse(response), false);
+        } catch (error) {
+            this.client.logger.error('auth.resendOtp.failed', 'Ошибка повторной отправки кода', { error });
+            return this.client._handleError(error, false);
+        }
+    }
+
+    /**
+     * Запрос сброса пароля: сайт отправляет код на почту. POST /api/v1/auth/forgot-password
+     *
+     * @param {string} email - Email аккаунта
+     * @returns {Promise<boolean>} True если запрос принят
+     */
+    async forgotPassword(email) {
+        try {
+            const response = await this._postAuth('forgot-password', { email });
+            if (response.status === 200 || response.status === 204) {
+                return true;
+            }
+            return this.client._handleError(errorFromResponse(response), false);
+        } catch (error) {
+            this.client.logger.error('auth.forgotPassword.failed', 'Ошибка запроса сброса пароля', { error });
+            return this.client._handleError(error, false);
+        }
+    }
+
+    /**
+     * Установка нового пароля по коду из письма. POST /api/v1/auth/reset-password
+     * Сессию не создаёт — после сброса войдите через signIn.
+     *
+     * @param {string} email - Email аккаунта
+     * @param {string} code - Код из письма forgot-password
+     * @param {string} newPassword - Новый пароль
+     * @returns {Promise<boolean>} True если пароль изменён
+     */
+    async resetPassword(email, code, newPassword) {
+        try {
+            const response = await this._postAuth('reset-password', { email, code, newPassword });
+            if (response.status === 200 || response.status === 204) {
+                return true;
+            }
+            return this.client._handleError(errorFromResponse(response), false);
+        } catch (error) {
+            this.client.logger.error('auth.resetPassword.failed', 'Ошибка сброса пароля', { error });
+            return this.client._handleError(error, false);
+        }
+    }
+
     /**
      * Проверяет, авторизован ли пользователь
      * 
@@ -0,0 +1,259 @@
+/**
+ * Кэш GET-ответов с TTL по группам ресурсов и объединением одинаковых запросов «в полёте».
+ * Удобные методы (getPostStats, isFollowing, getMyFollowersCount и др.) повторно запрашивают
+ * getPost/getUserProfile/getMyProfile — с кэшем повторы обслуживаются из памяти.
+ *
+ * Кэшируется сырой ответ адаптера axios (тело — строка до JSON.parse), поэтому каждый
+ * вызов получает свой объект и изменения результата не портят кэш.
+ * Успешный POST/PUT/PATCH/DELETE сбрасывает связанные группы (лайк поста — posts и users и т.д.).
+ */
+
+/** TTL по умолчанию, мс. 0 — не хранить, но объединять одновременные одинаковые запросы */
+export const DEFAULT_CACHE_TTL = Object.freeze({
+    posts: 30000,
+    comments: 15000,
+    users: 60000,
+    hashtags: 60000,
+    search: 30000,
+    files: 300000,
+    notifications: 0,
+    default: 10000,
+});
+
+/** Группа ресурса по пути запроса (первое совпадение) */
+const RESOURCES = [
+    ['auth', /^\/api\/v1\/auth\//],
+    ['notifications', /^\/api\/notifications/],
+    ['comments', /^\/api\/(posts\/[^/]+\/comments|comments\/)/],
+    ['posts', /^\/api\/posts/],
+    ['users', /^\/api\/users/],
+    ['hashtags', /^\/api\/hashtags/],
+    ['search', /^\/api\/search/],
+    ['files', /^\/api\/files/],
+    ['reports', /^\/api\/reports/],
+];
+
+/** Какие группы устаревают после изменения в группе (счётчики и вложенные объекты в ответах) */
+const INVALIDATES = {
+    posts: ['posts', 'users'],
+    comments: ['comments', 'posts'],
+    users: ['users', 'posts', 'search'],
+    notifications: ['notifications'],
+    hashtags: ['hashtags', 'posts'],
+    files: ['files'],
+    reports: [],
+};
+
+export class ResponseCache {
+    /**
+     * @param {Object} [options]
+     * @param {Object<string, number>} [options.ttl] - TTL групп в мс: { posts, comments, users, hashtags, search, files, notifications, default }
+     * @param {number} [options.maxEntries] - Максимум ответов в памяти (по умолчанию 500); старые вытесняются
+     * @param {function(Object): Promise<Object>} adapter - Настоящий адаптер axios
+     */
+    constructor(options = {}, adapter) {
+        this.ttl = { ...DEFAULT_CACHE_TTL, ...(options.ttl || {}) };
+        this.maxEntries = options.maxEntries ?? 500;
+        this._adapter = adapter;
+        /** @type {Map<string, { response: Object, resource: string, expiresAt: number }>} */
+        this._entries = new Map();
+        /** @type {Map<string, Promise<Object>>} */
+        this._inflight = new Map();
+        /** Поколение кэша: ответ, начатый до инвалидации, не сохраняется */
+        this._generation = 0;
+        this._stats = { hits: 0, misses: 0, coalesced: 0, invalidations: 0, evictions: 0 };
+    }
+
+    /**
+     * Группа ресурса запроса.
+     *
+     * @param {Object} config - Конфиг axios ({ method, url })
+     * @returns {string} posts, comments, users, ... или 'default'
+     */
+    classify(config) {
+        let pathname = String(config?.url || '');
+        try {
+            pathname = new URL(pathname, 'http://localhost').pathname;
+        } catch (e) {
+            // Оставляем как есть
+        }
+        for (const [resource, pattern] of RESOURCES) {
+            if (pattern.test(pathname)) return resource;
+        }
+        return 'default';
+    }
+
+    /**
+     * Подключает кэш к GET-запросу: подменяет адаптер ответом из кэша, общим запросом
+     * «в полёте» или настоящим адаптером, который сохранит ответ.
+     *
+     * @param {Object} config - Конфиг axios
+     * @param {string} key - Ключ (полный URL с параметрами)
+     * @returns {boolean} true — ответ будет взят из кэша или общего запроса, в сеть этот запрос не пойдёт
+     */
+    attach(config, key) {
+        const method = (config.method || 'get').toLowerCase();
+        if (method !== 'get' || config.itdCache === false) return false;
+        if (config.responseType && config.responseType !== 'json') return false;
+        const resource = this.classify(config);
+        if (resource === 'auth') return false;
+
+        // Повтор (retry, refresh по 401) запроса, которого ждут объединённые: та же запись «в полёте»
+        const own = config.__itdCacheInflight;
+        if (own && this._inflight.get(key) === own.promise) {
+            config.adapter = this._fetchAdapter(key, own, resource);
+            return false;
+        }
+
+        const now = Date.now();
+        const entry = this._entries.get(key);
+        if (entry && entry.expiresAt > now) {
+            this._stats.hits++;
+            // Обновляем позицию для вытеснения: давно не используемые уходят первыми
+            this._entries.delete(key);
+            this._entries.set(key, entry);
+            config.adapter = async (requestConfig) => ({ ...entry.response, config: requestConfig });
+            config.itdCacheStatus = 'hit';
+            return true;
+        }
+        if (entry) this._entries.delete(key);
+
+        const pending = this._inflight.get(key);
+        if (pending) {
+            this._stats.coalesced++;
+            config.adapter = async (requestConfig) => ({ ...(await pending), config: requestConfig });
+            config.itdCacheStatus = 'coalesced';
+            return true;
+        }
+
+        this._stats.misses++;
+        const inflight = {
+            ttl: config.itdCache?.ttl ?? this.ttl[resource] ?? this.ttl.default,
+            generation: this._generation,
+        };
+        inflight.promise = new Promise((resolve, reject) => {
+            inflight.resolve = resolve;
+            inflight.reject = reject;
+        });
+        // Ошибку получат вызывающие; здесь — только чтобы не было unhandled rejection без подписчиков
+        inflight.promise.catch(() => {});
+        this._inflight.set(key, inflight.promise);
+        config.itdCacheStatus = 'miss';
+        // axios копирует поля конфига в повторный запрос — по ним повтор найдёт свою запись
+        config.__itdCacheInflight = inflight;
+        config.__itdCacheRelease = (error) => {
+            if (this._inflight.get(key) === inflight.promise) this._inflight.delete(key);
+            inflight.reject(error);
+        };
+        config.adapter = this._fetchAdapter(key, inflight, resource);
+        return false;
+    }
+
+    /**
+     * Настоящий запрос владельца записи «в полёте». Успех сразу отдаётся объединённым и сохраняется;
+     * ошибку они получат только через release — после всех повторов и refresh, иначе ответ
+     * удачного повтора достался бы лишь владельцу.
+     * @private
+     */
+    _fetchAdapter(key, inflight, resource) {
+        return async (requestConfig) => {
+            const response = await this._adapter(requestConfig);
+            if (inflight.ttl > 0 && inflight.generation === this._generation && response.status >= 200 && response.status < 300) {
+                this._store(key, { response: { ...response, config: undefined }, resource, expiresAt: Date.now() + inflight.ttl });
+            }
+            if (this._inflight.get(key) === inflight.promise) this._inflight.delete(key);
+            inflight.resolve(response);
+            return response;
+        };
+    }
+
+    /**
+     * Завершает ожидание объединённых запросов ошибкой: запрос упал до отправки (лимитер, плагин)
+     * или окончательно — после всех повторов и refresh. Объединённые получают ту же ошибку, а не зависают.
+     *
+     * @param {Object} config - Конфиг axios
+     * @param {*} error
+     */
+    release(config, error) {
+        config?.__itdCacheRelease?.(error);
+    }
+
+    /**
+     * Сбрасывает группы, затронутые успешным изменяющим запросом.
+     *
+     * @param {Object} config - Конфиг axios завершившегося запроса
+     */
+    invalidateFor(config) {
+        const method = (config?.method || 'get').toLowerCase();
+        if (method === 'get' || method === 'head' || method === 'options') return;
+        const resource = this.classify(config);
+        if (resource === 'auth') {
+            // refresh не меняет данные; вход, OTP и logout меняют пользователя — сбрасываем всё
+            if (!/\/api\/v1\/auth\/refresh/.test(String(config.url || ''))) this.clear();
+            return;
+        }
+        const groups = INVALIDATES[resource];
+        if (!groups) {
+            this.clear();
+            return;
+        }
+        for (const group of groups) {
+            this.invalidate(group);
+        }
+    }
+
+    /**
+     * Удаляет ответы группы или подходящие под шаблон URL.
+     *
+     * @param {string|RegExp} target - Группа ('posts', 'users', ...) или RegExp по ключу (полному URL)
+     * @returns {number} Сколько ответов удалено
+     */
+    invalidate(target) {
+        this._generation++;
+        this._stats.invalidations++;
+        let removed = 0;
+        for (const [key, entry] of this._entries) {
+            const match = target instanceof RegExp ? target.test(key) : entry.resource === target;
+            if (match) {
+                this._entries.delete(key);
+                removed++;
+            }
+        }
+        return removed;
+    }
+
+    /**
+     * Очищает кэш целиком.
+     */
+    clear() {
+        this._generation++;
+        this._stats.invalidations++;
+        this._entries.clear();
+    }
+
+    /**
+     * Статистика кэша.
+     *
+     * @returns {{ hits: number, misses: number, coalesced: number, invalidations: number, evictions: number, size: number, inflight: number, hitRate: number }}
+     */
+    getStats() {
+        const { hits, misses, coalesced } = this._stats;
+        const total = hits + misses + coalesced;
+        return {
+            ...this._stats,
+            size: this._entries.size,
+            inflight: this._inflight.size,
+            hitRate: total > 0 ? (hits + coalesced) / total : 0,
+        };
+    }
+
+    /** @private */
+    _store(key, entry) {
+        this._entries.delete(key);
+        this._entries.set(key, entry);
+        while (this._entries.size > this.maxEntries) {
+            this._entries.delete(this._entries.keys().next().value);
+            this._stats.evictions++;
+        }
+    }
+}
@@ -0,0 +1,283 @@
+/**
+ * Запись и воспроизведение HTTP-трафика клиента (кассеты) для детерминированных тестов.
+ *
+ * record — запросы идут в сеть, пары запрос/ответ пишутся в JSON-файл; токены, cookies и пароли
+ * в файле скрыты. replay — ответы берутся из файла, сеть не используется. auto — replay, если файл
+ * уже есть, иначе record.
+ *
+ * Кассета подменяет адаптер axios, поэтому повторы, refresh по 401, кэш и плагины работают
+ * поверх неё так же, как с сетью. SSE-стрим уведомлений (fetch) не записывается.
+ */
+import fs from 'fs';
+import path from 'path';
+import { AxiosError, AxiosHeaders } from 'axios';
+import { ITDCassetteError } from './errors.js';
+import { redact, redactString } from './logger.js';
+
+const CASSETTE_VERSION = 1;
+const DEFAULT_MATCH = Object.freeze(['method', 'path', 'query', 'body']);
+/** Заголовки ответа, которые не нужны для воспроизведения */
+const SKIPPED_HEADERS = new Set(['date', 'connection', 'keep-alive', 'transfer-encoding', 'content-length']);
+/** Тело multipart (загрузка файла) не записывается */
+const FORM_DATA_BODY = '[form-data]';
+
+/**
+ * Скрывает значения всех cookies в Set-Cookie, оставляя имена и атрибуты:
+ * при воспроизведении refresh клиент по-прежнему «видит» refresh_token.
+ * @private
+ */
+function scrubSetCookie(value) {
+    const [pair, ...attributes] = String(value).split(';');
+    const name = pair.split('=')[0].trim();
+    return [`${name}=[REDACTED]`, ...attributes].join(';');
+}
+
+/**
+ * Тело запроса или ответа в виде для файла: JSON — объектом, остальное — строкой.
+ * @private
+ */
+function decodeBody(data) {
+    if (data == null || data === '') return null;
+    if (typeof data === 'object' && typeof data.pipe === 'function') return FORM_DATA_BODY;
+    if (Buffer.isBuffer(data)) data = data.toString('utf8');
+    if (typeof data !== 'string') return data;
+    try {
+        return JSON.parse(data);
+    } catch (e) {
+        return data;
+    }
+}
+
+/**
+ * Глубокое сравнение JSON-значений.
+ * @private
+ */
+function sameJson(a, b) {
+    if (a === b) return true;
+    if (!a || !b || typeof a !== 'object' || typeof b !== 'object') return false;
+    if (Array.isArray(a) !== Array.isArray(b)) return false;
+    const keys = Object.keys(a);
+    if (keys.length !== Object.keys(b).length) return false;
+    return keys.every((key) => sameJson(a[key], b[key]));
+}
+
+export class Cassette {
+    /**
+     * @param {Object} options
+     * @param {string} options.path - JSON-файл кассеты
+     * @param {'record'|'replay'|'auto'} [options.mode] - Режим (по умолчанию 'replay')
+     * @param {Array<'method'|'path'|'query'|'body'>|function(Object, Object): boolean} [options.match] - По каким частям
+     *   запроса искать запись (по умолчанию все четыре) или функция (request, recorded) → true, если запись подходит
+     * @param {boolean} [options.strict] - replay: запрос без записи — ошибка ITDCassetteError, даже в режиме errors: 'null'
+     *   (по умолчанию true). false — такой запрос уходит в сеть
+     * @param {boolean} [options.repeat] - replay: когда подходящие записи израсходованы, отдавать последнюю ещё раз (по умолчанию true)
+     * @param {function(Object): Object} [options.scrub] - record: дополнительная обработка записи { request, response } перед сохранением
+     *   (после стандартного скрытия токенов, cookies и паролей)
+     */
+    constructor(options = {}) {
+        if (!options.path) {
+            throw new TypeError('Cassette: укажите path — файл кассеты');
+        }
+        const mode = options.mode ?? 'replay';
+        if (mode !== 'record' && mode !== 'replay' && mode !== 'auto') {
+            throw new TypeError(`Cassette: mode должен быть 'record', 'replay' или 'auto', получено: ${mode}`);
+        }
+        this.path = path.resolve(options.path);
+        this.mode = mode === 'auto' ? (fs.existsSync(this.path) ? 'replay' : 'record') : mode;
+        this.match = options.match ?? DEFAULT_MATCH;
+        this.strict = options.strict !== false;
+        this.repeat = options.repeat !== false;
+        this.scrub = options.scrub ?? null;
+        /** Записи кассеты: { request: { method, path, query, body }, response: { status, headers, body } } */
+        this.interactions = [];
+        /** replay: запросы, для которых не нашлось записи */
+        this.unmatched = [];
+        /** Индексы уже воспроизведённых записей */
+        this._used = new Set();
+
+        if (this.mode === 'replay') {
+            this.interactions = this._read();
+        }
+    }
+
+    /**
+     * Оборачивает адаптер axios.
+     *
+     * @param {function(Object): Promise<Object>} adapter - Настоящий адаптер
+     * @param {function(Object): string} getUri - Полный URL запроса по конфигу
+     * @returns {function(Object): Promise<Object>}
+     */
+    wrap(adapter, getUri) {
+        return async (config) => {
+            const request = this._describe(config, getUri(config));
+            if (this.mode === 'record') {
+                return await this._record(adapter, config, request);
+            }
+            const interaction = this._find(request);
+            if (interaction) {
+                return this._play(interaction, config);
+            }
+            this.unmatched.push(request);
+            if (this.strict) {
+                throw new ITDCassetteError(`Кассета ${path.basename(this.path)}: нет записи для ${request.method} ${request.path}`, {
+                    code: 'CASSETTE_NO_MATCH',
+                    request: { method: request.method, url: request.path },
+                });
+            }
+            return await adapter(config);
+        };
+    }
+
+    /**
+     * Записи, которые ни разу не были воспроизведены (например, бот перестал делать ожидаемый запрос).
+     *
+     * @returns {Array<Object>}
+     */
+    pending() {
+        return this.interactions.filter((_, index) => !this._used.has(index));
+    }
+
+    /**
+     * Запрос в виде, который хранится в кассете и сравнивается при воспроизведении.
+     * @private
+     */
+    _describe(config, uri) {
+        const url = new URL(uri);
+        const query = {};
+        for (const key of [...new Set(url.searchParams.keys())].sort()) {
+            const values = url.searchParams.getAll(key);
+            query[key] = values.length > 1 ? values : values[0];
+        }
+        return {
+            method: (config.method || 'get').toUpperCase(),
+            path: url.pathname,
+            query: redact(query),
+            body: redact(decodeBody(config.data)),
+        };
+    }
+
+    /** @private */
+    async _record(adapter, config, request) {
+        let response;
+        try {
+            response = await adapter(config);
+        } catch (error) {
+            if (error.response) this._append(request, error.response);
+            throw error;
+        }
+        this._append(request, response);
+        return response;
+    }
+
+    /** @private */
+    _append(request, response) {
+        const headers = {};
+        const raw = response.headers instanceof AxiosHeaders ? response.headers.toJSON() : (response.headers ?? {});
+        for (const [name, value] of Object.entries(raw)) {
+            const key = name.toLowerCase();
+            if (SKIPPED_HEADERS.has(key) || value == null) continue;
+            headers[key] = key === 'set-cookie'
+                ? [].concat(value).map(scrubSetCookie)
+                : redactString(value);
+        }
+        let interaction = {
+            request,
+            response: {
+                status: response.status,
+                headers,
+                body: redact(decodeBody(response.data)),
+            },
+        };
+        if (this.scrub) {
+            interaction = this.scrub(interaction) ?? interaction;
+        }
+        this.interactions.push(interaction);
+        this._write();
+    }
+
+    /**
+     * Первая неиспользованная подходящая запись; если все израсходованы — последняя подходящая (repeat).
+     * @private
+     */
+    _find(request) {
+        let lastMatch = null;
+        for (let index = 0; index < this.interactions.length; index++) {
+            if (!this._matches(request, this.interactions[index].request)) continue;
+            if (!this._used.has(index)) {
+                this._used.add(index);
+                return this.interactions[index];
+            }
+            lastMatch = this.interactions[index];
+        }
+        return this.repeat ? lastMatch : null;
+    }
+
+    /** @private */
+    _matches(request, recorded) {
+        if (typeof this.match === 'function') {
+            return !!this.match(request, recorded);
+        }
+        return this.match.every((field) => {
+            if (field === 'method' || field === 'path') return request[field] === recorded[field];
+            if (field === 'body' && (request.body === FORM_DATA_BODY || recorded.body === FORM_DATA_BODY)) {
+                return request.body === recorded.body;
+            }
+            return sameJson(request[field] ?? null, recorded[field] ?? null);
+        });
+    }
+
+    /**
+     * Ответ axios из записи. Статус вне validateStatus — AxiosError, как у настоящего адаптера.
+     * @private
+     */
+    _play(interaction, config) {
+        const { status, headers, body } = interaction.response;
+        const response = {
+            data: body == null ? '' : (typeof body === 'string' ? body : JSON.stringify(body)),
+            status,
+            statusText: '',
+            headers: new AxiosHeaders(headers),
+            config,
+            request: { cassette: this.path },
+        };
+        if (!config.validateStatus || config.validateStatus(status)) {
+            return response;
+        }
+        throw new AxiosError(
+            `Request failed with status code ${status}`,
+            status >= 500 ? AxiosError.ERR_BAD_RESPONSE : AxiosError.ERR_BAD_REQUEST,
+            config,
+            response.request,
+            response
+        );
+    }
+
+    /** @private */
+    _read() {
+        let data;
+        try {
+            data = JSON.parse(fs.readFileSync(this.path, 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                throw new Error(`Кассета не найдена: ${this.path}. Запишите её в режиме record (или используйте mode: 'auto')`);
+            }
+            throw new Error(`Кассета ${this.path} повреждена: ${error.message}`);
+        }
+        if (!Array.isArray(data?.interactions)) {
+            throw new Error(`Кассета ${this.path}: нет списка interactions`);
+        }
+        return data.interactions;
+    }
+
+    /**
+     * Пишет кассету целиком после каждой записи: при падении теста файл остаётся полным.
+     * @private
+     */
+    _write() {
+        const json = JSON.stringify({ version: CASSETTE_VERSION, interactions: this.interactions }, null, 2);
+        fs.mkdirSync(path.dirname(this.path), { recursive: true });
+        const tmpPath = `${this.path}.${process.pid}.tmp`;
+        fs.writeFileSync(tmpPath, `${json}\n`, 'utf8');
+        fs.renameSync(tmpPath, this.path);
+    }
+}
@@ -3,6 +3,7 @@
  */
 import axios from 'axios';
 import dotenv from 'dotenv';
+import { EventEmitter } from 'events';
 import fs from 'fs';
 import path from 'path';
 import { CookieJar } from 'tough-cookie';
@@ -17,10 +18,61 @@ import { FilesManager } from './files.js';
 import { ReportsManager } from './reports.js';
 import { SearchManager } from './search.js';
 import { VerificationManager } from './verification.js';
+import { ITDAuthError, ITDCassetteError, errorFromResponse, toITDError, parseRetryAfter } from './errors.js';
+import { normalizeRetryPolicy, resolveRequestPolicy, isRetryableError, computeRetryDelay, sleep } from './retry.js';
+import { RateLimiter } from './rate-limiter.js';
+import { ResponseCache } from './cache.js';
+import { Cassette } from './cassette.js';
+import { createLogger } from './logger.js';
+import { normalizePlugin } from './plugins.js';
+import { EnvFileSessionStore, isSessionStore } from './session-store.js';
+import { createStorageCipher, decryptIfNeeded } from './storage-crypto.js';
+import { describeToken } from './jwt.js';
+import { createModel, createModels } from './models.js';
+import { SchemaValidator } from './schema.js';
+import { capturePageError } from './pagination.js';
+
+export {
+    ITDError,
+    ITDAuthError,
+    ITDRateLimitError,
+    ITDQueueFullError,
+    ITDNotFoundError,
+    ITDValidationError,
+    ITDServerError,
+    ITDNetworkError,
+    ITDCassetteError,
+} from './errors.js';
+export { RateLimiter, DEFAULT_RATE_LIMITS } from './rate-limiter.js';
+export { ResponseCache, DEFAULT_CACHE_TTL } from './cache.js';
+export { Cassette } from './cassette.js';
+export { Logger, createLogger, LOG_LEVELS } from './logger.js';
+export {
+    MemorySessionStore,
+    JsonFileSessionStore,
+    DirectorySessionStore,
+    EnvFileSessionStore,
+} from './session-store.js';
+export { StorageCipher, createStorageCipher, migrateToEncrypted, isEncrypted } from './storage-crypto.js';
+export { Paginator } from './pagination.js';
+export { SchemaValidator, SCHEMAS, validateEntity, unwrapEnvelope } from './schema.js';
+export { Model, Post, Comment, User, Notification, Hashtag, FileAttachment, createModel } from './models.js';
 
 dotenv.config();
 
-export class ITDClient {
+/** Наибольшая задержка setTimeout: большее значение Node заменяет на 1 мс */
+const MAX_TIMER_DELAY = 2 ** 31 - 1;
+
+/** Пауза заблаговременного refresh после неудачи: 5 с, удваивается до 5 минут */
+const EARLY_REFRESH_BACKOFF = 5000;
+const EARLY_REFRESH_MAX_BACKOFF = 5 * 60 * 1000;
+
+/**
+ * События клиента (EventEmitter):
+ * - 'tokenRefresh' (accessToken, session) — токен обновлён (по 401, заранее или при старте);
+ * - 'tokenRefreshError' (error: ITDError) — обновить токен не удалось.
+ */
+export class ITDClient extends EventEmitter {
     /**
      * Инициализация клиента
      * 
@@ -37,9 +89,23 @@ export class ITDClient {
      * @param {number} [options.uploadTimeout] - Таймаут загрузки файлов и создания поста в мс (по умолчанию 120000)
      * @param {string} [options.accessToken] - JWT токен (если не указан — берётся из .env ITD_ACCESS_TOKEN)
      * @param {string} [options.cookiesString] - Строка cookies (как в .cookies: "name=value; name2=value2"). Если задана — куки берутся из неё, а не из файла; cookiesPath по‑прежнему используется для сохранения при refresh.
+     * @param {'null'|'throw'} [options.errors] - Режим ошибок: 'null' (по умолчанию) — методы возвращают null/false/пустые списки; 'throw' — отклоняются ITDError и наследниками
+     * @param {boolean|Object} [options.retry] - Повторы при 429/5xx/сетевых ошибках: false — выключить; объект — { retries, minDelay, maxDelay, factor, jitter, statuses, methods, retryNetworkErrors, maxRetryAfter } (по умолчанию включены для GET/HEAD/OPTIONS/PUT/DELETE; POST и PATCH — только при 429 с Retry-After; см. retry.js)
+     * @param {boolean|Object} [options.rateLimit] - Клиентский лимитер: true — бюджеты по умолчанию; объект — { reads, writes, uploads, auth: { limit, interval, burst } | false, maxQueue } (по умолчанию выключен)
+     * @param {false|Object} [options.schema] - Проверка формы ответов: { validate, onDrift(drift) }; false — не проверять поля сущностей (конверт { data } снимается и о пропавшем списке сообщается всегда). Расхождения — событие 'schemaDrift' и предупреждение в лог
+     * @param {boolean} [options.models] - Возвращать модели (Post, Comment, User, Notification, Hashtag, FileAttachment) вместо сырых объектов (по умолчанию false, см. models.js)
+     * @param {boolean|Object} [options.cache] - Кэш GET-ответов: true — TTL по умолчанию; объект — { ttl: { posts, comments, users, ... , default }, maxEntries } (по умолчанию выключен, см. cache.js)
+     * @param {Object} [options.cassette] - Запись и воспроизведение HTTP для тестов: { path, mode: 'record'|'replay'|'auto', match, strict, repeat, scrub } (см. cassette.js)
+     * @param {false|string|Object} [options.logger] - Логирование: false/'silent' — тишина; 'json' — JSON-строки; 'debug'|'info'|'warn'|'error' — уровень; { level, format, sink } или внешний логгер (pino, winston, console). По умолчанию — текст в консоль с уровня info
+     * @param {Object} [options.sessionStore] - Хранилище сессии { load(), save({ accessToken, cookies }) } вместо .env/.cookies (см. session-store.js). С ним SDK не создаёт и не читает .env/.cookies
+     * @param {boolean|Object} [options.storageEncryption] - Шифрование токена и cookies на диске (AES-256-GCM): true — ключ из ITD_STORAGE_KEY/ITD_STORAGE_KEY_FILE; { key } или { keyFile }; false — выключить. По умолчанию включено, если задан ITD_STORAGE_KEY или ITD_STORAGE_KEY_FILE
+     * @param {false|'lazy'|'timer'|Object} [options.autoRefresh] - Обновление токена до истечения exp: 'lazy' (по умолчанию) — перед запросом, если до exp меньше skew; 'timer' — ещё и по таймеру; { mode, skew } — skew в мс (по умолчанию 60000); false — только по 401
+     * @param {boolean|Object} [options.refreshLock] - Межпроцессная блокировка refresh для процессов с общими .cookies/хранилищем: true или { timeout, stale } (по умолчанию выключена)
+     * @param {Array<Object|Function>} [options.plugins] - Плагины, подключаемые сразу после создания клиента (см. use())
      */
     constructor(baseUrlOrOptions = null, userAgent = null) {
-        let baseUrl, projectRoot, envPath, cookiesPath, requestTimeout, uploadTimeout, accessToken, cookiesString;
+        super();
+        let baseUrl, projectRoot, envPath, cookiesPath, requestTimeout, uploadTimeout, accessToken, cookiesString, errors, retry, rateLimit, cache, cassette, models, schema, logger, plugins, sessionStore, storageEncryption, autoRefresh, refreshLock;
 
         if (baseUrlOrOptions && typeof baseUrlOrOptions === 'object' && !(baseUrlOrOptions instanceof URL)) {
             const opts = baseUrlOrOptions;
@@ -50,8 +116,22 @@ export class ITDClient {
             cookiesPath = opts.cookiesPath ?? path.join(projectRoot, '.cookies');
             requestTimeout = opts.requestTimeout ?? 60000;
             uploadTimeout = opts.uploadTimeout ?? 120000;
-            accessToken = opts.accessToken ?? process.env.ITD_ACCESS_TOKEN ?? null;
+            sessionStore = opts.sessionStore ?? null;
+            // С хранилищем токен из окружения — только запасной вариант (см. _loadSession)
+            accessToken = opts.accessToken ?? (sessionStore ? null : process.env.ITD_ACCESS_TOKEN) ?? null;
             cookiesString = opts.cookiesString ?? null;
+            errors = opts.errors ?? 'null';
+            retry = opts.retry;
+            rateLimit = opts.rateLimit;
+            cache = opts.cache;
+            cassette = opts.cassette;
+            models = opts.models;
+            schema = opts.schema;
+            logger = opts.logger;
+            plugins = opts.plugins ?? [];
+            storageEncryption = opts.storageEncryption;
+            autoRefresh = opts.autoRefresh;
+            refreshLock = opts.refreshLock;
         } else {
             projectRoot = process.cwd();
             baseUrl = baseUrlOrOptions || process.env.ITD_BASE_URL || 'https://xn--d1ah4a.com';
@@ -61,6 +141,26 @@ export class ITDClient {
             uploadTimeout = 120000;
             accessToken = process.env.ITD_ACCESS_TOKEN ?? null;
             cookiesString = null;
+            errors = 'null';
+            plugins = [];
+            sessionStore = null;
+        }
+
+        const autoRefreshOptions = autoRefresh && typeof autoRefresh === 'object' ? autoRefresh : { mode: autoRefresh };
+        const autoRefreshMode = autoRefreshOptions.mode ?? 'lazy';
+        if (autoRefreshMode !== false && autoRefreshMode !== 'lazy' && autoRefreshMode !== 'timer') {
+            throw new TypeError(`ITDClient: autoRefresh должен быть false, 'lazy', 'timer' или { mode, skew }, получено: ${autoRefreshMode}`);
+        }
+
+        if (sessionStore && !isSessionStore(sessionStore)) {
+            throw new TypeError('ITDClient: sessionStore должен реализовывать load() и save(session)');
+        }
+
+        /** Логгер SDK: события с кодами, токены и cookies скрываются (см. logger.js) */
+        this.logger = createLogger(logger);
+
+        if (errors !== 'null' && errors !== 'throw') {
+            throw new TypeError(`ITDClient: errors должен быть 'null' или 'throw', получено: ${errors}`);
         }
 
         // Используем реальный домен (IDN: итд.com = xn--d1ah4a.com)
@@ -77,8 +177,41 @@ export class ITDClient {
         /** Таймаут загрузки файлов и создания поста (мс), чтобы не зависать при 504/медленной сети. */
         this.uploadTimeout = uploadTimeout;
 
+        /** Шифр для .env/.cookies (null — файлы пишутся открытым текстом) */
+        this.storageCipher = createStorageCipher(storageEncryption);
+
         /** @type {string|null} */
-        this.accessToken = accessToken || null;
+        this.accessToken = this._decryptStored(accessToken, 'ITD_ACCESS_TOKEN') || null;
+
+        /** Заблаговременный refresh: { mode: 'lazy'|'timer', skew } или null — только по 401 */
+        this.autoRefresh = autoRefreshMode
+            ? { mode: autoRefreshMode, skew: autoRefreshOptions.skew ?? 60000 }
+            : null;
+        /** Блокировка refresh между процессами: { timeout, stale } или null (см. file-lock.js) */
+        this.refreshLock = refreshLock ? (refreshLock === true ? {} : refreshLock) : null;
+        /** Таймер refresh для режима 'timer' */
+        this._refreshTimer = null;
+
+        /** Режим ошибок методов: 'null' (по умолчанию) или 'throw' */
+        this.errorMode = errors;
+
+        /** Оборачивать ответы в модели (Post, User, ...) вместо сырых объектов */
+        this.models = !!models;
+
+        /** Разбор и проверка формы ответов: менеджеры получают сущности и списки через него (см. schema.js) */
+        this.schema = new SchemaValidator({
+            ...(schema === false ? { validate: false } : schema || {}),
+            logger: this.logger,
+            emitter: this,
+        });
+
+        /** Политика повторов при 429/5xx (null — выключены). Отдельный запрос отключает повторы через config.itdRetry = false. */
+        this.retryPolicy = normalizeRetryPolicy(retry);
+
+        /** Лимитер запросов по группам эндпоинтов (null — выключен). Очередь вместо 429. */
+        this.rateLimiter = rateLimit
+            ? new RateLimiter(rateLimit === true ? {} : rateLimit)
+            : null;
 
         // Прокси (важно, если браузер ходит через 127.0.0.1:10808)
         // Можно задать: ITD_PROXY=http://127.0.0.1:10808
@@ -89,15 +222,27 @@ export class ITDClient {
         // Поэтому используем CookieJar, чтобы сессия сохранялась как в браузере.
         this.cookieJar = new CookieJar();
 
-        // Cookies: из строки (опция cookiesString) или из файла .cookies
-        if (cookiesString != null && typeof cookiesString === 'string' && cookiesString.trim()) {
-            this._loadCookiesFromString(cookiesString.trim());
-        } else {
+        /** Хранилище сессии: куда сохраняются accessToken и cookies после refresh (по умолчанию .env и .cookies) */
+        this.sessionStore = sessionStore ?? new EnvFileSessionStore({
+            envPath,
+            cookiesPath,
+            logger: this.logger,
+            encryption: this.storageCipher ?? false,
+        });
+
+        // Cookies: из строки (опция cookiesString), из хранилища (асинхронно, см. _loadSession) или из файла .cookies
+        const hasCookiesString = cookiesString != null && typeof cookiesString === 'string' && !!cookiesString.trim();
+        if (hasCookiesString) {
+            this._loadCookiesFromString(this._decryptStored(cookiesString.trim(), 'cookiesString') ?? '');
+        } else if (!sessionStore) {
             this._loadCookiesFromFile();
         }
 
-        // Создаём .env если его нет — чтобы после refresh можно было сохранить токен
-        this._ensureEnvFile();
+        // Создаём .env если его нет — чтобы после refresh можно было сохранить токен.
+        // Со своим хранилищем файловую систему не трогаем (read-only контейнеры).
+        if (!sessionStore) {
+            this._ensureEnvFile();
+        }
 
         // Создание axios instance + cookie jar
         const axiosConfig = {
@@ -130,72 +275,78 @@ export class ITDClient {
         }
 
         this.axios = wrapper(axios.create(axiosConfig));
+        const transport = this._createTransport();
+        if (transport) {
+            this.axios.defaults.adapter = transport;
+        }
+
+        /** Кассета (null — выключена): подменяет сетевой адаптер записью или воспроизведением; кэш работает поверх неё */
+        this.cassette = cassette ? new Cassette(cassette) : null;
+        if (this.cassette) {
+            this.axios.defaults.adapter = this.cassette.wrap(
+                axios.getAdapter(this.axios.defaults.adapter),
+                (config) => this.axios.getUri(config)
+            );
+        }
+
+        /** Кэш GET-ответов (null — выключен). Отдельный запрос отключает кэш через config.itdCache = false. */
+        this.cache = cache
+            ? new ResponseCache(cache === true ? {} : cache, axios.getAdapter(this.axios.defaults.adapter))
+            : null;
 
         // Анти-дребезг для refresh (чтобы 10 параллельных 401 не делали 10 refresh)
         /** @type {Promise<string|null> | null} */
         this._refreshPromise = null;
+        /** Неудачные refresh подряд и время, раньше которого заблаговременный refresh не повторяется */
+        this._refreshFailures = 0;
+        this._earlyRefreshAfter = 0;
 
-        // Автоматически подставляем Authorization, если есть accessToken
-        this.axios.interceptors.request.use((config) => {
-            if (this.accessToken && !config.headers?.Authorization) {
-                config.headers = config.headers || {};
-                config.headers.Authorization = `Bearer ${this.accessToken}`;
-            }
-            return config;
-        });
+        /** Подключённые плагины (в порядке use) */
+        this.plugins = [];
+        /** Имена менеджеров, добавленных плагинами */
+        this._pluginManagers = new Set();
+        /** Ошибки, уже переданные в onError плагинов (повторы вызывают interceptor вложенно) */
+        this._reportedErrors = new WeakSet();
 
-        // Авто-рефреш токена на 401 + повтор запроса
-        this.axios.interceptors.response.use(
-            (response) => response,
-            async (error) => {
-                const status = error?.response?.status;
-                const originalRequest = error?.config;
-
-                // Если нет конфига запроса — просто пробрасываем ошибку
-                if (!originalRequest) {
-                    throw error;
-                }
-
-                // Не пытаемся рефрешить при ошибках не-401
-                // 429 (Rate Limit) тоже не рефрешим - это другая проблема
-                if (status !== 401) {
-                    throw error;
+        // Ответ из кэша — сразу; иначе ждём бюджет лимитера, подставляем Authorization, если есть accessToken, затем beforeRequest плагинов
+        this.axios.interceptors.request.use(async (config) => {
+            if (this.cache && this.cache.attach(config, this.axios.getUri(config))) {
+                return config;
+            }
+            try {
+                if (this.rateLimiter) {
+                    await this.rateLimiter.acquire(this.rateLimiter.classify(config));
                 }
-
-                // Не зацикливаемся
-                if (originalRequest.__itdRetried) {
-                    throw error;
+                if (this._sessionReady) {
+                    await this._sessionReady;
                 }
-
-                // Не пытаемся рефрешить, если это сам refresh
-                const url = String(originalRequest.url || '');
-                if (url.includes('/api/v1/auth/refresh')) {
-                    throw error;
+                if (this._shouldRefreshBefore(config)) {
+                    await this._refreshOnce();
                 }
-
-                originalRequest.__itdRetried = true;
-
-                // Пытаемся обновить токен (требует refresh_token cookie в cookie jar)
-                if (!this._refreshPromise) {
-                    this._refreshPromise = this.refreshAccessToken().finally(() => {
-                        this._refreshPromise = null;
-                    });
+                if (this.accessToken && !config.headers?.Authorization) {
+                    config.headers = config.headers || {};
+                    config.headers.Authorization = `Bearer ${this.accessToken}`;
                 }
+                return await this._runPluginHook('beforeRequest', config);
+            } catch (error) {
+                this.cache?.release(config, error);
+                throw error;
+            }
+        });
 
-                const newToken = await this._refreshPromise;
-
-                if (!newToken) {
-                    // Не смогли обновить — пробрасываем исходную 401
-                    throw error;
+        this.axios.interceptors.response.use(
+            (response) => {
+                this.cache?.invalidateFor(response.config);
+                return this._runPluginHook('afterResponse', response);
+            },
+            async (error) => {
+                try {
+                    return await this._handleResponseError(error);
+                } catch (finalError) {
+                    // Повторы закончились — объединённые в кэше запросы получают итоговую ошибку
+                    this.cache?.release(error?.config, finalError);
+                    return await this._runErrorHooks(finalError);
                 }
-
-                // Повторяем исходный запрос с новым токеном
-                originalRequest.headers = originalRequest.headers || {};
-                originalRequest.headers.Authorization = `Bearer ${newToken}`;
-                // Убираем флаг retry для следующей попытки
-                delete originalRequest.__itdRetried;
-                const retryResponse = await this.axios.request(originalRequest);
-                return retryResponse;
             }
         );
         
@@ -211,10 +362,329 @@ export class ITDClient {
         this.searchManager = new SearchManager(this);
         this.verification = new VerificationManager(this);
 
+        for (const plugin of plugins) {
+            this.use(plugin);
+        }
+
+        // Своё хранилище читается асинхронно: запросы и ensureAuthenticated дожидаются загрузки
+        /** @type {Promise<void>|null} */
+        this._sessionReady = sessionStore ? this._loadSession(!hasCookiesString) : null;
+
         // Если нет токена, но есть refresh_token — сразу запускаем refresh при старте
+        if (!sessionStore && !this.accessToken && this.hasRefreshToken()) {
+            this._startupRefreshPromise = this._refreshOnce();
+        }
+
+        this._scheduleRefresh();
+    }
+
+    /**
+     * Загружает сессию из sessionStore. Явные опции accessToken/cookiesString важнее сохранённых значений.
+     * Если токена нет, но есть refresh_token — запускает refresh, как при старте без хранилища.
+     * @private
+     */
+    async _loadSession(useStoredCookies) {
+        try {
+            const session = await this.sessionStore.load();
+            this.setAccessToken(this.accessToken || session?.accessToken || this._decryptStored(process.env.ITD_ACCESS_TOKEN, 'ITD_ACCESS_TOKEN'));
+            if (useStoredCookies && session?.cookies) {
+                this._loadCookiesFromString(session.cookies);
+            }
+        } catch (error) {
+            this.logger.error('session.load.failed', 'Не удалось загрузить сессию из хранилища', { error });
+        }
         if (!this.accessToken && this.hasRefreshToken()) {
-            this._startupRefreshPromise = this.refreshAccessToken();
+            this._startupRefreshPromise = this._refreshOnce();
+        }
+    }
+
+    /**
+     * Авто-рефреш токена на 401 + повтор запроса; повторы с backoff на 429/5xx.
+     * @private
+     */
+    async _handleResponseError(error) {
+        const status = error?.response?.status;
+        const originalRequest = error?.config;
+
+        // Если нет конфига запроса — просто пробрасываем ошибку
+        if (!originalRequest) {
+            throw error;
+        }
+
+        // 429 — ставим группу лимитера на паузу по Retry-After, чтобы очередь не добивала API
+        if (status === 429 && this.rateLimiter) {
+            const retryAfter = parseRetryAfter(error.response.headers?.['retry-after']);
+            if (retryAfter) {
+                this.rateLimiter.pause(this.rateLimiter.classify(originalRequest), retryAfter);
+            }
+        }
+
+        // Не пытаемся рефрешить при ошибках не-401
+        // 429 (Rate Limit) тоже не рефрешим - это другая проблема: повторяем с задержкой
+        if (status !== 401) {
+            return await this._retryRequest(error);
+        }
+
+        // Не зацикливаемся
+        if (originalRequest.__itdRetried) {
+            throw error;
+        }
+
+        // Не пытаемся рефрешить, если это сам refresh или вход/сброс пароля (401 там — неверные данные)
+        const url = String(originalRequest.url || '');
+        if (/\/api\/v1\/auth\/(refresh|sign-in|verify-otp|resend-otp|forgot-password|reset-password)/.test(url)) {
+            throw error;
+        }
+
+        originalRequest.__itdRetried = true;
+
+        // Пытаемся обновить токен (требует refresh_token cookie в cookie jar)
+        const newToken = await this._refreshOnce();
+
+        if (!newToken) {
+            // Не смогли обновить — пробрасываем исходную 401
+            throw error;
+        }
+
+        // Повторяем исходный запрос с новым токеном
+        originalRequest.headers = originalRequest.headers || {};
+        originalRequest.headers.Authorization = `Bearer ${newToken}`;
+        // Убираем флаг retry для следующей попытки
+        delete originalRequest.__itdRetried;
+        const retryResponse = await this.axios.request(originalRequest);
+        return retryResponse;
+    }
+
+    /**
+     * Refresh с анти-дребезгом: параллельные 401, заблаговременный refresh и таймер ждут один запрос.
+     * @private
+     * @returns {Promise<string|null>}
+     */
+    _refreshOnce() {
+        if (!this._refreshPromise) {
+            this._refreshPromise = this.refreshAccessToken()
+                .then(
+                    (token) => {
+                        this._noteRefreshResult(!!token);
+                        return token;
+                    },
+                    (error) => {
+                        this._noteRefreshResult(false);
+                        throw error;
+                    }
+                )
+                .finally(() => {
+                    this._refreshPromise = null;
+                });
+        }
+        return this._refreshPromise;
+    }
+
+    /**
+     * Считает неудачные refresh подряд: после неудачи заблаговременный refresh ждёт паузу,
+     * иначе каждый запрос в окне skew снова шёл бы в refresh.
+     * @private
+     */
+    _noteRefreshResult(ok) {
+        if (ok) {
+            this._refreshFailures = 0;
+            this._earlyRefreshAfter = 0;
+            return;
+        }
+        this._refreshFailures += 1;
+        const backoff = Math.min(EARLY_REFRESH_MAX_BACKOFF, EARLY_REFRESH_BACKOFF * 2 ** (this._refreshFailures - 1));
+        this._earlyRefreshAfter = Date.now() + backoff;
+    }
+
+    /**
+     * Нужно ли обновить токен перед этим запросом: до exp осталось меньше skew, есть refresh_token
+     * и не идёт пауза после неудачного refresh (истёкший токен обновится по 401).
+     * @private
+     */
+    _shouldRefreshBefore(config) {
+        if (!this.autoRefresh || !this.accessToken) return false;
+        if (Date.now() < this._earlyRefreshAfter) return false;
+        if (String(config?.url || '').includes('/api/v1/auth/')) return false;
+        const { expiresIn } = describeToken(this.accessToken);
+        return expiresIn !== null && expiresIn <= this.autoRefresh.skew && this.hasRefreshToken();
+    }
+
+    /**
+     * В режиме autoRefresh: 'timer' планирует refresh за skew мс до exp текущего токена.
+     * Таймер не держит процесс (unref). Если до refresh дольше MAX_TIMER_DELAY (~24,8 суток),
+     * таймер заводится на MAX_TIMER_DELAY и по срабатыванию планирует заново.
+     * @private
+     */
+    _scheduleRefresh() {
+        clearTimeout(this._refreshTimer);
+        this._refreshTimer = null;
+        if (this.autoRefresh?.mode !== 'timer' || !this.accessToken) return;
+        const { expiresIn } = describeToken(this.accessToken);
+        if (expiresIn === null) return;
+        // Не чаще раза в секунду, даже если сервер выдал токен короче skew
+        const delay = Math.max(1000, expiresIn - this.autoRefresh.skew);
+        if (delay > MAX_TIMER_DELAY) {
+            this._refreshTimer = setTimeout(() => this._scheduleRefresh(), MAX_TIMER_DELAY);
+            this._refreshTimer.unref?.();
+            return;
+        }
+        this._refreshTimer = setTimeout(() => {
+            this._refreshTimer = null;
+            if (this.hasRefreshToken()) {
+                this._refreshOnce().catch(() => {});
+            }
+        }, delay);
+        this._refreshTimer.unref?.();
+    }
+
+    /**
+     * Сведения о текущей сессии по accessToken (JWT).
+     *
+     * @returns {{ authenticated: boolean, userId: string|null, issuedAt: Date|null, expiresAt: Date|null, expiresIn: number|null, expired: boolean, hasRefreshToken: boolean }}
+     */
+    get session() {
+        const { claims, ...info } = describeToken(this.accessToken);
+        return {
+            authenticated: !!this.accessToken,
+            ...info,
+            hasRefreshToken: this.hasRefreshToken(),
+        };
+    }
+
+    /**
+     * Останавливает фоновые таймеры клиента (refresh в режиме 'timer').
+     * Клиент после этого можно использовать, но заблаговременный refresh по таймеру не выполняется.
+     */
+    destroy() {
+        clearTimeout(this._refreshTimer);
+        this._refreshTimer = null;
+        if (this.autoRefresh?.mode === 'timer') {
+            this.autoRefresh = { ...this.autoRefresh, mode: 'lazy' };
+        }
+    }
+
+    /**
+     * Повторяет запрос по политике retry (429/5xx/сетевые ошибки) или пробрасывает ошибку.
+     * Счётчик попыток хранится в config.__itdRetryCount.
+     * @private
+     */
+    async _retryRequest(error) {
+        const config = error.config;
+        const policy = resolveRequestPolicy(this.retryPolicy, config.itdRetry);
+        const attempt = config.__itdRetryCount ?? 0;
+        if (!policy || attempt >= policy.retries || !isRetryableError(error, policy)) {
+            throw error;
+        }
+        const delay = computeRetryDelay(error, policy, attempt);
+        if (delay === null) {
+            throw error;
+        }
+        config.__itdRetryCount = attempt + 1;
+        await sleep(delay);
+        return await this.axios.request(config);
+    }
+
+    /**
+     * Состояние бюджетов лимитера по группам (reads, writes, uploads, auth).
+     *
+     * @returns {Object|null} { reads: { limit, interval, capacity, available, queued, pausedUntil }, ... } или null, если лимитер выключен
+     */
+    getRateLimitState() {
+        return this.rateLimiter ? this.rateLimiter.getState() : null;
+    }
+
+    /**
+     * Подключает плагин.
+     *
+     * Плагин — объект с необязательными полями:
+     * - name — имя (повторное подключение плагина с тем же именем — ошибка);
+     * - beforeRequest(config, client) — перед каждой попыткой запроса (после лимитера и Authorization); может вернуть новый config;
+     * - afterResponse(response, client) — после успешного ответа; может вернуть новый response;
+     * - onError(error, client) — ошибка запроса после всех повторов и refresh; если вернёт значение — оно станет ответом вместо ошибки;
+     * - onTokenRefresh(accessToken, client) — после успешного обновления токена;
+     * - managers — { имя: (client) => менеджер }: новые пространства вроде client.posts;
+     * - setup(client) — вызывается один раз при подключении.
+     * Функция вместо объекта считается setup.
+     *
+     * @param {Object|function(ITDClient): void} plugin - Плагин
+     * @returns {ITDClient} this — для цепочки вызовов
+     */
+    use(plugin) {
+        const normalized = normalizePlugin(plugin);
+        if (normalized.name && this.plugins.some((p) => p.name === normalized.name)) {
+            throw new TypeError(`ITDClient.use: плагин ${normalized.name} уже подключён`);
+        }
+        for (const name of Object.keys(normalized.managers)) {
+            if (name in this) {
+                throw new TypeError(`ITDClient.use: свойство client.${name} уже существует`);
+            }
+        }
+        for (const [name, factory] of Object.entries(normalized.managers)) {
+            this[name] = factory(this);
+            this._pluginManagers.add(name);
+        }
+        this.plugins.push(normalized);
+        if (normalized.setup) {
+            normalized.setup(this);
+        }
+        return this;
+    }
+
+    /**
+     * Прогоняет значение через хук всех плагинов по порядку (beforeRequest, afterResponse).
+     * @private
+     */
+    async _runPluginHook(hook, value) {
+        for (const plugin of this.plugins) {
+            if (plugin[hook]) {
+                const result = await plugin[hook](value, this);
+                if (result !== undefined) value = result;
+            }
+        }
+        return value;
+    }
+
+    /**
+     * Передаёт итоговую ошибку запроса в onError плагинов. Первый плагин, вернувший значение,
+     * подменяет ошибку ответом; иначе ошибка пробрасывается дальше.
+     * @private
+     */
+    async _runErrorHooks(error) {
+        if (error && typeof error === 'object') {
+            if (this._reportedErrors.has(error)) throw error;
+            this._reportedErrors.add(error);
+        }
+        for (const plugin of this.plugins) {
+            if (plugin.onError) {
+                const result = await plugin.onError(error, this);
+                if (result !== undefined) return result;
+            }
         }
+        throw error;
+    }
+
+    /**
+     * Сообщает плагинам об обновлении токена. Ошибки хуков не ломают refresh — только логируются.
+     * @private
+     */
+    async _notifyTokenRefresh(accessToken) {
+        for (const plugin of this.plugins) {
+            if (!plugin.onTokenRefresh) continue;
+            try {
+                await plugin.onTokenRefresh(accessToken, this);
+            } catch (error) {
+                this.logger.error('plugins.onTokenRefresh.failed', `Ошибка в onTokenRefresh плагина ${plugin.name ?? ''}`.trim(), { error });
+            }
+        }
+        this.emit('tokenRefresh', accessToken, this.session);
+    }
+
+    /**
+     * Сообщает о неудачном refresh событием 'tokenRefreshError'.
+     * @private
+     */
+    _notifyTokenRefreshError(error) {
+        this.emit('tokenRefreshError', toITDError(error));
     }
 
     /**
@@ -223,6 +693,7 @@ export class ITDClient {
      */
     setAccessToken(token) {
         this.accessToken = token || null;
+        this._scheduleRefresh();
     }
 
     /**
@@ -231,6 +702,7 @@ export class ITDClient {
      * @returns {Promise<boolean>} true если токен есть или получен, false если нет
      */
     async ensureAuthenticated() {
+        if (this._sessionReady) await this._sessionReady;
         if (this.accessToken) return true;
         // Дожидаемся refresh, запущенного при создании клиента
         if (this._startupRefreshPromise) {
@@ -253,6 +725,63 @@ export class ITDClient {
         return await this.ensureAuthenticated();
     }
 
+    /**
+     * Обработка ошибки в методах менеджеров.
+     * В режиме errors: 'throw' бросает типизированную ошибку (ITDError и наследники),
+     * иначе возвращает fallback — null, false или пустой список, как раньше.
+     *
+     * @param {*} error - Ошибка axios, ITDError или любая другая
+     * @param {*} [fallback] - Значение для режима по умолчанию
+     * @returns {*} fallback
+     * @private
+     */
+    _handleError(error, fallback = null) {
+        // Запрос без записи в строгой кассете — ошибка теста, а не ответ API: не превращаем её в null
+        if (this.errorMode === 'throw' || error instanceof ITDCassetteError) {
+            throw toITDError(error);
+        }
+        // Внутри обхода Paginator ошибка не должна выглядеть концом списка
+        capturePageError(toITDError(error));
+        return fallback;
+    }
+
+    /**
+     * Оборачивает объект API в модель, если включена опция models; иначе возвращает как есть.
+     *
+     * @param {string} kind - 'post', 'comment', 'user', 'notification', 'hashtag' или 'file'
+     * @param {Object|null} data
+     * @returns {Model|Object|null}
+     * @private
+     */
+    _model(kind, data) {
+        return this.models ? createModel(kind, data, this) : data;
+    }
+
+    /**
+     * То же для массива; не-массив превращается в пустой массив.
+     *
+     * @param {string} kind - Вид сущности (см. _model)
+     * @param {Array|null} list
+     * @returns {Array}
+     * @private
+     */
+    _models(kind, list) {
+        if (!Array.isArray(list)) return [];
+        return this.models ? createModels(kind, list, this) : list;
+    }
+
+    /**
+     * То же, что _handleError, для случая «нет accessToken и не удалось получить его через refresh».
+     *
+     * @param {*} [fallback] - Значение для режима по умолчанию
+     * @returns {*} fallback
+     * @private
+     */
+    _authRequired(fallback = null) {
+        this.logger.warn('auth.required', 'Необходимо войти в аккаунт: нет accessToken и refresh_token');
+        return this._handleError(new ITDAuthError('Необходимо войти в аккаунт: нет accessToken и refresh_token'), fallback);
+    }
+
     /**
      * Кастомный GET запрос (baseURL уже подставлен)
      * @param {string} path - Путь, например /api/users/me
@@ -301,6 +830,23 @@ export class ITDClient {
         return this.axios.delete(path, config);
     }
     
+    /**
+     * Адаптер axios вместо сетевого (под кассетой и кэшем); null — обычный HTTP.
+     * Переопределяется в FakeITDClient, который обслуживает запросы в памяти.
+     * @private
+     */
+    _createTransport() {
+        return null;
+    }
+
+    /**
+     * fetch для SSE-стрима уведомлений. Переопределяется в FakeITDClient.
+     * @private
+     */
+    _fetch(url, init) {
+        return fetch(url, init);
+    }
+
     /**
      * Создаёт минимальный .env если файла нет. Нужно, чтобы после refresh сохранить токен.
      * @private
@@ -336,7 +882,21 @@ export class ITDClient {
                 }
             }
         } catch (e) {
-            console.warn('⚠️  Не удалось загрузить cookies из строки:', e?.message || e);
+            this.logger.warn('client.cookies.parse_failed', 'Не удалось загрузить cookies из строки', { error: e });
+        }
+    }
+
+    /**
+     * Расшифровывает значение из .env/.cookies, если оно зашифровано (itd-enc:v1:...).
+     * Без ключа или с неверным ключом — null и сообщение в лог: клиент работает как без сессии.
+     * @private
+     */
+    _decryptStored(value, source) {
+        try {
+            return decryptIfNeeded(value, this.storageCipher);
+        } catch (error) {
+            this.logger.error('storage.decrypt.failed', `Не удалось расшифровать ${source}`, { error });
+            return null;
         }
     }
 
@@ -349,11 +909,11 @@ export class ITDClient {
             if (!fs.existsSync(this.cookiesPath)) {
                 return;
             }
-            const cookieHeader = fs.readFileSync(this.cookiesPath, 'utf8').trim();
+            const cookieHeader = this._decryptStored(fs.readFileSync(this.cookiesPath, 'utf8').trim(), '.cookies');
             if (!cookieHeader) return;
             this._loadCookiesFromString(cookieHeader);
         } catch (e) {
-            console.warn('⚠️  Не удалось загрузить cookies из .cookies:', e?.message || e);
+            this.logger.warn('client.cookies.load_failed', 'Не удалось загрузить cookies из .cookies', { error: e });
         }
     }
     
@@ -406,6 +966,62 @@ export class ITDClient {
         return await this.auth.changePassword(oldPassword, newPassword);
     }
     
+    /**
+     * Вход по email и паролю (по умолчанию ITD_USERNAME / ITD_PASSWORD из .env).
+     * Код из письма (OTP) запрашивается через options.onOtp; сессия сохраняется в хранилище.
+     *
+     * @param {string} [email] - Email
+     * @param {string} [password] - Пароль
+     * @param {Object} [options] - { onOtp }, см. AuthManager.signIn
+     * @returns {Promise<Object|null>} Ответ API, { otpRequired: true, ... } или null
+     */
+    async signIn(email, password, options = {}) {
+        return await this.auth.signIn(email, password, options);
+    }
+
+    /**
+     * Подтверждение входа кодом из письма. POST /api/v1/auth/verify-otp
+     *
+     * @param {string} email - Email
+     * @param {string} code - Код из письма
+     * @returns {Promise<Object|null>} Ответ API или null
+     */
+    async verifyOtp(email, code) {
+        return await this.auth.verifyOtp(email, code);
+    }
+
+    /**
+     * Повторная отправка кода на почту. POST /api/v1/auth/resend-otp
+     *
+     * @param {string} email - Email
+     * @returns {Promise<boolean>} True если код отправлен
+     */
+    async resendOtp(email) {
+        return await this.auth.resendOtp(email);
+    }
+
+    /**
+     * Запрос сброса пароля. POST /api/v1/auth/forgot-password
+     *
+     * @param {string} email - Email аккаунта
+     * @returns {Promise<boolean>} True если запрос принят
+     */
+    async forgotPassword(email) {
+        return await this.auth.forgotPassword(email);
+    }
+
+    /**
+     * Новый пароль по коду из письма. POST /api/v1/auth/reset-password
+     *
+     * @param {string} email - Email аккаунта
+     * @param {string} code - Код из письма
+     * @param {string} newPassword - Новый пароль
+     * @returns {Promise<boolean>} True если пароль изменён
+     */
+    async resetPassword(email, code, newPassword) {
+        return await this.auth.resetPassword(email, code, newPassword);
+    }
+
     /**
      * Создает пост (удобный метод)
      * 
@@ -453,6 +1069,17 @@ export class ITDClient {
     async getPosts(username = null, limit = 20, sort = 'new', cursor = null, tab = null) {
         return await this.posts.getPosts(username, limit, sort, cursor, tab);
     }
+
+    /**
+     * Обход всех постов пользователя: for await (const post of client.iterateUserPosts('nickname'))
+     *
+     * @param {string} username - Имя пользователя
+     * @param {Object} [options] - { limit, sort, max, until, cursor }
+     * @returns {Paginator}
+     */
+    iterateUserPosts(username, options = {}) {
+        return this.posts.iterateUserPosts(username, options);
+    }
     
     /**
      * Получает популярные посты (лента популярного)
@@ -612,8 +1239,7 @@ export class ITDClient {
      */
     async likePost(postId) {
         if (!await this.requireAuth()) {
-            console.error('Ошибка: необходимо войти в аккаунт');
-            return null;
+            return this._authRequired(null);
         }
         
         try {
@@ -623,15 +1249,12 @@ export class ITDClient {
             if (response.status === 200 || response.status === 201) {
                 return response.data; // { liked: true, likesCount: number }
             } else {
-                console.error(`Ошибка лайка: ${response.status} - ${JSON.stringify(response.data)}`);
-                return null;
+                this.logger.error('client.likePost.unexpected_status', 'Ошибка лайка', { status: response.status, data: response.data });
+                return this._handleError(errorFromResponse(response), null);
             }
         } catch (error) {
-            console.error('Исключение при лайке:', error.message);
-            if (error.response) {
-                console.error('Response:', error.response.status, error.response.data);
-            }
-            return null;
+            this.logger.error('client.likePost.failed', 'Исключение при лайке', { error });
+            return this._handleError(error, null);
         }
     }
     
@@ -643,8 +1266,7 @@ export class ITDClient {
      */
     async unlikePost(postId) {
         if (!await this.requireAuth()) {
-            console.error('Ошибка: необходимо войти в аккаунт');
-            return null;
+            return this._authRequired(null);
         }
         
         try {
@@ -654,19 +1276,12 @@ export class ITDClient {
             if (response.status === 200 || response.status === 204) {
                 return response.data || { liked: false, likesCount: 0 };
             } else {
-                console.error(`Ошибка убирания лайка: ${response.status}`);
-                if (response.data) {
-                    console.error('Response data:', response.data);
-                }
-                return null;
+                this.logger.error('client.unlikePost.unexpected_status', 'Ошибка убирания лайка', { status: response.status, data: response.data });
+                return this._handleError(errorFromResponse(response), null);
             }
         } catch (error) {
-            console.error('Исключение при убирании лайка:', error.message);
-            if (error.response) {
-                console.error('Response status:', error.response.status);
-                console.error('Response data:', error.response.data);
-            }
-            return null;
+            this.logger.error('client.unlikePost.failed', 'Исключение при убирании лайка', { error });
+            return this._handleError(error, null);
         }
     }
     
@@ -753,10 +1368,46 @@ export class ITDClient {
      * @param {string} postId - ID поста
      * @param {number} limit - Количество комментариев
      * @param {string} sort - Сортировка: "popular", "new", "old"
+     * @param {string|null} cursor - Курсор для пагинации (nextCursor)
      * @returns {Promise<Object>} { comments: [], total, hasMore, nextCursor }
      */
-    async getComments(postId, limit = 20, sort = 'popular') {
-        return await this.comments.getComments(postId, limit, sort);
+    async getComments(postId, limit = 20, sort = 'popular', cursor = null) {
+        return await this.comments.getComments(postId, limit, sort, cursor);
+    }
+
+    /**
+     * Обход всех комментариев поста: for await (const comment of client.iterateComments(postId))
+     *
+     * @param {string} postId - ID поста
+     * @param {Object} [options] - { limit, sort, max, until, cursor }
+     * @returns {Paginator}
+     */
+    iterateComments(postId, options = {}) {
+        return this.comments.iterate(postId, options);
+    }
+
+    /**
+     * Ответы на комментарий. GET /api/comments/{id}/replies
+     *
+     * @param {string} commentId - ID комментария
+     * @param {number} page - Номер страницы (с 1)
+     * @param {number} limit - Количество на странице
+     * @param {string} sort - Сортировка: "old" (по умолчанию), "new", "popular"
+     * @returns {Promise<Object>} { replies: [], pagination: {} }
+     */
+    async getReplies(commentId, page = 1, limit = 50, sort = 'old') {
+        return await this.comments.getReplies(commentId, page, limit, sort);
+    }
+
+    /**
+     * Полное дерево комментариев и ответов поста
+     *
+     * @param {string} postId - ID поста
+     * @param {Object} [options] - { sort, max, maxDepth }
+     * @returns {Promise<Object[]|null>} Комментарии верхнего уровня с полными replies; null — не загрузилась страница комментариев или ответов
+     */
+    async getCommentThread(postId, options = {}) {
+        return await this.comments.getCommentThread(postId, options);
     }
     
     /**
@@ -856,6 +1507,28 @@ export class ITDClient {
     async getFollowing(username, page = 1, limit = 30) {
         return await this.users.getFollowing(username, page, limit);
     }
+
+    /**
+     * Обход всех подписчиков пользователя
+     *
+     * @param {string} username - Имя пользователя
+     * @param {Object} [options] - { limit, max, until, cursor }
+     * @returns {Paginator}
+     */
+    iterateFollowers(username, options = {}) {
+        return this.users.iterateFollowers(username, options);
+    }
+
+    /**
+     * Обход всех подписок пользователя
+     *
+     * @param {string} username - Имя пользователя
+     * @param {Object} [options] - { limit, max, until, cursor }
+     * @returns {Paginator}
+     */
+    iterateFollowing(username, options = {}) {
+        return this.users.iterateFollowing(username, options);
+    }
     
     /**
      * Получает клан пользователя (эмодзи из avatar)
@@ -880,6 +1553,16 @@ export class ITDClient {
         return await this.notifications.getNotifications(limit, offset, type);
     }
 
+    /**
+     * Обход всех уведомлений
+     *
+     * @param {Object} [options] - { limit, type, max, until, cursor }
+     * @returns {Paginator}
+     */
+    iterateNotifications(options = {}) {
+        return this.notifications.iterate(options);
+    }
+
     /**
      * Получает уведомления определенного типа
      *
@@ -1091,12 +1774,12 @@ export class ITDClient {
         try {
             const response = await this.axios.get('/api/platform/status');
             if (response.status === 200) {
-                return response.data?.data ?? response.data;
+                return this.schema.entity('getPlatformStatus', null, response.data);
             }
-            return null;
+            return this._handleError(errorFromResponse(response), null);
         } catch (error) {
-            console.error('Ошибка получения статуса платформы:', error.message);
-            return null;
+            this.logger.error('client.getPlatformStatus.failed', 'Ошибка получения статуса платформы', { error });
+            return this._handleError(error, null);
         }
     }
     
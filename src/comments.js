@@ -1,6 +1,13 @@
 /**
  * Модуль работы с комментариями
  */
+import { ITDValidationError, errorFromResponse } from './errors.js';
+import { Paginator } from './pagination.js';
+import { unwrapEnvelope } from './schema.js';
+
+/** Сортировки SDK → значения sort в API комментариев и ответов */
+const SORT_MAP = { new: 'newest', old: 'oldest', popular: 'popular', newest: 'newest', oldest: 'oldest' };
+
 export class CommentsManager {
     /**
      * Управление комментариями
@@ -25,8 +32,7 @@ export class CommentsManager {
      */
     async addComment(postId, text, replyToCommentId = null, attachmentIds = null) {
         if (!await this.client.requireAuth()) {
-            console.error('Ошибка: необходимо войти в аккаунт');
-            return null;
+            return this.client._authRequired(null);
         }
         try {
             const commentUrl = `${this.client.baseUrl}/api/posts/${postId}/comments`;
@@ -35,21 +41,17 @@ export class CommentsManager {
             if (Array.isArray(attachmentIds) && attachmentIds.length > 0) {
                 commentData.attachmentIds = attachmentIds;
             }
-            const response = await this.axios.post(commentUrl, commentData);
+            const response = await this.axios.post(commentUrl, commentData, { itdRetry: false });
             
             if (response.status === 200 || response.status === 201) {
-                return response.data;
+                return this.client._model('comment', this.client.schema.entity('comments.addComment', 'comment', response.data));
             } else {
-                console.error(`Ошибка добавления комментария: ${response.status} - ${JSON.stringify(response.data)}`);
-                return null;
+                this.client.logger.error('comments.addComment.unexpected_status', 'Ошибка добавления комментария', { status: response.status, data: response.data });
+                return this.client._handleError(errorFromResponse(response), null);
             }
         } catch (error) {
-            console.error('Исключение при добавлении комментария:', error.message);
-            if (error.response) {
-                console.error('Response status:', error.response.status);
-                console.error('Response data:', error.response.data);
-            }
-            return null;
+            this.client.logger.error('comments.addComment.failed', 'Исключение при добавлении комментария', { error });
+            return this.client._handleError(error, null);
         }
     }
 
@@ -64,8 +66,7 @@ export class CommentsManager {
      */
     async addVoiceComment(postId, audioPath, replyToCommentId = null) {
         if (!await this.client.requireAuth()) {
-            console.error('Ошибка: необходимо войти в аккаунт');
-            return null;
+            return this.client._authRequired(null);
         }
         const uploaded = await this.client.files.uploadFile(audioPath);
         if (!uploaded) return null;
@@ -82,31 +83,25 @@ export class CommentsManager {
      */
     async replyToComment(commentId, content, replyToUserId) {
         if (!await this.client.requireAuth()) {
-            console.error('Ошибка: необходимо войти в аккаунт');
-            return null;
+            return this.client._authRequired(null);
         }
         if (!replyToUserId) {
-            console.error('Ошибка: replyToUserId обязателен для ответа на комментарий');
-            return null;
+            return this.client._handleError(new ITDValidationError('replyToUserId обязателен для ответа на комментарий'), null);
         }
         try {
             const url = `${this.client.baseUrl}/api/comments/${commentId}/replies`;
             const response = await this.axios.post(url, {
                 content,
                 replyToUserId,
-            });
+            }, { itdRetry: false });
             if (response.status === 200 || response.status === 201) {
-                return response.data;
+                return this.client._model('comment', this.client.schema.entity('comments.replyToComment', 'comment', response.data));
             }
-            console.error(`Ошибка ответа на комментарий: ${response.status} - ${JSON.stringify(response.data)}`);
-            return null;
+            this.client.logger.error('comments.replyToComment.unexpected_status', 'Ошибка ответа на комментарий', { status: response.status, data: response.data });
+            return this.client._handleError(errorFromResponse(response), null);
         } catch (error) {
-            console.error('Исключение при ответе на комментарий:', error.message);
-            if (error.response) {
-                console.error('Response status:', error.response.status);
-                console.error('Response data:', error.response.data);
-            }
-            return null;
+            this.client.logger.error('comments.replyToComment.failed', 'Исключение при ответе на комментарий', { error });
+            return this.client._handleError(error, null);
         }
     }
     
@@ -117,70 +112,173 @@ export class CommentsManager {
      * @param {string} postId - ID поста
      * @param {number} limit - Количество комментариев (по умолчанию 20)
      * @param {string} sort - Сортировка: "popular", "new", "old" (в API уходит как popular, newest, oldest)
+     * @param {string|null} cursor - Курсор для пагинации (nextCursor предыдущего ответа)
      * @returns {Promise<Object>} { comments: [], total, hasMore, nextCursor } или { comments: [] } при ошибке
      */
-    async getComments(postId, limit = 20, sort = 'popular') {
+    async getComments(postId, limit = 20, sort = 'popular', cursor = null) {
         const commentsUrl = `${this.client.baseUrl}/api/posts/${postId}/comments`;
         const reqLimit = Math.min(Math.max(1, Number(limit) || 20), 100);
-        const sortMap = { new: 'newest', old: 'oldest', popular: 'popular', newest: 'newest', oldest: 'oldest' };
-        const reqSort = sortMap[sort] || 'popular';
+        const reqSort = SORT_MAP[sort] || 'popular';
+        const cursorParams = cursor ? { cursor } : {};
 
         const parseResponse = (response) => {
-            const data = response.data?.data ?? response.data;
-            if (data?.comments) {
-                return {
-                    comments: data.comments,
-                    total: data.total ?? data.comments.length,
-                    hasMore: data.hasMore ?? false,
-                    nextCursor: data.nextCursor ?? null
-                };
-            }
-            if (Array.isArray(data)) {
-                return {
-                    comments: data,
-                    total: data.length,
-                    hasMore: false,
-                    nextCursor: null
-                };
-            }
-            return { comments: [], total: 0, hasMore: false, nextCursor: null };
+            const { items, meta } = this.client.schema.list('comments.getComments', 'comment', response.data, 'comments');
+            return {
+                comments: this.client._models('comment', items),
+                total: meta.total ?? items.length,
+                hasMore: meta.hasMore ?? false,
+                nextCursor: meta.nextCursor ?? null
+            };
         };
 
         try {
             const response = await this.axios.get(commentsUrl, {
-                params: { limit: reqLimit, sort: reqSort },
+                params: { limit: reqLimit, sort: reqSort, ...cursorParams },
             });
 
             if (response.status === 200) {
                 return parseResponse(response);
             }
             if (response.status === 422) {
-                const fallback = await this.axios.get(commentsUrl, { params: { limit: reqLimit, sort: 'popular' } });
+                const fallback = await this.axios.get(commentsUrl, { params: { limit: reqLimit, sort: 'popular', ...cursorParams } });
                 if (fallback.status === 200) {
                     return parseResponse(fallback);
                 }
-                console.warn('⚠️  GET /api/posts/:postId/comments: 422. API ожидает sort: newest | oldest | popular.');
+                this.client.logger.warn('comments.getComments.invalid_sort', 'GET /api/posts/:postId/comments: 422. API ожидает sort: newest | oldest | popular', { status: fallback.status, data: fallback.data });
             }
-            console.error(`Ошибка получения комментариев: ${response.status}`);
-            return { comments: [], total: 0, hasMore: false, nextCursor: null };
+            this.client.logger.error('comments.getComments.unexpected_status', 'Ошибка получения комментариев', { status: response.status, data: response.data });
+            return this.client._handleError(errorFromResponse(response), { comments: [], total: 0, hasMore: false, nextCursor: null });
         } catch (error) {
             if (error.response?.status === 422) {
                 try {
-                    const retry = await this.axios.get(commentsUrl, { params: { limit: 20, sort: 'popular' } });
+                    const retry = await this.axios.get(commentsUrl, { params: { limit: 20, sort: 'popular', ...cursorParams } });
                     if (retry.status === 200) {
                         return parseResponse(retry);
                     }
                 } catch (_) {}
             }
-            console.error('Исключение при получении комментариев:', error.message);
-            if (error.response) {
-                console.error('Response status:', error.response.status);
-                console.error('Response data:', error.response.data);
-            }
-            return { comments: [], total: 0, hasMore: false, nextCursor: null };
+            this.client.logger.error('comments.getComments.failed', 'Исключение при получении комментариев', { error });
+            return this.client._handleError(error, { comments: [], total: 0, hasMore: false, nextCursor: null });
         }
     }
     
+    /**
+     * Обход всех комментариев поста (верхнего уровня, с вложенными replies, как в getComments).
+     *
+     * @param {string} postId - ID поста
+     * @param {Object} [options] - { limit (размер страницы, до 100), max, until, cursor } — см. Paginator; sort — как в getComments
+     * @returns {Paginator} Асинхронный итератор комментариев
+     */
+    iterate(postId, options = {}) {
+        const { limit = 20, sort = 'popular' } = options;
+        return new Paginator(async (cursor) => {
+            const result = await this.getComments(postId, limit, sort, cursor);
+            return result && { items: result.comments, next: result.hasMore ? result.nextCursor : null };
+        }, options, this.client.logger);
+    }
+
+    /**
+     * Получает ответы на комментарий. GET /api/comments/{id}/replies?page&limit&sort
+     * Пагинация по page (в отличие от cursor у getComments).
+     *
+     * @param {string} commentId - ID комментария
+     * @param {number} page - Номер страницы (начиная с 1)
+     * @param {number} limit - Количество ответов на странице (по умолчанию 50)
+     * @param {string} sort - Сортировка: "old" (по умолчанию), "new", "popular" (в API уходит как oldest, newest, popular)
+     * @returns {Promise<Object>} { replies: [], pagination: { page, limit, total, hasMore } } или { replies: [], pagination: {} } при ошибке
+     */
+    async getReplies(commentId, page = 1, limit = 50, sort = 'old') {
+        try {
+            const url = `${this.client.baseUrl}/api/comments/${commentId}/replies`;
+            const params = { page, limit, sort: SORT_MAP[sort] || SORT_MAP.old };
+            const response = await this.axios.get(url, { params });
+
+            if (response.status === 200) {
+                // Список приходит в replies, у части версий API — в comments
+                const key = Array.isArray(unwrapEnvelope(response.data)?.comments) ? 'comments' : 'replies';
+                const { items, meta } = this.client.schema.list('comments.getReplies', 'comment', response.data, key);
+                return {
+                    replies: this.client._models('comment', items),
+                    pagination: meta.pagination ?? {
+                        page,
+                        limit,
+                        total: meta.total ?? items.length,
+                        hasMore: meta.hasMore ?? false,
+                    },
+                };
+            }
+            this.client.logger.error('comments.getReplies.unexpected_status', 'Ошибка получения ответов на комментарий', { status: response.status, data: response.data });
+            return this.client._handleError(errorFromResponse(response), { replies: [], pagination: {} });
+        } catch (error) {
+            this.client.logger.error('comments.getReplies.failed', 'Исключение при получении ответов на комментарий', { error });
+            return this.client._handleError(error, { replies: [], pagination: {} });
+        }
+    }
+
+    /**
+     * Обход всех ответов на комментарий. Курсор — номер страницы (с 1).
+     *
+     * @param {string} commentId - ID комментария
+     * @param {Object} [options] - { limit (размер страницы), max, until, cursor } — см. Paginator; sort — как в getReplies
+     * @returns {Paginator} Асинхронный итератор ответов
+     */
+    iterateReplies(commentId, options = {}) {
+        const { limit = 50, sort = 'old' } = options;
+        return new Paginator(async (page) => {
+            const result = await this.getReplies(commentId, page, limit, sort);
+            const hasMore = result.pagination?.hasMore ?? result.replies.length >= limit;
+            return { items: result.replies, next: hasMore && result.replies.length > 0 ? page + 1 : null };
+        }, { ...options, cursor: options.cursor ?? 1 }, this.client.logger);
+    }
+
+    /**
+     * Полное дерево обсуждения поста: все страницы комментариев, и у каждого комментария —
+     * все ответы. getComments отдаёт лишь первые ответы во вложенном replies, поэтому, если
+     * repliesCount больше пришедших, ответы догружаются через getReplies (и так же глубже).
+     *
+     * @param {string} postId - ID поста
+     * @param {Object} [options]
+     * @param {string} [options.sort] - Сортировка комментариев верхнего уровня (как в getComments)
+     * @param {number} [options.max] - Максимум комментариев верхнего уровня
+     * @param {number} [options.maxDepth] - Глубина догрузки ответов (по умолчанию 5)
+     * @returns {Promise<Object[]|null>} Комментарии верхнего уровня с полными replies или null, если не загрузилась
+     *   какая-либо страница комментариев или ответов (неполное дерево не выдаётся за полное)
+     */
+    async getCommentThread(postId, options = {}) {
+        const { sort = 'popular', max, maxDepth = 5 } = options;
+        const pages = this.iterate(postId, { limit: 100, sort, max });
+        const comments = await pages.toArray();
+        if (pages.lastError) {
+            return this.client._handleError(pages.lastError, null);
+        }
+        for (const comment of comments) {
+            const error = await this._loadReplies(comment, 1, maxDepth);
+            if (error) return this.client._handleError(error, null);
+        }
+        return comments;
+    }
+
+    /**
+     * Догружает ответы комментария, если пришли не все, и рекурсивно — ответы на ответы.
+     * @returns {Promise<Error|null>} Ошибка загрузки страницы ответов (в режиме errors: 'null') или null
+     * @private
+     */
+    async _loadReplies(comment, depth, maxDepth) {
+        comment.replies = Array.isArray(comment.replies) ? comment.replies : [];
+        if (depth > maxDepth) return null;
+        if ((comment.repliesCount ?? 0) > comment.replies.length) {
+            const pages = this.iterateReplies(comment.id, { limit: 100 });
+            const replies = await pages.toArray();
+            if (pages.lastError) return pages.lastError;
+            comment.replies = replies;
+        }
+        for (const reply of comment.replies) {
+            const error = await this._loadReplies(reply, depth + 1, maxDepth);
+            if (error) return error;
+        }
+        return null;
+    }
+
     /**
      * Ставит лайк на комментарий
      * 
@@ -189,8 +287,7 @@ export class CommentsManager {
      */
     async likeComment(commentId) {
         if (!await this.client.requireAuth()) {
-            console.error('Ошибка: необходимо войти в аккаунт');
-            return null;
+            return this.client._authRequired(null);
         }
         
         try {
@@ -200,15 +297,12 @@ export class CommentsManager {
             if (response.status === 200 || response.status === 201) {
                 return response.data; // { liked: true, likesCount: number }
             } else {
-                console.error(`Ошибка лайка комментария: ${response.status} - ${JSON.stringify(response.data)}`);
-                return null;
+                this.client.logger.error('comments.likeComment.unexpected_status', 'Ошибка лайка комментария', { status: response.status, data: response.data });
+                return this.client._handleError(errorFromResponse(response), null);
             }
         } catch (error) {
-            console.error('Исключение при лайке комментария:', error.message);
-            if (error.response) {
-                console.error('Response:', error.response.status, error.response.data);
-            }
-            return null;
+            this.client.logger.error('comments.likeComment.failed', 'Исключение при лайке комментария', { error });
+            return this.client._handleError(error, null);
         }
     }
     
@@ -220,8 +314,7 @@ export class CommentsManager {
      */
     async unlikeComment(commentId) {
         if (!await this.client.requireAuth()) {
-            console.error('Ошибка: необходимо войти в аккаунт');
-            return null;
+            return this.client._authRequired(null);
         }
         
         try {
@@ -231,19 +324,12 @@ export class CommentsManager {
             if (response.status === 200 || response.status === 204) {
                 return response.data || { liked: false, likesCount: 0 };
             } else {
-                console.error(`Ошибка убирания лайка с комментария: ${response.status}`);
-                if (response.data) {
-                    console.error('Response data:', response.data);
-                }
-                return null;
+                this.client.logger.error('comments.unlikeComment.unexpected_status', 'Ошибка убирания лайка с комментария', { status: response.status, data: response.data });
+                return this.client._handleError(errorFromResponse(response), null);
             }
         } catch (error) {
-            console.error('Исключение при убирании лайка с комментария:', error.message);
-            if (error.response) {
-                console.error('Response status:', error.response.status);
-                console.error('Response data:', error.response.data);
-            }
-            return null;
+            this.client.logger.error('comments.unlikeComment.failed', 'Исключение при убирании лайка с комментария', { error });
+            return this.client._handleError(error, null);
         }
     }
     
@@ -255,8 +341,7 @@ export class CommentsManager {
      */
     async deleteComment(commentId) {
         if (!await this.client.requireAuth()) {
-            console.error('Ошибка: необходимо войти в аккаунт');
-            return false;
+            return this.client._authRequired(false);
         }
         
         try {
@@ -266,12 +351,12 @@ export class CommentsManager {
             if (response.status === 200 || response.status === 204) {
                 return true;
             } else {
-                console.error(`Ошибка удаления комментария: ${response.status}`);
-                return false;
+                this.client.logger.error('comments.deleteComment.unexpected_status', 'Ошибка удаления комментария', { status: response.status, data: response.data });
+                return this.client._handleError(errorFromResponse(response), false);
             }
         } catch (error) {
-            console.error('Исключение при удалении комментария:', error.message);
-            return false;
+            this.client.logger.error('comments.deleteComment.failed', 'Исключение при удалении комментария', { error });
+            return this.client._handleError(error, false);
         }
     }
 
@@ -282,14 +367,14 @@ export class CommentsManager {
      * @returns {Promise<boolean>} True если успешно
      */
     async restoreComment(commentId) {
-        if (!await this.client.requireAuth()) return false;
+        if (!await this.client.requireAuth()) return this.client._authRequired(false);
         try {
             const url = `${this.client.baseUrl}/api/comments/${commentId}/restore`;
             const response = await this.axios.post(url);
             return response.status === 200 || response.status === 201 || response.status === 204;
         } catch (error) {
-            console.error('Исключение при восстановлении комментария:', error.message);
-            return false;
+            this.client.logger.error('comments.restoreComment.failed', 'Исключение при восстановлении комментария', { error });
+            return this.client._handleError(error, false);
         }
     }
     
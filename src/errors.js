@@ -0,0 +1,152 @@
+/**
+ * Иерархия ошибок SDK.
+ * По умолчанию методы менеджеров возвращают null/false/пустые списки; с опцией клиента
+ * errors: 'throw' они отклоняются экземплярами этих классов.
+ */
+
+/**
+ * Базовая ошибка SDK
+ */
+export class ITDError extends Error {
+    /**
+     * @param {string} message - Текст ошибки
+     * @param {Object} [details]
+     * @param {number|null} [details.status] - HTTP-статус ответа (null, если ответа не было)
+     * @param {string|null} [details.code] - Код ошибки API (error.code из тела ответа)
+     * @param {Object|null} [details.request] - { method, url } исходного запроса
+     * @param {*} [details.data] - Тело ответа API
+     * @param {Error} [details.cause] - Исходная ошибка (axios и т.п.)
+     */
+    constructor(message, details = {}) {
+        super(message);
+        this.name = this.constructor.name;
+        this.status = details.status ?? null;
+        this.code = details.code ?? null;
+        this.request = details.request ?? null;
+        this.data = details.data;
+        if (details.cause) this.cause = details.cause;
+    }
+}
+
+/** 401/403, нет accessToken или не удалось обновить токен */
+export class ITDAuthError extends ITDError {}
+
+/** 429 Too Many Requests */
+export class ITDRateLimitError extends ITDError {
+    /**
+     * @param {string} message
+     * @param {Object} [details] - Как у ITDError, плюс retryAfter (мс до повтора из заголовка Retry-After)
+     */
+    constructor(message, details = {}) {
+        super(message, details);
+        this.retryAfter = details.retryAfter ?? null;
+    }
+}
+
+/**
+ * Опция rateLimit: очередь группы запросов заполнена (maxQueue) — запрос отклонён, не дожидаясь бюджета.
+ * code — 'RATE_LIMIT_QUEUE_FULL', status — null (до сервера запрос не дошёл).
+ */
+export class ITDQueueFullError extends ITDRateLimitError {}
+
+/** 404 Not Found */
+export class ITDNotFoundError extends ITDError {}
+
+/** 400/409/422 — невалидные параметры или отказ API по бизнес-правилам, а также ошибки аргументов SDK */
+export class ITDValidationError extends ITDError {}
+
+/** 5xx */
+export class ITDServerError extends ITDError {}
+
+/** Сеть: таймаут, обрыв соединения, DNS — ответа от сервера нет */
+export class ITDNetworkError extends ITDError {}
+
+/** Опция cassette: в строгом режиме воспроизведения для запроса нет записи (бросается и при errors: 'null') */
+export class ITDCassetteError extends ITDError {}
+
+/**
+ * Разбирает заголовок Retry-After (секунды или HTTP-дата) в миллисекунды.
+ *
+ * @param {string|number|null|undefined} value - Значение заголовка
+ * @returns {number|null} Задержка в мс или null
+ */
+export function parseRetryAfter(value) {
+    if (value == null || value === '') return null;
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+    const date = Date.parse(String(value));
+    if (Number.isNaN(date)) return null;
+    return Math.max(0, date - Date.now());
+}
+
+/**
+ * Описание запроса для ошибки: { method, url }
+ * @private
+ */
+function describeRequest(config) {
+    if (!config) return null;
+    let url = config.url ?? null;
+    if (url && config.baseURL && !/^https?:\/\//i.test(url)) {
+        url = config.baseURL.replace(/\/$/, '') + '/' + url.replace(/^\//, '');
+    }
+    return {
+        method: (config.method || 'get').toUpperCase(),
+        url,
+    };
+}
+
+/**
+ * Создаёт ошибку нужного класса по HTTP-ответу.
+ *
+ * @param {Object} response - Ответ axios ({ status, data, headers, config })
+ * @param {Error} [cause] - Исходная ошибка
+ * @returns {ITDError}
+ */
+export function errorFromResponse(response, cause = undefined) {
+    const status = response?.status ?? null;
+    const data = response?.data;
+    const apiError = data?.error ?? null;
+    const code = (apiError && typeof apiError === 'object' ? apiError.code : null) ?? data?.code ?? null;
+    const apiMessage = (apiError && typeof apiError === 'object' ? apiError.message : apiError) ?? data?.message ?? null;
+    const message = apiMessage
+        ? `HTTP ${status}: ${apiMessage}`
+        : `HTTP ${status}`;
+    const details = {
+        status,
+        code,
+        request: describeRequest(response?.config),
+        data,
+        cause,
+    };
+
+    if (status === 401 || status === 403) return new ITDAuthError(message, details);
+    if (status === 404) return new ITDNotFoundError(message, details);
+    if (status === 429) {
+        return new ITDRateLimitError(message, {
+            ...details,
+            retryAfter: parseRetryAfter(response?.headers?.['retry-after']),
+        });
+    }
+    if (status === 400 || status === 409 || status === 422) return new ITDValidationError(message, details);
+    if (status >= 500) return new ITDServerError(message, details);
+    return new ITDError(message, details);
+}
+
+/**
+ * Приводит любую ошибку (axios, сетевую, ITDError) к ITDError.
+ *
+ * @param {*} error - Исходная ошибка
+ * @returns {ITDError}
+ */
+export function toITDError(error) {
+    if (error instanceof ITDError) return error;
+    if (error?.response) return errorFromResponse(error.response, error);
+    if (error?.isAxiosError || error?.request) {
+        return new ITDNetworkError(error?.message || 'Network error', {
+            code: error?.code ?? null,
+            request: describeRequest(error?.config),
+            cause: error,
+        });
+    }
+    return new ITDError(error?.message || String(error), { cause: error });
+}
@@ -0,0 +1,423 @@
+/**
+ * Клиент-подделка для unit-тестов ботов: тот же публичный API, что у ITDClient, но без HTTP.
+ * Подключение: import { FakeITDClient } from 'itd-sdk-js/testing'.
+ *
+ * Запросы SDK не уходят в сеть: адаптер axios передаёт их обработчикам MockITDServer в том же
+ * процессе (данные — в памяти, порт не открывается). Поэтому менеджеры, модели, кэш, плагины и
+ * режим ошибок работают как с сайтом. Сверху — фабрики данных (factory) и журнал действий
+ * бота (actions) с проверками assertAction / assertNoAction.
+ */
+import { Readable } from 'stream';
+import { AssertionError } from 'assert';
+import { isDeepStrictEqual } from 'util';
+import { AxiosError, AxiosHeaders } from 'axios';
+import { ITDClient } from './client.js';
+import { MemorySessionStore } from './session-store.js';
+import { MockITDServer, compilePattern } from './mock-server.js';
+
+/** Адрес-заглушка: запросы к нему обслуживает backend, DNS не нужен */
+const FAKE_BASE_URL = 'http://itd.test';
+
+/**
+ * Изменяющие запросы → имя действия (как метод ITDClient).
+ * Чтения (GET) и refresh в журнал не попадают.
+ */
+const ACTIONS = [
+    ['POST', '/api/v1/auth/sign-in', 'signIn'],
+    ['POST', '/api/v1/auth/verify-otp', 'verifyOtp'],
+    ['POST', '/api/v1/auth/resend-otp', 'resendOtp'],
+    ['POST', '/api/v1/auth/forgot-password', 'forgotPassword'],
+    ['POST', '/api/v1/auth/reset-password', 'resetPassword'],
+    ['POST', '/api/v1/auth/change-password', 'changePassword'],
+    ['POST', '/api/v1/auth/logout', 'logout'],
+    ['PUT', '/api/users/me', 'updateProfile'],
+    ['PUT', '/api/users/me/privacy', 'updatePrivacy'],
+    ['POST', '/api/users/:username/follow', 'followUser'],
+    ['DELETE', '/api/users/:username/follow', 'unfollowUser'],
+    ['POST', '/api/posts', (body) => (body?.wallRecipientId ? 'createWallPost' : 'createPost')],
+    ['PUT', '/api/posts/:id', 'editPost'],
+    ['DELETE', '/api/posts/:id', 'deletePost'],
+    ['POST', '/api/posts/:id/restore', 'restorePost'],
+    ['POST', '/api/posts/:id/like', 'likePost'],
+    ['DELETE', '/api/posts/:id/like', 'unlikePost'],
+    ['POST', '/api/posts/:id/pin', 'pinPost'],
+    ['DELETE', '/api/posts/:id/pin', 'unpinPost'],
+    ['POST', '/api/posts/:id/view', 'viewPost'],
+    ['POST', '/api/posts/:id/repost', 'repost'],
+    ['POST', '/api/posts/:id/comments', 'addComment'],
+    ['POST', '/api/comments/:id/replies', 'replyToComment'],
+    ['POST', '/api/comments/:id/like', 'likeComment'],
+    ['DELETE', '/api/comments/:id/like', 'unlikeComment'],
+    ['DELETE', '/api/comments/:id', 'deleteComment'],
+    ['POST', '/api/comments/:id/restore', 'restoreComment'],
+    ['POST', '/api/notifications/read-batch', 'markNotificationsAsReadBatch'],
+    ['POST', '/api/notifications/read-all', 'markAllNotificationsAsRead'],
+    ['POST', '/api/notifications/:id/read', 'markNotificationAsRead'],
+    ['POST', '/api/files/upload', 'uploadFile'],
+    ['DELETE', '/api/files/:id', 'deleteFile'],
+    ['POST', '/api/reports', 'report'],
+    ['POST', '/api/verification/submit', 'submitVerification'],
+].map(([method, pattern, name]) => ({ method, pattern: compilePattern(pattern), name }));
+
+/**
+ * Тело запроса axios → Buffer (JSON-строка или поток FormData при загрузке файла).
+ * @private
+ */
+async function readRequestBody(data) {
+    if (data == null) return Buffer.alloc(0);
+    if (Buffer.isBuffer(data)) return data;
+    if (typeof data === 'string') return Buffer.from(data, 'utf8');
+    if (typeof data.pipe === 'function') {
+        return await new Promise((resolve, reject) => {
+            const chunks = [];
+            data.on('data', (chunk) => chunks.push(Buffer.from(chunk)));
+            data.on('end', () => resolve(Buffer.concat(chunks)));
+            data.on('error', reject);
+            data.resume();
+        });
+    }
+    return Buffer.from(JSON.stringify(data), 'utf8');
+}
+
+/**
+ * Заголовки в виде объекта с именами в нижнем регистре.
+ * @private
+ */
+function lowerCaseHeaders(headers) {
+    const result = {};
+    const entries = headers instanceof AxiosHeaders
+        ? Object.entries(headers.toJSON())
+        : (typeof headers?.entries === 'function' ? [...headers.entries()] : Object.entries(headers ?? {}));
+    for (const [name, value] of entries) {
+        if (value != null && value !== '') result[name.toLowerCase()] = String(value);
+    }
+    return result;
+}
+
+/**
+ * Имя по username или объекту пользователя из фабрики.
+ * @private
+ */
+function usernameOf(user) {
+    return typeof user === 'object' && user ? user.username : user;
+}
+
+export class FakeITDClient extends ITDClient {
+    /**
+     * @param {Object} [options] - Опции ITDClient (models, errors, cache, plugins, ...) и:
+     * @param {MockITDServer} [options.backend] - Общие данные с другим FakeITDClient или MockITDServer (по умолчанию — новые)
+     * @param {string} [options.username] - От чьего имени работает клиент (по умолчанию backend.me)
+     * @param {Object} [options.user] - Аккаунт по умолчанию для нового backend: { username, displayName, ... }
+     */
+    constructor(options = {}) {
+        const { backend = null, username = null, user, ...clientOptions } = options;
+        const server = backend ?? new MockITDServer({ user });
+        const account = username ?? server.me.username;
+        super({
+            logger: false,
+            retry: false,
+            sessionStore: new MemorySessionStore(server.createSession(account)),
+            ...clientOptions,
+            baseUrl: FAKE_BASE_URL,
+        });
+
+        /** Данные в памяти (MockITDServer без HTTP): db, requests, inject(), expireAccessTokens() и т.д. */
+        this.backend = server;
+        /** Пользователь, от имени которого работает клиент (в формате API) */
+        this.me = server.getUser(account);
+        /** Выполненные изменяющие действия: { name, method, path, params, body, result } */
+        this.actions = [];
+        /**
+         * Фабрики данных: недостающие поля заполняются (user1, «Пост 1», ...), результат — объект в формате API.
+         * Авторы по умолчанию — новые пользователи, не this.me.
+         */
+        this.factory = {
+            user: (overrides = {}) => {
+                const n = this._nextIndex('user');
+                return server.addUser({ username: `user${n}`, displayName: `Пользователь ${n}`, ...overrides });
+            },
+            post: (overrides = {}) => {
+                const { author, ...fields } = overrides;
+                const authorName = usernameOf(author) ?? this.factory.user().username;
+                return server.addPost(authorName, { content: `Пост ${this._nextIndex('post')}`, ...fields });
+            },
+            comment: (overrides = {}) => {
+                const { post, author, replyTo, ...fields } = overrides;
+                const postId = (typeof post === 'object' && post ? post.id : post) ?? this.factory.post().id;
+                const authorName = usernameOf(author) ?? this.factory.user().username;
+                return server.addComment(postId, authorName, {
+                    content: `Комментарий ${this._nextIndex('comment')}`,
+                    replyTo: typeof replyTo === 'object' && replyTo ? replyTo.id : replyTo,
+                    ...fields,
+                });
+            },
+            notification: (overrides = {}) => {
+                const { to, actor, ...fields } = overrides;
+                return server.notify(usernameOf(to) ?? account, {
+                    type: 'like',
+                    actor: usernameOf(actor) ?? this.factory.user().username,
+                    ...fields,
+                });
+            },
+        };
+
+        /** Счётчики фабрик по виду */
+        this._counters = new Map();
+        /** Открытые стримы уведомлений этого клиента */
+        this._streams = new Set();
+    }
+
+    /**
+     * Клиент другого пользователя на тех же данных — например, чтобы «подписчик» лайкнул пост бота
+     * и бот получил настоящее уведомление.
+     *
+     * @param {string|Object} user - username или объект пользователя из фабрики
+     * @param {Object} [options] - Опции нового клиента
+     * @returns {FakeITDClient}
+     */
+    as(user, options = {}) {
+        return new FakeITDClient({
+            models: this.models,
+            errors: this.errorMode,
+            ...options,
+            backend: this.backend,
+            username: usernameOf(user),
+        });
+    }
+
+    /**
+     * Действия с именем name (и подходящие под match).
+     *
+     * @param {string} name - Имя действия, как метод клиента: 'likePost', 'addComment', 'followUser', ...
+     * @param {Object|function(Object): boolean} [match] - Поля параметров пути (id, username) и тела запроса
+     *   (content, replyToUserId, ...), которые должны совпасть, или предикат по действию
+     * @returns {Array<Object>}
+     */
+    findActions(name, match = null) {
+        return this.actions.filter((action) => action.name === name && this._matchesAction(action, match));
+    }
+
+    /**
+     * Проверяет, что действие выполнялось. Бросает AssertionError (node:assert) — понятно любому тест-раннеру.
+     *
+     * @param {string} name - Имя действия
+     * @param {Object|function(Object): boolean} [match] - См. findActions
+     * @returns {Object} Последнее подходящее действие
+     */
+    assertAction(name, match = null) {
+        const found = this.findActions(name, match);
+        if (found.length === 0) {
+            throw new AssertionError({
+                message: `Ожидалось действие ${name}${match ? ` с ${this._describeMatch(match)}` : ''}; выполнено: ${this._describeActions()}`,
+                actual: this.actions.map((action) => action.name),
+                expected: name,
+                operator: 'assertAction',
+            });
+        }
+        return found[found.length - 1];
+    }
+
+    /**
+     * Проверяет число выполненных действий.
+     *
+     * @param {string} name - Имя действия
+     * @param {number} count - Ожидаемое число
+     * @param {Object|function(Object): boolean} [match] - См. findActions
+     */
+    assertActionCount(name, count, match = null) {
+        const actual = this.findActions(name, match).length;
+        if (actual !== count) {
+            throw new AssertionError({
+                message: `Ожидалось ${count} × ${name}${match ? ` с ${this._describeMatch(match)}` : ''}, выполнено ${actual}`,
+                actual,
+                expected: count,
+                operator: 'assertActionCount',
+            });
+        }
+    }
+
+    /**
+     * Проверяет, что действие не выполнялось.
+     *
+     * @param {string} name - Имя действия
+     * @param {Object|function(Object): boolean} [match] - См. findActions
+     */
+    assertNoAction(name, match = null) {
+        const found = this.findActions(name, match);
+        if (found.length > 0) {
+            throw new AssertionError({
+                message: `Действие ${name}${match ? ` с ${this._describeMatch(match)}` : ''} не ожидалось, выполнено ${found.length} раз`,
+                actual: found,
+                expected: [],
+                operator: 'assertNoAction',
+            });
+        }
+    }
+
+    /**
+     * Очищает журнал действий (например, после подготовки данных через сам клиент).
+     */
+    clearActions() {
+        this.actions = [];
+    }
+
+    /**
+     * Закрывает таймеры клиента и его стримы уведомлений.
+     */
+    destroy() {
+        super.destroy();
+        for (const stream of this._streams) {
+            stream.end();
+        }
+        this._streams.clear();
+    }
+
+    /**
+     * Адаптер axios: запрос обрабатывает backend в том же процессе.
+     * @private
+     */
+    _createTransport() {
+        return (config) => this._serve(config);
+    }
+
+    /**
+     * SSE-стрим уведомлений из backend вместо сети.
+     * @private
+     */
+    async _fetch(url, init = {}) {
+        const target = new URL(url);
+        const result = await this.backend.handle({
+            method: init.method ?? 'GET',
+            url: target.pathname + target.search,
+            headers: lowerCaseHeaders(init.headers),
+        });
+        if (result.network) {
+            throw new TypeError('fetch failed');
+        }
+        if (!result.stream) {
+            return new Response(result.body == null ? null : JSON.stringify(result.body), {
+                status: result.status ?? 200,
+                headers: result.headers,
+            });
+        }
+        const stream = result.stream;
+        this._streams.add(stream);
+        stream.on('close', () => this._streams.delete(stream));
+        init.signal?.addEventListener('abort', () => stream.end(), { once: true });
+        return new Response(Readable.toWeb(stream), { status: result.status ?? 200, headers: result.headers });
+    }
+
+    /** @private */
+    async _serve(config) {
+        const url = new URL(this.axios.getUri(config));
+        const method = (config.method || 'get').toUpperCase();
+        const headers = lowerCaseHeaders(AxiosHeaders.from(config.headers));
+        const cookie = this.cookieJar.getCookieStringSync(url.href);
+        if (cookie) headers.cookie = cookie;
+        const body = await readRequestBody(config.data);
+
+        const result = await this.backend.handle({ method, url: url.pathname + url.search, headers, body });
+        if (result.network) {
+            throw new AxiosError('socket hang up', 'ECONNRESET', config, {});
+        }
+        const status = result.status ?? 200;
+        const responseHeaders = new AxiosHeaders(result.headers);
+        const setCookie = responseHeaders.get('set-cookie');
+        for (const value of [].concat(setCookie ?? [])) {
+            this.cookieJar.setCookieSync(value, url.href);
+        }
+        if (status < 400) {
+            this._recordAction(method, url.pathname, body, headers['content-type'], result.body);
+        }
+
+        const response = {
+            data: result.body == null ? '' : JSON.stringify(result.body),
+            status,
+            statusText: '',
+            headers: responseHeaders,
+            config,
+            request: {},
+        };
+        if (!config.validateStatus || config.validateStatus(status)) {
+            return response;
+        }
+        throw new AxiosError(
+            `Request failed with status code ${status}`,
+            status >= 500 ? AxiosError.ERR_BAD_RESPONSE : AxiosError.ERR_BAD_REQUEST,
+            config,
+            response.request,
+            response
+        );
+    }
+
+    /** @private */
+    _recordAction(method, path, raw, contentType, result) {
+        const normalized = path.length > 1 ? path.replace(/\/+$/, '') : path;
+        const body = raw.length > 0 && String(contentType).includes('application/json')
+            ? JSON.parse(raw.toString('utf8'))
+            : null;
+        for (const action of ACTIONS) {
+            if (action.method !== method) continue;
+            const match = action.pattern.exec(normalized);
+            if (!match) continue;
+            const params = Object.fromEntries(Object.entries(match.groups ?? {}).map(([k, v]) => [k, decodeURIComponent(v)]));
+            this.actions.push({
+                name: typeof action.name === 'function' ? action.name(body) : action.name,
+                method,
+                path: normalized,
+                params,
+                body,
+                result: result ?? null,
+            });
+            return;
+        }
+    }
+
+    /** @private */
+    _matchesAction(action, match) {
+        if (!match) return true;
+        if (typeof match === 'function') return !!match(action);
+        const fields = { ...action.params, ...(action.body && typeof action.body === 'object' ? action.body : {}) };
+        return Object.entries(match).every(([key, value]) => isDeepStrictEqual(fields[key], value));
+    }
+
+    /** @private */
+    _describeMatch(match) {
+        return typeof match === 'function' ? 'условием' : JSON.stringify(match);
+    }
+
+    /** @private */
+    _describeActions() {
+        return this.actions.length ? this.actions.map((action) => action.name).join(', ') : 'ничего';
+    }
+
+    /** @private */
+    _nextIndex(kind) {
+        let n = (this._counters.get(kind) ?? 0) + 1;
+        if (kind === 'user') {
+            while (this.backend._userByName(`user${n}`)) n++;
+        }
+        this._counters.set(kind, n);
+        return n;
+    }
+}
+
+/**
+ * Создаёт FakeITDClient.
+ *
+ * @param {Object} [options] - См. конструктор FakeITDClient
+ * @returns {FakeITDClient}
+ *
+ * @example
+ * const fake = createFakeClient();
+ * const post = fake.factory.post({ content: 'Как дела? #итд' });
+ *
+ * await myBot.handlePost(fake, post.id);          // бот пользуется обычным API клиента
+ *
+ * fake.assertAction('likePost', { id: post.id });
+ * fake.assertAction('addComment', { id: post.id, content: 'Отлично!' });
+ * fake.assertNoAction('followUser');
+ */
+export function createFakeClient(options = {}) {
+    return new FakeITDClient(options);
+}
@@ -0,0 +1,149 @@
+/**
+ * Межпроцессная блокировка на файле: создание lock-файла с флагом 'wx' атомарно,
+ * поэтому захватить его может только один процесс. Используется для refresh,
+ * когда несколько процессов делят одни .cookies (refresh_token ротируется при каждом refresh).
+ *
+ * В lock-файле — уникальный token владельца. Брошенный lock и свой lock при release удаляются
+ * только после проверки, что это всё ещё тот же файл: иначе два процесса, одновременно решившие
+ * снять брошенный lock, могли бы удалить свежий lock друг друга и оба пойти в refresh.
+ */
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import { sleep } from './retry.js';
+
+/**
+ * Содержимое lock-файла или null, если его не прочитать.
+ * @private
+ */
+function readOwner(filePath) {
+    try {
+        return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Брошенный lock: старше stale мс или процесс-владелец на этой машине уже завершился.
+ *
+ * @returns {fs.Stats|null} stat брошенного файла (по нему снятие проверяет, что файл тот же) или null
+ * @private
+ */
+function findStale(lockPath, stale) {
+    let stat;
+    try {
+        stat = fs.statSync(lockPath);
+    } catch (e) {
+        // Файл исчез между попытками — решим на следующей итерации
+        return null;
+    }
+    if (Date.now() - stat.mtimeMs > stale) return stat;
+    // Файл ещё пишется (содержимое не прочитать) — решим на следующей итерации
+    const owner = readOwner(lockPath);
+    if (owner?.hostname === os.hostname() && owner.pid && owner.pid !== process.pid) {
+        try {
+            process.kill(owner.pid, 0);
+        } catch (e) {
+            return e.code === 'ESRCH' ? stat : null;
+        }
+    }
+    return null;
+}
+
+/**
+ * Удаляет lock, только если это всё ещё тот же файл. Файл сначала переносится под уникальным
+ * именем (rename атомарен — перенести его может только один процесс) и проверяется уже там;
+ * чужой lock, захваченный между проверкой и переносом, возвращается на место.
+ *
+ * @param {string} lockPath - Путь к lock-файлу
+ * @param {function(string): boolean} isSame - Проверка перенесённого файла
+ * @returns {boolean} true, если файл был тем же и удалён
+ * @private
+ */
+function removeIfSame(lockPath, isSame) {
+    const moved = `${lockPath}.${crypto.randomUUID()}`;
+    try {
+        fs.renameSync(lockPath, moved);
+    } catch (e) {
+        if (e.code === 'ENOENT') return false;
+        throw e;
+    }
+    const same = isSame(moved);
+    if (!same) {
+        try {
+            fs.linkSync(moved, lockPath);
+        } catch (e) {
+            // EEXIST: место уже занял новый lock — действует он
+        }
+    }
+    fs.unlinkSync(moved);
+    return same;
+}
+
+/**
+ * Захватывает блокировку, ожидая, пока её отпустит другой процесс.
+ *
+ * @param {string} lockPath - Путь к lock-файлу (например .cookies.lock)
+ * @param {Object} [options]
+ * @param {number} [options.timeout] - Сколько ждать, мс (по умолчанию 30000); дольше — ошибка
+ * @param {number} [options.stale] - Через сколько мс без обновления lock считается брошенным (по умолчанию 60000).
+ *   Пока блокировка захвачена, её mtime обновляется каждые stale/3 мс — долгий refresh не примут за брошенный
+ * @param {number} [options.retryInterval] - Пауза между попытками, мс (по умолчанию 100)
+ * @returns {Promise<function(): Promise<void>>} release — отпустить блокировку
+ */
+export async function acquireFileLock(lockPath, options = {}) {
+    const { timeout = 30000, stale = 60000, retryInterval = 100 } = options;
+    const started = Date.now();
+
+    for (;;) {
+        try {
+            const token = crypto.randomUUID();
+            const fd = fs.openSync(lockPath, 'wx', 0o600);
+            try {
+                fs.writeSync(fd, JSON.stringify({
+                    pid: process.pid,
+                    hostname: os.hostname(),
+                    token,
+                    createdAt: new Date().toISOString(),
+                }));
+            } finally {
+                fs.closeSync(fd);
+            }
+            // Пульс: живой владелец не становится stale, сколько бы ни шёл refresh
+            const heartbeat = setInterval(() => {
+                try {
+                    const now = new Date();
+                    fs.utimesSync(lockPath, now, now);
+                } catch (e) {
+                    // Lock удалён — отпускать уже нечего
+                }
+            }, Math.max(10, Math.floor(stale / 3)));
+            heartbeat.unref?.();
+            let released = false;
+            return async function release() {
+                if (released) return;
+                released = true;
+                clearInterval(heartbeat);
+                // Lock, снятый как брошенный и захваченный другим процессом, уже не наш — не трогаем
+                removeIfSame(lockPath, (moved) => readOwner(moved)?.token === token);
+            };
+        } catch (error) {
+            if (error.code !== 'EEXIST') throw error;
+        }
+
+        const staleStat = findStale(lockPath, stale);
+        if (staleStat) {
+            // Тот же файл — тот же inode и mtime: пульс владельца его не обновлял
+            removeIfSame(lockPath, (moved) => {
+                const stat = fs.statSync(moved);
+                return stat.ino === staleStat.ino && stat.mtimeMs === staleStat.mtimeMs;
+            });
+            continue;
+        }
+        if (Date.now() - started >= timeout) {
+            throw new Error(`Не удалось захватить блокировку ${lockPath} за ${timeout} мс`);
+        }
+        await sleep(retryInterval);
+    }
+}
@@ -3,6 +3,7 @@
  */
 import fs from 'fs';
 import FormData from 'form-data';
+import { ITDValidationError, errorFromResponse } from './errors.js';
 
 export class FilesManager {
     constructor(client) {
@@ -20,15 +21,13 @@ export class FilesManager {
      */
     async uploadFile(filePath) {
         if (!await this.client.requireAuth()) {
-            console.error('Ошибка: необходимо войти в аккаунт');
-            return null;
+            return this.client._authRequired(null);
         }
 
         try {
             // Проверка существования файла
             if (!fs.existsSync(filePath)) {
-                console.error(`Ошибка: файл ${filePath} не найден`);
-                return null;
+                return this.client._handleError(new ITDValidationError(`Файл ${filePath} не найден`), null);
             }
 
             const uploadUrl = `${this.client.baseUrl}/api/files/upload`;
@@ -39,24 +38,21 @@ export class FilesManager {
 
             const response = await this.axios.post(uploadUrl, formData, {
                 timeout: this.client.uploadTimeout ?? 120000,
+                itdRetry: false, // поток FormData нельзя отправить повторно
                 headers: {
                     ...formData.getHeaders(),
                 }
             });
 
             if (response.status === 200 || response.status === 201) {
-                return response.data; // { id, url, filename, mimeType, size }
+                return this.client._model('file', response.data); // { id, url, filename, mimeType, size }
             } else {
-                console.error(`Ошибка загрузки файла: ${response.status} - ${JSON.stringify(response.data)}`);
-                return null;
+                this.client.logger.error('files.uploadFile.unexpected_status', 'Ошибка загрузки файла', { status: response.status, data: response.data });
+                return this.client._handleError(errorFromResponse(response), null);
             }
         } catch (error) {
-            console.error('Исключение при загрузке файла:', error.message);
-            if (error.response) {
-                console.error('Response status:', error.response.status);
-                console.error('Response data:', error.response.data);
-            }
-            return null;
+            this.client.logger.error('files.uploadFile.failed', 'Исключение при загрузке файла', { error });
+            return this.client._handleError(error, null);
         }
     }
 
@@ -67,17 +63,17 @@ export class FilesManager {
      * @returns {Promise<Object|null>} { id, url, filename, mimeType, size, ... } или null
      */
     async getFile(fileId) {
-        if (!await this.client.requireAuth()) return null;
+        if (!await this.client.requireAuth()) return this.client._authRequired(null);
         try {
             const url = `${this.client.baseUrl}/api/files/${fileId}`;
             const response = await this.axios.get(url);
             if (response.status === 200) {
-                return response.data?.data ?? response.data;
+                return this.client._model('file', this.client.schema.entity('files.getFile', null, response.data));
             }
-            return null;
+            return this.client._handleError(errorFromResponse(response), null);
         } catch (error) {
-            console.error('Ошибка получения файла:', error.message);
-            return null;
+            this.client.logger.error('files.getFile.failed', 'Ошибка получения файла', { error });
+            return this.client._handleError(error, null);
         }
     }
 
@@ -88,14 +84,14 @@ export class FilesManager {
      * @returns {Promise<boolean>} True если успешно
      */
     async deleteFile(fileId) {
-        if (!await this.client.requireAuth()) return false;
+        if (!await this.client.requireAuth()) return this.client._authRequired(false);
         try {
             const url = `${this.client.baseUrl}/api/files/${fileId}`;
             const response = await this.axios.delete(url);
             return response.status === 200 || response.status === 204;
         } catch (error) {
-            console.error('Ошибка удаления файла:', error.message);
-            return false;
+            this.client.logger.error('files.deleteFile.failed', 'Ошибка удаления файла', { error });
+            return this.client._handleError(error, false);
         }
     }
 }
@@ -1,6 +1,9 @@
 /**
  * Модуль для работы с хэштегами
  */
+import { errorFromResponse } from './errors.js';
+import { Paginator, nextCursorOf } from './pagination.js';
+
 export class HashtagsManager {
     constructor(client) {
         this.client = client;
@@ -20,29 +23,16 @@ export class HashtagsManager {
             const response = await this.axios.get(trendingUrl, { params });
 
             if (response.status === 200) {
-                const data = response.data;
                 // Структура: { data: { hashtags: [...] } }
-                if (data.data && data.data.hashtags) {
-                    return {
-                        hashtags: data.data.hashtags
-                    };
-                } else if (data.hashtags) {
-                    return {
-                        hashtags: data.hashtags
-                    };
-                }
-                return { hashtags: [] };
+                const { items } = this.client.schema.list('hashtags.getTrending', null, response.data, 'hashtags');
+                return { hashtags: this.client._models('hashtag', items) };
             } else {
-                console.error(`Ошибка получения трендовых хэштегов: ${response.status}`);
-                return null;
+                this.client.logger.error('hashtags.getTrending.unexpected_status', 'Ошибка получения трендовых хэштегов', { status: response.status, data: response.data });
+                return this.client._handleError(errorFromResponse(response), null);
             }
         } catch (error) {
-            console.error('Исключение при получении трендовых хэштегов:', error.message);
-            if (error.response) {
-                console.error('Response status:', error.response.status);
-                console.error('Response data:', error.response.data);
-            }
-            return null;
+            this.client.logger.error('hashtags.getTrending.failed', 'Исключение при получении трендовых хэштегов', { error });
+            return this.client._handleError(error, null);
         }
     }
 
@@ -64,25 +54,15 @@ export class HashtagsManager {
             const response = await this.axios.get(url, { params });
 
             if (response.status === 200) {
-                const data = response.data;
-                if (data.data && Array.isArray(data.data.hashtags)) {
-                    return { hashtags: data.data.hashtags };
-                }
-                if (Array.isArray(data.hashtags)) {
-                    return { hashtags: data.hashtags };
-                }
-                return { hashtags: [] };
+                const { items } = this.client.schema.list('hashtags.search', null, response.data, 'hashtags');
+                return { hashtags: this.client._models('hashtag', items) };
             } else {
-                console.error(`Ошибка поиска хэштегов: ${response.status}`);
-                return null;
+                this.client.logger.error('hashtags.search.unexpected_status', 'Ошибка поиска хэштегов', { status: response.status, data: response.data });
+                return this.client._handleError(errorFromResponse(response), null);
             }
         } catch (error) {
-            console.error('Исключение при поиске хэштегов:', error.message);
-            if (error.response) {
-                console.error('Response status:', error.response.status);
-                console.error('Response data:', error.response.data);
-            }
-            return null;
+            this.client.logger.error('hashtags.search.failed', 'Исключение при поиске хэштегов', { error });
+            return this.client._handleError(error, null);
         }
     }
 
@@ -108,34 +88,35 @@ export class HashtagsManager {
             const response = await this.axios.get(hashtagUrl, { params });
 
             if (response.status === 200) {
-                const data = response.data;
-                
                 // Структура: { data: { hashtag: {...} или null, posts: [...], pagination: {...} } }
-                if (data.data) {
-                    return {
-                        hashtag: data.data.hashtag || null,
-                        posts: data.data.posts || [],
-                        pagination: data.data.pagination || {}
-                    };
-                }
-                
-                // Fallback
+                const { items, meta } = this.client.schema.list('hashtags.getPostsByHashtag', 'post', response.data, 'posts');
                 return {
-                    hashtag: null,
-                    posts: data.posts || [],
-                    pagination: data.pagination || {}
+                    hashtag: this.client._model('hashtag', meta.hashtag || null),
+                    posts: this.client._models('post', items),
+                    pagination: meta.pagination || {}
                 };
             } else {
-                console.error(`Ошибка получения постов по хэштегу: ${response.status}`);
-                return null;
+                this.client.logger.error('hashtags.getPostsByHashtag.unexpected_status', 'Ошибка получения постов по хэштегу', { status: response.status, data: response.data });
+                return this.client._handleError(errorFromResponse(response), null);
             }
         } catch (error) {
-            console.error('Исключение при получении постов по хэштегу:', error.message);
-            if (error.response) {
-                console.error('Response status:', error.response.status);
-                console.error('Response data:', error.response.data);
-            }
-            return null;
+            this.client.logger.error('hashtags.getPostsByHashtag.failed', 'Исключение при получении постов по хэштегу', { error });
+            return this.client._handleError(error, null);
         }
     }
+
+    /**
+     * Обход всех постов по хэштегу.
+     *
+     * @param {string} hashtagName - Имя хэштега (без #)
+     * @param {Object} [options] - { limit (размер страницы), max, until, cursor } — см. Paginator
+     * @returns {Paginator} Асинхронный итератор постов
+     */
+    iteratePosts(hashtagName, options = {}) {
+        const { limit = 20 } = options;
+        return new Paginator(async (cursor) => {
+            const result = await this.getPostsByHashtag(hashtagName, limit, cursor);
+            return result && { items: result.posts, next: nextCursorOf(result.pagination) };
+        }, options, this.client.logger);
+    }
 }
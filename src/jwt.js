@@ -0,0 +1,45 @@
+/**
+ * Разбор accessToken (JWT) без проверки подписи: SDK нужны только сроки и id пользователя,
+ * чтобы обновлять токен заранее, а не после 401.
+ */
+
+/**
+ * Декодирует payload JWT.
+ *
+ * @param {string|null} token - accessToken
+ * @returns {Object|null} Claims ({ sub, iat, exp, ... }) или null, если это не JWT
+ */
+export function decodeJwt(token) {
+    if (typeof token !== 'string') return null;
+    const parts = token.split('.');
+    if (parts.length !== 3 || !parts[1]) return null;
+    try {
+        const base64 = parts[1].replace(/-/g, '+').replace(/_/g, '/');
+        const payload = JSON.parse(Buffer.from(base64, 'base64').toString('utf8'));
+        return payload && typeof payload === 'object' ? payload : null;
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Сведения о сессии по accessToken.
+ *
+ * @param {string|null} token - accessToken
+ * @param {number} [now] - Текущее время, мс
+ * @returns {{ userId: string|null, issuedAt: Date|null, expiresAt: Date|null, expiresIn: number|null, expired: boolean, claims: Object|null }}
+ */
+export function describeToken(token, now = Date.now()) {
+    const claims = decodeJwt(token);
+    const issuedAt = Number.isFinite(claims?.iat) ? new Date(claims.iat * 1000) : null;
+    const expiresAt = Number.isFinite(claims?.exp) ? new Date(claims.exp * 1000) : null;
+    const expiresIn = expiresAt ? expiresAt.getTime() - now : null;
+    return {
+        userId: claims?.sub ?? claims?.userId ?? claims?.id ?? null,
+        issuedAt,
+        expiresAt,
+        expiresIn,
+        expired: expiresIn !== null && expiresIn <= 0,
+        claims,
+    };
+}
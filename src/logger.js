@@ -0,0 +1,210 @@
+/**
+ * Логгер SDK: уровни, тихий режим, JSON-вывод, стабильные коды событий и
+ * автоматическое скрытие токенов и cookies.
+ *
+ * Каждое сообщение SDK — событие с кодом (например 'posts.createPost.failed'),
+ * человекочитаемым текстом и метаданными ({ error, status, data, ... }).
+ */
+
+export const LOG_LEVELS = Object.freeze({
+    debug: 10,
+    info: 20,
+    warn: 30,
+    error: 40,
+    silent: 100,
+});
+
+const REDACTED = '[REDACTED]';
+const SENSITIVE_KEY = /token|cookie|authorization|password|secret/i;
+const SENSITIVE_PATTERNS = [
+    // JWT (access token)
+    [/eyJ[\w-]+\.[\w-]+\.[\w-]+/g, REDACTED],
+    // Authorization: Bearer ...
+    [/(Bearer\s+)[^\s"',;]+/gi, `$1${REDACTED}`],
+    // refresh_token=... и другие cookie/env-пары с токенами
+    [/((?:refresh_token|access_token|ITD_ACCESS_TOKEN)=)[^\s;"',&]+/gi, `$1${REDACTED}`],
+];
+
+/**
+ * Скрывает токены и cookies в строке.
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+export function redactString(text) {
+    let result = String(text);
+    for (const [pattern, replacement] of SENSITIVE_PATTERNS) {
+        result = result.replace(pattern, replacement);
+    }
+    return result;
+}
+
+/**
+ * Глубокая копия значения со скрытыми токенами, cookies и паролями
+ * (по имени ключа и по содержимому строк).
+ *
+ * @param {*} value
+ * @returns {*}
+ */
+export function redact(value, seen = new WeakSet()) {
+    if (typeof value === 'string') return redactString(value);
+    if (!value || typeof value !== 'object') return value;
+    if (seen.has(value)) return '[Circular]';
+    seen.add(value);
+    if (Array.isArray(value)) return value.map((item) => redact(item, seen));
+    const result = {};
+    for (const [key, item] of Object.entries(value)) {
+        result[key] = SENSITIVE_KEY.test(key) && item != null && item !== ''
+            ? REDACTED
+            : redact(item, seen);
+    }
+    return result;
+}
+
+/**
+ * Превращает ошибку (axios или любую) в сериализуемый объект.
+ * @private
+ */
+function serializeError(error) {
+    if (!(error instanceof Error)) return error;
+    const result = { name: error.name, message: error.message };
+    if (error.code) result.code = error.code;
+    const status = error.response?.status ?? error.status;
+    if (status != null) result.status = status;
+    const data = error.response?.data ?? error.data;
+    if (data !== undefined) result.data = data;
+    return result;
+}
+
+export class Logger {
+    /**
+     * @param {Object} [options]
+     * @param {'debug'|'info'|'warn'|'error'|'silent'} [options.level] - Минимальный уровень (по умолчанию 'info')
+     * @param {'pretty'|'json'} [options.format] - 'pretty' — текст в консоль (как раньше), 'json' — одна JSON-строка на событие
+     * @param {function(Object): void} [options.sink] - Куда отдавать событие { level, event, message, time, ...meta } (вместо консоли)
+     */
+    constructor(options = {}) {
+        this.level = options.level ?? 'info';
+        if (!(this.level in LOG_LEVELS)) {
+            throw new TypeError(`Logger: неизвестный уровень ${this.level}`);
+        }
+        this.format = options.format ?? 'pretty';
+        this.sink = options.sink ?? null;
+    }
+
+    /**
+     * Включён ли уровень
+     * @param {string} level
+     * @returns {boolean}
+     */
+    isLevelEnabled(level) {
+        return LOG_LEVELS[level] >= LOG_LEVELS[this.level];
+    }
+
+    /**
+     * Записывает событие.
+     *
+     * @param {'debug'|'info'|'warn'|'error'} level - Уровень
+     * @param {string} event - Стабильный код события, например 'auth.refresh.failed'
+     * @param {string} message - Текст для человека
+     * @param {Object} [meta] - Доп. данные; error (Error) сериализуется, токены и cookies скрываются
+     */
+    log(level, event, message, meta = {}) {
+        if (!this.isLevelEnabled(level)) return;
+        const safeMeta = redact(meta?.error ? { ...meta, error: serializeError(meta.error) } : meta);
+        const entry = {
+            level,
+            event,
+            message: redactString(message),
+            time: new Date().toISOString(),
+            ...safeMeta,
+        };
+        if (this.sink) {
+            this.sink(entry);
+            return;
+        }
+        const write = level === 'error' ? console.error
+            : level === 'warn' ? console.warn
+                : console.log;
+        if (this.format === 'json') {
+            write(JSON.stringify(entry));
+            return;
+        }
+        write(formatPretty(entry));
+    }
+
+    debug(event, message, meta) { this.log('debug', event, message, meta); }
+    info(event, message, meta) { this.log('info', event, message, meta); }
+    warn(event, message, meta) { this.log('warn', event, message, meta); }
+    error(event, message, meta) { this.log('error', event, message, meta); }
+}
+
+/**
+ * Текстовое представление события для консоли.
+ * @private
+ */
+function formatPretty(entry) {
+    const { level, event, message, time, error, status, data, ...rest } = entry;
+    let text = message;
+    if (error) text += `: ${error.message ?? error}`;
+    const responseStatus = status ?? error?.status;
+    const responseData = data ?? error?.data;
+    if (responseStatus != null) {
+        text += `\n  Response: ${responseStatus}`;
+        if (responseData !== undefined) {
+            text += ` ${typeof responseData === 'string' ? responseData : JSON.stringify(responseData)}`;
+        }
+    }
+    const extra = Object.keys(rest);
+    if (extra.length > 0) text += ` ${JSON.stringify(rest)}`;
+    return text;
+}
+
+/**
+ * Обёртка над пользовательским логгером (pino, winston, console и т.п.).
+ * Если у объекта есть методы уровней — вызывается logger[level](message, { event, ...meta });
+ * если есть только log(entry) — он получает готовое событие целиком.
+ * @private
+ */
+class ExternalLogger extends Logger {
+    constructor(target, level) {
+        super({ level: level ?? 'debug' });
+        this.sink = (entry) => {
+            const { level: entryLevel, message, ...meta } = entry;
+            if (typeof target[entryLevel] === 'function') {
+                target[entryLevel](message, meta);
+            } else if (typeof target.log === 'function') {
+                target.log(entry);
+            }
+        };
+    }
+}
+
+/**
+ * Создаёт логгер из опции клиента logger.
+ *
+ * @param {undefined|false|string|Object|Logger} option
+ *   - undefined — текст в консоль, уровень info (как раньше);
+ *   - false или 'silent' — ничего не выводить;
+ *   - 'json' — JSON-строки в консоль;
+ *   - 'debug' | 'info' | 'warn' | 'error' — текст в консоль с этим уровнем;
+ *   - { level, format, sink } — настройки Logger;
+ *   - объект с методами debug/info/warn/error или log(entry) — внешний логгер (pino, winston, ...).
+ * @returns {Logger}
+ */
+export function createLogger(option) {
+    if (option instanceof Logger) return option;
+    if (option == null) return new Logger();
+    if (option === false || option === 'silent') return new Logger({ level: 'silent' });
+    if (option === 'json') return new Logger({ format: 'json' });
+    if (typeof option === 'string') return new Logger({ level: option });
+    if (typeof option === 'object') {
+        const isExternal = ['debug', 'info', 'warn', 'error', 'log'].some((m) => typeof option[m] === 'function');
+        if (isExternal) return new ExternalLogger(option, option.level && option.level in LOG_LEVELS ? option.level : undefined);
+        return new Logger(option);
+    }
+    throw new TypeError('ITDClient: опция logger должна быть строкой, false, объектом настроек или логгером');
+}
+
+/** Логгер по умолчанию для модулей без клиента (token-storage) */
+export const defaultLogger = new Logger();
@@ -3,19 +3,66 @@
  * Не меняет поведение обычного ITDClient: один аккаунт = как раньше.
  * Подключение опционально: import { createMirrorPool } from 'itd-sdk-js/mirrors'.
  *
- * Распределение: автоматическое — каждый вызов метода идёт с очередного аккаунта по кругу.
- * Ручной режим: pool.getClient() возвращает следующий клиент; несколько операций подряд делайте через него.
+ * Распределение: автоматическое — каждый вызов метода идёт с аккаунта, который выберет стратегия
+ * (по умолчанию — по кругу; см. опцию strategy). Ручной режим: pool.as(key) — конкретный аккаунт,
+ * pool.session() — один аккаунт на несколько операций подряд, опция sticky — один аккаунт на пост или тред.
+ * Одно действие от всех аккаунтов: pool.broadcast(fn) и pool.all.<метод>().
+ *
+ * Здоровье аккаунтов: после 429 аккаунт отдыхает (Retry-After или cooldown), после неудачного refresh
+ * исключается до успешного обновления токена, после серии сетевых/5xx ошибок отдыхает errorCooldown.
+ * Такие аккаунты пропускаются, а вызов, отклонённый по 429 или из-за потерянной авторизации,
+ * повторяется с другого аккаунта. Отчёт — pool.status().
+ *
+ * Состав пула меняется без перезапуска: pool.add(key, config), pool.remove(key) (дожидается незавершённых
+ * вызовов аккаунта), pool.reload() и опция watch — перечитать файл зеркал.
  */
 
 import fs from 'fs';
 import path from 'path';
+import { AsyncLocalStorage } from 'async_hooks';
 import { ITDClient } from './client.js';
+import {
+    ITDAuthError,
+    ITDNetworkError,
+    ITDRateLimitError,
+    ITDServerError,
+    toITDError,
+} from './errors.js';
+import { createStorageCipher, decryptIfNeeded } from './storage-crypto.js';
 
 const MANAGER_KEYS = new Set([
     'auth', 'posts', 'comments', 'users', 'notifications', 'hashtags',
     'files', 'reports', 'searchManager', 'verification'
 ]);
 
+const DEFAULT_HEALTH = Object.freeze({
+    cooldown: 60000,
+    maxConsecutiveErrors: 5,
+    errorCooldown: 30000,
+    failover: true,
+});
+
+/** Сколько аккаунтов broadcast обрабатывает одновременно, если не задано опцией concurrency */
+const DEFAULT_CONCURRENCY = 5;
+
+/** Как часто опция watch проверяет файл зеркал, мс */
+const DEFAULT_WATCH_INTERVAL = 2000;
+
+/** Сколько привязок sticky хранится (самые давние забываются) */
+const STICKY_LIMIT = 10000;
+
+/** Встроенные стратегии выбора аккаунта (опция strategy) */
+const STRATEGIES = Object.freeze(['round-robin', 'least-recently-used', 'least-in-flight', 'weighted', 'random']);
+
+/**
+ * Вызов метода пула, который сейчас выполняется: плагин здоровья записывает сюда ошибку запроса,
+ * чтобы и в режиме errors: 'null' (метод вернул null) было видно, что вызов отклонён.
+ * Хранится { account, error, parent, keep, failover }: parent — внешняя область (broadcast), keep — не сбрасывать
+ * ошибку после следующего успешного запроса, failover — после 429 пул повторит вызов с другого аккаунта
+ * (запросы такого вызова клиент по 429 не повторяет: иначе ждал бы Retry-After на том же аккаунте).
+ */
+const callContext = new AsyncLocalStorage();
+
 /**
  * Преобразует значение из JSON-зеркала в строку cookies (name=value; name2=value2).
  * @param {string|Object} val — строка или объект { refresh_token: "...", ... }
@@ -37,15 +84,17 @@ function toCookieString(val) {
  *
  * @param {string} filePath — путь к файлу (например .cookies.mirrors)
  * @param {string} projectRoot — корень проекта; для каждого аккаунта сохраняются .cookies.mirrors.<key> и .env.mirrors.<key> при refresh
- * @param {Object} baseOptions — общие опции для ITDClient (baseUrl, requestTimeout и т.д.)
+ * @param {Object} baseOptions — общие опции для ITDClient (baseUrl, requestTimeout и т.д.);
+ *   baseOptions.storageEncryption — файл зеркал может быть зашифрован (itd-enc), а .cookies/.env зеркал пишутся зашифрованными
  * @returns {Array<Object>} массив опций для ITDClient
  */
 function loadMirrorsFromFile(filePath, projectRoot, baseOptions = {}) {
-    const fullPath = path.isAbsolute(filePath) ? filePath : path.join(projectRoot, filePath);
+    const fullPath = resolveMirrorsPath(filePath, projectRoot);
     if (!fs.existsSync(fullPath)) {
         throw new Error(`Файл зеркал не найден: ${fullPath}`);
     }
-    const raw = fs.readFileSync(fullPath, 'utf8').trim();
+    const cipher = createStorageCipher(baseOptions.storageEncryption);
+    const raw = decryptIfNeeded(fs.readFileSync(fullPath, 'utf8').trim(), cipher);
     let data;
     try {
         data = JSON.parse(raw);
@@ -66,24 +115,370 @@ function loadMirrorsFromFile(filePath, projectRoot, baseOptions = {}) {
         }
         return {
             ...baseOptions,
+            name: key,
             projectRoot,
-            cookiesString,
+            cookiesString: cookieString,
             cookiesPath: path.join(projectRoot, `.cookies.mirrors.${key}`),
             envPath: path.join(projectRoot, `.env.mirrors.${key}`),
         };
     });
 }
 
+/**
+ * Полный путь к файлу зеркал.
+ * @private
+ */
+function resolveMirrorsPath(filePath, projectRoot) {
+    return path.isAbsolute(filePath) ? filePath : path.join(projectRoot, filePath);
+}
+
+/**
+ * Проверяет опцию watch: true или { interval }.
+ * @private
+ */
+function normalizeWatchOptions(watch) {
+    if (watch == null || watch === false) return null;
+    if (watch === true) return { interval: DEFAULT_WATCH_INTERVAL };
+    if (typeof watch === 'object' && (watch.interval == null || (Number.isInteger(watch.interval) && watch.interval > 0))) {
+        return { interval: watch.interval ?? DEFAULT_WATCH_INTERVAL };
+    }
+    throw new TypeError('createMirrorPool: watch должен быть true или { interval: мс }');
+}
+
+/**
+ * Нормализует опции здоровья пула.
+ * @private
+ */
+function normalizeHealthOptions(options) {
+    const health = { ...DEFAULT_HEALTH };
+    for (const name of ['cooldown', 'maxConsecutiveErrors', 'errorCooldown']) {
+        if (options[name] == null) continue;
+        if (typeof options[name] !== 'number' || options[name] < 0) {
+            throw new TypeError(`createMirrorPool: ${name} должен быть неотрицательным числом`);
+        }
+        health[name] = options[name];
+    }
+    if (options.failover != null) {
+        if (typeof options.failover !== 'boolean' && (typeof options.failover !== 'number' || options.failover < 0)) {
+            throw new TypeError('createMirrorPool: failover должен быть boolean или числом повторов');
+        }
+        health.failover = options.failover;
+    }
+    return health;
+}
+
+/**
+ * Проверяет лимит одновременных вызовов broadcast.
+ * @private
+ */
+function normalizeConcurrency(value) {
+    if (value !== Infinity && (!Number.isInteger(value) || value < 1)) {
+        throw new TypeError(`MirrorPool: concurrency должен быть целым числом от 1 или Infinity, получено: ${value}`);
+    }
+    return value;
+}
+
+/**
+ * Подключает плагин к клиенту. Возвращает функцию, которая отключает его хуки и менеджеры
+ * (чтобы убранный из пула клиент можно было снова добавить без второй копии плагина).
+ * @private
+ */
+function attachPlugin(client, plugin) {
+    client.use(plugin);
+    const installed = client.plugins[client.plugins.length - 1];
+    return () => {
+        const index = client.plugins.indexOf(installed);
+        if (index === -1) return;
+        client.plugins.splice(index, 1);
+        for (const name of Object.keys(installed.managers)) {
+            delete client[name];
+            client._pluginManagers.delete(name);
+        }
+    };
+}
+
+/**
+ * Отключает от клиента аккаунта всё, что подключил пул (плагин здоровья, обработчики событий, плагины pool.use).
+ * @private
+ */
+function dispose(account) {
+    for (const disposer of account.disposers.splice(0)) disposer();
+}
+
+/**
+ * Аккаунт пула: клиент и его здоровье. Ошибки и ответы клиента отслеживает безымянный плагин,
+ * потерю и возврат авторизации — события tokenRefreshError / tokenRefresh и успешные запросы с токеном.
+ * Всё подключённое к клиенту пул снимает через account.disposers, когда аккаунт уходит из пула.
+ * @private
+ */
+function createAccount(key, client, health) {
+    const account = {
+        key,
+        client,
+        authLost: false,
+        cooldownUntil: 0,
+        cooldownReason: null,
+        consecutiveErrors: 0,
+        requests: 0,
+        failures: 0,
+        lastError: null,
+        /** Вызовы через пул, которые ещё выполняются */
+        inFlight: 0,
+        /** Когда аккаунт последний раз выбран пулом (0 — ещё не выбирался) */
+        lastUsedAt: 0,
+        /** Порядковый номер последнего выбора: в одну миллисекунду может уложиться несколько выборов */
+        lastUsedSeq: 0,
+        weight: 1,
+        /** Текущий вес для плавного взвешенного выбора */
+        currentWeight: 0,
+        /** Клиент создан пулом из конфига (при удалении из пула пул его и останавливает) */
+        owned: false,
+        /** Строка cookies из файла зеркал — по ней reload замечает изменения; null — аккаунт не из файла */
+        fileCookies: null,
+        /** Ожидающие, пока у аккаунта не останется незавершённых вызовов (pool.remove) */
+        idleWaiters: [],
+        /** Отключают от клиента плагины и обработчики пула (dispose) */
+        disposers: [],
+    };
+
+    const coolDown = (ms, reason) => {
+        const until = Date.now() + ms;
+        if (until <= account.cooldownUntil) return;
+        account.cooldownUntil = until;
+        account.cooldownReason = reason;
+        client.logger.warn('mirrors.account.cooldown', `Зеркало ${key}: пауза ${Math.ceil(ms / 1000)} с`, { account: key, reason, until: new Date(until) });
+    };
+
+    account.disposers.push(attachPlugin(client, {
+        beforeRequest(config) {
+            // Вызов, который пул перенесёт на другой аккаунт: клиент не ждёт Retry-After на этом аккаунте
+            const attempt = callContext.getStore();
+            if (attempt && attempt.account === account && attempt.failover) {
+                config.itdFailover = true;
+            }
+        },
+        afterResponse(response) {
+            account.requests += 1;
+            account.consecutiveErrors = 0;
+            // Запрос с токеном прошёл — авторизация снова есть (например, после signIn на этом клиенте)
+            if (response?.config?.headers?.Authorization) {
+                account.authLost = false;
+            }
+            // Метод справился после ошибки (например, повтор с другой сортировкой) — вызов не отклонён
+            const attempt = callContext.getStore();
+            if (attempt && attempt.account === account && !attempt.keep) {
+                attempt.error = null;
+            }
+        },
+        onError(error) {
+            const itdError = toITDError(error);
+            account.requests += 1;
+            account.failures += 1;
+            account.lastError = itdError;
+            if (itdError instanceof ITDRateLimitError) {
+                coolDown(itdError.retryAfter ?? health.cooldown, 'rate_limit');
+            } else if (itdError instanceof ITDNetworkError || itdError instanceof ITDServerError) {
+                account.consecutiveErrors += 1;
+                if (account.consecutiveErrors >= health.maxConsecutiveErrors) {
+                    coolDown(health.errorCooldown, 'errors');
+                }
+            }
+            for (let scope = callContext.getStore(); scope; scope = scope.parent) {
+                if (scope.account === account) scope.error = itdError;
+            }
+        },
+    }));
+    const onRefreshError = (error) => {
+        if (!account.authLost) {
+            client.logger.warn('mirrors.account.auth_lost', `Зеркало ${key} исключено: не удалось обновить токен`, { account: key, error });
+        }
+        account.authLost = true;
+        account.lastError = error;
+    };
+    const onRefresh = () => {
+        account.authLost = false;
+    };
+    client.on('tokenRefreshError', onRefreshError);
+    client.on('tokenRefresh', onRefresh);
+    account.disposers.push(() => {
+        client.off('tokenRefreshError', onRefreshError);
+        client.off('tokenRefresh', onRefresh);
+    });
+
+    return account;
+}
+
+/**
+ * Можно ли сейчас отправлять запросы через аккаунт.
+ * @private
+ */
+function isAvailable(account, now = Date.now()) {
+    return !account.authLost && account.cooldownUntil <= now;
+}
+
+/**
+ * Завершение вызова через аккаунт: последний завершённый будит ожидающих в pool.remove.
+ * @private
+ */
+function release(account) {
+    account.inFlight -= 1;
+    if (account.inFlight === 0) {
+        for (const resolve of account.idleWaiters.splice(0)) resolve();
+    }
+}
+
+/**
+ * Отчёт о здоровье аккаунта для pool.status().
+ * @private
+ */
+function describeAccount(account, now) {
+    const cooling = account.cooldownUntil > now;
+    let state = 'healthy';
+    if (account.authLost) {
+        state = 'auth_lost';
+    } else if (cooling) {
+        state = account.cooldownReason === 'rate_limit' ? 'rate_limited' : 'failing';
+    }
+    return {
+        key: account.key,
+        state,
+        available: isAvailable(account, now),
+        cooldownUntil: cooling ? new Date(account.cooldownUntil) : null,
+        consecutiveErrors: account.consecutiveErrors,
+        requests: account.requests,
+        failures: account.failures,
+        lastError: account.lastError,
+        inFlight: account.inFlight,
+        lastUsedAt: account.lastUsedAt ? new Date(account.lastUsedAt) : null,
+        weight: account.weight,
+    };
+}
+
+/**
+ * Проверяет опцию weights: { имя аккаунта: вес > 0 }.
+ * @private
+ */
+function applyWeights(accounts, weights) {
+    if (weights == null) return;
+    if (typeof weights !== 'object' || Array.isArray(weights)) {
+        throw new TypeError('createMirrorPool: weights должен быть объектом { имя аккаунта: вес }');
+    }
+    for (const [key, weight] of Object.entries(weights)) {
+        const account = accounts.find((a) => a.key === key);
+        if (!account) {
+            throw new TypeError(`createMirrorPool: weights.${key} — нет аккаунта с таким именем`);
+        }
+        if (typeof weight !== 'number' || !(weight > 0) || !Number.isFinite(weight)) {
+            throw new TypeError(`createMirrorPool: weights.${key} должен быть положительным числом`);
+        }
+        account.weight = weight;
+    }
+}
+
+/**
+ * Функция выбора аккаунта по опции strategy: (candidates, call) → аккаунт из candidates.
+ * candidates — доступные аккаунты в порядке пула (не пустой список), call — { method, args }.
+ *
+ * @param {string|function} strategy
+ * @param {Array<Object>} accounts - Все аккаунты пула (для кругового порядка)
+ * @returns {function(Array<Object>, Object): Object}
+ * @private
+ */
+function createPicker(strategy, accounts) {
+    let index = 0;
+    const roundRobin = (candidates) => {
+        for (let i = 0; i < accounts.length; i++) {
+            const account = accounts[index % accounts.length];
+            index += 1;
+            if (candidates.includes(account)) return account;
+        }
+        return candidates[0];
+    };
+    const leastRecentlyUsed = (candidates) =>
+        candidates.reduce((best, account) => (account.lastUsedSeq < best.lastUsedSeq ? account : best));
+
+    if (typeof strategy === 'function') {
+        return (candidates, call) => {
+            const now = Date.now();
+            const choice = strategy(call, candidates.map((account) => describeAccount(account, now)));
+            if (choice == null) return roundRobin(candidates);
+            const key = String(typeof choice === 'object' ? choice.key : choice);
+            const account = candidates.find((a) => a.key === key);
+            if (account) return account;
+            if (!accounts.some((a) => a.key === key)) {
+                throw new TypeError(`createMirrorPool: стратегия вернула "${key}" — такого аккаунта в пуле нет`);
+            }
+            // Аккаунт есть, но сейчас недоступен (пауза, потеря авторизации, уже пробовал этот вызов)
+            return roundRobin(candidates);
+        };
+    }
+    switch (strategy) {
+    case 'round-robin':
+        return roundRobin;
+    case 'least-recently-used':
+        return leastRecentlyUsed;
+    case 'least-in-flight':
+        // При равенстве — тот, что дольше не использовался
+        return (candidates) => {
+            const min = Math.min(...candidates.map((account) => account.inFlight));
+            return leastRecentlyUsed(candidates.filter((account) => account.inFlight === min));
+        };
+    case 'weighted':
+        // Плавный взвешенный круг (как в nginx): веса 3 и 1 дают a, a, b, a — без серий подряд
+        return (candidates) => {
+            let total = 0;
+            let best = null;
+            for (const account of candidates) {
+                account.currentWeight += account.weight;
+                total += account.weight;
+                if (!best || account.currentWeight > best.currentWeight) best = account;
+            }
+            best.currentWeight -= total;
+            return best;
+        };
+    case 'random':
+        return (candidates) => candidates[Math.floor(Math.random() * candidates.length)];
+    default:
+        throw new TypeError(`createMirrorPool: strategy должна быть одной из ${STRATEGIES.join(', ')} или функцией, получено: ${strategy}`);
+    }
+}
+
 /**
  * Создаёт пул клиентов (зеркал).
  *
  * Распределение запросов — автоматическое: каждый вызов метода (getNotifications, addComment и т.д.)
- * выполняется через следующий клиент в пуле по кругу. Ручной выбор: вызовите pool.getClient() и
- * используйте возвращённый клиент для нескольких операций подряд.
+ * выполняется через аккаунт, выбранный стратегией (по умолчанию — следующий по кругу). Ручной выбор:
+ * pool.as(key) — вызовы через аккаунт key, pool.session() — аккаунт, выбранный стратегией, на несколько
+ * операций подряд (pool.getClient() — то же, но сам ITDClient). Чтение свойств пула очередь не сдвигает.
+ *
+ * Аккаунт, получивший 429, пропускается до конца Retry-After (без заголовка — cooldown), аккаунт с неудачным
+ * refresh — до успешного обновления токена, аккаунт с maxConsecutiveErrors сетевыми/5xx ошибками подряд —
+ * errorCooldown. Вызов, отклонённый по 429 или из-за потерянной авторизации, повторяется с другого доступного
+ * аккаунта (failover). Если доступных аккаунтов нет, вызов идёт через аккаунт, который освободится раньше других.
  *
  * @param {Array<ITDClient|Object>|Object} configsOrOptions — либо массив конфигов/клиентов, либо объект:
- *   { mirrorsCookiesPath: string, projectRoot?: string, baseOptions?: Object } — один файл с куками для всех зеркал (JSON).
- * @returns {Proxy} Объект с тем же API, что и ITDClient.
+ *   { mirrorsCookiesPath: string, projectRoot?: string, baseOptions?: Object, plugins?: Array, ...опции пула } — один файл с куками для всех зеркал (JSON).
+ *   Имя аккаунта — ключ в файле; в массиве — поле name конфига (по умолчанию номер в массиве).
+ * @param {Object} [poolOptions] — для варианта с массивом:
+ * @param {Array} [poolOptions.plugins] — плагины, подключаемые к каждому клиенту пула
+ * @param {string|function(Object, Array<Object>): (string|Object|null)} [poolOptions.strategy] — выбор аккаунта для вызова:
+ *   'round-robin' (по кругу, по умолчанию), 'least-recently-used' (дольше всех не выбирался), 'least-in-flight'
+ *   (меньше всего незавершённых вызовов), 'weighted' (по весам weights), 'random' или функция
+ *   (call: { method, args }, accounts: доступные аккаунты как в pool.status()) → имя аккаунта; null или имя недоступного
+ *   аккаунта — по кругу
+ * @param {Object<string, number>} [poolOptions.weights] — веса аккаунтов для 'weighted': { имя: вес }, по умолчанию 1
+ * @param {function(Object): (string|number|null|undefined)} [poolOptions.sticky] — ключ привязки вызова (call: { method, args }):
+ *   вызовы с одним ключом идут через один аккаунт (например, ответы в одном треде — от одного имени); null — без привязки
+ * @param {number} [poolOptions.concurrency] — сколько аккаунтов pool.broadcast и pool.all обрабатывают одновременно (по умолчанию 5)
+ * @param {number} [poolOptions.cooldown] — пауза после 429 без Retry-After, мс (по умолчанию 60000)
+ * @param {number} [poolOptions.maxConsecutiveErrors] — сколько сетевых/5xx ошибок подряд выводят аккаунт на паузу (по умолчанию 5)
+ * @param {number} [poolOptions.errorCooldown] — пауза после серии ошибок, мс (по умолчанию 30000)
+ * @param {boolean|number} [poolOptions.failover] — повтор вызова с другого аккаунта: true — пока есть доступные (по умолчанию),
+ *   false — без повторов, число — не больше стольких повторов
+ * Только для варианта с файлом: watch — true или { interval } (мс, по умолчанию 2000): при изменении файла зеркал
+ *   пул перечитывает его сам (как pool.reload()); остановка — pool.destroy().
+ * @returns {Proxy} Объект с тем же API, что и ITDClient; pool.use(plugin) подключает плагин ко всем клиентам, pool.status() — здоровье аккаунтов,
+ *   pool.as(key) и pool.session() — вызовы через один аккаунт, pool.add / pool.remove / pool.reload — состав пула.
  *
  * @example
  * // Вариант 1: один файл .cookies.mirrors с несколькими аккаунтами (JSON)
@@ -104,12 +499,33 @@ function loadMirrorsFromFile(filePath, projectRoot, baseOptions = {}) {
  * await pool.addComment(postId, 'Ответ');
  *
  * // Ручной режим: один аккаунт на несколько операций
- * const client = pool.getClient();
- * await client.getNotifications(10);
- * await client.addComment(postId, 'Ответ от этого аккаунта');
+ * const session = pool.session();
+ * await session.getNotifications(10);
+ * await session.addComment(postId, 'Ответ от этого аккаунта');
+ * await pool.as('gork').createPost('Пост именно от gork');
+ *
+ * // Одно действие от всех аккаунтов: { results: { gork: ..., gork_1: ... }, errors: { ... } }
+ * const { results, errors } = await pool.all.getMyProfile();
+ * await pool.broadcast((account) => account.markAllNotificationsAsRead(), { concurrency: 2 });
+ *
+ * // Плагины — на каждый клиент пула
+ * pool.use({ name: 'metrics', afterResponse: (res) => { count += 1; } });
+ *
+ * // Здоровье аккаунтов
+ * for (const account of pool.status()) {
+ *   console.log(account.key, account.state, account.cooldownUntil);
+ * }
+ *
+ * // Состав пула без перезапуска
+ * pool.add('gork_2', { cookiesPath: '.cookies_gork_2', envPath: '.env_gork_2' });
+ * await pool.remove('gork');  // новые вызовы сразу идут мимо gork, промис — когда его вызовы завершатся
  */
-export function createMirrorPool(configsOrOptions) {
+export function createMirrorPool(configsOrOptions, poolOptions = {}) {
     let configs;
+    let plugins = poolOptions.plugins ?? [];
+    let options = poolOptions;
+    /** Файл зеркал, из которого создан пул: { path, projectRoot, baseOptions } (для reload и watch) */
+    let mirrorsFile = null;
 
     if (Array.isArray(configsOrOptions)) {
         if (configsOrOptions.length === 0) {
@@ -122,41 +538,545 @@ export function createMirrorPool(configsOrOptions) {
             throw new TypeError('createMirrorPool({ mirrorsCookiesPath }): укажите mirrorsCookiesPath');
         }
         const projectRoot = opts.projectRoot ?? process.cwd();
-        configs = loadMirrorsFromFile(opts.mirrorsCookiesPath, projectRoot, opts.baseOptions ?? {});
+        mirrorsFile = { path: opts.mirrorsCookiesPath, projectRoot, baseOptions: opts.baseOptions ?? {} };
+        configs = loadMirrorsFromFile(mirrorsFile.path, projectRoot, mirrorsFile.baseOptions);
+        plugins = opts.plugins ?? plugins;
+        options = opts;
     } else {
         throw new TypeError('createMirrorPool: передайте массив конфигов или объект { mirrorsCookiesPath }');
     }
 
-    const clients = configs.map((c) =>
-        c instanceof ITDClient ? c : new ITDClient(c)
-    );
+    const health = normalizeHealthOptions(options);
+    const watchOptions = normalizeWatchOptions(options.watch);
+    if (watchOptions && !mirrorsFile) {
+        throw new TypeError('createMirrorPool: watch работает только с файлом зеркал (mirrorsCookiesPath)');
+    }
+    const accounts = configs.map((c, i) => buildAccount(c instanceof ITDClient || c.name == null ? String(i) : String(c.name), c, mirrorsFile != null));
+    const keys = new Set();
+    for (const account of accounts) {
+        if (keys.has(account.key)) {
+            throw new TypeError(`createMirrorPool: имя аккаунта "${account.key}" повторяется`);
+        }
+        keys.add(account.key);
+    }
+    const clients = accounts.map((account) => account.client);
+    applyWeights(accounts, options.weights);
+    const pick = createPicker(options.strategy ?? 'round-robin', accounts);
+    let useSeq = 0;
+    if (options.sticky != null && typeof options.sticky !== 'function') {
+        throw new TypeError('createMirrorPool: sticky должен быть функцией (call) => ключ');
+    }
+    const sticky = options.sticky ?? null;
+    const concurrency = normalizeConcurrency(options.concurrency ?? DEFAULT_CONCURRENCY);
+    /** Ключ sticky → аккаунт (порядок вставки — для вытеснения самых давних) */
+    const stickyBindings = new Map();
+    /** Плагины, подключённые ко всему пулу, — их получают и аккаунты, добавленные позже */
+    const poolPlugins = [];
+    let watcher = null;
+    let reloading = Promise.resolve();
+
+    /** Аккаунт из ITDClient или конфига клиента (name в конфиге не передаётся клиенту); fromFile — конфиг из файла зеркал */
+    function buildAccount(key, config, fromFile = false) {
+        if (config instanceof ITDClient) {
+            return createAccount(key, config, health);
+        }
+        const { name, ...clientOptions } = config;
+        const account = createAccount(key, new ITDClient(clientOptions), health);
+        account.owned = true;
+        if (fromFile) {
+            account.fileCookies = config.cookiesString;
+        }
+        return account;
+    }
+
+    /** Новый аккаунт получает плагины пула и вес из опции weights */
+    function prepare(account) {
+        for (const plugin of poolPlugins) {
+            account.disposers.push(attachPlugin(account.client, plugin));
+        }
+        account.weight = options.weights?.[account.key] ?? 1;
+        return account;
+    }
+
+    /** Подключает плагин ко всем клиентам пула */
+    function use(plugin) {
+        for (const account of accounts) {
+            account.disposers.push(attachPlugin(account.client, plugin));
+        }
+        poolPlugins.push(plugin);
+        return pool;
+    }
+
+    /**
+     * Аккаунт для вызова: стратегия выбирает среди доступных, кроме exclude. Без exclude, если доступных нет, —
+     * аккаунт, который освободится раньше других (если авторизация потеряна у всех — стратегия среди всех).
+     *
+     * @param {{ method: string|null, args: Array }} call
+     * @param {Set<Object>|null} [exclude] - Аккаунты, уже пробовавшие этот вызов (failover)
+     * @returns {Object|null}
+     */
+    function selectAccount(call, exclude = null) {
+        const now = Date.now();
+        const candidates = accounts.filter((account) => isAvailable(account, now) && !exclude?.has(account));
+        let account;
+        if (candidates.length > 0) {
+            account = pick(candidates, call);
+        } else if (exclude) {
+            return null;
+        } else {
+            const waiting = accounts.filter((a) => !a.authLost);
+            account = waiting.length > 0
+                ? waiting.reduce((soonest, a) => (a.cooldownUntil < soonest.cooldownUntil ? a : soonest))
+                : pick(accounts, call);
+        }
+        return touch(account, now);
+    }
+
+    /** Отмечает выбор аккаунта (для least-recently-used и pool.status()) */
+    function touch(account, now = Date.now()) {
+        account.lastUsedAt = now;
+        account.lastUsedSeq = ++useSeq;
+        return account;
+    }
+
+    /**
+     * Аккаунт, привязанный к ключу sticky. Привязка держится и во время паузы аккаунта (личность важнее
+     * скорости); новый аккаунт выбирается, только если авторизация потеряна.
+     */
+    function stickyAccount(key, call) {
+        const bound = stickyBindings.get(key);
+        if (bound && !bound.authLost) {
+            stickyBindings.delete(key);
+            stickyBindings.set(key, bound);
+            return touch(bound);
+        }
+        const account = selectAccount(call);
+        bind(key, account);
+        return account;
+    }
+
+    function bind(key, account) {
+        stickyBindings.delete(key);
+        stickyBindings.set(key, account);
+        if (stickyBindings.size > STICKY_LIMIT) {
+            stickyBindings.delete(stickyBindings.keys().next().value);
+        }
+    }
+
+    /** Аккаунт по имени (pool.as) */
+    function findAccount(key) {
+        const account = accounts.find((a) => a.key === String(key));
+        if (!account) {
+            throw new TypeError(`MirrorPool: аккаунта "${key}" нет в пуле (есть: ${accounts.map((a) => a.key).join(', ')})`);
+        }
+        return account;
+    }
+
+    /**
+     * Убирает аккаунт из пула (или ставит на его место replacement): новые вызовы через него не пойдут,
+     * привязки sticky к нему забываются.
+     */
+    function detach(account, replacement = null) {
+        const index = accounts.indexOf(account);
+        if (replacement) {
+            accounts.splice(index, 1, replacement);
+            clients.splice(index, 1, replacement.client);
+        } else {
+            accounts.splice(index, 1);
+            clients.splice(index, 1);
+        }
+        for (const [key, bound] of stickyBindings) {
+            if (bound === account) stickyBindings.delete(key);
+        }
+    }
+
+    /**
+     * Промис: незавершённые вызовы аккаунта закончились → его ITDClient (плагины и обработчики пула отключены,
+     * созданный пулом — остановлен)
+     */
+    async function drain(account) {
+        if (account.inFlight > 0) {
+            await new Promise((resolve) => account.idleWaiters.push(resolve));
+        }
+        dispose(account);
+        if (account.owned) {
+            account.client.destroy();
+        }
+        return account.client;
+    }
+
+    /**
+     * Добавляет аккаунт в пул. config — ITDClient или опции для него (как элемент массива createMirrorPool).
+     * Аккаунт сразу участвует в выборе, получает плагины pool.use и вес из weights.
+     */
+    function add(key, config) {
+        if (key == null || key === '') {
+            throw new TypeError('MirrorPool.add: укажите имя аккаунта');
+        }
+        if (!config || typeof config !== 'object') {
+            throw new TypeError('MirrorPool.add: config должен быть ITDClient или объектом опций');
+        }
+        key = String(key);
+        if (accounts.some((a) => a.key === key)) {
+            throw new TypeError(`MirrorPool.add: аккаунт "${key}" уже есть в пуле`);
+        }
+        const account = prepare(buildAccount(key, config));
+        accounts.push(account);
+        clients.push(account.client);
+        account.client.logger.info('mirrors.account.added', `Зеркало ${key} добавлено в пул`, { account: key });
+        return pool;
+    }
+
+    /**
+     * Убирает аккаунт из пула. Новые вызовы через него сразу перестают идти, уже начатые завершаются.
+     * Последний аккаунт убрать нельзя.
+     *
+     * @returns {Promise<ITDClient>} Когда незавершённых вызовов не осталось
+     */
+    function remove(key) {
+        const account = findAccount(key);
+        if (accounts.length === 1) {
+            throw new TypeError(`MirrorPool.remove: "${account.key}" — последний аккаунт пула`);
+        }
+        detach(account);
+        account.client.logger.info('mirrors.account.removed', `Зеркало ${account.key} убрано из пула`, { account: account.key, inFlight: account.inFlight });
+        return drain(account);
+    }
+
+    /**
+     * Перечитывает файл зеркал: новые ключи — add, пропавшие — remove, изменённые cookies — новый клиент
+     * на месте старого. Аккаунты, добавленные через pool.add, не трогает. Если файл не читается, пул не меняется.
+     *
+     * @returns {Promise<{ added: string[], removed: string[], updated: string[] }>} Когда вызовы убранных
+     *   аккаунтов завершились
+     */
+    async function reload() {
+        if (!mirrorsFile) {
+            throw new TypeError('MirrorPool.reload: пул создан не из файла зеркал (mirrorsCookiesPath)');
+        }
+        const logger = accounts[0].client.logger;
+        let configs;
+        try {
+            configs = loadMirrorsFromFile(mirrorsFile.path, mirrorsFile.projectRoot, mirrorsFile.baseOptions);
+        } catch (error) {
+            logger.error('mirrors.reload.failed', 'Не удалось перечитать файл зеркал — пул не изменён', { error });
+            throw error;
+        }
+
+        // Сначала создаём клиенты (может бросить), потом меняем состав
+        const fresh = [];
+        try {
+            for (const config of configs) {
+                const current = accounts.find((a) => a.key === config.name);
+                if (current && current.fileCookies == null) {
+                    logger.warn('mirrors.reload.conflict', `Зеркало ${config.name} из файла пропущено: аккаунт с таким именем добавлен через pool.add`, { account: config.name });
+                    continue;
+                }
+                if (!current || current.fileCookies !== config.cookiesString) {
+                    const account = buildAccount(config.name, config, true);
+                    fresh.push({ current, account });
+                    prepare(account);
+                }
+            }
+        } catch (error) {
+            // Клиенты, созданные до ошибки, в пул не попадут — останавливаем их
+            for (const { account } of fresh) {
+                dispose(account);
+                account.client.destroy();
+            }
+            logger.error('mirrors.reload.failed', 'Не удалось создать клиенты зеркал — пул не изменён', { error });
+            throw error;
+        }
+        const keys = new Set(configs.map((config) => config.name));
+        const gone = accounts.filter((a) => a.fileCookies != null && !keys.has(a.key));
+
+        const result = { added: [], removed: [], updated: [] };
+        const draining = [];
+        for (const { current, account } of fresh) {
+            if (current) {
+                detach(current, account);
+                draining.push(drain(current));
+                result.updated.push(account.key);
+            } else {
+                accounts.push(account);
+                clients.push(account.client);
+                result.added.push(account.key);
+            }
+        }
+        for (const account of gone) {
+            detach(account);
+            draining.push(drain(account));
+            result.removed.push(account.key);
+        }
+        if (fresh.length > 0 || gone.length > 0) {
+            logger.info('mirrors.reload', `Файл зеркал перечитан: +${result.added.length} −${result.removed.length} ~${result.updated.length}`, result);
+        }
+        await Promise.all(draining);
+        return result;
+    }
+
+    /** Опция watch: перечитывает файл при изменении (проверки по очереди, ошибки — в логгер) */
+    function startWatching() {
+        const fullPath = resolveMirrorsPath(mirrorsFile.path, mirrorsFile.projectRoot);
+        const listener = (current, previous) => {
+            if (current.mtimeMs === previous.mtimeMs && current.size === previous.size) return;
+            reloading = reloading.then(reload).catch(() => {});
+        };
+        // persistent: false — наблюдение не держит процесс
+        fs.watchFile(fullPath, { interval: watchOptions.interval, persistent: false }, listener);
+        watcher = () => fs.unwatchFile(fullPath, listener);
+    }
+
+    /**
+     * Останавливает наблюдение за файлом и таймеры refresh клиентов, созданных пулом. Переданные ITDClient
+     * не останавливает, только отключает от них плагины и обработчики пула — как drain
+     */
+    function destroy() {
+        if (watcher) {
+            watcher();
+            watcher = null;
+        }
+        for (const account of accounts) {
+            dispose(account);
+            if (account.owned) account.client.destroy();
+        }
+    }
 
-    let index = 0;
     function nextClient() {
-        const client = clients[index % clients.length];
-        index += 1;
-        return client;
+        return selectAccount({ method: null, args: [] }).client;
+    }
+
+    /** Сколько ещё раз можно повторить вызов с другого аккаунта */
+    function failoverLimit() {
+        if (health.failover === true) return accounts.length - 1;
+        if (health.failover === false) return 0;
+        return health.failover;
+    }
+
+    /**
+     * Отклонён ли вызов из-за состояния аккаунта (а не самого запроса): 429 или потерянная авторизация.
+     * Такой запрос сервер не выполнил, его безопасно повторить с другого аккаунта.
+     */
+    function isAccountFailure(account, error) {
+        return error instanceof ITDRateLimitError || (error instanceof ITDAuthError && account.authLost);
+    }
+
+    /**
+     * Запускает run(client) через аккаунт и считает его незавершённые вызовы.
+     * Возвращает { attempt, result }: attempt.error — ошибка запроса, замеченная плагином здоровья.
+     */
+    function start(account, run, failover = false) {
+        const attempt = { account, error: null, parent: callContext.getStore() ?? null, keep: false, failover };
+        account.inFlight += 1;
+        let result;
+        try {
+            result = callContext.run(attempt, () => run(account.client));
+        } catch (error) {
+            release(account);
+            throw error;
+        }
+        if (!result || typeof result.then !== 'function') {
+            release(account);
+            return { attempt, result };
+        }
+        return { attempt, result: Promise.resolve(result).finally(() => release(account)) };
     }
 
-    function makeManagerProxy(propName) {
+    /**
+     * Вызывает метод через выбранный аккаунт. Синхронный результат (например Paginator)
+     * возвращается как есть; у промиса при отказе аккаунта вызов повторяется с другого.
+     *
+     * Закреплённый аккаунт (pool.as, pool.session) не меняется никогда; привязанный через sticky —
+     * только если у него потеряна авторизация (тогда ключ привязывается к новому аккаунту).
+     *
+     * @param {string} method - Имя метода для стратегии: 'getPost' или 'posts.getPost'
+     * @param {Array} args - Аргументы вызова
+     * @param {function(ITDClient): *} run
+     * @param {Object|null} [pinned] - Закреплённый аккаунт
+     */
+    function dispatch(method, args, run, pinned = null) {
+        const call = { method, args };
+        const route = { pinned: !!pinned, stickyKey: null };
+        let account;
+        if (pinned) {
+            account = touch(pinned);
+        } else {
+            const key = sticky ? sticky(call) : null;
+            if (key != null) {
+                route.stickyKey = String(key);
+                account = stickyAccount(route.stickyKey, call);
+            } else {
+                account = selectAccount(call);
+            }
+        }
+        const tried = new Set([account]);
+        const { attempt, result } = start(account, run, canFailOver(route, tried));
+        if (!result || typeof result.then !== 'function') {
+            return result;
+        }
+        return settle(call, route, run, attempt, result, tried);
+    }
+
+    /** Перенесёт ли пул вызов на другой аккаунт после 429 (закреплённый и привязанный через sticky — нет) */
+    function canFailOver(route, tried) {
+        return !route.pinned && route.stickyKey == null && tried.size <= failoverLimit();
+    }
+
+    async function settle(call, route, run, attempt, pending, tried) {
+        let result;
+        let thrown = null;
+        try {
+            result = await pending;
+        } catch (error) {
+            thrown = error;
+        }
+        const failure = thrown ?? attempt.error;
+        const movable = !route.pinned && (route.stickyKey == null || attempt.account.authLost);
+        if (failure && movable && tried.size <= failoverLimit() && isAccountFailure(attempt.account, failure)) {
+            const next = selectAccount(call, tried);
+            if (next) {
+                attempt.account.client.logger.warn('mirrors.failover', `Зеркало ${attempt.account.key} отклонило вызов — повтор через ${next.key}`, { account: attempt.account.key, next: next.key, error: failure });
+                tried.add(next);
+                if (route.stickyKey != null) bind(route.stickyKey, next);
+                const retry = start(next, run, canFailOver(route, tried));
+                return settle(call, route, run, retry.attempt, retry.result, tried);
+            }
+        }
+        if (thrown) throw thrown;
+        return result;
+    }
+
+    /** Здоровье аккаунтов в порядке пула */
+    function status() {
+        const now = Date.now();
+        return accounts.map((account) => describeAccount(account, now));
+    }
+
+    /**
+     * Менеджер (pool.posts и т.п.): методы вызываются через dispatch, остальное читается
+     * у первого аккаунта (или закреплённого) — чтение свойств не сдвигает очередь.
+     */
+    function makeManagerProxy(propName, pinned = null) {
+        const ref = (pinned ?? accounts[0]).client;
         return new Proxy(
             {},
             {
                 get(_, method) {
-                    const c = nextClient();
-                    const manager = c[propName];
-                    const fn = manager && typeof manager[method] === 'function' ? manager[method] : undefined;
-                    if (fn) {
+                    const manager = ref[propName];
+                    if (!manager || typeof manager[method] !== 'function') {
+                        return manager?.[method];
+                    }
+                    return function (...args) {
+                        return dispatch(`${propName}.${String(method)}`, args, (client) => client[propName][method](...args), pinned);
+                    };
+                }
+            }
+        );
+    }
+
+    /**
+     * Клиент-обёртка над одним аккаунтом: API ITDClient, вызовы считаются в inFlight аккаунта.
+     * key — имя аккаунта, client — сам ITDClient.
+     */
+    function makeAccountView(account) {
+        return new Proxy(
+            {},
+            {
+                get(_, prop) {
+                    if (prop === 'key') return account.key;
+                    if (prop === 'client') return account.client;
+                    const value = account.client[prop];
+                    if (MANAGER_KEYS.has(prop) || account.client._pluginManagers.has(prop)) {
+                        return makeManagerProxy(prop, account);
+                    }
+                    if (typeof value === 'function') {
                         return function (...args) {
-                            return fn.apply(manager, args);
+                            return dispatch(String(prop), args, (client) => value.apply(client, args), account);
                         };
                     }
-                    return manager ? manager[method] : undefined;
+                    return value;
                 }
             }
         );
     }
 
+    /** Вызовы через аккаунт key (без выбора стратегией и без повтора с другого аккаунта) */
+    function as(key) {
+        return makeAccountView(findAccount(key));
+    }
+
+    /** Один аккаунт, выбранный стратегией, на несколько операций подряд */
+    function session() {
+        return makeAccountView(selectAccount({ method: null, args: [] }));
+    }
+
+    /**
+     * Выполняет fn(account, key) для каждого аккаунта пула — не больше concurrency одновременно.
+     * account — вызовы через этот аккаунт (как pool.as(key)). Аккаунты на паузе и без авторизации
+     * тоже получают вызов: их ошибки попадут в errors.
+     *
+     * @param {function(Object, string): *} fn
+     * @param {Object} [broadcastOptions] - { concurrency } — переопределяет опцию пула
+     * @returns {Promise<{ results: Object<string, *>, errors: Object<string, Error> }>} results — что вернула fn;
+     *   errors — исключение fn или, если fn не бросила (errors: 'null'), последняя ошибка запроса внутри неё
+     */
+    async function broadcast(fn, broadcastOptions = {}) {
+        if (typeof fn !== 'function') {
+            throw new TypeError('MirrorPool.broadcast: передайте функцию (account, key) => ...');
+        }
+        const limit = broadcastOptions.concurrency != null ? normalizeConcurrency(broadcastOptions.concurrency) : concurrency;
+        const targets = [...accounts];
+        const results = {};
+        const errors = {};
+        let next = 0;
+        const worker = async () => {
+            while (next < targets.length) {
+                const account = targets[next++];
+                // Убран из пула, пока broadcast шёл
+                if (!accounts.includes(account)) continue;
+                const scope = { account, error: null, parent: null, keep: true };
+                try {
+                    results[account.key] = await callContext.run(scope, () => fn(makeAccountView(account), account.key));
+                    if (scope.error) errors[account.key] = scope.error;
+                } catch (error) {
+                    errors[account.key] = error;
+                }
+            }
+        };
+        await Promise.all(Array.from({ length: Math.min(limit, targets.length) }, worker));
+        return { results, errors };
+    }
+
+    /**
+     * pool.all.<метод>(...args) и pool.all.<менеджер>.<метод>(...args) — broadcast одного вызова;
+     * pool.all.<свойство> — { имя аккаунта: значение }.
+     */
+    const all = new Proxy(
+        {},
+        {
+            get(_, prop) {
+                const ref = accounts[0].client;
+                if (MANAGER_KEYS.has(prop) || ref._pluginManagers.has(prop)) {
+                    return new Proxy(
+                        {},
+                        {
+                            get(__, method) {
+                                return (...args) => broadcast((account) => account[prop][method](...args));
+                            }
+                        }
+                    );
+                }
+                if (typeof ref[prop] === 'function') {
+                    return (...args) => broadcast((account) => account[prop](...args));
+                }
+                if (typeof prop === 'symbol' || prop === 'then') {
+                    return undefined;
+                }
+                return Object.fromEntries(accounts.map((account) => [account.key, account.client[prop]]));
+            }
+        }
+    );
+
     const pool = new Proxy(
         {},
         {
@@ -170,23 +1090,60 @@ export function createMirrorPool(configsOrOptions) {
                 if (prop === 'size') {
                     return clients.length;
                 }
+                if (prop === 'use') {
+                    return use;
+                }
+                if (prop === 'status') {
+                    return status;
+                }
+                if (prop === 'as') {
+                    return as;
+                }
+                if (prop === 'session') {
+                    return session;
+                }
+                if (prop === 'broadcast') {
+                    return broadcast;
+                }
+                if (prop === 'all') {
+                    return all;
+                }
+                if (prop === 'add') {
+                    return add;
+                }
+                if (prop === 'remove') {
+                    return remove;
+                }
+                if (prop === 'reload') {
+                    return reload;
+                }
+                if (prop === 'destroy') {
+                    return destroy;
+                }
 
                 const ref = clients[0];
                 const value = ref[prop];
 
-                if (MANAGER_KEYS.has(prop)) {
+                if (MANAGER_KEYS.has(prop) || ref._pluginManagers.has(prop)) {
                     return makeManagerProxy(prop);
                 }
                 if (typeof value === 'function') {
                     return function (...args) {
-                        const c = nextClient();
-                        return value.apply(c, args);
+                        return dispatch(String(prop), args, (client) => value.apply(client, args));
                     };
                 }
-                return nextClient()[prop];
+                // Свойства (baseUrl, accessToken, ...) — у первого аккаунта; у конкретного — pool.as(key).accessToken
+                return value;
             }
         }
     );
 
+    for (const plugin of plugins) {
+        use(plugin);
+    }
+    if (watchOptions) {
+        startWatching();
+    }
+
     return pool;
 }
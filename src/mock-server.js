@@ -0,0 +1,1371 @@
+/**
+ * Локальный сервер-заглушка итд.com для тестов без сети и CI.
+ * Подключение: import { createMockServer } from 'itd-sdk-js/testing'.
+ *
+ * Реализует задокументированные эндпоинты (посты, комментарии, пользователи, уведомления
+ * со SSE-стримом, загрузка файлов, refresh с ротацией refresh_token, репорты) поверх состояния
+ * в памяти. Форматы ответов — как у сайта, включая конверты { data: ... } и ошибки { error: { code, message } }.
+ * Задержка, сбои, обрывы соединения и 429 настраиваются (см. inject и опции latency, rateLimit).
+ */
+
+import http from 'http';
+import crypto from 'crypto';
+import { PassThrough } from 'stream';
+import { ITDClient } from './client.js';
+import { MemorySessionStore } from './session-store.js';
+
+const REPORT_REASONS = new Set(['spam', 'violence', 'hate', 'adult', 'fraud', 'other']);
+const REPORT_TARGETS = new Set(['post', 'comment', 'user']);
+const COMMENT_SORTS = new Set(['newest', 'oldest', 'popular']);
+const HASHTAG_PATTERN = /#([\p{L}\d_]+)/gu;
+
+/**
+ * Ответ-ошибка в формате API.
+ * @private
+ */
+function apiError(status, code, message, headers = {}) {
+    return { status, headers, body: { error: { code, message } } };
+}
+
+/**
+ * @private
+ */
+function base64url(value) {
+    return Buffer.from(typeof value === 'string' ? value : JSON.stringify(value)).toString('base64url');
+}
+
+/**
+ * Шаблон маршрута ('/api/posts/:id/like') → RegExp с именованными группами.
+ * Используется и таблицей действий FakeITDClient; в itd-sdk-js/testing не экспортируется.
+ * @private
+ */
+export function compilePattern(pattern) {
+    if (pattern instanceof RegExp) return pattern;
+    const source = pattern
+        .split('/')
+        .map((part) => (part.startsWith(':') ? `(?<${part.slice(1)}>[^/]+)` : part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')))
+        .join('/');
+    return new RegExp(`^${source}$`);
+}
+
+/**
+ * Разбор cookies из заголовка Cookie.
+ * @private
+ */
+function parseCookies(header) {
+    const cookies = {};
+    for (const part of String(header || '').split(';')) {
+        const index = part.indexOf('=');
+        if (index > 0) cookies[part.slice(0, index).trim()] = part.slice(index + 1).trim();
+    }
+    return cookies;
+}
+
+/**
+ * Минимальный разбор multipart/form-data: части с заголовками и содержимым.
+ * @private
+ */
+function parseMultipart(buffer, contentType) {
+    const boundary = /boundary=(?:"([^"]+)"|([^;]+))/i.exec(contentType)?.slice(1).find(Boolean);
+    if (!boundary) return [];
+    const delimiter = Buffer.from(`--${boundary}`);
+    const parts = [];
+    let start = buffer.indexOf(delimiter);
+    while (start !== -1) {
+        const next = buffer.indexOf(delimiter, start + delimiter.length);
+        if (next === -1) break;
+        const chunk = buffer.subarray(start + delimiter.length + 2, next - 2);
+        const headerEnd = chunk.indexOf('\r\n\r\n');
+        if (headerEnd !== -1) {
+            const head = chunk.subarray(0, headerEnd).toString('utf8');
+            parts.push({
+                name: /name="([^"]*)"/i.exec(head)?.[1] ?? null,
+                filename: /filename="([^"]*)"/i.exec(head)?.[1] ?? null,
+                contentType: /content-type:\s*([^\r\n]+)/i.exec(head)?.[1]?.trim() ?? 'application/octet-stream',
+                data: chunk.subarray(headerEnd + 4),
+            });
+        }
+        start = next;
+    }
+    return parts;
+}
+
+/**
+ * Страница списка по курсору (id последнего элемента предыдущей страницы).
+ * @private
+ */
+function cursorPage(items, limit, cursor) {
+    const size = Math.min(Math.max(1, Number(limit) || 20), 100);
+    const from = cursor ? items.findIndex((item) => item.id === cursor) + 1 : 0;
+    const page = items.slice(from, from + size);
+    const hasMore = from + size < items.length;
+    return { page, pagination: { limit: size, nextCursor: hasMore ? page[page.length - 1].id : null, hasMore } };
+}
+
+/**
+ * Страница списка по номеру страницы (с 1).
+ * @private
+ */
+function numberedPage(items, page, limit, defaultLimit) {
+    const size = Math.min(Math.max(1, Number(limit) || defaultLimit), 100);
+    const current = Math.max(1, Number(page) || 1);
+    const from = (current - 1) * size;
+    return {
+        page: items.slice(from, from + size),
+        pagination: { page: current, limit: size, total: items.length, hasMore: from + size < items.length },
+    };
+}
+
+export class MockITDServer {
+    /**
+     * @param {Object} [options]
+     * @param {number|{ min: number, max: number }} [options.latency] - Задержка каждого ответа, мс (по умолчанию 0)
+     * @param {{ limit: number, interval: number, retryAfter?: number }} [options.rateLimit] - Серверный лимит: больше limit запросов
+     *   за interval мс → 429 с Retry-After (секунды, по умолчанию до конца окна)
+     * @param {number} [options.accessTokenTtl] - Время жизни accessToken, мс (по умолчанию 15 минут)
+     * @param {boolean} [options.rotateRefreshToken] - Выдавать новый refresh_token при каждом refresh (по умолчанию true, как сайт)
+     * @param {string} [options.otpCode] - Код из «письма» для verify-otp и reset-password (по умолчанию '123456')
+     * @param {Object} [options.user] - Аккаунт по умолчанию (server.me): { username, email, password, ... }
+     */
+    constructor(options = {}) {
+        this.latency = options.latency ?? 0;
+        this.rateLimit = options.rateLimit ?? null;
+        this.accessTokenTtl = options.accessTokenTtl ?? 15 * 60 * 1000;
+        this.rotateRefreshToken = options.rotateRefreshToken !== false;
+        this.otpCode = options.otpCode ?? '123456';
+
+        /** Адрес сервера после listen(): http://127.0.0.1:<port> */
+        this.url = null;
+        /** Состояние в памяти: можно читать и менять в тестах */
+        this.db = {
+            users: new Map(),
+            posts: new Map(),
+            comments: new Map(),
+            notifications: [],
+            files: new Map(),
+            reports: [],
+            verifications: new Map(),
+        };
+        /** Журнал запросов: { method, path, query, headers, body } — для проверок в тестах */
+        this.requests = [];
+
+        /** Выданные токены: accessToken → { userId, exp }, refresh_token → userId */
+        this._accessTokens = new Map();
+        this._refreshTokens = new Map();
+        /** Email, ожидающие подтверждения входа кодом */
+        this._pendingOtp = new Set();
+        /** Правила inject() */
+        this._faults = [];
+        /** Окно серверного лимита */
+        this._window = { start: 0, count: 0 };
+        /** Открытые SSE-стримы: PassThrough с полем userId */
+        this._streams = new Set();
+        this._routes = this._buildRoutes();
+        this._server = http.createServer((req, res) => {
+            this._dispatch(req, res).catch((error) => {
+                if (!res.headersSent) {
+                    this._send(res, apiError(500, 'INTERNAL_ERROR', error.message));
+                }
+            });
+        });
+
+        /** Аккаунт по умолчанию: от его имени работает createClient() */
+        this.me = this.addUser({ username: 'me', email: 'me@example.com', password: 'password', ...options.user });
+    }
+
+    /**
+     * Запускает сервер на 127.0.0.1.
+     *
+     * @param {number} [port] - Порт (по умолчанию 0 — свободный)
+     * @returns {Promise<MockITDServer>}
+     */
+    async listen(port = 0) {
+        await new Promise((resolve, reject) => {
+            this._server.once('error', reject);
+            this._server.listen(port, '127.0.0.1', () => {
+                this._server.off('error', reject);
+                resolve();
+            });
+        });
+        this.url = `http://127.0.0.1:${this._server.address().port}`;
+        return this;
+    }
+
+    /**
+     * Останавливает сервер: закрывает SSE-стримы и открытые соединения.
+     *
+     * @returns {Promise<void>}
+     */
+    async close() {
+        for (const stream of this._streams) {
+            stream.end();
+        }
+        this._streams.clear();
+        if (!this._server.listening) return;
+        await new Promise((resolve) => {
+            this._server.close(() => resolve());
+            this._server.closeAllConnections?.();
+        });
+    }
+
+    /**
+     * Клиент SDK, направленный на этот сервер и авторизованный как пользователь.
+     * По умолчанию: сессия в памяти (файлы .env/.cookies не трогаются), логгер выключен,
+     * повторы с короткими задержками. Любую опцию можно переопределить.
+     *
+     * @param {Object} [options] - Опции ITDClient
+     * @param {string|null} [username] - От чьего имени (по умолчанию server.me); null — без сессии
+     * @returns {ITDClient}
+     */
+    createClient(options = {}, username = this.me.username) {
+        return new ITDClient({
+            logger: false,
+            retry: { minDelay: 5, maxDelay: 50 },
+            sessionStore: new MemorySessionStore(username ? this.createSession(username) : {}),
+            ...options,
+            baseUrl: this.url,
+        });
+    }
+
+    /**
+     * Выдаёт сессию пользователю — как после входа в браузере.
+     *
+     * @param {string} [username] - Пользователь (по умолчанию server.me)
+     * @returns {{ accessToken: string, cookies: string }} cookies — строка для .cookies / cookiesString
+     */
+    createSession(username = this.me.username) {
+        const user = this._userByName(username);
+        if (!user) throw new Error(`MockITDServer: пользователь ${username} не найден`);
+        return {
+            accessToken: this._issueAccessToken(user.id),
+            cookies: `refresh_token=${this._issueRefreshToken(user.id)}`,
+        };
+    }
+
+    /**
+     * Делает все выданные accessToken недействительными: следующий запрос получит 401 и клиент пойдёт в refresh.
+     */
+    expireAccessTokens() {
+        this._accessTokens.clear();
+    }
+
+    /**
+     * Отзывает все refresh_token (сессии «вышли» на другом устройстве): refresh вернёт 401.
+     */
+    revokeRefreshTokens() {
+        this._refreshTokens.clear();
+    }
+
+    /**
+     * Подмена ответов: сбой, 429, задержка или обрыв соединения для подходящих запросов.
+     *
+     * @param {Object} rule
+     * @param {string} [rule.method] - HTTP-метод (по умолчанию любой)
+     * @param {string|RegExp} [rule.path] - Путь: '/api/posts/:id' или RegExp (по умолчанию любой)
+     * @param {number} [rule.status] - Код ответа (по умолчанию 500)
+     * @param {*} [rule.body] - Тело ответа (по умолчанию { error: { code, message } })
+     * @param {Object} [rule.headers] - Заголовки ответа
+     * @param {number} [rule.retryAfter] - Retry-After, секунды (для 429 и 503)
+     * @param {number} [rule.delay] - Задержка перед ответом, мс; без status — ответ обрабатывается как обычно
+     * @param {boolean} [rule.network] - Оборвать соединение без ответа (ECONNRESET на клиенте)
+     * @param {number} [rule.times] - Сколько раз сработать (по умолчанию 1; Infinity — всегда)
+     * @returns {{ remove: function(): void, hits: number }} Правило: remove() — снять, hits — сколько раз сработало
+     */
+    inject(rule = {}) {
+        const fault = {
+            ...rule,
+            pattern: rule.path ? compilePattern(rule.path) : null,
+            method: rule.method ? rule.method.toUpperCase() : null,
+            times: rule.times ?? 1,
+            hits: 0,
+            remove: () => {
+                this._faults = this._faults.filter((f) => f !== fault);
+            },
+        };
+        this._faults.push(fault);
+        return fault;
+    }
+
+    /**
+     * Снимает все правила inject().
+     */
+    clearFaults() {
+        this._faults = [];
+    }
+
+    /**
+     * Добавляет пользователя.
+     *
+     * @param {Object} data - { username (обязательно), displayName, email, password, avatar, bio, verified, isPrivate, wallClosed, otp }
+     *   otp: true — вход требует кода из письма (server.otpCode)
+     * @returns {Object} Профиль в формате API
+     */
+    addUser(data) {
+        if (!data?.username) throw new TypeError('MockITDServer.addUser: укажите username');
+        if (this._userByName(data.username)) throw new Error(`MockITDServer: пользователь ${data.username} уже есть`);
+        const user = {
+            id: data.id ?? crypto.randomUUID(),
+            username: data.username,
+            displayName: data.displayName ?? data.username,
+            email: data.email ?? `${data.username}@example.com`,
+            password: data.password ?? 'password',
+            avatar: data.avatar ?? '🐱',
+            banner: data.banner ?? null,
+            bio: data.bio ?? null,
+            verified: data.verified ?? false,
+            isPrivate: data.isPrivate ?? false,
+            wallClosed: data.wallClosed ?? false,
+            otp: data.otp ?? false,
+            pinnedPostId: null,
+            followers: new Set(),
+            following: new Set(),
+            createdAt: data.createdAt ?? new Date().toISOString(),
+        };
+        this.db.users.set(user.id, user);
+        return this._serializeUser(user, null);
+    }
+
+    /**
+     * Профиль пользователя в формате API (с текущими счётчиками) или null.
+     *
+     * @param {string} username
+     * @returns {Object|null}
+     */
+    getUser(username) {
+        const user = this._userByName(username);
+        return user ? this._serializeUser(user, null) : null;
+    }
+
+    /**
+     * Добавляет пост от имени пользователя (без уведомлений).
+     *
+     * @param {string} username - Автор
+     * @param {Object|string} data - Текст или { content, attachmentIds, wallRecipient (username), likes, views, createdAt }
+     * @returns {Object} Пост в формате API
+     */
+    addPost(username, data = {}) {
+        const author = this._requireUser(username);
+        const fields = typeof data === 'string' ? { content: data } : data;
+        const post = this._createPost(author, {
+            content: fields.content ?? '',
+            attachmentIds: fields.attachmentIds ?? [],
+            wallRecipientId: fields.wallRecipient ? this._requireUser(fields.wallRecipient).id : null,
+            createdAt: fields.createdAt,
+        });
+        post.viewsCount = fields.views ?? 0;
+        for (const name of fields.likes ?? []) {
+            post.likes.add(this._requireUser(name).id);
+        }
+        return this._serializePost(post, null);
+    }
+
+    /**
+     * Добавляет комментарий или ответ (без уведомлений).
+     *
+     * @param {string} postId - Пост
+     * @param {string} username - Автор
+     * @param {Object|string} data - Текст или { content, replyTo (id комментария), likes, createdAt }
+     * @returns {Object} Комментарий в формате API
+     */
+    addComment(postId, username, data = {}) {
+        const author = this._requireUser(username);
+        const fields = typeof data === 'string' ? { content: data } : data;
+        const post = this.db.posts.get(postId);
+        if (!post) throw new Error(`MockITDServer: пост ${postId} не найден`);
+        const parent = fields.replyTo ? this.db.comments.get(fields.replyTo) : null;
+        const comment = this._createComment(post, author, {
+            content: fields.content ?? '',
+            parentId: parent ? (parent.parentId ?? parent.id) : null,
+            replyToUserId: parent?.authorId ?? null,
+            createdAt: fields.createdAt,
+        });
+        for (const name of fields.likes ?? []) {
+            comment.likes.add(this._requireUser(name).id);
+        }
+        return this._serializeComment(comment, null);
+    }
+
+    /**
+     * Подписывает одного пользователя на другого (без уведомлений).
+     *
+     * @param {string} follower - Кто подписывается
+     * @param {string} target - На кого
+     */
+    follow(follower, target) {
+        const from = this._requireUser(follower);
+        const to = this._requireUser(target);
+        from.following.add(to.id);
+        to.followers.add(from.id);
+    }
+
+    /**
+     * Создаёт уведомление и отправляет его в открытые SSE-стримы получателя.
+     *
+     * @param {string} username - Получатель
+     * @param {Object} data - { type, actor (username), targetId, targetType, preview, read }
+     * @returns {Object} Уведомление в формате API
+     */
+    notify(username, data) {
+        const user = this._requireUser(username);
+        const actor = data.actor ? this._requireUser(data.actor) : null;
+        return this._serializeNotification(this._notify(user.id, actor?.id ?? null, data));
+    }
+
+    // ---------------------------------------------------------------------------------------------
+    // Обработка запросов
+    // ---------------------------------------------------------------------------------------------
+
+    /**
+     * Обработка запроса без HTTP: маршрутизация, авторизация, сбои из inject() и лимит.
+     * Транспорт — HTTP-сервер (listen) или FakeITDClient в том же процессе.
+     *
+     * @param {Object} request - { method, url (путь с query), headers (имена в нижнем регистре), body (Buffer) }
+     * @returns {Promise<Object>} { status, headers, body }; { network: true } — оборвать соединение;
+     *   { status, headers, stream } — SSE: stream (PassThrough) передаётся клиенту до закрытия
+     */
+    async handle(request) {
+        const method = request.method.toUpperCase();
+        const headers = request.headers ?? {};
+        const url = new URL(request.url, 'http://127.0.0.1');
+        const path = url.pathname.length > 1 ? url.pathname.replace(/\/+$/, '') : url.pathname;
+        const raw = request.body ?? Buffer.alloc(0);
+        const contentType = String(headers['content-type'] || '');
+        let body = null;
+        if (raw.length > 0 && contentType.includes('application/json')) {
+            try {
+                body = JSON.parse(raw.toString('utf8'));
+            } catch (e) {
+                this._log(method, headers, path, url, raw.toString('utf8'));
+                return apiError(400, 'INVALID_JSON', 'Некорректный JSON');
+            }
+        } else if (contentType.includes('multipart/form-data')) {
+            body = parseMultipart(raw, contentType);
+        }
+        this._log(method, headers, path, url, body);
+
+        await this._delay(this.latency);
+
+        const fault = this._takeFault(method, path);
+        if (fault) {
+            if (fault.delay) await this._delay(fault.delay);
+            if (fault.network) {
+                return { network: true };
+            }
+            if (fault.status || fault.body !== undefined) {
+                const status = fault.status ?? 500;
+                const faultHeaders = { ...fault.headers };
+                if (fault.retryAfter != null) faultHeaders['Retry-After'] = String(fault.retryAfter);
+                return {
+                    status,
+                    headers: faultHeaders,
+                    body: fault.body !== undefined ? fault.body : { error: { code: status === 429 ? 'RATE_LIMIT_EXCEEDED' : 'INJECTED_FAILURE', message: `Injected ${status}` } },
+                };
+            }
+        }
+
+        const limited = this._checkRateLimit();
+        if (limited) return limited;
+
+        for (const route of this._routes) {
+            if (route.method !== method) continue;
+            const match = route.pattern.exec(path);
+            if (!match) continue;
+            const params = Object.fromEntries(Object.entries(match.groups ?? {}).map(([k, v]) => [k, decodeURIComponent(v)]));
+            const auth = this._authenticate(headers);
+            // Просроченный или чужой токен — 401 и на публичных маршрутах (кроме auth), как у сайта: клиент идёт в refresh
+            if (!auth.user && (route.auth || (auth.presented && !path.startsWith('/api/v1/auth/')))) {
+                return apiError(401, auth.code, 'Требуется авторизация');
+            }
+            const ctx = {
+                params,
+                query: Object.fromEntries(url.searchParams),
+                body: body ?? {},
+                viewer: auth.user,
+                cookies: parseCookies(headers.cookie),
+            };
+            return (await route.handler(ctx)) ?? { status: 204 };
+        }
+        return apiError(404, 'NOT_FOUND', `Маршрут не найден: ${method} ${path}`);
+    }
+
+    /** @private */
+    async _dispatch(req, res) {
+        const result = await this.handle({
+            method: req.method,
+            url: req.url,
+            headers: req.headers,
+            body: await this._readBody(req),
+        });
+        if (result.network) {
+            req.socket.destroy();
+            return;
+        }
+        if (result.stream) {
+            res.writeHead(result.status ?? 200, result.headers);
+            result.stream.pipe(res);
+            req.on('close', () => result.stream.destroy());
+            return;
+        }
+        this._send(res, result);
+    }
+
+    /** @private */
+    _readBody(req) {
+        return new Promise((resolve, reject) => {
+            const chunks = [];
+            req.on('data', (chunk) => chunks.push(chunk));
+            req.on('end', () => resolve(Buffer.concat(chunks)));
+            req.on('error', reject);
+        });
+    }
+
+    /** @private */
+    _log(method, headers, path, url, body) {
+        this.requests.push({
+            method,
+            path,
+            query: Object.fromEntries(url.searchParams),
+            headers: { ...headers },
+            body,
+        });
+    }
+
+    /** @private */
+    _send(res, { status = 200, headers = {}, body = null }) {
+        if (body === null || body === undefined) {
+            res.writeHead(status, headers);
+            res.end();
+            return;
+        }
+        res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', ...headers });
+        res.end(JSON.stringify(body));
+    }
+
+    /** @private */
+    _delay(latency) {
+        const ms = typeof latency === 'object' && latency
+            ? latency.min + Math.random() * (latency.max - latency.min)
+            : Number(latency) || 0;
+        return ms > 0 ? new Promise((resolve) => setTimeout(resolve, ms)) : Promise.resolve();
+    }
+
+    /** @private */
+    _takeFault(method, path) {
+        const fault = this._faults.find((f) =>
+            (!f.method || f.method === method) && (!f.pattern || f.pattern.test(path)) && f.hits < f.times
+        );
+        if (!fault) return null;
+        fault.hits += 1;
+        if (fault.hits >= fault.times) fault.remove();
+        return fault;
+    }
+
+    /** @private */
+    _checkRateLimit() {
+        if (!this.rateLimit) return null;
+        const now = Date.now();
+        if (now - this._window.start >= this.rateLimit.interval) {
+            this._window = { start: now, count: 0 };
+        }
+        this._window.count += 1;
+        if (this._window.count <= this.rateLimit.limit) return null;
+        const retryAfter = this.rateLimit.retryAfter
+            ?? Math.max(1, Math.ceil((this._window.start + this.rateLimit.interval - now) / 1000));
+        return apiError(429, 'RATE_LIMIT_EXCEEDED', 'Слишком много запросов', { 'Retry-After': String(retryAfter) });
+    }
+
+    /**
+     * Пользователь по заголовку Authorization.
+     * @private
+     */
+    _authenticate(headers) {
+        const header = String(headers.authorization || '');
+        const token = header.startsWith('Bearer ') ? header.slice(7).trim() : null;
+        if (!token) return { user: null, code: 'UNAUTHORIZED', presented: false };
+        const entry = this._accessTokens.get(token);
+        if (!entry || entry.exp <= Date.now()) return { user: null, code: 'TOKEN_EXPIRED', presented: true };
+        return { user: this.db.users.get(entry.userId) ?? null, code: 'UNAUTHORIZED', presented: true };
+    }
+
+    /** @private */
+    _issueAccessToken(userId) {
+        const iat = Math.floor(Date.now() / 1000);
+        const exp = Date.now() + this.accessTokenTtl;
+        const token = [
+            base64url({ alg: 'HS256', typ: 'JWT' }),
+            base64url({ sub: userId, iat, exp: Math.floor(exp / 1000), jti: crypto.randomUUID() }),
+            crypto.randomBytes(16).toString('base64url'),
+        ].join('.');
+        this._accessTokens.set(token, { userId, exp });
+        return token;
+    }
+
+    /** @private */
+    _issueRefreshToken(userId) {
+        const token = crypto.randomBytes(24).toString('base64url');
+        this._refreshTokens.set(token, userId);
+        return token;
+    }
+
+    /**
+     * Ответ с новой сессией: accessToken в теле, refresh_token в Set-Cookie.
+     * @private
+     */
+    _sessionResponse(userId, status = 200) {
+        return {
+            status,
+            headers: { 'Set-Cookie': `refresh_token=${this._issueRefreshToken(userId)}; Path=/; HttpOnly; SameSite=Lax` },
+            body: { accessToken: this._issueAccessToken(userId) },
+        };
+    }
+
+    // ---------------------------------------------------------------------------------------------
+    // Состояние
+    // ---------------------------------------------------------------------------------------------
+
+    /** @private */
+    _userByName(username) {
+        for (const user of this.db.users.values()) {
+            if (user.username === username) return user;
+        }
+        return null;
+    }
+
+    /** @private */
+    _requireUser(username) {
+        const user = this._userByName(username);
+        if (!user) throw new Error(`MockITDServer: пользователь ${username} не найден`);
+        return user;
+    }
+
+    /** @private */
+    _createPost(author, fields) {
+        const now = fields.createdAt ?? new Date().toISOString();
+        const post = {
+            id: crypto.randomUUID(),
+            authorId: author.id,
+            content: fields.content,
+            attachmentIds: fields.attachmentIds ?? [],
+            wallRecipientId: fields.wallRecipientId ?? null,
+            originalPostId: fields.originalPostId ?? null,
+            likes: new Set(),
+            viewers: new Set(),
+            viewsCount: 0,
+            deleted: false,
+            createdAt: now,
+            updatedAt: now,
+        };
+        this.db.posts.set(post.id, post);
+        return post;
+    }
+
+    /** @private */
+    _createComment(post, author, fields) {
+        const comment = {
+            id: crypto.randomUUID(),
+            postId: post.id,
+            parentId: fields.parentId ?? null,
+            authorId: author.id,
+            replyToUserId: fields.replyToUserId ?? null,
+            content: fields.content,
+            attachmentIds: fields.attachmentIds ?? [],
+            likes: new Set(),
+            deleted: false,
+            createdAt: fields.createdAt ?? new Date().toISOString(),
+        };
+        this.db.comments.set(comment.id, comment);
+        return comment;
+    }
+
+    /** @private */
+    _notify(userId, actorId, data) {
+        const notification = {
+            id: crypto.randomUUID(),
+            userId,
+            type: data.type,
+            actorId,
+            targetId: data.targetId ?? null,
+            targetType: data.targetType ?? null,
+            preview: data.preview ?? null,
+            read: data.read ?? false,
+            createdAt: new Date().toISOString(),
+        };
+        this.db.notifications.unshift(notification);
+        const payload = `data: ${JSON.stringify(this._serializeNotification(notification))}\n\n`;
+        for (const stream of this._streams) {
+            if (stream.userId === userId) stream.write(payload);
+        }
+        return notification;
+    }
+
+    /**
+     * Уведомление автору о действии другого пользователя (себе уведомления не приходят).
+     * @private
+     */
+    _notifyOther(userId, actor, data) {
+        if (userId !== actor.id) this._notify(userId, actor.id, data);
+    }
+
+    /** @private */
+    _livePosts() {
+        return [...this.db.posts.values()].filter((post) => !post.deleted);
+    }
+
+    /** @private */
+    _commentsOf(postId, parentId = null) {
+        return [...this.db.comments.values()].filter((c) => c.postId === postId && c.parentId === parentId && !c.deleted);
+    }
+
+    /** @private */
+    _hashtagCounts() {
+        const counts = new Map();
+        for (const post of this._livePosts()) {
+            const tags = new Set([...post.content.matchAll(HASHTAG_PATTERN)].map((m) => m[1].toLowerCase()));
+            for (const tag of tags) counts.set(tag, (counts.get(tag) ?? 0) + 1);
+        }
+        return counts;
+    }
+
+    /** @private */
+    _sortPosts(posts, sort) {
+        const byDate = (a, b) => b.createdAt.localeCompare(a.createdAt);
+        if (sort === 'old') return posts.sort((a, b) => byDate(b, a));
+        if (sort === 'popular' || sort === 'trending') return posts.sort((a, b) => b.likes.size - a.likes.size || byDate(a, b));
+        return posts.sort(byDate);
+    }
+
+    // ---------------------------------------------------------------------------------------------
+    // Форматы ответов
+    // ---------------------------------------------------------------------------------------------
+
+    /** @private */
+    _serializeAuthor(user) {
+        if (!user) return null;
+        return { id: user.id, username: user.username, displayName: user.displayName, avatar: user.avatar, verified: user.verified };
+    }
+
+    /** @private */
+    _serializeUser(user, viewer) {
+        return {
+            id: user.id,
+            username: user.username,
+            displayName: user.displayName,
+            avatar: user.avatar,
+            banner: user.banner,
+            bio: user.bio,
+            verified: user.verified,
+            pinnedPostId: user.pinnedPostId,
+            wallClosed: user.wallClosed,
+            isPrivate: user.isPrivate,
+            followersCount: user.followers.size,
+            followingCount: user.following.size,
+            postsCount: this._livePosts().filter((p) => p.authorId === user.id && !p.wallRecipientId).length,
+            isFollowing: viewer ? user.followers.has(viewer.id) : false,
+            isFollowedBy: viewer ? user.following.has(viewer.id) : false,
+            createdAt: user.createdAt,
+        };
+    }
+
+    /** @private */
+    _serializeFile(file) {
+        return { id: file.id, type: file.type, url: file.url, filename: file.filename, mimeType: file.mimeType, size: file.size };
+    }
+
+    /** @private */
+    _serializeAttachments(ids) {
+        return ids.map((id) => this.db.files.get(id)).filter(Boolean).map((file) => this._serializeFile(file));
+    }
+
+    /** @private */
+    _serializePost(post, viewer, depth = 0) {
+        const original = post.originalPostId ? this.db.posts.get(post.originalPostId) : null;
+        return {
+            id: post.id,
+            content: post.content,
+            author: this._serializeAuthor(this.db.users.get(post.authorId)),
+            attachments: this._serializeAttachments(post.attachmentIds),
+            likesCount: post.likes.size,
+            commentsCount: [...this.db.comments.values()].filter((c) => c.postId === post.id && !c.deleted).length,
+            repostsCount: this._livePosts().filter((p) => p.originalPostId === post.id).length,
+            viewsCount: post.viewsCount,
+            isLiked: viewer ? post.likes.has(viewer.id) : false,
+            isReposted: viewer ? this._livePosts().some((p) => p.originalPostId === post.id && p.authorId === viewer.id) : false,
+            isOwner: viewer ? post.authorId === viewer.id : false,
+            wallRecipientId: post.wallRecipientId,
+            originalPost: original && depth === 0 ? this._serializePost(original, viewer, 1) : null,
+            createdAt: post.createdAt,
+            updatedAt: post.updatedAt,
+        };
+    }
+
+    /** @private */
+    _serializeComment(comment, viewer) {
+        const replyTo = comment.replyToUserId ? this.db.users.get(comment.replyToUserId) : null;
+        const replies = comment.parentId ? [] : this._commentsOf(comment.postId, comment.id)
+            .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+        return {
+            id: comment.id,
+            content: comment.content,
+            author: this._serializeAuthor(this.db.users.get(comment.authorId)),
+            attachments: this._serializeAttachments(comment.attachmentIds),
+            likesCount: comment.likes.size,
+            repliesCount: replies.length,
+            isLiked: viewer ? comment.likes.has(viewer.id) : false,
+            createdAt: comment.createdAt,
+            replies: replies.map((reply) => this._serializeComment(reply, viewer)),
+            ...(replyTo && { replyTo: { id: replyTo.id, username: replyTo.username, displayName: replyTo.displayName } }),
+        };
+    }
+
+    /** @private */
+    _serializeNotification(notification) {
+        return {
+            id: notification.id,
+            type: notification.type,
+            actor: this._serializeAuthor(this.db.users.get(notification.actorId)),
+            targetId: notification.targetId,
+            targetType: notification.targetType,
+            preview: notification.preview,
+            read: notification.read,
+            createdAt: notification.createdAt,
+        };
+    }
+
+    // ---------------------------------------------------------------------------------------------
+    // Маршруты
+    // ---------------------------------------------------------------------------------------------
+
+    /** @private */
+    _buildRoutes() {
+        const routes = [];
+        const route = (method, pattern, handler, auth = false) => {
+            routes.push({ method, pattern: compilePattern(pattern), handler: handler.bind(this), auth });
+        };
+        const postOr404 = (id) => {
+            const post = this.db.posts.get(id);
+            return post && !post.deleted ? post : null;
+        };
+        const commentOr404 = (id) => {
+            const comment = this.db.comments.get(id);
+            return comment && !comment.deleted ? comment : null;
+        };
+        const postsList = (posts, { query, viewer }) => {
+            const { page, pagination } = cursorPage(posts, query.limit, query.cursor);
+            return { body: { data: { posts: page.map((p) => this._serializePost(p, viewer)), pagination } } };
+        };
+        const notFound = (what) => apiError(404, 'NOT_FOUND', `${what} не найден`);
+
+        // --- auth ---
+        route('POST', '/api/v1/auth/refresh', ({ cookies }) => {
+            const token = cookies.refresh_token;
+            if (!token) return apiError(401, 'REFRESH_TOKEN_MISSING', 'Refresh token отсутствует');
+            const userId = this._refreshTokens.get(token);
+            if (!userId) return apiError(401, 'REFRESH_TOKEN_INVALID', 'Refresh token недействителен');
+            if (!this.rotateRefreshToken) return { body: { accessToken: this._issueAccessToken(userId) } };
+            this._refreshTokens.delete(token);
+            return this._sessionResponse(userId);
+        });
+        route('POST', '/api/v1/auth/logout', ({ cookies }) => {
+            this._refreshTokens.delete(cookies.refresh_token);
+            return { status: 204, headers: { 'Set-Cookie': 'refresh_token=; Path=/; Max-Age=0' } };
+        });
+        route('POST', '/api/v1/auth/sign-in', ({ body }) => {
+            const user = [...this.db.users.values()].find((u) => u.email === body.email);
+            if (!user || user.password !== body.password) {
+                return apiError(401, 'INVALID_CREDENTIALS', 'Неверный email или пароль');
+            }
+            if (user.otp) {
+                this._pendingOtp.add(user.email);
+                return { body: { otpRequired: true, email: user.email } };
+            }
+            return this._sessionResponse(user.id);
+        });
+        route('POST', '/api/v1/auth/verify-otp', ({ body }) => {
+            const user = [...this.db.users.values()].find((u) => u.email === body.email);
+            if (!user || !this._pendingOtp.has(user.email) || String(body.code) !== this.otpCode) {
+                return apiError(400, 'INVALID_OTP', 'Неверный код');
+            }
+            this._pendingOtp.delete(user.email);
+            return this._sessionResponse(user.id);
+        });
+        route('POST', '/api/v1/auth/resend-otp', () => ({ body: { success: true } }));
+        route('POST', '/api/v1/auth/forgot-password', () => ({ body: { success: true } }));
+        route('POST', '/api/v1/auth/reset-password', ({ body }) => {
+            const user = [...this.db.users.values()].find((u) => u.email === body.email);
+            if (!user || String(body.code) !== this.otpCode) return apiError(400, 'INVALID_CODE', 'Неверный код');
+            user.password = body.newPassword;
+            return { body: { success: true } };
+        });
+        route('POST', '/api/v1/auth/change-password', ({ body, viewer }) => {
+            if (viewer.password !== body.oldPassword) return apiError(400, 'INVALID_PASSWORD', 'Неверный текущий пароль');
+            viewer.password = body.newPassword;
+            return { body: { success: true } };
+        }, true);
+
+        // --- users ---
+        route('GET', '/api/users/me', ({ viewer }) => ({ body: this._serializeUser(viewer, viewer) }), true);
+        route('PUT', '/api/users/me', ({ body, viewer }) => {
+            if (body.username && body.username !== viewer.username && this._userByName(body.username)) {
+                return apiError(409, 'USERNAME_TAKEN', 'Имя пользователя занято');
+            }
+            for (const field of ['bio', 'displayName', 'username']) {
+                if (body[field] != null) viewer[field] = body[field];
+            }
+            if (body.bannerId != null) viewer.banner = this.db.files.get(body.bannerId)?.url ?? null;
+            return { body: { id: viewer.id, username: viewer.username, displayName: viewer.displayName, bio: viewer.bio, banner: viewer.banner, updatedAt: new Date().toISOString() } };
+        }, true);
+        route('GET', '/api/users/me/privacy', ({ viewer }) => ({ body: { isPrivate: viewer.isPrivate, wallClosed: viewer.wallClosed } }), true);
+        route('PUT', '/api/users/me/privacy', ({ body, viewer }) => {
+            if (body.isPrivate != null) viewer.isPrivate = !!body.isPrivate;
+            if (body.wallClosed != null) viewer.wallClosed = !!body.wallClosed;
+            return { body: { isPrivate: viewer.isPrivate, wallClosed: viewer.wallClosed } };
+        }, true);
+        route('GET', '/api/users/search', ({ query, viewer }) => {
+            const q = String(query.q ?? '').toLowerCase();
+            const users = [...this.db.users.values()]
+                .filter((u) => !q || u.username.toLowerCase().includes(q) || u.displayName.toLowerCase().includes(q))
+                .slice(0, Number(query.limit) || 20);
+            return { body: { users: users.map((u) => this._serializeUser(u, viewer)) } };
+        }, true);
+        route('GET', '/api/users/stats/top-clans', () => {
+            const clans = new Map();
+            for (const user of this.db.users.values()) clans.set(user.avatar, (clans.get(user.avatar) ?? 0) + 1);
+            const sorted = [...clans].sort((a, b) => b[1] - a[1]).map(([avatar, memberCount]) => ({ avatar, memberCount }));
+            return { body: { clans: sorted } };
+        });
+        route('GET', '/api/users/suggestions/who-to-follow', ({ viewer }) => {
+            const users = [...this.db.users.values()]
+                .filter((u) => u.id !== viewer.id && !u.followers.has(viewer.id))
+                .sort((a, b) => b.followers.size - a.followers.size)
+                .slice(0, 10);
+            return { body: { users: users.map((u) => this._serializeUser(u, viewer)) } };
+        }, true);
+        route('GET', '/api/users/:username', ({ params, viewer }) => {
+            const user = this._userByName(params.username);
+            return user ? { body: this._serializeUser(user, viewer) } : apiError(404, 'USER_NOT_FOUND', 'Пользователь не найден');
+        });
+        route('POST', '/api/users/:username/follow', ({ params, viewer }) => {
+            const user = this._userByName(params.username);
+            if (!user) return apiError(404, 'USER_NOT_FOUND', 'Пользователь не найден');
+            if (user.id === viewer.id) return apiError(400, 'CANNOT_FOLLOW_SELF', 'Нельзя подписаться на себя');
+            if (!user.followers.has(viewer.id)) {
+                user.followers.add(viewer.id);
+                viewer.following.add(user.id);
+                this._notifyOther(user.id, viewer, { type: 'follow', targetId: viewer.id, targetType: 'user' });
+            }
+            return { body: { following: true, followersCount: user.followers.size } };
+        }, true);
+        route('DELETE', '/api/users/:username/follow', ({ params, viewer }) => {
+            const user = this._userByName(params.username);
+            if (!user) return apiError(404, 'USER_NOT_FOUND', 'Пользователь не найден');
+            user.followers.delete(viewer.id);
+            viewer.following.delete(user.id);
+            return { body: { following: false, followersCount: user.followers.size } };
+        }, true);
+        for (const relation of ['followers', 'following']) {
+            route('GET', `/api/users/:username/${relation}`, ({ params, query, viewer }) => {
+                const user = this._userByName(params.username);
+                if (!user) return apiError(404, 'USER_NOT_FOUND', 'Пользователь не найден');
+                const list = [...user[relation]].map((id) => this.db.users.get(id)).filter(Boolean);
+                const { page, pagination } = numberedPage(list, query.page, query.limit, 30);
+                return { body: { data: { users: page.map((u) => this._serializeUser(u, viewer)), pagination } } };
+            });
+        }
+
+        // --- posts ---
+        route('GET', '/api/posts', ({ query, viewer }) => {
+            if (query.tab === 'following' && !viewer) return apiError(401, 'UNAUTHORIZED', 'Требуется авторизация');
+            let posts = this._livePosts().filter((p) => !p.wallRecipientId);
+            if (query.tab === 'following') {
+                posts = posts.filter((p) => viewer.following.has(p.authorId));
+            }
+            const popular = query.tab === 'popular' || query.type === 'trending' || query.filter === 'trending';
+            return postsList(this._sortPosts(posts, popular ? 'popular' : query.sort), { query, viewer });
+        });
+        route('POST', '/api/posts', ({ body, viewer }) => {
+            const content = typeof body.content === 'string' ? body.content : '';
+            const attachmentIds = Array.isArray(body.attachmentIds) ? body.attachmentIds : [];
+            if (!content.trim() && attachmentIds.length === 0) return apiError(400, 'VALIDATION_ERROR', 'Пост не может быть пустым');
+            let wallRecipient = null;
+            if (body.wallRecipientId) {
+                wallRecipient = this.db.users.get(body.wallRecipientId);
+                if (!wallRecipient) return apiError(404, 'USER_NOT_FOUND', 'Пользователь не найден');
+                if (wallRecipient.wallClosed && wallRecipient.id !== viewer.id) return apiError(403, 'WALL_CLOSED', 'Стена закрыта');
+            }
+            const post = this._createPost(viewer, { content, attachmentIds, wallRecipientId: wallRecipient?.id ?? null });
+            if (wallRecipient) {
+                this._notifyOther(wallRecipient.id, viewer, { type: 'wall_post', targetId: post.id, targetType: 'post', preview: content.slice(0, 100) });
+            }
+            return { status: 201, body: this._serializePost(post, viewer) };
+        }, true);
+        route('GET', '/api/posts/user/:username', ({ params, query, viewer }) => {
+            const user = this._userByName(params.username);
+            if (!user) return apiError(404, 'USER_NOT_FOUND', 'Пользователь не найден');
+            const posts = this._livePosts().filter((p) => p.authorId === user.id && !p.wallRecipientId);
+            return postsList(this._sortPosts(posts, query.sort), { query, viewer });
+        });
+        route('GET', '/api/posts/user/:username/liked', ({ params, query, viewer }) => {
+            const user = this._userByName(params.username);
+            if (!user) return apiError(404, 'USER_NOT_FOUND', 'Пользователь не найден');
+            return postsList(this._sortPosts(this._livePosts().filter((p) => p.likes.has(user.id))), { query, viewer });
+        });
+        route('GET', '/api/posts/user/:username/wall', ({ params, query, viewer }) => {
+            const user = this._userByName(params.username);
+            if (!user) return apiError(404, 'USER_NOT_FOUND', 'Пользователь не найден');
+            return postsList(this._sortPosts(this._livePosts().filter((p) => p.wallRecipientId === user.id)), { query, viewer });
+        });
+        route('GET', '/api/posts/:id', ({ params, viewer }) => {
+            const post = postOr404(params.id);
+            if (!post) return notFound('Пост');
+            const comments = this._commentsOf(post.id).sort((a, b) => b.likes.size - a.likes.size).slice(0, 20);
+            return { body: { ...this._serializePost(post, viewer), comments: comments.map((c) => this._serializeComment(c, viewer)) } };
+        });
+        route('PUT', '/api/posts/:id', ({ params, body, viewer }) => {
+            const post = postOr404(params.id);
+            if (!post) return notFound('Пост');
+            if (post.authorId !== viewer.id) return apiError(403, 'FORBIDDEN', 'Нельзя редактировать чужой пост');
+            if (typeof body.content !== 'string' || !body.content.trim()) return apiError(400, 'VALIDATION_ERROR', 'Пост не может быть пустым');
+            post.content = body.content;
+            post.updatedAt = new Date().toISOString();
+            return { body: { id: post.id, content: post.content, updatedAt: post.updatedAt } };
+        }, true);
+        route('DELETE', '/api/posts/:id', ({ params, viewer }) => {
+            const post = postOr404(params.id);
+            if (!post) return notFound('Пост');
+            if (post.authorId !== viewer.id && post.wallRecipientId !== viewer.id) return apiError(403, 'FORBIDDEN', 'Нельзя удалить чужой пост');
+            post.deleted = true;
+            return { status: 204 };
+        }, true);
+        route('POST', '/api/posts/:id/restore', ({ params, viewer }) => {
+            const post = this.db.posts.get(params.id);
+            if (!post) return notFound('Пост');
+            if (post.authorId !== viewer.id && post.wallRecipientId !== viewer.id) return apiError(403, 'FORBIDDEN', 'Нельзя восстановить чужой пост');
+            post.deleted = false;
+            return { status: 204 };
+        }, true);
+        route('POST', '/api/posts/:id/like', ({ params, viewer }) => {
+            const post = postOr404(params.id);
+            if (!post) return notFound('Пост');
+            if (!post.likes.has(viewer.id)) {
+                post.likes.add(viewer.id);
+                this._notifyOther(post.authorId, viewer, { type: 'like', targetId: post.id, targetType: 'post', preview: post.content.slice(0, 100) });
+            }
+            return { body: { liked: true, likesCount: post.likes.size } };
+        }, true);
+        route('DELETE', '/api/posts/:id/like', ({ params, viewer }) => {
+            const post = postOr404(params.id);
+            if (!post) return notFound('Пост');
+            post.likes.delete(viewer.id);
+            return { body: { liked: false, likesCount: post.likes.size } };
+        }, true);
+        route('POST', '/api/posts/:id/pin', ({ params, viewer }) => {
+            const post = postOr404(params.id);
+            if (!post) return notFound('Пост');
+            if (post.authorId !== viewer.id) return apiError(403, 'FORBIDDEN', 'Закрепить можно только свой пост');
+            viewer.pinnedPostId = post.id;
+            return { body: { success: true, pinnedPostId: post.id } };
+        }, true);
+        route('DELETE', '/api/posts/:id/pin', ({ viewer }) => {
+            viewer.pinnedPostId = null;
+            return { body: { success: true, pinnedPostId: null } };
+        }, true);
+        route('POST', '/api/posts/:id/view', ({ params, viewer }) => {
+            const post = postOr404(params.id);
+            if (!post) return notFound('Пост');
+            if (!post.viewers.has(viewer.id)) {
+                post.viewers.add(viewer.id);
+                post.viewsCount += 1;
+            }
+            return { status: 204 };
+        }, true);
+        route('POST', '/api/posts/:id/repost', ({ params, body, viewer }) => {
+            const original = postOr404(params.id);
+            if (!original) return notFound('Пост');
+            if (this._livePosts().some((p) => p.originalPostId === original.id && p.authorId === viewer.id)) {
+                return apiError(409, 'ALREADY_REPOSTED', 'Вы уже сделали репост');
+            }
+            const post = this._createPost(viewer, { content: typeof body.content === 'string' ? body.content : '', originalPostId: original.id });
+            this._notifyOther(original.authorId, viewer, { type: 'repost', targetId: original.id, targetType: 'post' });
+            return { status: 201, body: this._serializePost(post, viewer) };
+        }, true);
+
+        // --- comments ---
+        route('GET', '/api/posts/:id/comments', ({ params, query, viewer }) => {
+            const post = postOr404(params.id);
+            if (!post) return notFound('Пост');
+            const sort = query.sort ?? 'popular';
+            if (!COMMENT_SORTS.has(sort)) return apiError(422, 'VALIDATION_ERROR', 'sort должен быть newest, oldest или popular');
+            const comments = this._commentsOf(post.id).sort((a, b) => {
+                if (sort === 'oldest') return a.createdAt.localeCompare(b.createdAt);
+                if (sort === 'popular') return b.likes.size - a.likes.size || b.createdAt.localeCompare(a.createdAt);
+                return b.createdAt.localeCompare(a.createdAt);
+            });
+            const { page, pagination } = cursorPage(comments, query.limit, query.cursor);
+            return {
+                body: {
+                    data: {
+                        comments: page.map((c) => this._serializeComment(c, viewer)),
+                        total: comments.length,
+                        hasMore: pagination.hasMore,
+                        nextCursor: pagination.nextCursor,
+                    },
+                },
+            };
+        });
+        route('POST', '/api/posts/:id/comments', ({ params, body, viewer }) => {
+            const post = postOr404(params.id);
+            if (!post) return notFound('Пост');
+            const content = typeof body.content === 'string' ? body.content : '';
+            const attachmentIds = Array.isArray(body.attachmentIds) ? body.attachmentIds : [];
+            if (!content.trim() && attachmentIds.length === 0) return apiError(400, 'VALIDATION_ERROR', 'Комментарий не может быть пустым');
+            const parent = body.replyTo ? commentOr404(body.replyTo) : null;
+            if (body.replyTo && !parent) return notFound('Комментарий');
+            const comment = this._createComment(post, viewer, {
+                content,
+                attachmentIds,
+                parentId: parent ? (parent.parentId ?? parent.id) : null,
+                replyToUserId: parent?.authorId ?? null,
+            });
+            this._notifyOther(post.authorId, viewer, { type: 'comment', targetId: post.id, targetType: 'post', preview: content.slice(0, 100) });
+            return { status: 201, body: this._serializeComment(comment, viewer) };
+        }, true);
+        route('GET', '/api/comments/:id/replies', ({ params, query, viewer }) => {
+            const comment = commentOr404(params.id);
+            if (!comment) return notFound('Комментарий');
+            const sort = query.sort ?? 'oldest';
+            const replies = this._commentsOf(comment.postId, comment.id).sort((a, b) => {
+                if (sort === 'newest') return b.createdAt.localeCompare(a.createdAt);
+                if (sort === 'popular') return b.likes.size - a.likes.size || a.createdAt.localeCompare(b.createdAt);
+                return a.createdAt.localeCompare(b.createdAt);
+            });
+            const { page, pagination } = numberedPage(replies, query.page, query.limit, 50);
+            return { body: { data: { replies: page.map((c) => this._serializeComment(c, viewer)), pagination } } };
+        });
+        route('POST', '/api/comments/:id/replies', ({ params, body, viewer }) => {
+            const parent = commentOr404(params.id);
+            if (!parent) return notFound('Комментарий');
+            if (typeof body.content !== 'string' || !body.content.trim()) return apiError(400, 'VALIDATION_ERROR', 'Комментарий не может быть пустым');
+            const replyTo = body.replyToUserId ? this.db.users.get(body.replyToUserId) : null;
+            if (!replyTo) return apiError(400, 'VALIDATION_ERROR', 'replyToUserId не найден');
+            const reply = this._createComment(this.db.posts.get(parent.postId), viewer, {
+                content: body.content,
+                parentId: parent.parentId ?? parent.id,
+                replyToUserId: replyTo.id,
+            });
+            this._notifyOther(replyTo.id, viewer, { type: 'reply', targetId: parent.postId, targetType: 'post', preview: body.content.slice(0, 100) });
+            return { status: 201, body: this._serializeComment(reply, viewer) };
+        }, true);
+        route('POST', '/api/comments/:id/like', ({ params, viewer }) => {
+            const comment = commentOr404(params.id);
+            if (!comment) return notFound('Комментарий');
+            comment.likes.add(viewer.id);
+            return { body: { liked: true, likesCount: comment.likes.size } };
+        }, true);
+        route('DELETE', '/api/comments/:id/like', ({ params, viewer }) => {
+            const comment = commentOr404(params.id);
+            if (!comment) return notFound('Комментарий');
+            comment.likes.delete(viewer.id);
+            return { body: { liked: false, likesCount: comment.likes.size } };
+        }, true);
+        route('DELETE', '/api/comments/:id', ({ params, viewer }) => {
+            const comment = commentOr404(params.id);
+            if (!comment) return notFound('Комментарий');
+            const post = this.db.posts.get(comment.postId);
+            // На своей стене (и под своим постом) можно удалять любые комментарии
+            if (comment.authorId !== viewer.id && post?.authorId !== viewer.id && post?.wallRecipientId !== viewer.id) {
+                return apiError(403, 'FORBIDDEN', 'Нельзя удалить чужой комментарий');
+            }
+            comment.deleted = true;
+            return { status: 204 };
+        }, true);
+        route('POST', '/api/comments/:id/restore', ({ params, viewer }) => {
+            const comment = this.db.comments.get(params.id);
+            if (!comment) return notFound('Комментарий');
+            if (comment.authorId !== viewer.id) return apiError(403, 'FORBIDDEN', 'Нельзя восстановить чужой комментарий');
+            comment.deleted = false;
+            return { status: 204 };
+        }, true);
+
+        // --- notifications ---
+        route('GET', '/api/notifications', ({ query, viewer }) => {
+            const list = this.db.notifications.filter((n) => n.userId === viewer.id);
+            const offset = Math.max(0, Number(query.offset) || 0);
+            const limit = Math.min(Math.max(1, Number(query.limit) || 20), 100);
+            return {
+                body: {
+                    notifications: list.slice(offset, offset + limit).map((n) => this._serializeNotification(n)),
+                    hasMore: offset + limit < list.length,
+                },
+            };
+        }, true);
+        route('GET', '/api/notifications/count', ({ viewer }) => ({
+            body: { count: this.db.notifications.filter((n) => n.userId === viewer.id && !n.read).length },
+        }), true);
+        route('POST', '/api/notifications/read-batch', ({ body, viewer }) => {
+            const ids = new Set(Array.isArray(body.ids) ? body.ids : []);
+            let count = 0;
+            for (const n of this.db.notifications) {
+                if (n.userId === viewer.id && ids.has(n.id) && !n.read) {
+                    n.read = true;
+                    count += 1;
+                }
+            }
+            return { body: { success: true, count } };
+        }, true);
+        route('POST', '/api/notifications/read-all', ({ viewer }) => {
+            for (const n of this.db.notifications) {
+                if (n.userId === viewer.id) n.read = true;
+            }
+            return { body: { success: true } };
+        }, true);
+        route('POST', '/api/notifications/:id/read', ({ params, viewer }) => {
+            const notification = this.db.notifications.find((n) => n.id === params.id && n.userId === viewer.id);
+            if (!notification) return notFound('Уведомление');
+            notification.read = true;
+            return { body: { success: true } };
+        }, true);
+        route('GET', '/api/notifications/stream', ({ viewer }) => {
+            const stream = new PassThrough();
+            stream.userId = viewer.id;
+            stream.write(': connected\n\n');
+            this._streams.add(stream);
+            stream.on('close', () => this._streams.delete(stream));
+            return {
+                status: 200,
+                headers: { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', Connection: 'keep-alive' },
+                stream,
+            };
+        }, true);
+
+        // --- hashtags, search ---
+        route('GET', '/api/hashtags/trending', ({ query }) => {
+            const hashtags = [...this._hashtagCounts()]
+                .sort((a, b) => b[1] - a[1])
+                .slice(0, Number(query.limit) || 10)
+                .map(([name, postsCount]) => ({ id: name, name, postsCount }));
+            return { body: { data: { hashtags } } };
+        });
+        route('GET', '/api/hashtags', ({ query }) => {
+            const q = String(query.q ?? '').replace(/^#/, '').toLowerCase();
+            const hashtags = [...this._hashtagCounts()]
+                .filter(([name]) => !q || name.includes(q))
+                .slice(0, Number(query.limit) || 10)
+                .map(([name, postsCount]) => ({ id: name, name, postsCount }));
+            return { body: { data: { hashtags } } };
+        });
+        route('GET', '/api/hashtags/:name/posts', ({ params, query, viewer }) => {
+            const name = params.name.replace(/^#/, '').toLowerCase();
+            const posts = this._sortPosts(this._livePosts().filter((p) =>
+                [...p.content.matchAll(HASHTAG_PATTERN)].some((m) => m[1].toLowerCase() === name)
+            ));
+            const { page, pagination } = cursorPage(posts, query.limit, query.cursor);
+            return {
+                body: {
+                    data: {
+                        hashtag: { id: name, name, postsCount: posts.length },
+                        posts: page.map((p) => this._serializePost(p, viewer)),
+                        pagination,
+                    },
+                },
+            };
+        });
+        route('GET', '/api/search', ({ query, viewer }) => {
+            const q = String(query.q ?? '').toLowerCase();
+            const users = [...this.db.users.values()]
+                .filter((u) => q && (u.username.toLowerCase().includes(q) || u.displayName.toLowerCase().includes(q)))
+                .slice(0, Number(query.userLimit) || 5);
+            const hashtags = [...this._hashtagCounts()]
+                .filter(([name]) => q && name.includes(q.replace(/^#/, '')))
+                .slice(0, Number(query.hashtagLimit) || 5)
+                .map(([name, postsCount]) => ({ id: name, name, postsCount }));
+            return { body: { data: { users: users.map((u) => this._serializeUser(u, viewer)), hashtags } } };
+        });
+
+        // --- files ---
+        route('POST', '/api/files/upload', ({ body, viewer }) => {
+            const part = Array.isArray(body) ? body.find((p) => p.filename) : null;
+            if (!part) return apiError(400, 'VALIDATION_ERROR', 'Файл не передан');
+            const id = crypto.randomUUID();
+            const file = {
+                id,
+                ownerId: viewer.id,
+                type: part.contentType.split('/')[0],
+                url: `${this.url}/uploads/${id}/${encodeURIComponent(part.filename)}`,
+                filename: part.filename,
+                mimeType: part.contentType,
+                size: part.data.length,
+            };
+            this.db.files.set(id, file);
+            return { status: 201, body: this._serializeFile(file) };
+        }, true);
+        route('GET', '/api/files/:id', ({ params }) => {
+            const file = this.db.files.get(params.id);
+            return file ? { body: this._serializeFile(file) } : notFound('Файл');
+        }, true);
+        route('DELETE', '/api/files/:id', ({ params, viewer }) => {
+            const file = this.db.files.get(params.id);
+            if (!file) return notFound('Файл');
+            if (file.ownerId !== viewer.id) return apiError(403, 'FORBIDDEN', 'Нельзя удалить чужой файл');
+            this.db.files.delete(file.id);
+            return { status: 204 };
+        }, true);
+
+        // --- reports, verification, platform ---
+        route('POST', '/api/reports', ({ body, viewer }) => {
+            if (!REPORT_TARGETS.has(body.targetType) || !body.targetId || !REPORT_REASONS.has(body.reason)) {
+                return apiError(400, 'VALIDATION_ERROR', 'Некорректная жалоба');
+            }
+            if (this.db.reports.some((r) => r.reporterId === viewer.id && r.targetType === body.targetType && r.targetId === body.targetId)) {
+                return apiError(400, 'ALREADY_REPORTED', 'Вы уже отправляли жалобу');
+            }
+            const report = {
+                id: crypto.randomUUID(),
+                reporterId: viewer.id,
+                targetType: body.targetType,
+                targetId: body.targetId,
+                reason: body.reason,
+                description: body.description ?? null,
+                createdAt: new Date().toISOString(),
+            };
+            this.db.reports.push(report);
+            return { status: 201, body: { data: { id: report.id, createdAt: report.createdAt } } };
+        }, true);
+        route('GET', '/api/verification/status', ({ viewer }) => ({
+            body: this.db.verifications.get(viewer.id) ?? { status: viewer.verified ? 'approved' : 'none' },
+        }), true);
+        route('POST', '/api/verification/submit', ({ body, viewer }) => {
+            if (!body.videoUrl) return apiError(400, 'VALIDATION_ERROR', 'videoUrl обязателен');
+            const request = { status: 'pending', videoUrl: body.videoUrl, submittedAt: new Date().toISOString() };
+            this.db.verifications.set(viewer.id, request);
+            return { status: 201, body: { success: true, ...request } };
+        }, true);
+        route('GET', '/api/platform/status', () => ({ body: { status: 'ok', maintenance: false } }));
+
+        return routes;
+    }
+}
+
+/**
+ * Создаёт и запускает сервер-заглушку.
+ *
+ * @param {Object} [options] - Опции MockITDServer и port (по умолчанию свободный)
+ * @returns {Promise<MockITDServer>}
+ *
+ * @example
+ * const server = await createMockServer({ latency: 20 });
+ * server.addUser({ username: 'alice' });
+ * const post = server.addPost('alice', 'Привет #итд');
+ *
+ * const client = server.createClient();          // авторизован как server.me
+ * await client.likePost(post.id);                // { liked: true, likesCount: 1 }
+ *
+ * server.inject({ path: '/api/posts/:id', status: 503, times: 2 });   // два сбоя, затем обычный ответ
+ * server.expireAccessTokens();                   // следующий запрос → 401 → refresh с ротацией cookie
+ *
+ * await server.close();
+ */
+export async function createMockServer(options = {}) {
+    const server = new MockITDServer(options);
+    await server.listen(options.port ?? 0);
+    return server;
+}
@@ -0,0 +1,470 @@
+/**
+ * Модели сущностей: обёртки над ответами API с нормализованными полями и действиями.
+ * Включаются опцией клиента models: true — тогда методы SDK возвращают Post, Comment, User и т.д.
+ * вместо сырых объектов. Исходный ответ всегда доступен в .raw.
+ *
+ * Поля называются как в API (likesCount, isFollowing, ...), поэтому код, написанный для сырых
+ * объектов, продолжает работать; даты (createdAt, updatedAt) становятся Date. Поля, которых модель
+ * не знает, копируются как есть (кроме совпадающих с именами методов и геттеров — они есть в .raw).
+ */
+
+/**
+ * Дата из строки API или null.
+ * @private
+ */
+function toDate(value) {
+    if (value == null || value === '') return null;
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Базовый класс: хранит исходный ответ и клиент, не показывая их в console.log и JSON.
+ */
+export class Model {
+    /**
+     * @param {Object} raw - Объект из ответа API
+     * @param {ITDClient} client - Клиент, через который выполняются действия
+     */
+    constructor(raw, client) {
+        Object.defineProperty(this, 'raw', { value: raw, enumerable: false });
+        Object.defineProperty(this, 'client', { value: client, enumerable: false });
+        // Сначала все поля ответа, затем подклассы задают известные поля в нормализованном виде
+        for (const [key, value] of Object.entries(raw)) {
+            if (!(key in this)) this[key] = value;
+        }
+        this.id = raw.id ?? null;
+    }
+}
+
+export class User extends Model {
+    constructor(raw, client) {
+        super(raw, client);
+        this.username = raw.username ?? null;
+        this.displayName = raw.displayName ?? raw.username ?? null;
+        this.avatar = raw.avatar ?? null;
+        this.banner = raw.banner ?? null;
+        this.bio = raw.bio ?? null;
+        this.verified = !!raw.verified;
+        this.followersCount = raw.followersCount ?? 0;
+        this.followingCount = raw.followingCount ?? 0;
+        this.postsCount = raw.postsCount ?? 0;
+        this.isFollowing = !!raw.isFollowing;
+        this.isFollowedBy = !!raw.isFollowedBy;
+        this.pinnedPostId = raw.pinnedPostId ?? null;
+        this.wallClosed = !!raw.wallClosed;
+        this.createdAt = toDate(raw.createdAt);
+    }
+
+    /**
+     * Подписаться. Обновляет isFollowing и followersCount.
+     * @returns {Promise<Object|null>} { following, followersCount } или null
+     */
+    async follow() {
+        const result = await this.client.users.followUser(this.username);
+        if (result) {
+            this.isFollowing = result.following ?? true;
+            if (result.followersCount != null) this.followersCount = result.followersCount;
+        }
+        return result;
+    }
+
+    /**
+     * Отписаться. Обновляет isFollowing и followersCount.
+     * @returns {Promise<Object|null>} { following, followersCount } или null
+     */
+    async unfollow() {
+        const result = await this.client.users.unfollowUser(this.username);
+        if (result) {
+            this.isFollowing = result.following ?? false;
+            if (result.followersCount != null) this.followersCount = result.followersCount;
+        }
+        return result;
+    }
+
+    /**
+     * Посты пользователя: for await (const post of user.posts()).
+     * @param {Object} [options] - { limit, sort, max, until, cursor }
+     * @returns {Paginator}
+     */
+    posts(options = {}) {
+        return this.client.posts.iterateUserPosts(this.username, options);
+    }
+
+    /**
+     * Посты на стене пользователя.
+     * @param {Object} [options] - { limit, max, until, cursor }
+     * @returns {Paginator}
+     */
+    wall(options = {}) {
+        return this.client.posts.iterateWall(this.username, options);
+    }
+
+    /**
+     * Лайкнутые посты.
+     * @param {Object} [options] - { limit, max, until, cursor }
+     * @returns {Paginator}
+     */
+    likedPosts(options = {}) {
+        return this.client.posts.iterateLikedPosts(this.username, options);
+    }
+
+    /**
+     * Подписчики.
+     * @param {Object} [options] - { limit, max, until, cursor }
+     * @returns {Paginator}
+     */
+    followers(options = {}) {
+        return this.client.users.iterateFollowers(this.username, options);
+    }
+
+    /**
+     * Подписки.
+     * @param {Object} [options] - { limit, max, until, cursor }
+     * @returns {Paginator}
+     */
+    following(options = {}) {
+        return this.client.users.iterateFollowing(this.username, options);
+    }
+
+    /**
+     * Свежий профиль (краткие объекты автора в постах не содержат счётчиков).
+     * @returns {Promise<User|Object|null>}
+     */
+    async fetch() {
+        return await this.client.users.getUserProfile(this.username);
+    }
+}
+
+export class FileAttachment extends Model {
+    constructor(raw, client) {
+        super(raw, client);
+        this.type = raw.type ?? null;
+        this.url = raw.url ?? null;
+        this.thumbnailUrl = raw.thumbnailUrl ?? null;
+        this.filename = raw.filename ?? null;
+        this.mimeType = raw.mimeType ?? null;
+        this.size = raw.size ?? null;
+        this.width = raw.width ?? null;
+        this.height = raw.height ?? null;
+        this.duration = raw.duration ?? null;
+    }
+
+    /** Голосовое / аудио */
+    get isAudio() {
+        return this.type === 'audio' || !!this.mimeType?.startsWith('audio/');
+    }
+
+    /** Изображение */
+    get isImage() {
+        return this.type === 'image' || !!this.mimeType?.startsWith('image/');
+    }
+
+    /**
+     * Удалить файл.
+     * @returns {Promise<boolean>}
+     */
+    async delete() {
+        return await this.client.files.deleteFile(this.id);
+    }
+}
+
+export class Post extends Model {
+    constructor(raw, client) {
+        super(raw, client);
+        this.content = raw.content ?? '';
+        this.author = createModel('user', raw.author, client);
+        this.attachments = createModels('file', raw.attachments, client);
+        this.likesCount = raw.likesCount ?? 0;
+        this.commentsCount = raw.commentsCount ?? 0;
+        this.repostsCount = raw.repostsCount ?? 0;
+        this.viewsCount = raw.viewsCount ?? 0;
+        this.isLiked = !!raw.isLiked;
+        this.isReposted = !!raw.isReposted;
+        this.isOwner = !!raw.isOwner;
+        this.originalPost = createModel('post', raw.originalPost, client);
+        this.createdAt = toDate(raw.createdAt);
+        this.updatedAt = toDate(raw.updatedAt);
+    }
+
+    /** Репост ли это (есть originalPost) */
+    get isRepost() {
+        return !!this.originalPost;
+    }
+
+    /**
+     * Лайкнуть. Обновляет isLiked и likesCount.
+     * @returns {Promise<Object|null>} { liked, likesCount } или null
+     */
+    async like() {
+        return this._applyLike(await this.client.likePost(this.id));
+    }
+
+    /**
+     * Снять лайк. Обновляет isLiked и likesCount.
+     * @returns {Promise<Object|null>} { liked, likesCount } или null
+     */
+    async unlike() {
+        return this._applyLike(await this.client.unlikePost(this.id));
+    }
+
+    /** @private */
+    _applyLike(result) {
+        if (result) {
+            if (result.liked != null) this.isLiked = result.liked;
+            if (result.likesCount != null) this.likesCount = result.likesCount;
+        }
+        return result;
+    }
+
+    /**
+     * Комментарии: for await (const comment of post.comments()).
+     * @param {Object} [options] - { limit, sort, max, until, cursor }
+     * @returns {Paginator}
+     */
+    comments(options = {}) {
+        return this.client.comments.iterate(this.id, options);
+    }
+
+    /**
+     * Полное дерево комментариев с ответами.
+     * @param {Object} [options] - { sort, max, maxDepth }
+     * @returns {Promise<Comment[]>}
+     */
+    async thread(options = {}) {
+        return await this.client.comments.getCommentThread(this.id, options);
+    }
+
+    /**
+     * Прокомментировать.
+     * @param {string} text - Текст комментария
+     * @returns {Promise<Comment|Object|null>}
+     */
+    async comment(text) {
+        const result = await this.client.comments.addComment(this.id, text);
+        if (result) this.commentsCount++;
+        return result;
+    }
+
+    /**
+     * Репостнуть.
+     * @param {string|null} [comment] - Комментарий к репосту
+     * @returns {Promise<Post|Object|null>}
+     */
+    async repost(comment = null) {
+        return await this.client.posts.repost(this.id, comment);
+    }
+
+    /**
+     * Изменить текст. Обновляет content.
+     * @param {string} content - Новый текст
+     * @returns {Promise<Post|Object|null>}
+     */
+    async edit(content) {
+        const result = await this.client.posts.editPost(this.id, content);
+        if (result) this.content = content;
+        return result;
+    }
+
+    /**
+     * Удалить пост.
+     * @returns {Promise<boolean>}
+     */
+    async delete() {
+        return await this.client.posts.deletePost(this.id);
+    }
+
+    /**
+     * Закрепить пост.
+     * @returns {Promise<boolean>}
+     */
+    async pin() {
+        return await this.client.posts.pinPost(this.id);
+    }
+
+    /**
+     * Открепить пост.
+     * @returns {Promise<boolean>}
+     */
+    async unpin() {
+        return await this.client.posts.unpinPost(this.id);
+    }
+
+    /**
+     * Отметить просмотренным.
+     * @returns {Promise<boolean>}
+     */
+    async view() {
+        return await this.client.posts.viewPost(this.id);
+    }
+
+    /**
+     * Свежие данные поста.
+     * @returns {Promise<Post|Object|null>}
+     */
+    async fetch() {
+        return await this.client.posts.getPost(this.id);
+    }
+}
+
+export class Comment extends Model {
+    constructor(raw, client) {
+        super(raw, client);
+        this.content = raw.content ?? '';
+        this.author = createModel('user', raw.author, client);
+        this.attachments = createModels('file', raw.attachments, client);
+        this.likesCount = raw.likesCount ?? 0;
+        this.repliesCount = raw.repliesCount ?? 0;
+        this.isLiked = !!raw.isLiked;
+        this.replyTo = createModel('user', raw.replyTo, client);
+        this.replies = createModels('comment', raw.replies, client);
+        this.createdAt = toDate(raw.createdAt);
+    }
+
+    /**
+     * Лайкнуть. Обновляет isLiked и likesCount.
+     * @returns {Promise<Object|null>} { liked, likesCount } или null
+     */
+    async like() {
+        return this._applyLike(await this.client.comments.likeComment(this.id));
+    }
+
+    /**
+     * Снять лайк. Обновляет isLiked и likesCount.
+     * @returns {Promise<Object|null>} { liked, likesCount } или null
+     */
+    async unlike() {
+        return this._applyLike(await this.client.comments.unlikeComment(this.id));
+    }
+
+    /** @private */
+    _applyLike(result) {
+        if (result) {
+            if (result.liked != null) this.isLiked = result.liked;
+            if (result.likesCount != null) this.likesCount = result.likesCount;
+        }
+        return result;
+    }
+
+    /**
+     * Ответить автору комментария.
+     * @param {string} text - Текст ответа
+     * @returns {Promise<Comment|Object|null>}
+     */
+    async reply(text) {
+        const result = await this.client.comments.replyToComment(this.id, text, this.author?.id);
+        if (result) this.repliesCount++;
+        return result;
+    }
+
+    /**
+     * Все ответы на комментарий (не только вложенные в replies).
+     * @param {Object} [options] - { limit, sort, max, until, cursor }
+     * @returns {Paginator}
+     */
+    iterateReplies(options = {}) {
+        return this.client.comments.iterateReplies(this.id, options);
+    }
+
+    /**
+     * Удалить комментарий.
+     * @returns {Promise<boolean>}
+     */
+    async delete() {
+        return await this.client.comments.deleteComment(this.id);
+    }
+
+    /**
+     * Восстановить удалённый комментарий.
+     * @returns {Promise<boolean>}
+     */
+    async restore() {
+        return await this.client.comments.restoreComment(this.id);
+    }
+}
+
+export class Notification extends Model {
+    constructor(raw, client) {
+        super(raw, client);
+        this.type = raw.type ?? null;
+        this.actor = createModel('user', raw.actor, client);
+        this.targetId = raw.targetId ?? null;
+        this.targetType = raw.targetType ?? null;
+        this.preview = raw.preview ?? null;
+        this.read = !!(raw.read ?? raw.isRead);
+        this.createdAt = toDate(raw.createdAt);
+    }
+
+    /**
+     * Отметить прочитанным. Обновляет read.
+     * @returns {Promise<Object|null>}
+     */
+    async markAsRead() {
+        const result = await this.client.notifications.markAsRead(this.id);
+        if (result) this.read = true;
+        return result;
+    }
+
+    /**
+     * Пост, к которому относится уведомление (лайк, комментарий, ответ, репост, упоминание, запись на стене).
+     * @returns {Promise<Post|Object|null>} null, если уведомление не о посте
+     */
+    async post() {
+        if (!this.targetId || ['follow', 'verification_approved', 'verification_rejected'].includes(this.type)) {
+            return null;
+        }
+        return await this.client.posts.getPost(this.targetId);
+    }
+}
+
+export class Hashtag extends Model {
+    constructor(raw, client) {
+        super(raw, client);
+        this.name = raw.name ?? null;
+        this.postsCount = raw.postsCount ?? 0;
+    }
+
+    /**
+     * Посты с хэштегом: for await (const post of hashtag.posts()).
+     * @param {Object} [options] - { limit, max, until, cursor }
+     * @returns {Paginator}
+     */
+    posts(options = {}) {
+        return this.client.hashtags.iteratePosts(this.name, options);
+    }
+}
+
+/** Вид сущности → класс модели */
+export const MODELS = Object.freeze({
+    post: Post,
+    comment: Comment,
+    user: User,
+    notification: Notification,
+    hashtag: Hashtag,
+    file: FileAttachment,
+});
+
+/**
+ * Оборачивает объект API в модель. null, не-объекты и уже созданные модели возвращаются как есть.
+ *
+ * @param {'post'|'comment'|'user'|'notification'|'hashtag'|'file'} kind - Вид сущности
+ * @param {Object|null} raw - Объект из ответа API
+ * @param {ITDClient} client
+ * @returns {Model|*}
+ */
+export function createModel(kind, raw, client) {
+    if (!raw || typeof raw !== 'object' || raw instanceof Model) return raw ?? null;
+    return new MODELS[kind](raw, client);
+}
+
+/**
+ * Оборачивает массив объектов API; не-массив превращается в пустой массив.
+ *
+ * @param {string} kind - Вид сущности (см. createModel)
+ * @param {Array|null} list
+ * @param {ITDClient} client
+ * @returns {Model[]}
+ */
+export function createModels(kind, list, client) {
+    return Array.isArray(list) ? list.map((raw) => createModel(kind, raw, client)) : [];
+}
@@ -1,6 +1,9 @@
 /**
  * Модуль для работы с уведомлениями
  */
+import { ITDNetworkError, errorFromResponse } from './errors.js';
+import { Paginator } from './pagination.js';
+
 export class NotificationsManager {
     constructor(client) {
         this.client = client;
@@ -18,8 +21,7 @@ export class NotificationsManager {
      */
     async getNotifications(limit = 20, offset = 0, type = null) {
         if (!await this.client.requireAuth()) {
-            console.error('Ошибка: необходимо войти в аккаунт');
-            return null;
+            return this.client._authRequired(null);
         }
 
         try {
@@ -29,29 +31,45 @@ export class NotificationsManager {
             const response = await this.axios.get(notificationsUrl, { params });
 
             if (response.status === 200) {
-                const data = response.data;
-                let notifications = Array.isArray(data?.notifications) ? data.notifications : [];
-                const hasMore = Boolean(data?.hasMore);
+                const { items, meta } = this.client.schema.list('notifications.getNotifications', 'notification', response.data, 'notifications');
+                let notifications = items;
+                const hasMore = Boolean(meta.hasMore);
 
                 if (type && notifications.length > 0) {
                     notifications = notifications.filter(notif => notif.type === type);
                 }
+                notifications = this.client._models('notification', notifications);
 
                 return { notifications, hasMore };
             } else {
-                console.error(`Ошибка получения уведомлений: ${response.status}`);
-                return null;
+                this.client.logger.error('notifications.getNotifications.unexpected_status', 'Ошибка получения уведомлений', { status: response.status, data: response.data });
+                return this.client._handleError(errorFromResponse(response), null);
             }
         } catch (error) {
-            console.error('Исключение при получении уведомлений:', error.message);
-            if (error.response) {
-                console.error('Response status:', error.response.status);
-                console.error('Response data:', error.response.data);
-            }
-            return null;
+            this.client.logger.error('notifications.getNotifications.failed', 'Исключение при получении уведомлений', { error });
+            return this.client._handleError(error, null);
         }
     }
 
+    /**
+     * Обход всех уведомлений. Курсор — offset (с 0).
+     *
+     * @param {Object} [options] - { limit (размер страницы), max, until, cursor } — см. Paginator;
+     *   type — фильтр по типу, как в getNotifications
+     * @returns {Paginator} Асинхронный итератор уведомлений
+     */
+    iterate(options = {}) {
+        const { limit = 20, type = null } = options;
+        return new Paginator(async (offset) => {
+            // Фильтр по типу — после загрузки: offset считается по всем уведомлениям страницы
+            const result = await this.getNotifications(limit, offset);
+            if (!result) return null;
+            const items = type ? result.notifications.filter((n) => n.type === type) : result.notifications;
+            const next = result.hasMore && result.notifications.length > 0 ? offset + result.notifications.length : null;
+            return { items, next };
+        }, { ...options, cursor: options.cursor ?? 0 }, this.client.logger);
+    }
+
     /**
      * Отмечает несколько уведомлений как прочитанные.
      * POST /api/notifications/read-batch → { success: true, count: number }
@@ -61,8 +79,7 @@ export class NotificationsManager {
      */
     async markAsReadBatch(ids) {
         if (!await this.client.requireAuth()) {
-            console.error('Ошибка: необходимо войти в аккаунт');
-            return null;
+            return this.client._authRequired(null);
         }
         if (!Array.isArray(ids) || ids.length === 0) {
             return { success: true, count: 0 };
@@ -73,10 +90,10 @@ export class NotificationsManager {
             if (response.status === 200) {
                 return response.data;
             }
-            return null;
+            return this.client._handleError(errorFromResponse(response), null);
         } catch (error) {
-            console.error('Исключение при отметке уведомлений:', error.message);
-            return null;
+            this.client.logger.error('notifications.markAsReadBatch.failed', 'Исключение при отметке уведомлений', { error });
+            return this.client._handleError(error, null);
         }
     }
 
@@ -88,8 +105,7 @@ export class NotificationsManager {
      */
     async markAsRead(notificationId) {
         if (!await this.client.requireAuth()) {
-            console.error('Ошибка: необходимо войти в аккаунт');
-            return null;
+            return this.client._authRequired(null);
         }
 
         try {
@@ -100,19 +116,12 @@ export class NotificationsManager {
                 // Структура ответа: { success: true }
                 return response.data || { success: true };
             } else {
-                console.error(`Ошибка отметки уведомления: ${response.status}`);
-                if (response.data) {
-                    console.error('Response data:', response.data);
-                }
-                return null;
+                this.client.logger.error('notifications.markAsRead.unexpected_status', 'Ошибка отметки уведомления', { status: response.status, data: response.data });
+                return this.client._handleError(errorFromResponse(response), null);
             }
         } catch (error) {
-            console.error('Исключение при отметке уведомления:', error.message);
-            if (error.response) {
-                console.error('Response status:', error.response.status);
-                console.error('Response data:', error.response.data);
-            }
-            return null;
+            this.client.logger.error('notifications.markAsRead.failed', 'Исключение при отметке уведомления', { error });
+            return this.client._handleError(error, null);
         }
     }
 
@@ -123,8 +132,7 @@ export class NotificationsManager {
      */
     async getUnreadCount() {
         if (!await this.client.requireAuth()) {
-            console.error('Ошибка: необходимо войти в аккаунт');
-            return null;
+            return this.client._authRequired(null);
         }
 
         try {
@@ -136,16 +144,12 @@ export class NotificationsManager {
                 // Структура: { count: number }
                 return data.count || 0;
             } else {
-                console.error(`Ошибка получения количества уведомлений: ${response.status}`);
-                return null;
+                this.client.logger.error('notifications.getUnreadCount.unexpected_status', 'Ошибка получения количества уведомлений', { status: response.status, data: response.data });
+                return this.client._handleError(errorFromResponse(response), null);
             }
         } catch (error) {
-            console.error('Исключение при получении количества уведомлений:', error.message);
-            if (error.response) {
-                console.error('Response status:', error.response.status);
-                console.error('Response data:', error.response.data);
-            }
-            return null;
+            this.client.logger.error('notifications.getUnreadCount.failed', 'Исключение при получении количества уведомлений', { error });
+            return this.client._handleError(error, null);
         }
     }
 
@@ -157,8 +161,7 @@ export class NotificationsManager {
      */
     async markAllAsRead() {
         if (!await this.client.requireAuth()) {
-            console.error('Ошибка: необходимо войти в аккаунт');
-            return false;
+            return this.client._authRequired(false);
         }
 
         try {
@@ -168,19 +171,12 @@ export class NotificationsManager {
             if (response.status === 200 || response.status === 204) {
                 return response.data?.success !== false;
             } else {
-                console.error(`Ошибка отметки всех уведомлений: ${response.status}`);
-                if (response.data) {
-                    console.error('Response data:', response.data);
-                }
-                return false;
+                this.client.logger.error('notifications.markAllAsRead.unexpected_status', 'Ошибка отметки всех уведомлений', { status: response.status, data: response.data });
+                return this.client._handleError(errorFromResponse(response), false);
             }
         } catch (error) {
-            console.error('Исключение при отметке всех уведомлений:', error.message);
-            if (error.response) {
-                console.error('Response status:', error.response.status);
-                console.error('Response data:', error.response.data);
-            }
-            return false;
+            this.client.logger.error('notifications.markAllAsRead.failed', 'Исключение при отметке всех уведомлений', { error });
+            return this.client._handleError(error, false);
         }
     }
     
@@ -221,17 +217,17 @@ export class NotificationsManager {
      */
     async getNotificationStream(options = {}) {
         if (!await this.client.requireAuth()) {
-            console.error('Ошибка: для стрима уведомлений необходима авторизация');
-            return null;
+            return this.client._authRequired(null);
         }
 
-        const { onEvent = () => {}, onError = (err) => console.error('Notification stream error:', err.message) } = options;
+        const { onEvent = () => {}, onError = (err) => this.client.logger.error('notifications.stream.error', 'Ошибка стрима уведомлений', { error: err }) } = options;
         const url = `${this.client.baseUrl}/api/notifications/stream`;
         const controller = new AbortController();
         const token = this.client.accessToken;
 
+        let response;
         try {
-            const response = await fetch(url, {
+            response = await this.client._fetch(url, {
                 signal: controller.signal,
                 headers: {
                     'Accept': 'text/event-stream',
@@ -240,53 +236,61 @@ export class NotificationsManager {
                     ...(this.client.userAgent && { 'User-Agent': this.client.userAgent }),
                 },
             });
+        } catch (err) {
+            onError(err);
+            return this.client._handleError(new ITDNetworkError(err.message, {
+                request: { method: 'GET', url },
+                cause: err,
+            }), null);
+        }
 
-            if (!response.ok || !response.body) {
-                onError(new Error(`Stream failed: ${response.status}`));
-                return null;
-            }
+        // Вне try: в режиме errors: 'throw' ошибка по статусу не должна превратиться в ITDNetworkError
+        if (!response.ok || !response.body) {
+            onError(new Error(`Stream failed: ${response.status}`));
+            return this.client._handleError(errorFromResponse({
+                status: response.status,
+                headers: { 'retry-after': response.headers?.get?.('retry-after') },
+                config: { method: 'get', url },
+            }), null);
+        }
 
-            const reader = response.body.getReader();
-            const decoder = new TextDecoder();
-            let buffer = '';
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
 
-            (async () => {
-                try {
-                    while (true) {
-                        const { done, value } = await reader.read();
-                        if (done) break;
-                        buffer += decoder.decode(value, { stream: true });
-                        const lines = buffer.split('\n');
-                        buffer = lines.pop() ?? '';
-                        let currentData = null;
-                        for (const line of lines) {
-                            if (line.startsWith('data:')) {
-                                currentData = line.slice(5).trim();
-                            } else if (line === '' && currentData !== null) {
-                                try {
-                                    const parsed = currentData === '' ? null : JSON.parse(currentData);
-                                    onEvent(parsed);
-                                } catch {
-                                    onEvent(currentData);
-                                }
-                                currentData = null;
+        (async () => {
+            try {
+                while (true) {
+                    const { done, value } = await reader.read();
+                    if (done) break;
+                    buffer += decoder.decode(value, { stream: true });
+                    // SSE допускает и \n, и \r\n
+                    const lines = buffer.split(/\r?\n/);
+                    buffer = lines.pop() ?? '';
+                    let currentData = null;
+                    for (const line of lines) {
+                        if (line.startsWith('data:')) {
+                            currentData = line.slice(5).trim();
+                        } else if (line === '' && currentData !== null) {
+                            try {
+                                const parsed = currentData === '' ? null : JSON.parse(currentData);
+                                onEvent(parsed);
+                            } catch {
+                                onEvent(currentData);
                             }
+                            currentData = null;
                         }
                     }
-                } catch (e) {
-                    if (e.name !== 'AbortError') onError(e);
                 }
-            })();
+            } catch (e) {
+                if (e.name !== 'AbortError') onError(e);
+            }
+        })();
 
-            return {
-                close() {
-                    controller.abort();
-                },
-            };
-        } catch (err) {
-            onError(err);
-            return null;
-        }
+        return {
+            close() {
+                controller.abort();
+            },
+        };
     }
-
 }
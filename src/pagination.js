@@ -0,0 +1,160 @@
+/**
+ * Единый обход постраничных эндпоинтов через for await.
+ * У API три схемы пагинации (cursor, page, offset) — менеджер прячет свою схему
+ * в функции загрузки страницы, а Paginator отвечает за лимиты, остановку и курсор для продолжения.
+ */
+import { AsyncLocalStorage } from 'async_hooks';
+import { defaultLogger } from './logger.js';
+
+// Ошибка, которую метод менеджера превратил в пустой результат (режим errors: 'null') во время загрузки страницы
+const pageErrors = new AsyncLocalStorage();
+
+/**
+ * Запоминает ошибку для Paginator, если она случилась при загрузке его страницы (вызывается из _handleError).
+ *
+ * @param {Error} error
+ * @private
+ */
+export function capturePageError(error) {
+    const capture = pageErrors.getStore();
+    if (capture && !capture.error) capture.error = error;
+}
+
+export class Paginator {
+    /**
+     * @param {function(*): Promise<{ items: Array, next: * }|null>} fetchPage - Загружает страницу по курсору;
+     *   next — курсор следующей страницы (null — страниц больше нет), null вместо ответа — ошибка, обход останавливается (см. lastError)
+     * @param {Object} [options]
+     * @param {*} [options.cursor] - Курсор, с которого начать (сохранённый paginator.cursor)
+     * @param {number} [options.max] - Максимум элементов за обход
+     * @param {function(*, number): boolean} [options.until] - Остановиться на первом элементе, для которого вернёт true (сам элемент не выдаётся)
+     * @param {function(Error): void} [options.onError] - Вызывается при ошибке загрузки страницы (в обоих режимах errors)
+     * @param {Logger} [logger]
+     */
+    constructor(fetchPage, options = {}, logger = defaultLogger) {
+        this._fetchPage = fetchPage;
+        this._until = options.until ?? null;
+        this._onError = options.onError ?? null;
+        this._logger = logger;
+        /** Максимум элементов (Infinity — без ограничения) */
+        this.max = options.max ?? Infinity;
+        /** Курсор страницы, с которой продолжится обход; сохраните его, чтобы возобновить позже */
+        this.cursor = options.cursor ?? null;
+        /** Обход дошёл до последней страницы */
+        this.done = false;
+        /** Сколько элементов выдано */
+        this.count = 0;
+        /** Ошибка, на которой обход остановился (null — ошибок не было); done при этом остаётся false */
+        this.lastError = null;
+    }
+
+    /**
+     * Выдаёт элементы по одному, подгружая страницы по мере надобности.
+     * Если прервать обход посреди страницы, cursor останется на ней: при продолжении
+     * её элементы придут повторно, но ничего не потеряется.
+     */
+    async *[Symbol.asyncIterator]() {
+        let previousFirstId;
+        this.lastError = null;
+        while (!this.done && this.count < this.max) {
+            const page = await this._loadPage();
+            if (page === null) return;
+            const items = page.items ?? [];
+            if (items.length === 0) {
+                // Пустая страница с курсором дальше (например, отфильтрованная на клиенте) — идём дальше
+                const next = page.next ?? null;
+                if (next === null || next === this.cursor) {
+                    this.done = true;
+                    return;
+                }
+                this.cursor = next;
+                continue;
+            }
+            const firstId = items[0]?.id;
+            if (firstId !== undefined && firstId === previousFirstId) {
+                // Сервер игнорирует параметр страницы и отдаёт одно и то же — иначе цикл не закончится
+                this._logger.warn('pagination.repeated_page', 'API вернул ту же страницу повторно — обход остановлен', { cursor: this.cursor });
+                this.done = true;
+                return;
+            }
+            previousFirstId = firstId;
+
+            const next = page.next ?? null;
+            let consumed = 0;
+            try {
+                for (const item of items) {
+                    if (this.count >= this.max) return;
+                    if (this._until && this._until(item, this.count)) {
+                        this.done = true;
+                        return;
+                    }
+                    this.count++;
+                    consumed++;
+                    yield item;
+                }
+            } finally {
+                if (consumed === items.length) {
+                    this.cursor = next;
+                    if (next === null) this.done = true;
+                }
+            }
+        }
+    }
+
+    /**
+     * Загружает страницу по текущему курсору. При ошибке запоминает её в lastError и возвращает null:
+     * в режиме errors: 'null' методы менеджеров отдают пустой результат, и без этого ошибка выглядела бы концом списка.
+     *
+     * @returns {Promise<{ items: Array, next: * }|null>}
+     * @private
+     */
+    async _loadPage() {
+        const capture = { error: null };
+        let page;
+        try {
+            page = await pageErrors.run(capture, () => this._fetchPage(this.cursor));
+        } catch (error) {
+            this._fail(error);
+            throw error;
+        }
+        if (capture.error || page == null) {
+            this._fail(capture.error ?? new Error('Не удалось загрузить страницу'));
+            return null;
+        }
+        return page;
+    }
+
+    /**
+     * @param {Error} error
+     * @private
+     */
+    _fail(error) {
+        this.lastError = error;
+        this._logger.warn('pagination.fetch_failed', 'Не удалось загрузить страницу — обход остановлен', { cursor: this.cursor, error: error.message });
+        if (this._onError) this._onError(error);
+    }
+
+    /**
+     * Собирает все элементы (с учётом max и until) в массив.
+     *
+     * @returns {Promise<Array>}
+     */
+    async toArray() {
+        const items = [];
+        for await (const item of this) {
+            items.push(item);
+        }
+        return items;
+    }
+}
+
+/**
+ * Курсор следующей страницы из pagination вида { nextCursor, hasMore }.
+ *
+ * @param {Object|undefined} pagination
+ * @returns {string|null}
+ */
+export function nextCursorOf(pagination) {
+    if (!pagination || pagination.hasMore === false) return null;
+    return pagination.nextCursor ?? null;
+}
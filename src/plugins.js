@@ -0,0 +1,38 @@
+/**
+ * Плагины ITDClient: хуки запроса/ответа/ошибки/refresh и новые пространства менеджеров.
+ * Подключение: client.use(plugin) или опция клиента plugins: [plugin, ...].
+ */
+
+/** Хуки, которые может объявить плагин */
+export const PLUGIN_HOOKS = Object.freeze(['beforeRequest', 'afterResponse', 'onError', 'onTokenRefresh']);
+
+/**
+ * Проверяет плагин и приводит его к объекту.
+ * Функция считается плагином из одного setup(client).
+ *
+ * @param {Object|function(ITDClient): void} plugin
+ * @returns {{ name: string|null, setup?: Function, managers: Object<string, Function>, beforeRequest?: Function, afterResponse?: Function, onError?: Function, onTokenRefresh?: Function }}
+ */
+export function normalizePlugin(plugin) {
+    if (typeof plugin === 'function') {
+        return { name: plugin.name || null, setup: plugin, managers: {} };
+    }
+    if (!plugin || typeof plugin !== 'object') {
+        throw new TypeError('ITDClient.use: плагин должен быть объектом или функцией');
+    }
+    for (const hook of [...PLUGIN_HOOKS, 'setup']) {
+        if (plugin[hook] != null && typeof plugin[hook] !== 'function') {
+            throw new TypeError(`ITDClient.use: ${hook} плагина должен быть функцией`);
+        }
+    }
+    const managers = plugin.managers ?? {};
+    if (typeof managers !== 'object') {
+        throw new TypeError('ITDClient.use: managers плагина должен быть объектом { имя: (client) => менеджер }');
+    }
+    for (const [name, factory] of Object.entries(managers)) {
+        if (typeof factory !== 'function') {
+            throw new TypeError(`ITDClient.use: managers.${name} должен быть функцией (client) => менеджер`);
+        }
+    }
+    return { ...plugin, name: plugin.name ?? null, managers };
+}
@@ -3,6 +3,8 @@
  */
 import fs from 'fs';
 import FormData from 'form-data';
+import { errorFromResponse } from './errors.js';
+import { Paginator, nextCursorOf } from './pagination.js';
 
 export class PostsManager {
     /**
@@ -26,8 +28,7 @@ export class PostsManager {
      */
     async createPost(text, imagePath = null) {
         if (!await this.client.requireAuth()) {
-            console.error('Ошибка: необходимо войти в аккаунт');
-            return null;
+            return this.client._authRequired(null);
         }
         
         try {
@@ -44,7 +45,7 @@ export class PostsManager {
                 // Сначала загружаем файл через /api/files/upload
                 const uploadedFile = await this.client.files.uploadFile(imagePath);
                 if (!uploadedFile) {
-                    console.error('Ошибка: не удалось загрузить изображение');
+                    this.client.logger.error('posts.upload_image.failed', 'Не удалось загрузить изображение', { imagePath });
                     return null;
                 }
                 
@@ -56,21 +57,18 @@ export class PostsManager {
             // Создаем пост (с изображением или без); увеличенный таймаут для тяжёлых запросов
             const response = await this.axios.post(postUrl, postData, {
                 timeout: this.client.uploadTimeout ?? 120000,
+                itdRetry: false, // повтор после 5xx/таймаута может создать дубль поста
             });
 
             if (response.status === 200 || response.status === 201) {
-                return response.data;
+                return this.client._model('post', this.client.schema.entity('posts.createPost', 'post', response.data));
             } else {
-                console.error(`Ошибка создания поста: ${response.status} - ${JSON.stringify(response.data)}`);
-                return null;
+                this.client.logger.error('posts.createPost.unexpected_status', 'Ошибка создания поста', { status: response.status, data: response.data });
+                return this.client._handleError(errorFromResponse(response), null);
             }
         } catch (error) {
-            console.error('Исключение при создании поста:', error.message);
-            if (error.response) {
-                console.error('Response status:', error.response.status);
-                console.error('Response data:', error.response.data);
-            }
-            return null;
+            this.client.logger.error('posts.createPost.failed', 'Исключение при создании поста', { error });
+            return this.client._handleError(error, null);
         }
     }
     
@@ -85,15 +83,14 @@ export class PostsManager {
      */
     async createWallPost(username, text, imagePath = null) {
         if (!await this.client.requireAuth()) {
-            console.error('Ошибка: необходимо войти в аккаунт');
-            return null;
+            return this.client._authRequired(null);
         }
         
         try {
             // Получаем профиль пользователя, чтобы получить его ID
             const profile = await this.client.users.getUserProfile(username);
             if (!profile || !profile.id) {
-                console.error(`Ошибка: не удалось получить профиль пользователя ${username}`);
+                this.client.logger.error('posts.createWallPost.profile_not_found', `Не удалось получить профиль пользователя ${username}`);
                 return null;
             }
             
@@ -113,7 +110,7 @@ export class PostsManager {
                 // Сначала загружаем файл через /api/files/upload
                 const uploadedFile = await this.client.files.uploadFile(imagePath);
                 if (!uploadedFile) {
-                    console.error('Ошибка: не удалось загрузить изображение');
+                    this.client.logger.error('posts.upload_image.failed', 'Не удалось загрузить изображение', { imagePath });
                     return null;
                 }
                 
@@ -125,21 +122,18 @@ export class PostsManager {
             // Создаем пост на стене; увеличенный таймаут для тяжёлых запросов
             const response = await this.axios.post(postUrl, postData, {
                 timeout: this.client.uploadTimeout ?? 120000,
+                itdRetry: false, // повтор после 5xx/таймаута может создать дубль поста
             });
 
             if (response.status === 200 || response.status === 201) {
-                return response.data;
+                return this.client._model('post', this.client.schema.entity('posts.createWallPost', 'post', response.data));
             } else {
-                console.error(`Ошибка создания поста на стене: ${response.status} - ${JSON.stringify(response.data)}`);
-                return null;
+                this.client.logger.error('posts.createWallPost.unexpected_status', 'Ошибка создания поста на стене', { status: response.status, data: response.data });
+                return this.client._handleError(errorFromResponse(response), null);
             }
         } catch (error) {
-            console.error('Исключение при создании поста на стене:', error.message);
-            if (error.response) {
-                console.error('Response status:', error.response.status);
-                console.error('Response data:', error.response.data);
-            }
-            return null;
+            this.client.logger.error('posts.createWallPost.failed', 'Исключение при создании поста на стене', { error });
+            return this.client._handleError(error, null);
         }
     }
     
@@ -161,8 +155,7 @@ export class PostsManager {
     async getPosts(username = null, limit = 20, sort = 'new', cursor = null, tab = null, type = null, filter = null) {
         // Если username не указан и tab указан, запрашиваем ленту - требуется авторизация
         if (!username && (tab || type || filter) && !await this.client.requireAuth()) {
-            console.error('Ошибка: необходимо войти в аккаунт для получения ленты');
-            return { posts: [], pagination: {} };
+            return this.client._authRequired({ posts: [], pagination: {} });
         }
         
         try {
@@ -198,35 +191,16 @@ export class PostsManager {
             const response = await this.axios.get(postsUrl, { params });
             
             if (response.status === 200) {
-                const data = response.data;
-                
                 // Реальная структура: { data: { posts: [...], pagination: {...} } }
-                if (data.data && data.data.posts) {
-                    return {
-                        posts: data.data.posts,
-                        pagination: data.data.pagination || {}
-                    };
-                }
-                
-                // Fallback для других возможных структур
-                if (Array.isArray(data)) {
-                    return { posts: data, pagination: {} };
-                } else if (data.posts && Array.isArray(data.posts)) {
-                    return { posts: data.posts, pagination: data.pagination || {} };
-                }
-                
-                return { posts: [], pagination: {} };
+                const { items, meta } = this.client.schema.list('posts.getPosts', 'post', response.data, 'posts');
+                return { posts: this.client._models('post', items), pagination: meta.pagination || {} };
             } else {
-                console.error(`Ошибка получения постов: ${response.status}`);
-                return { posts: [], pagination: {} };
+                this.client.logger.error('posts.getPosts.unexpected_status', 'Ошибка получения постов', { status: response.status, data: response.data });
+                return this.client._handleError(errorFromResponse(response), { posts: [], pagination: {} });
             }
         } catch (error) {
-            console.error('Исключение при получении постов:', error.message);
-            if (error.response) {
-                console.error('Response status:', error.response.status);
-                console.error('Response data:', error.response.data);
-            }
-            return { posts: [], pagination: {} };
+            this.client.logger.error('posts.getPosts.failed', 'Исключение при получении постов', { error });
+            return this.client._handleError(error, { posts: [], pagination: {} });
         }
     }
     
@@ -248,17 +222,13 @@ export class PostsManager {
             const response = await this.axios.get(url, { params });
 
             if (response.status === 200) {
-                const data = response.data;
-                const inner = data?.data ?? data;
-                return {
-                    posts: inner?.posts || [],
-                    pagination: inner?.pagination || {}
-                };
+                const { items, meta } = this.client.schema.list('posts.getLikedPosts', 'post', response.data, 'posts');
+                return { posts: this.client._models('post', items), pagination: meta.pagination || {} };
             }
-            return { posts: [], pagination: {} };
+            return this.client._handleError(errorFromResponse(response), { posts: [], pagination: {} });
         } catch (error) {
-            console.error('Ошибка получения лайкнутых постов:', error.message);
-            return { posts: [], pagination: {} };
+            this.client.logger.error('posts.getLikedPosts.failed', 'Ошибка получения лайкнутых постов', { error });
+            return this.client._handleError(error, { posts: [], pagination: {} });
         }
     }
 
@@ -282,8 +252,7 @@ export class PostsManager {
      */
     async getFeedFollowing(limit = 20, cursor = null) {
         if (!await this.client.requireAuth()) {
-            console.error('Ошибка: необходимо войти в аккаунт для получения ленты подписок');
-            return { posts: [], pagination: {} };
+            return this.client._authRequired({ posts: [], pagination: {} });
         }
         return await this.getPosts(null, limit, 'new', cursor, 'following');
     }
@@ -296,14 +265,14 @@ export class PostsManager {
      * @returns {Promise<boolean>} True если успешно
      */
     async viewPost(postId) {
-        if (!await this.client.requireAuth()) return false;
+        if (!await this.client.requireAuth()) return this.client._authRequired(false);
         try {
             const url = `${this.client.baseUrl}/api/posts/${postId}/view`;
             const response = await this.axios.post(url);
             return response.status === 200 || response.status === 201 || response.status === 204;
         } catch (error) {
-            console.error('Исключение при отметке просмотра:', error.message);
-            return false;
+            this.client.logger.error('posts.viewPost.failed', 'Исключение при отметке просмотра', { error });
+            return this.client._handleError(error, false);
         }
     }
 
@@ -322,19 +291,75 @@ export class PostsManager {
             if (cursor) params.cursor = cursor;
             const response = await this.axios.get(url, { params });
             if (response.status === 200) {
-                const data = response.data?.data ?? response.data;
-                return {
-                    posts: data?.posts || [],
-                    pagination: data?.pagination || {}
-                };
+                const { items, meta } = this.client.schema.list('posts.getWallByUser', 'post', response.data, 'posts');
+                return { posts: this.client._models('post', items), pagination: meta.pagination || {} };
             }
-            return { posts: [], pagination: {} };
+            return this.client._handleError(errorFromResponse(response), { posts: [], pagination: {} });
         } catch (error) {
-            console.error('Ошибка получения постов со стены:', error.message);
-            return { posts: [], pagination: {} };
+            this.client.logger.error('posts.getWallByUser.failed', 'Ошибка получения постов со стены', { error });
+            return this.client._handleError(error, { posts: [], pagination: {} });
         }
     }
 
+    /**
+     * Обход всех постов пользователя: for await (const post of client.posts.iterateUserPosts('nickname')).
+     *
+     * @param {string} username - Имя пользователя
+     * @param {Object} [options] - { limit (размер страницы), max, until, cursor } — см. Paginator; sort — как в getPosts
+     * @returns {Paginator} Асинхронный итератор постов
+     */
+    iterateUserPosts(username, options = {}) {
+        const { limit = 20, sort = 'new' } = options;
+        return new Paginator(async (cursor) => {
+            const result = await this.getPosts(username, limit, sort, cursor);
+            return result && { items: result.posts, next: nextCursorOf(result.pagination) };
+        }, options, this.client.logger);
+    }
+
+    /**
+     * Обход ленты. Без tab — обычная лента, tab: 'popular' | 'following' — как в getPosts.
+     *
+     * @param {Object} [options] - { limit (размер страницы), max, until, cursor } — см. Paginator; tab, sort — как в getPosts
+     * @returns {Paginator} Асинхронный итератор постов
+     */
+    iterateFeed(options = {}) {
+        const { limit = 20, sort = 'new', tab = null } = options;
+        return new Paginator(async (cursor) => {
+            const result = await this.getPosts(null, limit, sort, cursor, tab);
+            return result && { items: result.posts, next: nextCursorOf(result.pagination) };
+        }, options, this.client.logger);
+    }
+
+    /**
+     * Обход лайкнутых постов пользователя.
+     *
+     * @param {string} username - Имя пользователя
+     * @param {Object} [options] - { limit (размер страницы), max, until, cursor } — см. Paginator
+     * @returns {Paginator} Асинхронный итератор постов
+     */
+    iterateLikedPosts(username, options = {}) {
+        const { limit = 20 } = options;
+        return new Paginator(async (cursor) => {
+            const result = await this.getLikedPosts(username, limit, cursor);
+            return result && { items: result.posts, next: nextCursorOf(result.pagination) };
+        }, options, this.client.logger);
+    }
+
+    /**
+     * Обход постов на стене пользователя.
+     *
+     * @param {string} username - Имя пользователя
+     * @param {Object} [options] - { limit (размер страницы), max, until, cursor } — см. Paginator
+     * @returns {Paginator} Асинхронный итератор постов
+     */
+    iterateWall(username, options = {}) {
+        const { limit = 20 } = options;
+        return new Paginator(async (cursor) => {
+            const result = await this.getWallByUser(username, limit, cursor);
+            return result && { items: result.posts, next: nextCursorOf(result.pagination) };
+        }, options, this.client.logger);
+    }
+
     /**
      * Получает конкретный пост по ID
      * 
@@ -351,20 +376,15 @@ export class PostsManager {
             
             if (response.status === 200) {
                 // Структура ответа: { data: { id, content, comments: [...], ... } }
-                const post = response.data.data || response.data;
                 // Комментарии могут быть вложены в пост
-                return post;
+                return this.client._model('post', this.client.schema.entity('posts.getPost', 'post', response.data));
             } else {
-                console.error(`Ошибка получения поста: ${response.status}`);
-                return null;
+                this.client.logger.error('posts.getPost.unexpected_status', 'Ошибка получения поста', { status: response.status, data: response.data });
+                return this.client._handleError(errorFromResponse(response), null);
             }
         } catch (error) {
-            console.error('Исключение при получении поста:', error.message);
-            if (error.response) {
-                console.error('Response status:', error.response.status);
-                console.error('Response data:', error.response.data);
-            }
-            return null;
+            this.client.logger.error('posts.getPost.failed', 'Исключение при получении поста', { error });
+            return this.client._handleError(error, null);
         }
     }
     
@@ -377,8 +397,7 @@ export class PostsManager {
      */
     async editPost(postId, newContent) {
         if (!await this.client.requireAuth()) {
-            console.error('Ошибка: необходимо войти в аккаунт');
-            return null;
+            return this.client._authRequired(null);
         }
         
         try {
@@ -392,18 +411,14 @@ export class PostsManager {
             const response = await this.axios.put(editUrl, postData);
             
             if (response.status === 200) {
-                return response.data?.data ?? response.data;
+                return this.client._model('post', this.client.schema.entity('posts.editPost', 'post', response.data));
             } else {
-                console.error(`Ошибка редактирования поста: ${response.status} - ${JSON.stringify(response.data)}`);
-                return null;
+                this.client.logger.error('posts.editPost.unexpected_status', 'Ошибка редактирования поста', { status: response.status, data: response.data });
+                return this.client._handleError(errorFromResponse(response), null);
             }
         } catch (error) {
-            console.error('Исключение при редактировании поста:', error.message);
-            if (error.response) {
-                console.error('Response status:', error.response.status);
-                console.error('Response data:', error.response.data);
-            }
-            return null;
+            this.client.logger.error('posts.editPost.failed', 'Исключение при редактировании поста', { error });
+            return this.client._handleError(error, null);
         }
     }
     
@@ -415,8 +430,7 @@ export class PostsManager {
      */
     async deletePost(postId) {
         if (!await this.client.requireAuth()) {
-            console.error('Ошибка: необходимо войти в аккаунт');
-            return false;
+            return this.client._authRequired(false);
         }
         
         try {
@@ -427,10 +441,10 @@ export class PostsManager {
             if (response.status === 200 || response.status === 204) {
                 return true;
             }
-            return false;
+            return this.client._handleError(errorFromResponse(response), false);
         } catch (error) {
-            console.error('Исключение при удалении поста:', error.message);
-            return false;
+            this.client.logger.error('posts.deletePost.failed', 'Исключение при удалении поста', { error });
+            return this.client._handleError(error, false);
         }
     }
 
@@ -443,16 +457,15 @@ export class PostsManager {
      */
     async restorePost(postId) {
         if (!await this.client.requireAuth()) {
-            console.error('Ошибка: необходимо войти в аккаунт');
-            return false;
+            return this.client._authRequired(false);
         }
         try {
             const url = `${this.client.baseUrl}/api/posts/${postId}/restore`;
             const response = await this.axios.post(url);
             return response.status === 200 || response.status === 201 || response.status === 204;
         } catch (error) {
-            console.error('Исключение при восстановлении поста:', error.message);
-            return false;
+            this.client.logger.error('posts.restorePost.failed', 'Исключение при восстановлении поста', { error });
+            return this.client._handleError(error, false);
         }
     }
     
@@ -465,8 +478,7 @@ export class PostsManager {
      */
     async pinPost(postId) {
         if (!await this.client.requireAuth()) {
-            console.error('Ошибка: необходимо войти в аккаунт');
-            return false;
+            return this.client._authRequired(false);
         }
         try {
             const pinUrl = `${this.client.baseUrl}/api/posts/${postId}/pin`;
@@ -474,10 +486,10 @@ export class PostsManager {
             if (response.status === 200 || response.status === 201) {
                 return response.data?.success !== false;
             }
-            return false;
+            return this.client._handleError(errorFromResponse(response), false);
         } catch (error) {
-            console.error('Исключение при закреплении поста:', error.message);
-            return false;
+            this.client.logger.error('posts.pinPost.failed', 'Исключение при закреплении поста', { error });
+            return this.client._handleError(error, false);
         }
     }
 
@@ -490,8 +502,7 @@ export class PostsManager {
      */
     async unpinPost(postId) {
         if (!await this.client.requireAuth()) {
-            console.error('Ошибка: необходимо войти в аккаунт');
-            return false;
+            return this.client._authRequired(false);
         }
         try {
             const pinUrl = `${this.client.baseUrl}/api/posts/${postId}/pin`;
@@ -499,10 +510,10 @@ export class PostsManager {
             if (response.status === 200 || response.status === 204) {
                 return response.data?.success !== false;
             }
-            return false;
+            return this.client._handleError(errorFromResponse(response), false);
         } catch (error) {
-            console.error('Исключение при откреплении поста:', error.message);
-            return false;
+            this.client.logger.error('posts.unpinPost.failed', 'Исключение при откреплении поста', { error });
+            return this.client._handleError(error, false);
         }
     }
     
@@ -515,8 +526,7 @@ export class PostsManager {
      */
     async repost(postId, comment = null) {
         if (!await this.client.requireAuth()) {
-            console.error('Ошибка: необходимо войти в аккаунт');
-            return null;
+            return this.client._authRequired(null);
         }
         
         try {
@@ -527,24 +537,17 @@ export class PostsManager {
                 repostData.content = comment;
             }
             
-            const response = await this.axios.post(repostUrl, repostData);
+            const response = await this.axios.post(repostUrl, repostData, { itdRetry: false });
             
             if (response.status === 200 || response.status === 201) {
-                return response.data?.data ?? response.data;
+                return this.client._model('post', this.client.schema.entity('posts.repost', 'post', response.data));
             } else {
-                console.error(`Ошибка репоста: ${response.status}`);
-                if (response.data) {
-                    console.error('Response data:', response.data);
-                }
-                return null;
+                this.client.logger.error('posts.repost.unexpected_status', 'Ошибка репоста', { status: response.status, data: response.data });
+                return this.client._handleError(errorFromResponse(response), null);
             }
         } catch (error) {
-            console.error('Исключение при репосте:', error.message);
-            if (error.response) {
-                console.error('Response status:', error.response.status);
-                console.error('Response data:', error.response.data);
-            }
-            return null;
+            this.client.logger.error('posts.repost.failed', 'Исключение при репосте', { error });
+            return this.client._handleError(error, null);
         }
     }
     
@@ -582,13 +585,12 @@ export class PostsManager {
      */
     async getMyPosts(limit = 20, sort = 'new', cursor = null) {
         if (!await this.client.requireAuth()) {
-            console.error('Ошибка: необходимо войти в аккаунт для получения своих постов');
-            return { posts: [], pagination: {} };
+            return this.client._authRequired({ posts: [], pagination: {} });
         }
         // Получаем свой username из профиля
         const profile = await this.client.users.getMyProfile();
         if (!profile || !profile.username) {
-            console.error('Ошибка: не удалось получить свой username');
+            this.client.logger.error('posts.getMyPosts.profile_not_found', 'Не удалось получить свой username');
             return { posts: [], pagination: {} };
         }
         return await this.getPosts(profile.username, limit, sort, cursor);
@@ -0,0 +1,206 @@
+/**
+ * Клиентский rate limiter: token bucket на каждую группу эндпоинтов.
+ * Запросы сверх бюджета не падают, а ждут в очереди (FIFO) своей группы.
+ *
+ * Группы: reads (GET), writes (POST/PUT/PATCH/DELETE), uploads (/api/files/upload),
+ * auth (/api/v1/auth/* — refresh, logout, смена пароля).
+ */
+import { ITDQueueFullError } from './errors.js';
+
+/** Бюджеты по умолчанию: limit запросов за interval мс, burst — ёмкость ведра */
+export const DEFAULT_RATE_LIMITS = Object.freeze({
+    reads: Object.freeze({ limit: 10, interval: 1000 }),
+    writes: Object.freeze({ limit: 2, interval: 1000 }),
+    uploads: Object.freeze({ limit: 1, interval: 2000 }),
+    auth: Object.freeze({ limit: 1, interval: 5000 }),
+});
+
+const GROUPS = Object.keys(DEFAULT_RATE_LIMITS);
+
+/**
+ * Ведро токенов: ёмкость burst, пополнение limit токенов за interval мс.
+ */
+export class TokenBucket {
+    /**
+     * @param {Object} options
+     * @param {number} options.limit - Токенов за interval
+     * @param {number} options.interval - Интервал пополнения, мс
+     * @param {number} [options.burst] - Ёмкость ведра (по умолчанию limit)
+     */
+    constructor({ limit, interval, burst } = {}) {
+        if (!(limit > 0) || !(interval > 0)) {
+            throw new TypeError('TokenBucket: limit и interval должны быть положительными числами');
+        }
+        this.limit = limit;
+        this.interval = interval;
+        this.capacity = burst ?? limit;
+        this.tokens = this.capacity;
+        this._lastRefill = Date.now();
+    }
+
+    /** @private */
+    _refill() {
+        const now = Date.now();
+        const elapsed = now - this._lastRefill;
+        if (elapsed > 0) {
+            this.tokens = Math.min(this.capacity, this.tokens + (elapsed * this.limit) / this.interval);
+            this._lastRefill = now;
+        }
+    }
+
+    /**
+     * Забирает токен, если он есть.
+     * @returns {boolean}
+     */
+    tryTake() {
+        this._refill();
+        if (this.tokens >= 1) {
+            this.tokens -= 1;
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * Сколько мс ждать до появления целого токена.
+     * @returns {number}
+     */
+    msUntilToken() {
+        this._refill();
+        if (this.tokens >= 1) return 0;
+        return Math.ceil(((1 - this.tokens) * this.interval) / this.limit);
+    }
+}
+
+export class RateLimiter {
+    /**
+     * @param {Object} [options]
+     * @param {Object} [options.reads] - { limit, interval, burst } для GET-запросов
+     * @param {Object} [options.writes] - То же для POST/PUT/PATCH/DELETE
+     * @param {Object} [options.uploads] - То же для загрузки файлов
+     * @param {Object} [options.auth] - То же для /api/v1/auth/*
+     * @param {number} [options.maxQueue] - Максимум ожидающих запросов в группе (по умолчанию без ограничения); сверх — ошибка
+     */
+    constructor(options = {}) {
+        this.maxQueue = options.maxQueue ?? Infinity;
+        /** @type {Object<string, { bucket: TokenBucket, queue: Array, timer: any, pausedUntil: number }>} */
+        this.groups = {};
+        for (const name of GROUPS) {
+            const config = options[name] === false
+                ? null
+                : { ...DEFAULT_RATE_LIMITS[name], ...(options[name] || {}) };
+            this.groups[name] = {
+                bucket: config ? new TokenBucket(config) : null,
+                queue: [],
+                timer: null,
+                pausedUntil: 0,
+            };
+        }
+    }
+
+    /**
+     * Определяет группу запроса по методу и пути.
+     *
+     * @param {Object} config - Конфиг axios ({ method, url })
+     * @returns {'reads'|'writes'|'uploads'|'auth'}
+     */
+    classify(config) {
+        let pathname = String(config?.url || '');
+        try {
+            pathname = new URL(pathname, 'http://localhost').pathname;
+        } catch (e) {
+            // Оставляем как есть
+        }
+        if (pathname.startsWith('/api/v1/auth/')) return 'auth';
+        if (pathname.startsWith('/api/files/upload')) return 'uploads';
+        const method = (config?.method || 'get').toLowerCase();
+        return (method === 'get' || method === 'head' || method === 'options') ? 'reads' : 'writes';
+    }
+
+    /**
+     * Ждёт свободный токен в группе. Запросы обслуживаются в порядке очереди.
+     *
+     * @param {string} group - Имя группы
+     * @returns {Promise<void>}
+     */
+    acquire(group) {
+        const state = this.groups[group];
+        if (!state || !state.bucket) return Promise.resolve();
+        if (state.queue.length === 0 && Date.now() >= state.pausedUntil && state.bucket.tryTake()) {
+            return Promise.resolve();
+        }
+        if (state.queue.length >= this.maxQueue) {
+            return Promise.reject(new ITDQueueFullError(`RateLimiter: очередь группы ${group} переполнена (${this.maxQueue})`, { code: 'RATE_LIMIT_QUEUE_FULL' }));
+        }
+        return new Promise((resolve) => {
+            state.queue.push(resolve);
+            this._schedule(group);
+        });
+    }
+
+    /**
+     * Приостанавливает группу (например, после 429 с Retry-After).
+     *
+     * @param {string} group - Имя группы
+     * @param {number} ms - Длительность паузы, мс
+     */
+    pause(group, ms) {
+        const state = this.groups[group];
+        if (!state || !(ms > 0)) return;
+        state.pausedUntil = Math.max(state.pausedUntil, Date.now() + ms);
+        if (state.queue.length > 0) {
+            clearTimeout(state.timer);
+            state.timer = null;
+            this._schedule(group);
+        }
+    }
+
+    /** @private */
+    _schedule(group) {
+        const state = this.groups[group];
+        if (state.timer) return;
+        const pauseLeft = state.pausedUntil - Date.now();
+        const wait = pauseLeft > 0 ? pauseLeft : state.bucket.msUntilToken();
+        state.timer = setTimeout(() => {
+            state.timer = null;
+            this._drain(group);
+        }, wait);
+    }
+
+    /** @private */
+    _drain(group) {
+        const state = this.groups[group];
+        while (state.queue.length > 0 && Date.now() >= state.pausedUntil && state.bucket.tryTake()) {
+            const resolve = state.queue.shift();
+            resolve();
+        }
+        if (state.queue.length > 0) {
+            this._schedule(group);
+        }
+    }
+
+    /**
+     * Текущее состояние бюджетов.
+     *
+     * @returns {Object<string, { limit: number, interval: number, capacity: number, available: number, queued: number, pausedUntil: Date|null }|null>}
+     */
+    getState() {
+        const result = {};
+        for (const [name, state] of Object.entries(this.groups)) {
+            if (!state.bucket) {
+                result[name] = null;
+                continue;
+            }
+            state.bucket._refill();
+            result[name] = {
+                limit: state.bucket.limit,
+                interval: state.bucket.interval,
+                capacity: state.bucket.capacity,
+                available: Math.floor(state.bucket.tokens),
+                queued: state.queue.length,
+                pausedUntil: state.pausedUntil > Date.now() ? new Date(state.pausedUntil) : null,
+            };
+        }
+        return result;
+    }
+}
@@ -1,6 +1,9 @@
 /**
  * Менеджер для работы с репортами (жалобами)
  */
+import { errorFromResponse } from './errors.js';
+import { unwrapEnvelope } from './schema.js';
+
 export class ReportsManager {
     constructor(client) {
         this.client = client;
@@ -19,8 +22,7 @@ export class ReportsManager {
      */
     async report(targetType, targetId, reason = 'other', description = '') {
         if (!await this.client.requireAuth()) {
-            console.error('Ошибка: необходимо войти в аккаунт для отправки репорта');
-            return null;
+            return this.client._authRequired(null);
         }
 
         try {
@@ -35,28 +37,18 @@ export class ReportsManager {
                 payload.description = description;
             }
 
-            const response = await this.axios.post(reportUrl, payload);
+            const response = await this.axios.post(reportUrl, payload, { itdRetry: false });
 
             if (response.status === 200 || response.status === 201) {
                 // Структура ответа: { data: { id, createdAt } }
-                if (response.data && response.data.data) {
-                    return response.data.data;
-                }
-                return response.data || { success: true };
+                return unwrapEnvelope(response.data) || { success: true };
             } else {
-                console.error(`Ошибка отправки репорта: ${response.status}`);
-                if (response.data) {
-                    console.error('Response data:', response.data);
-                }
-                return null;
+                this.client.logger.error('reports.report.unexpected_status', 'Ошибка отправки репорта', { status: response.status, data: response.data });
+                return this.client._handleError(errorFromResponse(response), null);
             }
         } catch (error) {
-            console.error('Исключение при отправке репорта:', error.message);
-            if (error.response) {
-                console.error('Response status:', error.response.status);
-                console.error('Response data:', error.response.data);
-            }
-            return null;
+            this.client.logger.error('reports.report.failed', 'Исключение при отправке репорта', { error });
+            return this.client._handleError(error, null);
         }
     }
 
@@ -0,0 +1,111 @@
+/**
+ * Политика повторов запросов при 429/5xx и сетевых ошибках.
+ * Используется interceptor'ом ITDClient: повтор происходит внутри axios-пайплайна,
+ * поэтому работает для всех менеджеров и кастомных client.get/post/...
+ */
+import { parseRetryAfter } from './errors.js';
+
+/** Значения по умолчанию для опции retry */
+export const DEFAULT_RETRY_POLICY = Object.freeze({
+    /** Максимум повторов (не считая первой попытки) */
+    retries: 3,
+    /** Базовая задержка перед первым повтором, мс */
+    minDelay: 500,
+    /** Верхняя граница задержки, мс */
+    maxDelay: 30000,
+    /** Множитель экспоненты: minDelay * factor^attempt */
+    factor: 2,
+    /** Full jitter: случайная задержка в [0, рассчитанная] — чтобы боты не долбили API синхронно */
+    jitter: true,
+    /** HTTP-статусы, при которых повторяем */
+    statuses: [429, 500, 502, 503, 504],
+    /**
+     * Методы, которые повторяются при любой ошибке из statuses и при сетевых ошибках. Остальные (POST, PATCH)
+     * сервер мог уже выполнить — их повторяем только при 429 с Retry-After, когда запрос точно отклонён
+     */
+    methods: ['get', 'head', 'options', 'put', 'delete'],
+    /** Повторять ли при сетевых ошибках (таймаут, ECONNRESET и т.п.) */
+    retryNetworkErrors: true,
+    /** Если Retry-After больше этого значения (мс) — не ждём, а сразу отдаём ошибку */
+    maxRetryAfter: 120000,
+});
+
+/**
+ * Нормализует опцию retry клиента.
+ *
+ * @param {boolean|Object|undefined|null} option - false — выключить; true/undefined — по умолчанию; объект — переопределения
+ * @returns {Object|null} Политика или null, если повторы выключены
+ */
+export function normalizeRetryPolicy(option) {
+    if (option === false) return null;
+    if (option == null || option === true) return { ...DEFAULT_RETRY_POLICY };
+    if (typeof option !== 'object') {
+        throw new TypeError('ITDClient: опция retry должна быть boolean или объектом');
+    }
+    return { ...DEFAULT_RETRY_POLICY, ...option };
+}
+
+/**
+ * Политика для конкретного запроса с учётом config.itdRetry.
+ * itdRetry: false — запрос не повторяется (неидемпотентные записи: createPost, addComment и т.п.);
+ * itdRetry: { ... } — переопределения поверх политики клиента.
+ *
+ * @param {Object|null} clientPolicy - Политика клиента (normalizeRetryPolicy)
+ * @param {boolean|Object|undefined} requestOption - config.itdRetry
+ * @returns {Object|null}
+ */
+export function resolveRequestPolicy(clientPolicy, requestOption) {
+    if (requestOption === false) return null;
+    if (requestOption && typeof requestOption === 'object') {
+        return { ...(clientPolicy ?? DEFAULT_RETRY_POLICY), ...requestOption };
+    }
+    return clientPolicy;
+}
+
+/**
+ * Можно ли повторить запрос, завершившийся этой ошибкой. Неидемпотентный метод (не из policy.methods) —
+ * только при 429 с Retry-After. Запрос с config.itdFailover (вызов пула зеркал, который пул перенесёт
+ * на другой аккаунт) после 429 не повторяется.
+ *
+ * @param {Error} error - Ошибка axios
+ * @param {Object} policy - Политика повторов
+ * @returns {boolean}
+ */
+export function isRetryableError(error, policy) {
+    if (error?.code === 'ERR_CANCELED') return false;
+    const status = error?.response?.status;
+    if (status === 429 && error.config?.itdFailover) return false;
+    const method = String(error?.config?.method ?? 'get').toLowerCase();
+    if (!policy.methods.includes(method)) {
+        return status === 429 && policy.statuses.includes(429)
+            && parseRetryAfter(error.response.headers?.['retry-after']) != null;
+    }
+    if (status) return policy.statuses.includes(status);
+    return !!policy.retryNetworkErrors && !!error?.request;
+}
+
+/**
+ * Задержка перед повтором номер attempt (0 — первый повтор).
+ * Для 429/503 с заголовком Retry-After используется он (но не больше maxRetryAfter).
+ *
+ * @param {Error} error - Ошибка axios
+ * @param {Object} policy - Политика повторов
+ * @param {number} attempt - Номер повтора, начиная с 0
+ * @returns {number|null} Задержка в мс или null — повтор не делать (Retry-After слишком большой)
+ */
+export function computeRetryDelay(error, policy, attempt) {
+    const retryAfter = parseRetryAfter(error?.response?.headers?.['retry-after']);
+    if (retryAfter != null) {
+        return retryAfter > policy.maxRetryAfter ? null : retryAfter;
+    }
+    const exp = Math.min(policy.maxDelay, policy.minDelay * Math.pow(policy.factor, attempt));
+    return policy.jitter ? Math.round(Math.random() * exp) : exp;
+}
+
+/**
+ * @param {number} ms
+ * @returns {Promise<void>}
+ */
+export function sleep(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+}
@@ -0,0 +1,198 @@
+/**
+ * Единый разбор ответов API: снятие конверта { data: ... }, извлечение списков и проверка
+ * формы постов, комментариев, пользователей и уведомлений.
+ *
+ * API итд.com неофициальный и меняется без предупреждения. Вместо того чтобы молча вернуть
+ * пустой список, SDK сообщает о расхождении (schema drift): событие клиента 'schemaDrift',
+ * хук schema.onDrift и предупреждение в логгер (один раз на метод и поле).
+ */
+
+/**
+ * Ожидаемые поля сущностей. Тип с «?» — поле необязательное (может отсутствовать или быть null).
+ * 'id' — строка или число. Лишние поля не считаются расхождением.
+ */
+export const SCHEMAS = Object.freeze({
+    post: Object.freeze({
+        id: 'id',
+        content: 'string?',
+        author: 'object?',
+        attachments: 'array?',
+        likesCount: 'number?',
+        commentsCount: 'number?',
+        repostsCount: 'number?',
+        viewsCount: 'number?',
+        isLiked: 'boolean?',
+        createdAt: 'string?',
+    }),
+    comment: Object.freeze({
+        id: 'id',
+        content: 'string?',
+        author: 'object?',
+        likesCount: 'number?',
+        repliesCount: 'number?',
+        replies: 'array?',
+        createdAt: 'string?',
+    }),
+    user: Object.freeze({
+        id: 'id?',
+        username: 'string',
+        displayName: 'string?',
+        avatar: 'string?',
+        followersCount: 'number?',
+        followingCount: 'number?',
+        postsCount: 'number?',
+        isFollowing: 'boolean?',
+    }),
+    notification: Object.freeze({
+        id: 'id',
+        type: 'string',
+        targetId: 'id?',
+        actor: 'object?',
+        read: 'boolean?',
+        createdAt: 'string?',
+    }),
+});
+
+/**
+ * Тип значения для сообщений о расхождении.
+ * @private
+ */
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    return typeof value;
+}
+
+/**
+ * Соответствует ли значение типу схемы.
+ * @private
+ */
+function matches(value, type) {
+    const optional = type.endsWith('?');
+    const base = optional ? type.slice(0, -1) : type;
+    if (value === undefined || value === null) return optional;
+    if (base === 'id') return typeof value === 'string' || typeof value === 'number';
+    return typeOf(value) === base;
+}
+
+/**
+ * Снимает конверт { data: ... }, если он есть.
+ *
+ * @param {*} body - Тело ответа
+ * @returns {*}
+ */
+export function unwrapEnvelope(body) {
+    if (body && typeof body === 'object' && !Array.isArray(body) && body.data && typeof body.data === 'object') {
+        return body.data;
+    }
+    return body;
+}
+
+/**
+ * Проверяет объект по схеме сущности.
+ *
+ * @param {'post'|'comment'|'user'|'notification'} entity - Сущность
+ * @param {*} value - Объект из ответа
+ * @param {string} [path] - Путь для сообщений (например posts[0])
+ * @returns {Array<{ path: string, expected: string, actual: string }>} Расхождения (пусто — форма ожидаемая)
+ */
+export function validateEntity(entity, value, path = entity) {
+    if (typeOf(value) !== 'object') {
+        return [{ path, expected: 'object', actual: typeOf(value) }];
+    }
+    const issues = [];
+    for (const [field, type] of Object.entries(SCHEMAS[entity])) {
+        if (!matches(value[field], type)) {
+            issues.push({ path: `${path}.${field}`, expected: type, actual: typeOf(value[field]) });
+        }
+    }
+    return issues;
+}
+
+export class SchemaValidator {
+    /**
+     * @param {Object} [options]
+     * @param {boolean} [options.validate] - Проверять форму сущностей (по умолчанию true); конверты снимаются всегда
+     * @param {function(Object): void} [options.onDrift] - Вызывается на каждое расхождение
+     * @param {Logger} [options.logger] - Куда писать предупреждения
+     * @param {EventEmitter} [options.emitter] - Клиент: событие 'schemaDrift'
+     */
+    constructor(options = {}) {
+        this.validate = options.validate !== false;
+        this.onDrift = options.onDrift ?? null;
+        this._logger = options.logger ?? null;
+        this._emitter = options.emitter ?? null;
+        /** Уже сообщённые расхождения (метод + поле) — чтобы не засорять лог на каждом запросе */
+        this._reported = new Set();
+    }
+
+    /**
+     * Одна сущность из ответа: снимает конверт и проверяет форму.
+     *
+     * @param {string} method - Метод SDK для сообщений (например 'posts.getPost')
+     * @param {'post'|'comment'|'user'|'notification'|null} entity - Сущность для проверки (null — только снять конверт)
+     * @param {*} body - Тело ответа
+     * @returns {Object|null} Объект сущности или null, если ответ не объект
+     */
+    entity(method, entity, body) {
+        const value = unwrapEnvelope(body);
+        if (typeOf(value) !== 'object') {
+            this._report(method, [{ path: entity ?? 'response', expected: 'object', actual: typeOf(value) }], body);
+            return null;
+        }
+        if (entity && this.validate) {
+            this._report(method, validateEntity(entity, value), body);
+        }
+        return value;
+    }
+
+    /**
+     * Список из ответа: { data: { <key>: [...] } }, { <key>: [...] } или просто массив.
+     *
+     * @param {string} method - Метод SDK для сообщений
+     * @param {'post'|'comment'|'user'|'notification'|null} entity - Сущность элементов (null — без проверки)
+     * @param {*} body - Тело ответа
+     * @param {string} key - Поле со списком (posts, comments, users, ...)
+     * @returns {{ items: Array, meta: Object }} items — элементы, meta — объект рядом со списком (pagination, hasMore, total, nextCursor)
+     */
+    list(method, entity, body, key) {
+        const container = unwrapEnvelope(body);
+        let items;
+        let meta = {};
+        if (Array.isArray(container)) {
+            items = container;
+        } else if (container && Array.isArray(container[key])) {
+            items = container[key];
+            meta = container;
+        } else {
+            this._report(method, [{ path: key, expected: 'array', actual: typeOf(container?.[key]) }], body);
+            return { items: [], meta: container && typeof container === 'object' ? container : {} };
+        }
+        if (entity && this.validate) {
+            const issues = [];
+            items.forEach((item, index) => issues.push(...validateEntity(entity, item, `${key}[${index}]`)));
+            this._report(method, issues, body);
+        }
+        return { items, meta };
+    }
+
+    /** @private */
+    _report(method, issues, body) {
+        for (const issue of issues) {
+            // Индексы элементов не важны: posts[3].id и posts[7].id — одно расхождение
+            const key = `${method}:${issue.path.replace(/\[\d+\]/g, '[]')}:${issue.actual}`;
+            if (this._reported.has(key)) continue;
+            this._reported.add(key);
+            const drift = { method, ...issue, body };
+            this._logger?.warn('schema.drift', `Ответ API не совпал с ожидаемой формой: ${issue.path} — ожидалось ${issue.expected}, пришло ${issue.actual}`, { method, path: issue.path });
+            if (this.onDrift) {
+                try {
+                    this.onDrift(drift);
+                } catch (error) {
+                    this._logger?.error('schema.on_drift.failed', 'Ошибка в обработчике onDrift', { error });
+                }
+            }
+            this._emitter?.emit('schemaDrift', drift);
+        }
+    }
+}
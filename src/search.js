@@ -1,6 +1,8 @@
 /**
  * Менеджер для работы с поиском
  */
+import { errorFromResponse } from './errors.js';
+
 export class SearchManager {
     constructor(client) {
         this.client = client;
@@ -27,36 +29,20 @@ export class SearchManager {
             const response = await this.axios.get(searchUrl, { params });
 
             if (response.status === 200) {
-                const data = response.data;
-                
                 // Структура ответа: { data: { users: [], hashtags: [] } }
-                if (data.data) {
-                    return {
-                        users: data.data.users || [],
-                        hashtags: data.data.hashtags || []
-                    };
-                }
-                
-                // Fallback
-                if (data.users || data.hashtags) {
-                    return {
-                        users: data.users || [],
-                        hashtags: data.hashtags || []
-                    };
-                }
-                
-                return { users: [], hashtags: [] };
+                const users = this.client.schema.list('search.search', 'user', response.data, 'users').items;
+                const hashtags = this.client.schema.list('search.search', null, response.data, 'hashtags').items;
+                return {
+                    users: this.client._models('user', users),
+                    hashtags: this.client._models('hashtag', hashtags)
+                };
             } else {
-                console.error(`Ошибка поиска: ${response.status}`);
-                return null;
+                this.client.logger.error('search.search.unexpected_status', 'Ошибка поиска', { status: response.status, data: response.data });
+                return this.client._handleError(errorFromResponse(response), null);
             }
         } catch (error) {
-            console.error('Исключение при поиске:', error.message);
-            if (error.response) {
-                console.error('Response status:', error.response.status);
-                console.error('Response data:', error.response.data);
-            }
-            return null;
+            this.client.logger.error('search.search.failed', 'Исключение при поиске', { error });
+            return this.client._handleError(error, null);
         }
     }
 
@@ -0,0 +1,186 @@
+/**
+ * Хранилища сессии: где клиент берёт и куда сохраняет accessToken и cookies (refresh_token).
+ *
+ * Интерфейс хранилища (свой — например, поверх БД или Redis):
+ *   async load() → { accessToken: string|null, cookies: string|null } | null
+ *   async save({ accessToken?, cookies? }) — частичное обновление: отсутствующие поля не меняются
+ * cookies — строка в формате заголовка Cookie ("name=value; name2=value2"), как в файле .cookies.
+ * Необязательное поле lockPath — путь к lock-файлу для опции клиента refreshLock (межпроцессный refresh).
+ *
+ * Файловые хранилища принимают { encryption } — как опция клиента storageEncryption (см. storage-crypto.js).
+ */
+import fs from 'fs';
+import path from 'path';
+import { saveAccessToken, saveCookieHeader, writeFileAtomic } from './token-storage.js';
+import { defaultLogger } from './logger.js';
+import { createStorageCipher, decryptIfNeeded, encryptIfEnabled } from './storage-crypto.js';
+
+/**
+ * Приводит сессию к виду { accessToken, cookies } (пустые значения → null).
+ * @private
+ */
+function normalizeSession(session) {
+    return {
+        accessToken: session?.accessToken || null,
+        cookies: session?.cookies?.trim() || null,
+    };
+}
+
+/**
+ * Читает файл или возвращает null, если его нет.
+ * @private
+ */
+function readFileIfExists(filePath) {
+    try {
+        return fs.readFileSync(filePath, 'utf8');
+    } catch (e) {
+        if (e.code === 'ENOENT') return null;
+        throw e;
+    }
+}
+
+/**
+ * Сессия только в памяти процесса: ничего не пишет на диск (read-only контейнеры, тесты).
+ */
+export class MemorySessionStore {
+    /**
+     * @param {Object} [initial] - Начальная сессия { accessToken, cookies }
+     */
+    constructor(initial = {}) {
+        this.session = normalizeSession(initial);
+    }
+
+    async load() {
+        return { ...this.session };
+    }
+
+    async save(session) {
+        if (session.accessToken !== undefined) this.session.accessToken = session.accessToken || null;
+        if (session.cookies !== undefined) this.session.cookies = session.cookies || null;
+    }
+}
+
+/**
+ * Сессия в одном JSON-файле: { "accessToken": "...", "cookies": "refresh_token=...", "updatedAt": "..." }.
+ */
+export class JsonFileSessionStore {
+    /**
+     * @param {string} filePath - Путь к JSON-файлу (создаётся при первом сохранении)
+     * @param {Object} [options]
+     * @param {boolean|Object} [options.encryption] - Шифрование файла (по умолчанию — если задан ITD_STORAGE_KEY)
+     */
+    constructor(filePath, options = {}) {
+        if (!filePath) {
+            throw new TypeError('JsonFileSessionStore: укажите путь к файлу');
+        }
+        this.filePath = path.resolve(filePath);
+        this.lockPath = `${this.filePath}.lock`;
+        this.cipher = createStorageCipher(options.encryption);
+    }
+
+    async load() {
+        const raw = decryptIfNeeded(readFileIfExists(this.filePath), this.cipher);
+        if (raw == null || !raw.trim()) return null;
+        try {
+            return normalizeSession(JSON.parse(raw));
+        } catch (e) {
+            throw new Error(`JsonFileSessionStore: файл ${this.filePath} не является валидным JSON`);
+        }
+    }
+
+    async save(session) {
+        const current = (await this.load()) ?? normalizeSession({});
+        const next = normalizeSession({ ...current, ...session });
+        const json = JSON.stringify({ ...next, updatedAt: new Date().toISOString() }, null, 2) + '\n';
+        writeFileAtomic(this.filePath, encryptIfEnabled(json, this.cipher));
+    }
+}
+
+/**
+ * Сессия в каталоге, по файлу на значение: <dir>/access_token и <dir>/cookies.
+ * Удобно для секретов, смонтированных в контейнер каталогом (Docker/Kubernetes secrets).
+ */
+export class DirectorySessionStore {
+    /**
+     * @param {string} dir - Каталог (создаётся при первом сохранении)
+     * @param {Object} [options]
+     * @param {boolean|Object} [options.encryption] - Шифрование файлов (по умолчанию — если задан ITD_STORAGE_KEY)
+     */
+    constructor(dir, options = {}) {
+        if (!dir) {
+            throw new TypeError('DirectorySessionStore: укажите каталог');
+        }
+        this.dir = path.resolve(dir);
+        this.accessTokenPath = path.join(this.dir, 'access_token');
+        this.cookiesPath = path.join(this.dir, 'cookies');
+        this.lockPath = path.join(this.dir, '.lock');
+        this.cipher = createStorageCipher(options.encryption);
+    }
+
+    async load() {
+        const accessToken = decryptIfNeeded(readFileIfExists(this.accessTokenPath)?.trim() ?? null, this.cipher);
+        const cookies = decryptIfNeeded(readFileIfExists(this.cookiesPath), this.cipher);
+        if (accessToken == null && cookies == null) return null;
+        return normalizeSession({ accessToken: accessToken?.trim(), cookies });
+    }
+
+    async save(session) {
+        if (session.accessToken !== undefined) {
+            writeFileAtomic(this.accessTokenPath, encryptIfEnabled(session.accessToken || '', this.cipher));
+        }
+        if (session.cookies !== undefined) {
+            writeFileAtomic(this.cookiesPath, encryptIfEnabled(session.cookies || '', this.cipher));
+        }
+    }
+}
+
+/**
+ * Поведение по умолчанию: ITD_ACCESS_TOKEN в .env и cookies в .cookies (через token-storage).
+ * Клиент без опции sessionStore читает эти файлы сам при создании; хранилище используется для сохранения при refresh.
+ */
+export class EnvFileSessionStore {
+    /**
+     * @param {Object} options
+     * @param {string} options.envPath - Путь к .env
+     * @param {string} options.cookiesPath - Путь к .cookies
+     * @param {Logger} [options.logger] - Логгер для сообщений о сохранении
+     * @param {boolean|Object} [options.encryption] - Шифрование ITD_ACCESS_TOKEN и .cookies (по умолчанию — если задан ITD_STORAGE_KEY)
+     */
+    constructor({ envPath, cookiesPath, logger = defaultLogger, encryption }) {
+        this.envPath = envPath;
+        this.cookiesPath = cookiesPath;
+        this.lockPath = `${cookiesPath}.lock`;
+        this.logger = logger;
+        this.cipher = createStorageCipher(encryption);
+    }
+
+    async load() {
+        const env = readFileIfExists(this.envPath);
+        const cookies = readFileIfExists(this.cookiesPath);
+        if (env == null && cookies == null) return null;
+        const match = env?.match(/^ITD_ACCESS_TOKEN=(.*)$/m);
+        return normalizeSession({
+            accessToken: decryptIfNeeded(match?.[1]?.trim() ?? null, this.cipher),
+            cookies: decryptIfNeeded(cookies, this.cipher),
+        });
+    }
+
+    async save(session) {
+        if (session.accessToken !== undefined) {
+            await saveAccessToken(session.accessToken || '', this.envPath, this.logger, this.cipher);
+        }
+        if (session.cookies !== undefined) {
+            await saveCookieHeader(session.cookies || '', this.cookiesPath, this.logger, this.cipher);
+        }
+    }
+}
+
+/**
+ * Проверяет, что объект реализует интерфейс хранилища.
+ *
+ * @param {*} store
+ * @returns {boolean}
+ */
+export function isSessionStore(store) {
+    return !!store && typeof store.load === 'function' && typeof store.save === 'function';
+}
@@ -0,0 +1,225 @@
+/**
+ * Шифрование сессии на диске: refresh_token в .cookies по сути равен паролю аккаунта.
+ * AES-256-GCM (аутентифицированное шифрование), ключ — scrypt от секрета и случайной соли.
+ *
+ * Формат значения: itd-enc:v1:<salt>:<iv>:<tag>:<ciphertext> (base64).
+ * Зашифрованные значения распознаются по префиксу, поэтому чтение прозрачно:
+ * открытый текст читается как раньше, зашифрованный — расшифровывается.
+ *
+ * Секрет: опция { key } / { keyFile } или переменные окружения ITD_STORAGE_KEY / ITD_STORAGE_KEY_FILE.
+ */
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { writeFileAtomic } from './token-storage.js';
+
+export const ENCRYPTED_PREFIX = 'itd-enc:v1:';
+
+const ALGORITHM = 'aes-256-gcm';
+const KEY_LENGTH = 32;
+const SALT_LENGTH = 16;
+const IV_LENGTH = 12;
+
+/**
+ * Зашифровано ли значение форматом SDK.
+ *
+ * @param {*} text
+ * @returns {boolean}
+ */
+export function isEncrypted(text) {
+    return typeof text === 'string' && text.trim().startsWith(ENCRYPTED_PREFIX);
+}
+
+export class StorageCipher {
+    /**
+     * @param {string|Buffer} secret - Секрет (пароль или случайная строка из ITD_STORAGE_KEY)
+     */
+    constructor(secret) {
+        if (!secret || !secret.length) {
+            throw new TypeError('StorageCipher: пустой ключ шифрования');
+        }
+        this._secret = Buffer.from(secret);
+        /** Производные ключи по соли: scrypt медленный намеренно, считаем один раз */
+        this._keys = new Map();
+        /** Соль для новых записей — одна на экземпляр */
+        this._salt = crypto.randomBytes(SALT_LENGTH);
+    }
+
+    /** @private */
+    _key(salt) {
+        const id = salt.toString('base64');
+        let key = this._keys.get(id);
+        if (!key) {
+            key = crypto.scryptSync(this._secret, salt, KEY_LENGTH);
+            this._keys.set(id, key);
+        }
+        return key;
+    }
+
+    /**
+     * @param {string} plaintext
+     * @returns {string} itd-enc:v1:...
+     */
+    encrypt(plaintext) {
+        const iv = crypto.randomBytes(IV_LENGTH);
+        const cipher = crypto.createCipheriv(ALGORITHM, this._key(this._salt), iv);
+        const ciphertext = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
+        const tag = cipher.getAuthTag();
+        return ENCRYPTED_PREFIX + [this._salt, iv, tag, ciphertext].map((b) => b.toString('base64')).join(':');
+    }
+
+    /**
+     * Расшифровывает значение; открытый текст возвращается как есть.
+     *
+     * @param {string} text
+     * @returns {string}
+     */
+    decrypt(text) {
+        if (!isEncrypted(text)) return text;
+        const parts = text.trim().slice(ENCRYPTED_PREFIX.length).split(':');
+        if (parts.length !== 4) {
+            throw new Error('StorageCipher: повреждённое зашифрованное значение');
+        }
+        const [salt, iv, tag, ciphertext] = parts.map((p) => Buffer.from(p, 'base64'));
+        try {
+            const decipher = crypto.createDecipheriv(ALGORITHM, this._key(salt), iv);
+            decipher.setAuthTag(tag);
+            return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+        } catch (e) {
+            throw new Error('StorageCipher: не удалось расшифровать — неверный ключ или данные повреждены');
+        }
+    }
+}
+
+/**
+ * Секрет из опций или окружения.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.key] - Секрет
+ * @param {string} [options.keyFile] - Путь к файлу с секретом
+ * @returns {string|null}
+ */
+export function readStorageKey(options = {}) {
+    if (options.key) return String(options.key);
+    if (options.keyFile) return readKeyFile(options.keyFile);
+    if (process.env.ITD_STORAGE_KEY) return process.env.ITD_STORAGE_KEY;
+    if (process.env.ITD_STORAGE_KEY_FILE) return readKeyFile(process.env.ITD_STORAGE_KEY_FILE);
+    return null;
+}
+
+/** @private */
+function readKeyFile(keyFile) {
+    const key = fs.readFileSync(keyFile, 'utf8').trim();
+    if (!key) throw new Error(`Файл ключа шифрования пуст: ${keyFile}`);
+    return key;
+}
+
+/** Один шифр на секрет — чтобы клиенты пула не считали scrypt заново */
+const ciphers = new Map();
+
+/**
+ * Создаёт шифр по опции storageEncryption.
+ *
+ * @param {undefined|boolean|Object|StorageCipher} option
+ *   - undefined — шифровать, если задан ITD_STORAGE_KEY или ITD_STORAGE_KEY_FILE, иначе нет;
+ *   - false — не шифровать (зашифрованные файлы при этом не читаются);
+ *   - true — ключ из окружения обязателен;
+ *   - { key } | { keyFile } — явный ключ;
+ *   - StorageCipher — готовый экземпляр.
+ * @returns {StorageCipher|null}
+ */
+export function createStorageCipher(option) {
+    if (option === false) return null;
+    if (option instanceof StorageCipher) return option;
+    if (option != null && option !== true && typeof option !== 'object') {
+        throw new TypeError('storageEncryption должен быть boolean, { key } или { keyFile }');
+    }
+    const secret = readStorageKey(option && typeof option === 'object' ? option : {});
+    if (!secret) {
+        if (option == null) return null;
+        throw new TypeError('storageEncryption: нет ключа — задайте ITD_STORAGE_KEY, ITD_STORAGE_KEY_FILE или { key } / { keyFile }');
+    }
+    let cipher = ciphers.get(secret);
+    if (!cipher) {
+        cipher = new StorageCipher(secret);
+        ciphers.set(secret, cipher);
+    }
+    return cipher;
+}
+
+/**
+ * Расшифровывает значение, если оно зашифровано.
+ *
+ * @param {string|null} text
+ * @param {StorageCipher|null} cipher
+ * @returns {string|null}
+ */
+export function decryptIfNeeded(text, cipher) {
+    if (!isEncrypted(text)) return text;
+    if (!cipher) {
+        throw new Error('Данные зашифрованы (itd-enc): задайте ITD_STORAGE_KEY или ITD_STORAGE_KEY_FILE');
+    }
+    return cipher.decrypt(text);
+}
+
+/**
+ * Шифрует значение, если шифрование включено (пустые строки не шифруются).
+ *
+ * @param {string} text
+ * @param {StorageCipher|null} cipher
+ * @returns {string}
+ */
+export function encryptIfEnabled(text, cipher) {
+    return cipher && text ? cipher.encrypt(text) : text;
+}
+
+/**
+ * Шифрует существующие файлы сессии на месте.
+ * Файлы .env* — шифруется только значение ITD_ACCESS_TOKEN (остальное читает dotenv);
+ * остальные (.cookies, .cookies.mirrors, JSON-хранилища, файлы DirectorySessionStore) — целиком.
+ *
+ * @param {string[]} filePaths - Пути к файлам
+ * @param {boolean|Object|StorageCipher} [option] - Как storageEncryption; ключ обязателен
+ * @returns {Promise<Array<{ path: string, status: 'encrypted'|'already'|'missing'|'empty' }>>}
+ */
+export async function migrateToEncrypted(filePaths, option = true) {
+    const cipher = createStorageCipher(option ?? true);
+    if (!cipher) {
+        throw new TypeError('migrateToEncrypted: нужен ключ шифрования');
+    }
+    const results = [];
+    for (const filePath of filePaths) {
+        if (!fs.existsSync(filePath)) {
+            results.push({ path: filePath, status: 'missing' });
+            continue;
+        }
+        const content = fs.readFileSync(filePath, 'utf8');
+        let next;
+        if (path.basename(filePath).startsWith('.env')) {
+            const match = content.match(/^ITD_ACCESS_TOKEN=(.*)$/m);
+            const value = match?.[1]?.trim();
+            if (!value) {
+                results.push({ path: filePath, status: 'empty' });
+                continue;
+            }
+            if (isEncrypted(value)) {
+                results.push({ path: filePath, status: 'already' });
+                continue;
+            }
+            next = content.replace(/^ITD_ACCESS_TOKEN=.*$/m, `ITD_ACCESS_TOKEN=${cipher.encrypt(value)}`);
+        } else {
+            if (!content.trim()) {
+                results.push({ path: filePath, status: 'empty' });
+                continue;
+            }
+            if (isEncrypted(content)) {
+                results.push({ path: filePath, status: 'already' });
+                continue;
+            }
+            next = cipher.encrypt(content.trim());
+        }
+        writeFileAtomic(filePath, next);
+        results.push({ path: filePath, status: 'encrypted' });
+    }
+    return results;
+}
@@ -0,0 +1,7 @@
+/**
+ * Инструменты для тестов ботов и приложений на SDK — без обращений к итд.com.
+ * Подключение: import { createMockServer, FakeITDClient } from 'itd-sdk-js/testing'.
+ */
+
+export { MockITDServer, createMockServer } from './mock-server.js';
+export { FakeITDClient, createFakeClient } from './fake-client.js';
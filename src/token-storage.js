@@ -3,17 +3,52 @@
  */
 import fs from 'fs';
 import path from 'path';
+import { defaultLogger } from './logger.js';
+import { encryptIfEnabled } from './storage-crypto.js';
+
+/**
+ * Атомарная запись файла: во временный файл рядом и rename, чтобы при падении процесса
+ * не остался обрезанный файл с сессией. Новый файл получает права 0600 — он содержит секреты;
+ * у существующего права сохраняются. Символическая ссылка остаётся ссылкой: запись идёт в файл,
+ * на который она указывает (например, .env, общий для нескольких проектов).
+ *
+ * @param {string} filePath
+ * @param {string} content
+ */
+export function writeFileAtomic(filePath, content) {
+    let targetPath = filePath;
+    let mode = 0o600;
+    if (fs.existsSync(filePath)) {
+        targetPath = fs.realpathSync(filePath);
+        mode = fs.statSync(targetPath).mode & 0o777;
+    } else {
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    }
+    const tmpPath = `${targetPath}.${process.pid}.${Date.now()}.tmp`;
+    try {
+        fs.writeFileSync(tmpPath, content, { encoding: 'utf8', mode });
+        // mode при создании урезается umask — права существующего файла переносим явно
+        fs.chmodSync(tmpPath, mode);
+        fs.renameSync(tmpPath, targetPath);
+    } catch (error) {
+        fs.rmSync(tmpPath, { force: true });
+        throw error;
+    }
+}
 
 /**
  * Обновляет ITD_ACCESS_TOKEN в .env файле
  *
  * @param {string} newToken - Новый access token
  * @param {string} [envPath] - Путь к .env (по умолчанию process.cwd() + '/.env')
+ * @param {Logger} [logger] - Логгер (по умолчанию — вывод в консоль)
+ * @param {StorageCipher|null} [cipher] - Если задан — значение сохраняется зашифрованным (itd-enc:v1:...)
  * @returns {Promise<boolean>} True если успешно
  */
-export async function saveAccessToken(newToken, envPath = null) {
+export async function saveAccessToken(newToken, envPath = null, logger = defaultLogger, cipher = null) {
     try {
         const targetPath = envPath ?? path.join(process.cwd(), '.env');
+        const value = encryptIfEnabled(newToken, cipher);
 
         let content;
         if (!fs.existsSync(targetPath)) {
@@ -27,17 +62,17 @@ export async function saveAccessToken(newToken, envPath = null) {
         
         if (tokenRegex.test(content)) {
             // Заменяем существующий токен
-            content = content.replace(tokenRegex, `ITD_ACCESS_TOKEN=${newToken}`);
+            content = content.replace(tokenRegex, `ITD_ACCESS_TOKEN=${value}`);
         } else {
             // Добавляем новую строку, если токена нет
-            content += `\nITD_ACCESS_TOKEN=${newToken}\n`;
+            content += `\nITD_ACCESS_TOKEN=${value}\n`;
         }
         
-        fs.writeFileSync(targetPath, content, 'utf8');
-        console.log('✅ Токен сохранен в .env');
+        writeFileAtomic(targetPath, content);
+        logger.info('storage.token.saved', 'Токен сохранен в .env', { path: targetPath });
         return true;
     } catch (error) {
-        console.error('❌ Ошибка сохранения токена в .env:', error.message);
+        logger.error('storage.token.save_failed', 'Ошибка сохранения токена в .env', { error });
         return false;
     }
 }
@@ -47,18 +82,20 @@ export async function saveAccessToken(newToken, envPath = null) {
  *
  * @param {string} newCookieHeader - Новый cookie header
  * @param {string} [cookiesPath] - Путь к .cookies (по умолчанию process.cwd() + '/.cookies')
+ * @param {Logger} [logger] - Логгер (по умолчанию — вывод в консоль)
+ * @param {StorageCipher|null} [cipher] - Если задан — значение сохраняется зашифрованным (itd-enc:v1:...)
  * @returns {Promise<boolean>} True если успешно
  */
-export async function saveCookieHeader(newCookieHeader, cookiesPath = null) {
+export async function saveCookieHeader(newCookieHeader, cookiesPath = null, logger = defaultLogger, cipher = null) {
     try {
         const targetPath = cookiesPath ?? path.join(process.cwd(), '.cookies');
 
         // Просто записываем cookies в файл (одна строка)
-        fs.writeFileSync(targetPath, newCookieHeader, 'utf8');
-        console.log('✅ Cookies сохранены в .cookies');
+        writeFileAtomic(targetPath, encryptIfEnabled(newCookieHeader, cipher));
+        logger.info('storage.cookies.saved', 'Cookies сохранены в .cookies', { path: targetPath });
         return true;
     } catch (error) {
-        console.error('❌ Ошибка сохранения cookies в .cookies:', error.message);
+        logger.error('storage.cookies.save_failed', 'Ошибка сохранения cookies в .cookies', { error });
         return false;
     }
 }
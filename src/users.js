@@ -1,6 +1,9 @@
 /**
  * Модуль для работы с пользователями
  */
+import { errorFromResponse } from './errors.js';
+import { Paginator } from './pagination.js';
+
 export class UsersManager {
     constructor(client) {
         this.client = client;
@@ -19,8 +22,7 @@ export class UsersManager {
      */
     async updateProfile(bio = null, displayName = null, username = null, bannerId = null) {
         if (!await this.client.requireAuth()) {
-            console.error('Ошибка: необходимо войти в аккаунт');
-            return null;
+            return this.client._authRequired(null);
         }
 
         try {
@@ -37,21 +39,14 @@ export class UsersManager {
             const response = await this.axios.put(updateUrl, updateData);
 
             if (response.status === 200) {
-                return response.data?.data ?? response.data;
+                return this.client._model('user', this.client.schema.entity('users.updateProfile', 'user', response.data));
             } else {
-                console.error(`Ошибка обновления профиля: ${response.status}`);
-                if (response.data) {
-                    console.error('Response data:', response.data);
-                }
-                return null;
+                this.client.logger.error('users.updateProfile.unexpected_status', 'Ошибка обновления профиля', { status: response.status, data: response.data });
+                return this.client._handleError(errorFromResponse(response), null);
             }
         } catch (error) {
-            console.error('Исключение при обновлении профиля:', error.message);
-            if (error.response) {
-                console.error('Response status:', error.response.status);
-                console.error('Response data:', error.response.data);
-            }
-            return null;
+            this.client.logger.error('users.updateProfile.failed', 'Исключение при обновлении профиля', { error });
+            return this.client._handleError(error, null);
         }
     }
 
@@ -62,8 +57,7 @@ export class UsersManager {
      */
     async getMyProfile() {
         if (!await this.client.requireAuth()) {
-            console.error('Ошибка: необходимо войти в аккаунт');
-            return null;
+            return this.client._authRequired(null);
         }
 
         try {
@@ -71,21 +65,15 @@ export class UsersManager {
             const response = await this.axios.get(profileUrl);
 
             if (response.status === 200) {
-                return response.data;
+                // Как и updateProfile: { data: {...} } → сам профиль
+                return this.client._model('user', this.client.schema.entity('users.getMyProfile', 'user', response.data));
             } else {
-                console.error(`Ошибка получения профиля: ${response.status}`);
-                if (response.data) {
-                    console.error('Response data:', response.data);
-                }
-                return null;
+                this.client.logger.error('users.getMyProfile.unexpected_status', 'Ошибка получения профиля', { status: response.status, data: response.data });
+                return this.client._handleError(errorFromResponse(response), null);
             }
         } catch (error) {
-            console.error('Исключение при получении профиля:', error.message);
-            if (error.response) {
-                console.error('Response status:', error.response.status);
-                console.error('Response data:', error.response.data);
-            }
-            return null;
+            this.client.logger.error('users.getMyProfile.failed', 'Исключение при получении профиля', { error });
+            return this.client._handleError(error, null);
         }
     }
 
@@ -99,8 +87,7 @@ export class UsersManager {
      */
     async searchUsers(query, limit = 20) {
         if (!await this.client.requireAuth()) {
-            console.error('Ошибка: для поиска пользователей необходима авторизация');
-            return null;
+            return this.client._authRequired(null);
         }
         try {
             const url = `${this.client.baseUrl}/api/users/search`;
@@ -111,20 +98,15 @@ export class UsersManager {
             const response = await this.axios.get(url, { params });
 
             if (response.status === 200) {
-                const data = response.data;
-                const users = data?.data?.users ?? data?.users ?? [];
-                return { users: Array.isArray(users) ? users : [] };
+                const { items } = this.client.schema.list('users.searchUsers', 'user', response.data, 'users');
+                return { users: this.client._models('user', items) };
             } else {
-                console.error(`Ошибка поиска пользователей: ${response.status}`);
-                return null;
+                this.client.logger.error('users.searchUsers.unexpected_status', 'Ошибка поиска пользователей', { status: response.status, data: response.data });
+                return this.client._handleError(errorFromResponse(response), null);
             }
         } catch (error) {
-            console.error('Исключение при поиске пользователей:', error.message);
-            if (error.response) {
-                console.error('Response status:', error.response.status);
-                console.error('Response data:', error.response.data);
-            }
-            return null;
+            this.client.logger.error('users.searchUsers.failed', 'Исключение при поиске пользователей', { error });
+            return this.client._handleError(error, null);
         }
     }
 
@@ -136,19 +118,18 @@ export class UsersManager {
      */
     async getPrivacy() {
         if (!await this.client.requireAuth()) {
-            console.error('Ошибка: необходимо войти в аккаунт');
-            return null;
+            return this.client._authRequired(null);
         }
         try {
             const url = `${this.client.baseUrl}/api/users/me/privacy`;
             const response = await this.axios.get(url);
             if (response.status === 200) {
-                return response.data?.data ?? response.data;
+                return this.client.schema.entity('users.getPrivacy', null, response.data);
             }
-            return null;
+            return this.client._handleError(errorFromResponse(response), null);
         } catch (error) {
-            console.error('Ошибка получения приватности:', error.message);
-            return null;
+            this.client.logger.error('users.getPrivacy.failed', 'Ошибка получения приватности', { error });
+            return this.client._handleError(error, null);
         }
     }
 
@@ -161,8 +142,7 @@ export class UsersManager {
      */
     async updatePrivacy(options = {}) {
         if (!await this.client.requireAuth()) {
-            console.error('Ошибка: необходимо войти в аккаунт');
-            return null;
+            return this.client._authRequired(null);
         }
         try {
             const url = `${this.client.baseUrl}/api/users/me/privacy`;
@@ -173,12 +153,12 @@ export class UsersManager {
 
             const response = await this.axios.put(url, payload);
             if (response.status === 200) {
-                return response.data?.data ?? response.data;
+                return this.client.schema.entity('users.updatePrivacy', null, response.data);
             }
-            return null;
+            return this.client._handleError(errorFromResponse(response), null);
         } catch (error) {
-            console.error('Ошибка обновления приватности:', error.message);
-            return null;
+            this.client.logger.error('users.updatePrivacy.failed', 'Ошибка обновления приватности', { error });
+            return this.client._handleError(error, null);
         }
     }
 
@@ -197,21 +177,14 @@ export class UsersManager {
 
             if (response.status === 200) {
                 // Структура может быть { data: {...} } или просто {...}
-                return response.data.data || response.data;
+                return this.client._model('user', this.client.schema.entity('users.getUserProfile', 'user', response.data));
             } else {
-                console.error(`Ошибка получения профиля пользователя: ${response.status}`);
-                if (response.data) {
-                    console.error('Response data:', response.data);
-                }
-                return null;
+                this.client.logger.error('users.getUserProfile.unexpected_status', 'Ошибка получения профиля пользователя', { status: response.status, data: response.data });
+                return this.client._handleError(errorFromResponse(response), null);
             }
         } catch (error) {
-            console.error('Исключение при получении профиля пользователя:', error.message);
-            if (error.response) {
-                console.error('Response status:', error.response.status);
-                console.error('Response data:', error.response.data);
-            }
-            return null;
+            this.client.logger.error('users.getUserProfile.failed', 'Исключение при получении профиля пользователя', { error });
+            return this.client._handleError(error, null);
         }
     }
 
@@ -223,8 +196,7 @@ export class UsersManager {
      */
     async followUser(username) {
         if (!await this.client.requireAuth()) {
-            console.error('Ошибка: необходимо войти в аккаунт');
-            return null;
+            return this.client._authRequired(null);
         }
 
         try {
@@ -234,19 +206,12 @@ export class UsersManager {
             if (response.status === 200 || response.status === 201) {
                 return response.data; // { following: true, followersCount: number }
             } else {
-                console.error(`Ошибка подписки: ${response.status}`);
-                if (response.data) {
-                    console.error('Response data:', response.data);
-                }
-                return null;
+                this.client.logger.error('users.followUser.unexpected_status', 'Ошибка подписки', { status: response.status, data: response.data });
+                return this.client._handleError(errorFromResponse(response), null);
             }
         } catch (error) {
-            console.error('Исключение при подписке:', error.message);
-            if (error.response) {
-                console.error('Response status:', error.response.status);
-                console.error('Response data:', error.response.data);
-            }
-            return null;
+            this.client.logger.error('users.followUser.failed', 'Исключение при подписке', { error });
+            return this.client._handleError(error, null);
         }
     }
 
@@ -258,8 +223,7 @@ export class UsersManager {
      */
     async unfollowUser(username) {
         if (!await this.client.requireAuth()) {
-            console.error('Ошибка: необходимо войти в аккаунт');
-            return null;
+            return this.client._authRequired(null);
         }
 
         try {
@@ -269,19 +233,12 @@ export class UsersManager {
             if (response.status === 200 || response.status === 204) {
                 return response.data || { following: false, followersCount: 0 };
             } else {
-                console.error(`Ошибка отписки: ${response.status}`);
-                if (response.data) {
-                    console.error('Response data:', response.data);
-                }
-                return null;
+                this.client.logger.error('users.unfollowUser.unexpected_status', 'Ошибка отписки', { status: response.status, data: response.data });
+                return this.client._handleError(errorFromResponse(response), null);
             }
         } catch (error) {
-            console.error('Исключение при отписке:', error.message);
-            if (error.response) {
-                console.error('Response status:', error.response.status);
-                console.error('Response data:', error.response.data);
-            }
-            return null;
+            this.client.logger.error('users.unfollowUser.failed', 'Исключение при отписке', { error });
+            return this.client._handleError(error, null);
         }
     }
 
@@ -302,31 +259,16 @@ export class UsersManager {
             const response = await this.axios.get(followersUrl, { params });
 
             if (response.status === 200) {
-                const data = response.data;
                 // Структура: { data: { users: [...], pagination: {...} } }
-                if (data.data && data.data.users) {
-                    return {
-                        users: data.data.users,
-                        pagination: data.data.pagination || {}
-                    };
-                } else if (data.users) {
-                    return {
-                        users: data.users,
-                        pagination: data.pagination || {}
-                    };
-                }
-                return { users: [], pagination: {} };
+                const { items, meta } = this.client.schema.list('users.getFollowers', 'user', response.data, 'users');
+                return { users: this.client._models('user', items), pagination: meta.pagination || {} };
             } else {
-                console.error(`Ошибка получения подписчиков: ${response.status}`);
-                return null;
+                this.client.logger.error('users.getFollowers.unexpected_status', 'Ошибка получения подписчиков', { status: response.status, data: response.data });
+                return this.client._handleError(errorFromResponse(response), null);
             }
         } catch (error) {
-            console.error('Исключение при получении подписчиков:', error.message);
-            if (error.response) {
-                console.error('Response status:', error.response.status);
-                console.error('Response data:', error.response.data);
-            }
-            return null;
+            this.client.logger.error('users.getFollowers.failed', 'Исключение при получении подписчиков', { error });
+            return this.client._handleError(error, null);
         }
     }
 
@@ -347,34 +289,59 @@ export class UsersManager {
             const response = await this.axios.get(followingUrl, { params });
 
             if (response.status === 200) {
-                const data = response.data;
                 // Структура: { data: { users: [...], pagination: {...} } }
-                if (data.data && data.data.users) {
-                    return {
-                        users: data.data.users,
-                        pagination: data.data.pagination || {}
-                    };
-                } else if (data.users) {
-                    return {
-                        users: data.users,
-                        pagination: data.pagination || {}
-                    };
-                }
-                return { users: [], pagination: {} };
+                const { items, meta } = this.client.schema.list('users.getFollowing', 'user', response.data, 'users');
+                return { users: this.client._models('user', items), pagination: meta.pagination || {} };
             } else {
-                console.error(`Ошибка получения подписок: ${response.status}`);
-                return null;
+                this.client.logger.error('users.getFollowing.unexpected_status', 'Ошибка получения подписок', { status: response.status, data: response.data });
+                return this.client._handleError(errorFromResponse(response), null);
             }
         } catch (error) {
-            console.error('Исключение при получении подписок:', error.message);
-            if (error.response) {
-                console.error('Response status:', error.response.status);
-                console.error('Response data:', error.response.data);
-            }
-            return null;
+            this.client.logger.error('users.getFollowing.failed', 'Исключение при получении подписок', { error });
+            return this.client._handleError(error, null);
         }
     }
 
+    /**
+     * Номер следующей страницы для page-пагинации подписчиков/подписок.
+     * @private
+     */
+    _nextPage(result, page, limit) {
+        const hasMore = result.pagination?.hasMore ?? result.users.length >= limit;
+        return hasMore && result.users.length > 0 ? page + 1 : null;
+    }
+
+    /**
+     * Обход всех подписчиков пользователя. Курсор — номер страницы (с 1).
+     * Сайт сейчас игнорирует page у followers — обход остановится, когда страница повторится.
+     *
+     * @param {string} username - Имя пользователя
+     * @param {Object} [options] - { limit (размер страницы), max, until, cursor } — см. Paginator
+     * @returns {Paginator} Асинхронный итератор пользователей
+     */
+    iterateFollowers(username, options = {}) {
+        const { limit = 30 } = options;
+        return new Paginator(async (page) => {
+            const result = await this.getFollowers(username, page, limit);
+            return result && { items: result.users, next: this._nextPage(result, page, limit) };
+        }, { ...options, cursor: options.cursor ?? 1 }, this.client.logger);
+    }
+
+    /**
+     * Обход всех подписок пользователя. Курсор — номер страницы (с 1).
+     *
+     * @param {string} username - Имя пользователя
+     * @param {Object} [options] - { limit (размер страницы), max, until, cursor } — см. Paginator
+     * @returns {Paginator} Асинхронный итератор пользователей
+     */
+    iterateFollowing(username, options = {}) {
+        const { limit = 30 } = options;
+        return new Paginator(async (page) => {
+            const result = await this.getFollowing(username, page, limit);
+            return result && { items: result.users, next: this._nextPage(result, page, limit) };
+        }, { ...options, cursor: options.cursor ?? 1 }, this.client.logger);
+    }
+
     /**
      * Получает клан пользователя (эмодзи из avatar)
      * 
@@ -402,19 +369,14 @@ export class UsersManager {
             const response = await this.axios.get(topClansUrl);
 
             if (response.status === 200) {
-                const data = response.data?.data ?? response.data;
-                return data?.clans || [];
+                return this.client.schema.list('users.getTopClans', null, response.data, 'clans').items;
             } else {
-                console.error(`Ошибка получения топ кланов: ${response.status}`);
-                return null;
+                this.client.logger.error('users.getTopClans.unexpected_status', 'Ошибка получения топ кланов', { status: response.status, data: response.data });
+                return this.client._handleError(errorFromResponse(response), null);
             }
         } catch (error) {
-            console.error('Исключение при получении топ кланов:', error.message);
-            if (error.response) {
-                console.error('Response status:', error.response.status);
-                console.error('Response data:', error.response.data);
-            }
-            return null;
+            this.client.logger.error('users.getTopClans.failed', 'Исключение при получении топ кланов', { error });
+            return this.client._handleError(error, null);
         }
     }
 
@@ -425,8 +387,7 @@ export class UsersManager {
      */
     async getWhoToFollow() {
         if (!await this.client.requireAuth()) {
-            console.error('Ошибка: необходимо войти в аккаунт');
-            return null;
+            return this.client._authRequired(null);
         }
 
         try {
@@ -434,20 +395,16 @@ export class UsersManager {
             const response = await this.axios.get(suggestionsUrl);
 
             if (response.status === 200) {
-                const data = response.data;
                 // Структура: { users: [...] }
-                return data.users || [];
+                const { items } = this.client.schema.list('users.getWhoToFollow', 'user', response.data, 'users');
+                return this.client._models('user', items);
             } else {
-                console.error(`Ошибка получения рекомендаций: ${response.status}`);
-                return null;
+                this.client.logger.error('users.getWhoToFollow.unexpected_status', 'Ошибка получения рекомендаций', { status: response.status, data: response.data });
+                return this.client._handleError(errorFromResponse(response), null);
             }
         } catch (error) {
-            console.error('Исключение при получении рекомендаций:', error.message);
-            if (error.response) {
-                console.error('Response status:', error.response.status);
-                console.error('Response data:', error.response.data);
-            }
-            return null;
+            this.client.logger.error('users.getWhoToFollow.failed', 'Исключение при получении рекомендаций', { error });
+            return this.client._handleError(error, null);
         }
     }
     
@@ -463,7 +420,7 @@ export class UsersManager {
      */
     async isFollowing(username) {
         if (!await this.client.requireAuth()) {
-            return false;
+            return this.client._authRequired(false);
         }
         const profile = await this.getUserProfile(username);
         return profile ? (profile.isFollowing === true) : false;
@@ -1,6 +1,8 @@
 /**
  * Модуль верификации аккаунта
  */
+import { errorFromResponse } from './errors.js';
+
 export class VerificationManager {
     constructor(client) {
         this.client = client;
@@ -13,17 +15,17 @@ export class VerificationManager {
      * @returns {Promise<Object|null>} Статус верификации или null
      */
     async getStatus() {
-        if (!await this.client.requireAuth()) return null;
+        if (!await this.client.requireAuth()) return this.client._authRequired(null);
         try {
             const url = `${this.client.baseUrl}/api/verification/status`;
             const response = await this.axios.get(url);
             if (response.status === 200) {
-                return response.data?.data ?? response.data;
+                return this.client.schema.entity('verification.getStatus', null, response.data);
             }
-            return null;
+            return this.client._handleError(errorFromResponse(response), null);
         } catch (error) {
-            console.error('Ошибка получения статуса верификации:', error.message);
-            return null;
+            this.client.logger.error('verification.getStatus.failed', 'Ошибка получения статуса верификации', { error });
+            return this.client._handleError(error, null);
         }
     }
 
@@ -34,17 +36,17 @@ export class VerificationManager {
      * @returns {Promise<Object|null>} { success, request: { id, status, ... } } или null
      */
     async submit(videoUrl) {
-        if (!await this.client.requireAuth()) return null;
+        if (!await this.client.requireAuth()) return this.client._authRequired(null);
         try {
             const url = `${this.client.baseUrl}/api/verification/submit`;
             const response = await this.axios.post(url, { videoUrl });
             if (response.status === 200 || response.status === 201) {
-                return response.data?.data ?? response.data;
+                return this.client.schema.entity('verification.submit', null, response.data);
             }
-            return null;
+            return this.client._handleError(errorFromResponse(response), null);
         } catch (error) {
-            console.error('Ошибка подачи заявки на верификацию:', error.message);
-            return null;
+            this.client.logger.error('verification.submit.failed', 'Ошибка подачи заявки на верификацию', { error });
+            return this.client._handleError(error, null);
         }
     }
 }
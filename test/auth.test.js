@@ -0,0 +1,304 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { ITDClient, ITDAuthError, MemorySessionStore } from '../src/client.js';
+import { createMockServer } from '../src/testing.js';
+import { isolateEnv, startServer } from './helpers.js';
+
+isolateEnv();
+
+/** refresh_token из строки cookies */
+function refreshTokenOf(cookies) {
+    return /refresh_token=([^;]+)/.exec(cookies ?? '')?.[1] ?? null;
+}
+
+describe('AuthManager: refresh и повтор по 401', () => {
+    let server;
+
+    before(async () => {
+        server = await createMockServer();
+    });
+
+    after(async () => {
+        await server.close();
+    });
+
+    beforeEach(() => {
+        server.clearFaults();
+        server.requests.length = 0;
+    });
+
+    it('401 → refresh → повтор исходного запроса с новым токеном', async () => {
+        const store = new MemorySessionStore(server.createSession());
+        const client = server.createClient({ sessionStore: store });
+        await client.requireAuth();
+        const oldToken = client.accessToken;
+        const oldRefresh = refreshTokenOf(store.session.cookies);
+
+        server.expireAccessTokens();
+        const me = await client.getMyProfile();
+
+        assert.equal(me.username, 'me');
+        assert.deepEqual(
+            server.requests.map((r) => `${r.method} ${r.path}`),
+            ['GET /api/users/me', 'POST /api/v1/auth/refresh', 'GET /api/users/me']
+        );
+        assert.notEqual(client.accessToken, oldToken);
+        assert.equal(server.requests[2].headers.authorization, `Bearer ${client.accessToken}`);
+        // Новый accessToken и ротированный refresh_token сохранены в хранилище
+        assert.equal(store.session.accessToken, client.accessToken);
+        assert.notEqual(refreshTokenOf(store.session.cookies), oldRefresh);
+    });
+
+    it('параллельные 401 делают один refresh', async () => {
+        const client = server.createClient();
+        await client.requireAuth();
+        server.expireAccessTokens();
+
+        const results = await Promise.all([client.getMyProfile(), client.getPrivacy(), client.getMyProfile()]);
+
+        assert.ok(results.every(Boolean));
+        assert.equal(server.requests.filter((r) => r.path === '/api/v1/auth/refresh').length, 1);
+    });
+
+    it('событие tokenRefresh с новым токеном', async () => {
+        const client = server.createClient();
+        await client.requireAuth();
+        server.expireAccessTokens();
+
+        const refreshed = new Promise((resolve) => client.once('tokenRefresh', resolve));
+        await client.getMyProfile();
+        assert.equal(await refreshed, client.accessToken);
+    });
+
+    it('отозванный refresh_token: null и tokenRefreshError; в режиме throw — ITDAuthError', async () => {
+        const client = server.createClient();
+        const strict = server.createClient({ errors: 'throw' });
+        await Promise.all([client.requireAuth(), strict.requireAuth()]);
+        server.expireAccessTokens();
+        server.revokeRefreshTokens();
+
+        const failed = new Promise((resolve) => client.once('tokenRefreshError', resolve));
+        assert.equal(await client.getMyProfile(), null);
+        assert.ok((await failed) instanceof ITDAuthError);
+
+        await assert.rejects(strict.getMyProfile(), ITDAuthError);
+    });
+
+    it('401 на самом refresh не зацикливается', async () => {
+        const client = server.createClient();
+        await client.requireAuth();
+        server.expireAccessTokens();
+        server.inject({ method: 'POST', path: '/api/v1/auth/refresh', status: 401, times: Infinity });
+
+        assert.equal(await client.getMyProfile(), null);
+        assert.equal(server.requests.filter((r) => r.path === '/api/v1/auth/refresh').length, 1);
+    });
+
+    it('без accessToken токен получается через refresh до первого запроса', async () => {
+        const { cookies } = server.createSession();
+        const client = server.createClient({ sessionStore: new MemorySessionStore({ cookies }) });
+
+        const me = await client.getMyProfile();
+
+        assert.equal(me.username, 'me');
+        assert.deepEqual(server.requests.map((r) => r.path), ['/api/v1/auth/refresh', '/api/users/me']);
+    });
+
+    it('без refresh_token refresh не запрашивается', async () => {
+        const client = new ITDClient({ baseUrl: server.url, logger: false, sessionStore: new MemorySessionStore() });
+        assert.equal(client.hasRefreshToken(), false);
+        assert.equal(await client.refreshAccessToken(), null);
+        assert.equal(server.requests.length, 0);
+    });
+
+    it("autoRefresh 'lazy': токен обновляется до истечения, без 401", async () => {
+        const lazy = await createMockServer({ accessTokenTtl: 30 * 1000 });
+        try {
+            const client = lazy.createClient({ autoRefresh: { mode: 'lazy', skew: 60 * 1000 } });
+            await client.getMyProfile();
+            assert.deepEqual(lazy.requests.map((r) => r.path), ['/api/v1/auth/refresh', '/api/users/me']);
+            assert.ok(lazy.requests.every((r) => r.path !== '/api/users/me' || r.headers.authorization));
+        } finally {
+            await lazy.close();
+        }
+    });
+
+    it("autoRefresh 'lazy': после неудачного refresh следующие запросы его не повторяют", async () => {
+        const lazy = await createMockServer({ accessTokenTtl: 30 * 1000 });
+        try {
+            const client = lazy.createClient({ autoRefresh: { mode: 'lazy', skew: 60 * 1000 } });
+            lazy.inject({ method: 'POST', path: '/api/v1/auth/refresh', status: 503, times: Infinity });
+            for (let i = 0; i < 3; i++) {
+                assert.equal((await client.getMyProfile()).username, 'me');
+            }
+            assert.equal(lazy.requests.filter((r) => r.path === '/api/v1/auth/refresh').length, 1);
+
+            // Пауза прошла — снова пробует, успешный refresh сбрасывает счётчик
+            lazy.clearFaults();
+            client._earlyRefreshAfter = 0;
+            await client.getMyProfile();
+            assert.equal(lazy.requests.filter((r) => r.path === '/api/v1/auth/refresh').length, 2);
+            assert.equal(client._refreshFailures, 0);
+        } finally {
+            await lazy.close();
+        }
+    });
+
+    it("autoRefresh 'timer': токен на 40 суток не обновляется сразу", async () => {
+        const long = await createMockServer({ accessTokenTtl: 40 * 24 * 60 * 60 * 1000 });
+        try {
+            const client = long.createClient({ autoRefresh: 'timer' });
+            await client.getMyProfile();
+            await new Promise((resolve) => setTimeout(resolve, 50));
+            assert.deepEqual(long.requests.map((r) => r.path), ['/api/users/me']);
+            assert.ok(client._refreshTimer);
+            client.destroy();
+        } finally {
+            await long.close();
+        }
+    });
+
+    it('logout очищает сессию', async () => {
+        const store = new MemorySessionStore(server.createSession());
+        const client = server.createClient({ sessionStore: store });
+        await client.requireAuth();
+
+        assert.ok(await client.logout());
+        assert.equal(client.accessToken, null);
+        assert.equal(store.session.accessToken, null);
+        assert.equal(store.session.cookies, null);
+        assert.equal(client.hasRefreshToken(), false);
+    });
+});
+
+describe('AuthManager: вход и восстановление пароля', () => {
+    const OTP_CODE = '123456';
+    let server;
+    /** email → { password, otp } */
+    let accounts;
+    let failChangePassword;
+    let sessions = 0;
+
+    /** Ответ с новой сессией, как у сайта */
+    function session() {
+        sessions++;
+        return { headers: { 'Set-Cookie': `refresh_token=r${sessions}; Path=/` }, body: { accessToken: `token-${sessions}` } };
+    }
+
+    function authError(status, code) {
+        return { status, body: { error: { code, message: code } } };
+    }
+
+    before(async () => {
+        server = await startServer(({ method, path, headers, body }) => {
+            if (method !== 'POST') return authError(404, 'NOT_FOUND');
+            const account = accounts.get(body?.email);
+            switch (path) {
+                case '/api/v1/auth/sign-in':
+                    if (!account || account.password !== body.password) return authError(401, 'INVALID_CREDENTIALS');
+                    return account.otp ? { body: { message: 'Код отправлен на почту' } } : session();
+                case '/api/v1/auth/verify-otp':
+                    return account && body.code === OTP_CODE ? session() : authError(400, 'INVALID_OTP');
+                case '/api/v1/auth/resend-otp':
+                case '/api/v1/auth/forgot-password':
+                    return account ? { status: 204 } : authError(404, 'USER_NOT_FOUND');
+                case '/api/v1/auth/reset-password':
+                    if (!account || body.code !== OTP_CODE) return authError(400, 'INVALID_CODE');
+                    account.password = body.newPassword;
+                    return { body: { success: true } };
+                case '/api/v1/auth/change-password': {
+                    if (failChangePassword) return authError(503, 'SERVICE_UNAVAILABLE');
+                    if (!/^Bearer token-/.test(headers.authorization ?? '') || !/refresh_token=/.test(headers.cookie ?? '')) {
+                        return authError(401, 'UNAUTHORIZED');
+                    }
+                    const owner = [...accounts.values()].find((a) => a.password === body.oldPassword);
+                    if (!owner) return authError(400, 'INVALID_PASSWORD');
+                    owner.password = body.newPassword;
+                    return { body: { success: true } };
+                }
+                default:
+                    return authError(404, 'NOT_FOUND');
+            }
+        });
+    });
+
+    after(async () => {
+        await server.close();
+    });
+
+    beforeEach(() => {
+        accounts = new Map([
+            ['alice@example.com', { password: 'secret', otp: false }],
+            ['otp@example.com', { password: 'secret', otp: true }],
+        ]);
+        failChangePassword = false;
+        server.requests.length = 0;
+    });
+
+    /** Клиент без сессии */
+    function createClient(options = {}) {
+        return new ITDClient({ baseUrl: server.url, logger: false, sessionStore: new MemorySessionStore(), ...options });
+    }
+
+    it('signIn по email и паролю сохраняет сессию', async () => {
+        const store = new MemorySessionStore();
+        const client = createClient({ sessionStore: store });
+        const result = await client.signIn('alice@example.com', 'secret');
+        assert.equal(result.accessToken, client.accessToken);
+        assert.deepEqual(await store.load(), { accessToken: client.accessToken, cookies: `refresh_token=r${sessions}` });
+    });
+
+    it('signIn с OTP: onOtp получает запрос кода, затем verify-otp', async () => {
+        const client = createClient();
+        const prompts = [];
+        const result = await client.signIn('otp@example.com', 'secret', {
+            onOtp: async ({ email, resend }) => {
+                prompts.push(email);
+                assert.equal(await resend(), true);
+                return ` ${OTP_CODE} `;
+            },
+        });
+        assert.ok(result.accessToken);
+        assert.deepEqual(prompts, ['otp@example.com']);
+        assert.deepEqual(server.requests.map((r) => r.path), ['/api/v1/auth/sign-in', '/api/v1/auth/resend-otp', '/api/v1/auth/verify-otp']);
+        assert.deepEqual(server.requests[2].body, { email: 'otp@example.com', code: OTP_CODE });
+    });
+
+    it('signIn с OTP без onOtp возвращает otpRequired; verifyOtp завершает вход', async () => {
+        const client = createClient();
+        const pending = await client.signIn('otp@example.com', 'secret');
+        assert.equal(pending.otpRequired, true);
+        assert.equal(client.accessToken, null);
+
+        assert.equal(await client.verifyOtp('otp@example.com', '000000'), null);
+        assert.ok(await client.verifyOtp('otp@example.com', OTP_CODE));
+        assert.ok(client.accessToken);
+    });
+
+    it('неверный пароль: null, в режиме throw — ITDAuthError', async () => {
+        assert.equal(await createClient().signIn('alice@example.com', 'wrong'), null);
+        await assert.rejects(createClient({ errors: 'throw' }).signIn('alice@example.com', 'wrong'), ITDAuthError);
+    });
+
+    it('сброс и смена пароля, повторная отправка OTP', async () => {
+        const client = createClient();
+        assert.equal(await client.resendOtp('otp@example.com'), true);
+        assert.equal(await client.forgotPassword('alice@example.com'), true);
+        assert.equal(await client.resetPassword('alice@example.com', 'wrong-code', 'new'), false);
+        assert.equal(await client.resetPassword('alice@example.com', OTP_CODE, 'new'), true);
+        // Сброс сессию не создаёт
+        assert.equal(client.accessToken, null);
+        assert.equal(await client.signIn('alice@example.com', 'secret'), null);
+        assert.ok(await client.signIn('alice@example.com', 'new'));
+
+        assert.equal(await client.changePassword('wrong', 'newer'), null);
+        assert.deepEqual(await client.changePassword('new', 'newer'), { success: true });
+        assert.ok(await createClient().signIn('alice@example.com', 'newer'));
+
+        // Смена пароля не повторяется автоматически: запрос мог пройти
+        failChangePassword = true;
+        const before = server.requests.length;
+        assert.equal(await client.changePassword('newer', 'newest'), null);
+        assert.equal(server.requests.length - before, 1);
+    });
+});
@@ -0,0 +1,123 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { ResponseCache } from '../src/client.js';
+
+/** Адаптер-заглушка: считает вызовы, отвечает телом с номером вызова */
+function countingAdapter() {
+    const calls = [];
+    const adapter = async (config) => {
+        calls.push(config.url);
+        return { status: 200, data: JSON.stringify({ n: calls.length }), headers: {}, config };
+    };
+    return [adapter, calls];
+}
+
+/** GET через кэш, как это делает interceptor клиента */
+async function get(cache, url, extra = {}) {
+    const config = { method: 'get', url, ...extra };
+    cache.attach(config, url);
+    const response = await config.adapter(config);
+    return { status: config.itdCacheStatus, n: JSON.parse(response.data).n };
+}
+
+describe('ResponseCache', () => {
+    it('группа ресурса по пути', () => {
+        const cache = new ResponseCache({}, null);
+        assert.equal(cache.classify({ url: 'https://example.test/api/posts/1/comments' }), 'comments');
+        assert.equal(cache.classify({ url: '/api/comments/1/replies' }), 'comments');
+        assert.equal(cache.classify({ url: '/api/posts/1' }), 'posts');
+        assert.equal(cache.classify({ url: '/api/users/me' }), 'users');
+        assert.equal(cache.classify({ url: '/api/v1/auth/refresh' }), 'auth');
+        assert.equal(cache.classify({ url: '/api/other' }), 'default');
+    });
+
+    it('hit до истечения TTL, затем новый запрос', async () => {
+        const [adapter, calls] = countingAdapter();
+        const cache = new ResponseCache({ ttl: { posts: 30 } }, adapter);
+        assert.deepEqual(await get(cache, '/api/posts/1'), { status: 'miss', n: 1 });
+        assert.deepEqual(await get(cache, '/api/posts/1'), { status: 'hit', n: 1 });
+        await new Promise((resolve) => setTimeout(resolve, 40));
+        assert.deepEqual(await get(cache, '/api/posts/1'), { status: 'miss', n: 2 });
+        assert.equal(calls.length, 2);
+    });
+
+    it('мимо кэша: не GET, itdCache: false, auth; TTL 0 — только объединение', async () => {
+        const [adapter, calls] = countingAdapter();
+        const cache = new ResponseCache({}, adapter);
+        assert.equal(cache.attach({ method: 'post', url: '/api/posts' }, '/api/posts'), false);
+        assert.equal(cache.attach({ method: 'get', url: '/api/posts/1', itdCache: false }, 'k'), false);
+        assert.equal(cache.attach({ method: 'get', url: '/api/v1/auth/me' }, 'k'), false);
+        assert.equal(calls.length, 0);
+
+        await get(cache, '/api/notifications');
+        assert.equal((await get(cache, '/api/notifications')).status, 'miss');
+        assert.equal((await get(cache, '/api/posts/2', { itdCache: { ttl: 0 } })).status, 'miss');
+        assert.equal((await get(cache, '/api/posts/2')).status, 'miss');
+    });
+
+    it('одновременные одинаковые запросы объединяются', async () => {
+        const [adapter, calls] = countingAdapter();
+        const cache = new ResponseCache({}, adapter);
+        const results = await Promise.all([get(cache, '/api/users/me'), get(cache, '/api/users/me')]);
+        assert.deepEqual(results.map((r) => r.status), ['miss', 'coalesced']);
+        assert.deepEqual(results.map((r) => r.n), [1, 1]);
+        assert.equal(calls.length, 1);
+    });
+
+    it('release: объединённые получают ошибку владельца', async () => {
+        const cache = new ResponseCache({}, async () => new Promise(() => {}));
+        const owner = { method: 'get', url: '/api/posts/1' };
+        cache.attach(owner, 'k');
+        const waiter = { method: 'get', url: '/api/posts/1' };
+        assert.equal(cache.attach(waiter, 'k'), true);
+        const waiting = waiter.adapter(waiter);
+        cache.release(owner, new Error('лимитер'));
+        await assert.rejects(waiting, /лимитер/);
+        assert.equal(cache.getStats().inflight, 0);
+    });
+
+    it('изменение сбрасывает связанные группы; ответ, начатый до сброса, не сохраняется', async () => {
+        const [adapter] = countingAdapter();
+        const cache = new ResponseCache({}, adapter);
+        await get(cache, '/api/posts/1');
+        await get(cache, '/api/users/me');
+        await get(cache, '/api/hashtags/trending');
+
+        cache.invalidateFor({ method: 'post', url: '/api/posts/1/like' });
+        assert.equal((await get(cache, '/api/posts/1')).status, 'miss');
+        assert.equal((await get(cache, '/api/users/me')).status, 'miss');
+        assert.equal((await get(cache, '/api/hashtags/trending')).status, 'hit');
+
+        // refresh не сбрасывает, вход — сбрасывает всё
+        cache.invalidateFor({ method: 'post', url: '/api/v1/auth/refresh' });
+        assert.equal((await get(cache, '/api/hashtags/trending')).status, 'hit');
+        cache.invalidateFor({ method: 'post', url: '/api/v1/auth/sign-in' });
+        assert.equal(cache.getStats().size, 0);
+
+        const config = { method: 'get', url: '/api/posts/3' };
+        cache.attach(config, '/api/posts/3');
+        cache.invalidate('posts');
+        await config.adapter(config);
+        assert.equal(cache.getStats().size, 0);
+
+        await get(cache, '/api/users/alice');
+        assert.equal(cache.invalidate(/\/api\/users\/alice/), 1);
+    });
+
+    it('maxEntries вытесняет давно не использованные; статистика', async () => {
+        const [adapter] = countingAdapter();
+        const cache = new ResponseCache({ maxEntries: 2 }, adapter);
+        await get(cache, '/api/posts/1');
+        await get(cache, '/api/posts/2');
+        await get(cache, '/api/posts/1');
+        await get(cache, '/api/posts/3');
+
+        assert.equal((await get(cache, '/api/posts/1')).status, 'hit');
+        assert.equal((await get(cache, '/api/posts/2')).status, 'miss');
+        const stats = cache.getStats();
+        assert.equal(stats.size, 2);
+        assert.ok(stats.evictions >= 1);
+        assert.equal(stats.hits, 2);
+        assert.equal(stats.hitRate, stats.hits / (stats.hits + stats.misses + stats.coalesced));
+    });
+});
@@ -0,0 +1,141 @@
+import { describe, it, before, after, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { ITDClient, ITDCassetteError, MemorySessionStore } from '../src/client.js';
+import { Cassette } from '../src/cassette.js';
+import { createMockServer } from '../src/testing.js';
+import { isolateEnv, makeTempDir } from './helpers.js';
+
+isolateEnv();
+
+describe('Cassette', () => {
+    let server;
+    let dir;
+    let cleanup;
+    let cassettePath;
+
+    before(async () => {
+        server = await createMockServer();
+        server.addUser({ username: 'alice' });
+    });
+
+    after(async () => {
+        await server.close();
+    });
+
+    beforeEach(() => {
+        [dir, cleanup] = makeTempDir();
+        cassettePath = path.join(dir, 'fixtures', 'bot.json');
+        server.requests.length = 0;
+    });
+
+    afterEach(() => {
+        cleanup();
+    });
+
+    /** Клиент для воспроизведения: сессия не нужна, сеть не используется */
+    function replayClient(cassette, options = {}) {
+        return new ITDClient({
+            baseUrl: server.url,
+            logger: false,
+            retry: false,
+            sessionStore: new MemorySessionStore({ accessToken: 'replay' }),
+            cassette: { path: cassettePath, mode: 'replay', ...cassette },
+            ...options,
+        });
+    }
+
+    it('record пишет ответы и скрывает токены, replay отдаёт их без сети', async () => {
+        const post = server.addPost('alice', 'Запись');
+        const recorder = server.createClient({ cassette: { path: cassettePath, mode: 'record' } });
+        assert.equal((await recorder.getPost(post.id)).content, 'Запись');
+        assert.equal(await recorder.getPost('missing'), null);
+
+        const file = fs.readFileSync(cassettePath, 'utf8');
+        const { version, interactions } = JSON.parse(file);
+        assert.equal(version, 1);
+        assert.deepEqual(interactions.map((i) => [i.request.method, i.request.path, i.response.status]), [
+            ['GET', `/api/posts/${post.id}`, 200],
+            ['GET', '/api/posts/missing', 404],
+        ]);
+        assert.equal(file.includes(recorder.accessToken), false);
+
+        const player = replayClient();
+        const requests = server.requests.length;
+        assert.equal((await player.getPost(post.id)).content, 'Запись');
+        assert.equal(await player.getPost('missing'), null);
+        assert.equal(server.requests.length, requests);
+        assert.deepEqual(player.cassette.pending(), []);
+    });
+
+    it('replay без записи — ITDCassetteError даже в режиме errors: null; strict: false — в сеть', async () => {
+        const post = server.addPost('alice', 'Не записан');
+        fs.mkdirSync(path.dirname(cassettePath), { recursive: true });
+        fs.writeFileSync(cassettePath, JSON.stringify({ version: 1, interactions: [] }), 'utf8');
+
+        const strict = replayClient();
+        await assert.rejects(strict.getPost(post.id), (error) => {
+            assert.ok(error instanceof ITDCassetteError);
+            assert.equal(error.code, 'CASSETTE_NO_MATCH');
+            return true;
+        });
+        assert.deepEqual(strict.cassette.unmatched.map((r) => r.path), [`/api/posts/${post.id}`]);
+
+        const lenient = server.createClient({ cassette: { path: cassettePath, mode: 'replay', strict: false } });
+        assert.equal((await lenient.getPost(post.id)).id, post.id);
+    });
+
+    it('записи расходуются по порядку, repeat отдаёт последнюю ещё раз', async () => {
+        const post = server.addPost('alice', 'Счётчик');
+        const recorder = server.createClient({ cassette: { path: cassettePath, mode: 'record' } });
+        await recorder.getPost(post.id);
+        await recorder.likePost(post.id);
+        await recorder.getPost(post.id);
+
+        const player = replayClient();
+        assert.equal((await player.getPost(post.id)).likesCount, 0);
+        assert.equal((await player.getPost(post.id)).likesCount, 1);
+        assert.equal((await player.getPost(post.id)).likesCount, 1);
+        assert.equal(player.cassette.pending().length, 1);
+
+        const once = replayClient({ repeat: false });
+        await once.getPost(post.id);
+        await once.getPost(post.id);
+        await assert.rejects(once.getPost(post.id), ITDCassetteError);
+    });
+
+    it('match: по выбранным полям или функцией', async () => {
+        const recorder = server.createClient({ cassette: { path: cassettePath, mode: 'record' } });
+        await recorder.createPost('Первый');
+
+        await assert.rejects(replayClient().createPost('Другой'), ITDCassetteError);
+        assert.equal((await replayClient({ match: ['method', 'path'] }).createPost('Другой')).content, 'Первый');
+        const byPath = replayClient({ match: (request, recorded) => request.path === recorded.path });
+        assert.equal((await byPath.createPost('Третий')).content, 'Первый');
+    });
+
+    it('auto записывает, если файла нет, и воспроизводит, если есть; scrub правит запись', async () => {
+        const scrub = ({ request, response }) => ({ request, response: { ...response, headers: {} } });
+        const first = new Cassette({ path: cassettePath, mode: 'auto', scrub });
+        assert.equal(first.mode, 'record');
+        const recorder = server.createClient({ cassette: { path: cassettePath, mode: 'auto', scrub } });
+        await recorder.getMyProfile();
+        const [interaction] = JSON.parse(fs.readFileSync(cassettePath, 'utf8')).interactions;
+        assert.deepEqual(interaction.response.headers, {});
+
+        assert.equal(new Cassette({ path: cassettePath, mode: 'auto' }).mode, 'replay');
+    });
+
+    it('ошибки в опциях и файле кассеты', () => {
+        assert.throws(() => new Cassette({}), TypeError);
+        assert.throws(() => new Cassette({ path: cassettePath, mode: 'live' }), TypeError);
+        assert.throws(() => new Cassette({ path: cassettePath }), /не найдена/);
+
+        fs.mkdirSync(path.dirname(cassettePath), { recursive: true });
+        fs.writeFileSync(cassettePath, '{', 'utf8');
+        assert.throws(() => new Cassette({ path: cassettePath }), /повреждена/);
+        fs.writeFileSync(cassettePath, '{}', 'utf8');
+        assert.throws(() => new Cassette({ path: cassettePath }), /interactions/);
+    });
+});
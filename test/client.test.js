@@ -0,0 +1,231 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    ITDClient,
+    ITDNotFoundError,
+    ITDServerError,
+    ITDNetworkError,
+    ITDRateLimitError,
+    ITDValidationError,
+    MemorySessionStore,
+} from '../src/client.js';
+import { createMockServer } from '../src/testing.js';
+import { isolateEnv, makeTempDir } from './helpers.js';
+
+isolateEnv();
+
+describe('ITDClient', () => {
+    let server;
+
+    before(async () => {
+        server = await createMockServer();
+        server.addUser({ username: 'alice' });
+    });
+
+    after(async () => {
+        await server.close();
+    });
+
+    beforeEach(() => {
+        server.clearFaults();
+        server.requests.length = 0;
+    });
+
+    it('принимает baseUrl и userAgent позиционно и объектом', () => {
+        // Позиционный клиент создаёт .env в текущем каталоге — не в корне репозитория
+        const [dir, cleanup] = makeTempDir();
+        const cwd = process.cwd();
+        process.chdir(dir);
+        try {
+            const positional = new ITDClient(server.url, 'bot/1.0');
+            assert.equal(positional.baseUrl, server.url);
+            assert.equal(positional.userAgent, 'bot/1.0');
+        } finally {
+            process.chdir(cwd);
+            cleanup();
+        }
+
+        const withOptions = server.createClient({ userAgent: 'bot/2.0', requestTimeout: 5000 });
+        assert.equal(withOptions.baseUrl, server.url);
+        assert.equal(withOptions.userAgent, 'bot/2.0');
+        assert.equal(withOptions.requestTimeout, 5000);
+    });
+
+    it('подставляет Authorization из сессии', async () => {
+        const client = server.createClient();
+        const me = await client.getMyProfile();
+        assert.equal(me.username, 'me');
+        assert.match(server.requests[0].headers.authorization, /^Bearer /);
+    });
+
+    it('session описывает accessToken', async () => {
+        const client = server.createClient();
+        // Сессия из sessionStore подхватывается асинхронно — до первого запроса
+        await client.requireAuth();
+        const { session } = client;
+        assert.equal(session.authenticated, true);
+        assert.equal(session.hasRefreshToken, true);
+        assert.equal(session.userId, server.db.users.get(session.userId)?.id);
+        assert.ok(session.expiresAt instanceof Date);
+
+        const anonymous = server.createClient({}, null);
+        assert.equal(anonymous.session.authenticated, false);
+        assert.equal(anonymous.session.hasRefreshToken, false);
+    });
+
+    it("errors: 'null' — ошибка API превращается в null", async () => {
+        const client = server.createClient();
+        assert.equal(await client.getPost('missing'), null);
+        assert.equal(await client.getUserProfile('nobody'), null);
+    });
+
+    it("errors: 'throw' — типизированные ошибки с status, code и request", async () => {
+        const client = server.createClient({ errors: 'throw' });
+        await assert.rejects(client.getPost('missing'), (error) => {
+            assert.ok(error instanceof ITDNotFoundError);
+            assert.equal(error.status, 404);
+            assert.equal(error.code, 'NOT_FOUND');
+            assert.equal(error.request.method, 'GET');
+            assert.match(error.request.url, /\/api\/posts\/missing$/);
+            return true;
+        });
+        await assert.rejects(client.createPost('   '), ITDValidationError);
+    });
+
+    it('повторяет запрос после 5xx и 429', async () => {
+        const post = server.addPost('alice', 'Повторы');
+        const client = server.createClient({ errors: 'throw' });
+
+        const unavailable = server.inject({ path: '/api/posts/:id', status: 503, times: 2 });
+        assert.equal((await client.getPost(post.id)).id, post.id);
+        assert.equal(unavailable.hits, 2);
+
+        const limited = server.inject({ path: '/api/posts/:id', status: 429, retryAfter: 0 });
+        assert.equal((await client.getPost(post.id)).id, post.id);
+        assert.equal(limited.hits, 1);
+    });
+
+    it('POST после 5xx не повторяется, после 429 с Retry-After — повторяется', async () => {
+        const post = server.addPost('alice', 'Лайки');
+        const client = server.createClient({ errors: 'throw' });
+
+        const failed = server.inject({ method: 'POST', path: '/api/posts/:id/like', status: 503, times: Infinity });
+        await assert.rejects(client.likePost(post.id), ITDServerError);
+        assert.equal(failed.hits, 1);
+        server.clearFaults();
+
+        const limited = server.inject({ method: 'POST', path: '/api/posts/:id/like', status: 429, retryAfter: 0 });
+        assert.ok(await client.likePost(post.id));
+        assert.equal(limited.hits, 1);
+
+        // 429 без Retry-After у POST не повторяется
+        const bare = server.inject({ method: 'POST', path: '/api/posts/:id/like', status: 429 });
+        await assert.rejects(client.likePost(post.id), ITDRateLimitError);
+        assert.equal(bare.hits, 1);
+
+        const optIn = server.createClient({ errors: 'throw', retry: { methods: ['get', 'post'], minDelay: 1 } });
+        server.inject({ method: 'POST', path: '/api/posts/:id/like', status: 503 });
+        assert.ok(await optIn.likePost(post.id));
+    });
+
+    it('после исчерпания повторов бросает ошибку последнего ответа', async () => {
+        const post = server.addPost('alice', 'Не повезло');
+        const client = server.createClient({ errors: 'throw', retry: { retries: 1, minDelay: 1, maxDelay: 5 } });
+
+        server.inject({ path: '/api/posts/:id', status: 500, times: Infinity });
+        await assert.rejects(client.getPost(post.id), ITDServerError);
+        server.clearFaults();
+
+        server.inject({ path: '/api/posts/:id', status: 429, retryAfter: 0, times: Infinity });
+        await assert.rejects(client.getPost(post.id), ITDRateLimitError);
+    });
+
+    it('обрыв соединения — ITDNetworkError', async () => {
+        const client = server.createClient({ errors: 'throw', retry: false });
+        server.inject({ path: '/api/users/me', network: true });
+        await assert.rejects(client.getMyProfile(), ITDNetworkError);
+    });
+
+    it('get/post/put/delete — запросы с базовым адресом и авторизацией', async () => {
+        const client = server.createClient();
+        const response = await client.get('/api/users/me');
+        assert.equal(response.status, 200);
+        assert.equal(response.data.username, 'me');
+
+        const created = await client.post('/api/posts', { content: 'Через post()' });
+        assert.equal(created.status, 201);
+        const id = created.data.data?.id ?? created.data.id;
+        assert.equal((await client.put(`/api/posts/${id}`, { content: 'Через put()' })).status, 200);
+        assert.equal((await client.delete(`/api/posts/${id}`)).status, 204);
+    });
+
+    it('плагины получают запросы, ответы и ошибки', async () => {
+        const seen = [];
+        const client = server.createClient({
+            plugins: [{
+                name: 'trace',
+                beforeRequest: (config) => {
+                    seen.push(`request ${config.method} ${config.url}`);
+                    return config;
+                },
+                afterResponse: (response) => {
+                    seen.push(`response ${response.status}`);
+                    return response;
+                },
+                onError: (error) => {
+                    seen.push(`error ${error.status}`);
+                },
+            }],
+        });
+        await client.getMyProfile();
+        await client.getPost('missing');
+        assert.deepEqual(seen, [
+            `request get ${server.url}/api/users/me`,
+            'response 200',
+            `request get ${server.url}/api/posts/missing`,
+            'error 404',
+        ]);
+    });
+
+    it('cache: повторный GET не уходит на сервер, изменение сбрасывает кэш', async () => {
+        const post = server.addPost('alice', 'Кэш');
+        const client = server.createClient({ cache: true });
+
+        await client.getPost(post.id);
+        await client.getPost(post.id);
+        assert.equal(server.requests.filter((r) => r.path === `/api/posts/${post.id}`).length, 1);
+
+        await client.likePost(post.id);
+        const fresh = await client.getPost(post.id);
+        assert.equal(fresh.likesCount, 1);
+        assert.equal(server.requests.filter((r) => r.path === `/api/posts/${post.id}`).length, 2);
+    });
+
+    it('cache: объединённые запросы получают итог после повторов, а не ошибку первой попытки', async () => {
+        const post = server.addPost('alice', 'Объединение');
+        const client = server.createClient({ cache: true, errors: 'throw', retry: { minDelay: 1, maxDelay: 5 } });
+        await client.requireAuth();
+
+        const unavailable = server.inject({ path: '/api/posts/:id', status: 503 });
+        const [first, second] = await Promise.all([client.getPost(post.id), client.getPost(post.id)]);
+        assert.equal(first.id, post.id);
+        assert.equal(second.id, post.id);
+        assert.equal(unavailable.hits, 1);
+        // Ошибка и один повтор — второй вызов ждал их, а не повторял сам
+        assert.equal(server.requests.filter((r) => r.path === `/api/posts/${post.id}`).length, 2);
+        assert.equal(client.cache.getStats().coalesced, 1);
+
+        client.cache.clear();
+        server.inject({ path: '/api/posts/:id', status: 404, times: Infinity });
+        const results = await Promise.allSettled([client.getPost(post.id), client.getPost(post.id)]);
+        assert.deepEqual(results.map((r) => r.status), ['rejected', 'rejected']);
+        assert.ok(results.every((r) => r.reason instanceof ITDNotFoundError));
+        assert.equal(client.cache.getStats().inflight, 0);
+    });
+
+    it('без сессии методы с авторизацией возвращают null', async () => {
+        const client = new ITDClient({ baseUrl: server.url, logger: false, sessionStore: new MemorySessionStore() });
+        assert.equal(await client.getMyProfile(), null);
+        assert.equal(server.requests.length, 0);
+    });
+});
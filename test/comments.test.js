@@ -0,0 +1,98 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { ITDClient, ITDNotFoundError, MemorySessionStore } from '../src/client.js';
+import { isolateEnv, startServer } from './helpers.js';
+
+isolateEnv();
+
+describe('CommentsManager: ответы и ветки', () => {
+    let server;
+    let client;
+    /** ID комментария → ответы; комментарии поста p1 */
+    const replies = new Map();
+    let comments;
+    let failReplies;
+
+    before(async () => {
+        server = await startServer(({ path, query }) => {
+            if (path === '/api/posts/p1/comments') {
+                return { body: { data: { comments, hasMore: false } } };
+            }
+            const match = /^\/api\/comments\/([^/]+)\/replies$/.exec(path);
+            if (match && !failReplies) {
+                const all = replies.get(match[1]) ?? [];
+                const page = Number(query.page);
+                const limit = Number(query.limit);
+                return { body: { data: {
+                    replies: all.slice((page - 1) * limit, page * limit),
+                    pagination: { page, limit, total: all.length, hasMore: page * limit < all.length },
+                } } };
+            }
+            return { status: 404, body: { error: { code: 'NOT_FOUND', message: 'Не найдено' } } };
+        });
+        client = new ITDClient({ baseUrl: server.url, logger: false, sessionStore: new MemorySessionStore({ accessToken: 'token' }) });
+    });
+
+    after(async () => {
+        await server.close();
+    });
+
+    beforeEach(() => {
+        replies.clear();
+        comments = [];
+        failReplies = false;
+        server.requests.length = 0;
+    });
+
+    it('getReplies передаёт page, limit и sort и возвращает pagination', async () => {
+        replies.set('c1', [{ id: 'r1' }, { id: 'r2' }, { id: 'r3' }]);
+        const result = await client.getReplies('c1', 2, 2, 'new');
+        assert.deepEqual(result.replies.map((r) => r.id), ['r3']);
+        assert.deepEqual(result.pagination, { page: 2, limit: 2, total: 3, hasMore: false });
+        assert.deepEqual(server.requests[0].query, { page: '2', limit: '2', sort: 'newest' });
+
+        assert.equal((await client.comments.getReplies('c1')).replies.length, 3);
+        assert.equal(server.requests[1].query.sort, 'oldest');
+    });
+
+    it('iterateReplies обходит страницы ответов', async () => {
+        replies.set('c1', [1, 2, 3, 4, 5].map((n) => ({ id: `r${n}` })));
+        const all = await client.comments.iterateReplies('c1', { limit: 2 }).toArray();
+        assert.deepEqual(all.map((r) => r.id), ['r1', 'r2', 'r3', 'r4', 'r5']);
+        assert.deepEqual(server.requests.map((r) => r.query.page), ['1', '2', '3']);
+
+        const first = await client.comments.iterateReplies('c1', { limit: 2, max: 1 }).toArray();
+        assert.deepEqual(first.map((r) => r.id), ['r1']);
+    });
+
+    it('getCommentThread догружает ответы, которых нет во вложенном replies', async () => {
+        comments = [
+            { id: 'c1', repliesCount: 3, replies: [{ id: 'r1' }] },
+            { id: 'c2', repliesCount: 1, replies: [{ id: 'r4' }] },
+        ];
+        replies.set('c1', [{ id: 'r1' }, { id: 'r2', repliesCount: 1 }, { id: 'r3' }]);
+        replies.set('r2', [{ id: 'r2-1' }]);
+
+        const thread = await client.getCommentThread('p1');
+        assert.deepEqual(thread.map((c) => c.replies.map((r) => r.id)), [['r1', 'r2', 'r3'], ['r4']]);
+        assert.deepEqual(thread[0].replies[1].replies.map((r) => r.id), ['r2-1']);
+        // c2 пришёл со всеми ответами — лишних запросов нет
+        assert.deepEqual(server.requests.map((r) => r.path), [
+            '/api/posts/p1/comments',
+            '/api/comments/c1/replies',
+            '/api/comments/r2/replies',
+        ]);
+
+        const shallow = await client.getCommentThread('p1', { maxDepth: 1 });
+        assert.equal(shallow[0].replies[1].replies.length, 0);
+    });
+
+    it('getCommentThread: ошибка догрузки ответов — null или исключение, а не неполное дерево', async () => {
+        comments = [{ id: 'c1', repliesCount: 2, replies: [{ id: 'r1' }] }];
+        failReplies = true;
+        assert.equal(await client.getCommentThread('p1'), null);
+
+        const strict = new ITDClient({ baseUrl: server.url, logger: false, errors: 'throw', sessionStore: new MemorySessionStore({ accessToken: 'token' }) });
+        await assert.rejects(strict.getCommentThread('p1'), ITDNotFoundError);
+    });
+});
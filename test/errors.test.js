@@ -0,0 +1,97 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    ITDError,
+    ITDAuthError,
+    ITDNotFoundError,
+    ITDRateLimitError,
+    ITDValidationError,
+    ITDServerError,
+    ITDNetworkError,
+} from '../src/client.js';
+import { errorFromResponse, toITDError, parseRetryAfter } from '../src/errors.js';
+
+/** Ответ axios с заданным статусом */
+function response(status, data = {}, headers = {}) {
+    return { status, data, headers, config: { method: 'get', baseURL: 'https://example.test/', url: '/api/posts/1' } };
+}
+
+describe('errors', () => {
+    it('класс ошибки по HTTP-статусу', () => {
+        const cases = [
+            [401, ITDAuthError],
+            [403, ITDAuthError],
+            [404, ITDNotFoundError],
+            [429, ITDRateLimitError],
+            [400, ITDValidationError],
+            [409, ITDValidationError],
+            [422, ITDValidationError],
+            [500, ITDServerError],
+            [503, ITDServerError],
+        ];
+        for (const [status, ErrorClass] of cases) {
+            const error = errorFromResponse(response(status));
+            assert.ok(error instanceof ErrorClass, `${status} → ${ErrorClass.name}`);
+            assert.ok(error instanceof ITDError);
+            assert.equal(error.name, ErrorClass.name);
+            assert.equal(error.status, status);
+        }
+        const other = errorFromResponse(response(418));
+        assert.equal(other.constructor, ITDError);
+    });
+
+    it('code и текст — из тела ответа в любой из форм API', () => {
+        const nested = errorFromResponse(response(404, { error: { code: 'NOT_FOUND', message: 'Пост не найден' } }));
+        assert.equal(nested.code, 'NOT_FOUND');
+        assert.equal(nested.message, 'HTTP 404: Пост не найден');
+        assert.deepEqual(nested.request, { method: 'GET', url: 'https://example.test/api/posts/1' });
+
+        const flat = errorFromResponse(response(400, { code: 'BAD', message: 'Пустой текст' }));
+        assert.equal(flat.code, 'BAD');
+        assert.equal(flat.message, 'HTTP 400: Пустой текст');
+
+        const text = errorFromResponse(response(400, { error: 'Пустой текст' }));
+        assert.equal(text.code, null);
+        assert.equal(text.message, 'HTTP 400: Пустой текст');
+
+        assert.equal(errorFromResponse(response(500, '')).message, 'HTTP 500');
+    });
+
+    it('429: retryAfter из заголовка в мс', () => {
+        assert.equal(errorFromResponse(response(429, {}, { 'retry-after': '3' })).retryAfter, 3000);
+        assert.equal(errorFromResponse(response(429)).retryAfter, null);
+    });
+
+    it('parseRetryAfter: секунды и HTTP-дата', () => {
+        assert.equal(parseRetryAfter('0'), 0);
+        assert.equal(parseRetryAfter(2), 2000);
+        assert.equal(parseRetryAfter(''), null);
+        assert.equal(parseRetryAfter(undefined), null);
+        assert.equal(parseRetryAfter('завтра'), null);
+        assert.equal(parseRetryAfter(new Date(Date.now() - 60000).toUTCString()), 0);
+        const delay = parseRetryAfter(new Date(Date.now() + 60000).toUTCString());
+        assert.ok(delay > 55000 && delay <= 60000);
+    });
+
+    it('toITDError: ответ, сеть, прочие ошибки', () => {
+        const typed = new ITDNotFoundError('нет');
+        assert.equal(toITDError(typed), typed);
+
+        const axiosError = Object.assign(new Error('Request failed'), { isAxiosError: true, response: response(503) });
+        const server = toITDError(axiosError);
+        assert.ok(server instanceof ITDServerError);
+        assert.equal(server.cause, axiosError);
+
+        const reset = Object.assign(new Error('socket hang up'), { isAxiosError: true, code: 'ECONNRESET', config: { method: 'post', url: 'https://example.test/api/posts' } });
+        const network = toITDError(reset);
+        assert.ok(network instanceof ITDNetworkError);
+        assert.equal(network.status, null);
+        assert.equal(network.code, 'ECONNRESET');
+        assert.deepEqual(network.request, { method: 'POST', url: 'https://example.test/api/posts' });
+
+        const plain = toITDError(new TypeError('сломалось'));
+        assert.equal(plain.constructor, ITDError);
+        assert.equal(plain.message, 'сломалось');
+        assert.equal(toITDError('строка').message, 'строка');
+    });
+});
@@ -0,0 +1,105 @@
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { ITDNotFoundError, ITDServerError } from '../src/client.js';
+import { FakeITDClient, MockITDServer, createFakeClient } from '../src/testing.js';
+import { isolateEnv } from './helpers.js';
+
+isolateEnv();
+
+describe('FakeITDClient', () => {
+    const clients = [];
+
+    /** Клиент, который закроется после теста */
+    function fake(options) {
+        const client = createFakeClient(options);
+        clients.push(client);
+        return client;
+    }
+
+    afterEach(() => {
+        for (const client of clients.splice(0)) client.destroy();
+    });
+
+    it('работает без сети: профиль и данные из фабрик', async () => {
+        const client = fake({ user: { username: 'bot', displayName: 'Бот' } });
+        assert.ok(client instanceof FakeITDClient);
+        assert.equal(client.me.username, 'bot');
+        assert.equal((await client.getMyProfile()).displayName, 'Бот');
+
+        const post = client.factory.post({ content: 'Как дела?' });
+        assert.equal(post.author.username, 'user1');
+        assert.equal(client.factory.post().content, 'Пост 2');
+        const comment = client.factory.comment({ post, author: client.me });
+        assert.equal(comment.content, 'Комментарий 1');
+
+        const fetched = await client.getPost(post.id);
+        assert.equal(fetched.content, 'Как дела?');
+        assert.equal(fetched.commentsCount, 1);
+        assert.ok(client.backend.requests.length > 0);
+    });
+
+    it('журнал действий: только успешные изменяющие запросы', async () => {
+        const client = fake();
+        const post = client.factory.post();
+        await client.getPost(post.id);
+        await client.likePost(post.id);
+        await client.addComment(post.id, 'Отлично!');
+        assert.equal(await client.likePost('missing'), null);
+
+        assert.deepEqual(client.actions.map((action) => action.name), ['likePost', 'addComment']);
+        const comment = client.assertAction('addComment', { id: post.id, content: 'Отлично!' });
+        assert.equal(comment.result.content, 'Отлично!');
+        client.assertActionCount('likePost', 1);
+        client.assertAction('likePost', (action) => action.params.id === post.id);
+        client.assertNoAction('followUser');
+        client.assertNoAction('addComment', { content: 'Плохо' });
+
+        client.clearActions();
+        assert.deepEqual(client.actions, []);
+    });
+
+    it('проверки бросают AssertionError с понятным сообщением', async () => {
+        const client = fake();
+        const post = client.factory.post();
+        await client.likePost(post.id);
+
+        assert.throws(() => client.assertAction('followUser'), (error) => {
+            assert.ok(error instanceof assert.AssertionError);
+            assert.match(error.message, /Ожидалось действие followUser; выполнено: likePost/);
+            return true;
+        });
+        assert.throws(() => client.assertActionCount('likePost', 2), /Ожидалось 2 × likePost, выполнено 1/);
+        assert.throws(() => client.assertNoAction('likePost', { id: post.id }), assert.AssertionError);
+    });
+
+    it('as(): другой пользователь на тех же данных', async () => {
+        const client = fake();
+        const fan = client.factory.user({ username: 'fan' });
+        const post = await client.createPost('Мой пост');
+
+        const other = client.as(fan);
+        clients.push(other);
+        assert.equal(other.backend, client.backend);
+        assert.equal(other.me.username, 'fan');
+        await other.likePost(post.id);
+
+        other.assertAction('likePost', { id: post.id });
+        client.assertNoAction('likePost');
+        const { notifications } = await client.getNotifications();
+        assert.deepEqual(notifications.map((n) => [n.type, n.actor.username, n.targetId]), [['like', 'fan', post.id]]);
+    });
+
+    it('backend: inject и режим ошибок клиента', async () => {
+        const client = fake({ errors: 'throw' });
+        const post = client.factory.post();
+        client.backend.inject({ path: '/api/posts/:id', status: 503 });
+        await assert.rejects(client.getPost(post.id), ITDServerError);
+        await assert.rejects(client.getPost('missing'), ITDNotFoundError);
+
+        const shared = new MockITDServer();
+        const first = fake({ backend: shared });
+        const second = fake({ backend: shared });
+        const created = await first.createPost('Общий');
+        assert.equal((await second.getPost(created.id)).content, 'Общий');
+    });
+});
@@ -0,0 +1,99 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { acquireFileLock } from '../src/file-lock.js';
+import { makeTempDir } from './helpers.js';
+
+describe('acquireFileLock', () => {
+    let dir;
+    let cleanup;
+    let lockPath;
+
+    beforeEach(() => {
+        [dir, cleanup] = makeTempDir();
+        lockPath = path.join(dir, '.cookies.lock');
+    });
+
+    afterEach(() => {
+        cleanup();
+    });
+
+    it('второй захват ждёт release', async () => {
+        const release = await acquireFileLock(lockPath);
+        const second = acquireFileLock(lockPath, { retryInterval: 5 });
+        await new Promise((resolve) => setTimeout(resolve, 30));
+        assert.ok(fs.existsSync(lockPath));
+        await release();
+        const releaseSecond = await second;
+        await releaseSecond();
+        assert.equal(fs.existsSync(lockPath), false);
+    });
+
+    it('занятый lock — ошибка по timeout', async () => {
+        const release = await acquireFileLock(lockPath);
+        await assert.rejects(acquireFileLock(lockPath, { timeout: 30, retryInterval: 5 }), /блокировку/);
+        await release();
+    });
+
+    it('удерживаемый дольше stale lock не считается брошенным', async () => {
+        const release = await acquireFileLock(lockPath, { stale: 150 });
+        await new Promise((resolve) => setTimeout(resolve, 400));
+        await assert.rejects(acquireFileLock(lockPath, { stale: 150, timeout: 50, retryInterval: 5 }), /блокировку/);
+        await release();
+    });
+
+    it('брошенный lock (старше stale) захватывается', async () => {
+        fs.writeFileSync(lockPath, JSON.stringify({ pid: process.pid, hostname: 'other-host' }));
+        const past = new Date(Date.now() - 10000);
+        fs.utimesSync(lockPath, past, past);
+        const release = await acquireFileLock(lockPath, { stale: 1000, timeout: 100 });
+        assert.equal(JSON.parse(fs.readFileSync(lockPath, 'utf8')).hostname !== 'other-host', true);
+        await release();
+    });
+
+    it('два претендента на брошенный lock: второй не удаляет свежий lock первого', async () => {
+        fs.writeFileSync(lockPath, JSON.stringify({ pid: process.pid, hostname: 'other-host', token: 'old' }));
+        const past = new Date(Date.now() - 10000);
+        fs.utimesSync(lockPath, past, past);
+
+        // Первый претендент успевает снять брошенный lock и поставить свой между проверкой
+        // и снятием у второго — перед первым переносом или удалением lock-файла
+        const { renameSync, unlinkSync } = fs;
+        let raced = false;
+        const race = (target) => {
+            if (raced || target !== lockPath) return;
+            raced = true;
+            unlinkSync(lockPath);
+            fs.writeFileSync(lockPath, JSON.stringify({ pid: process.pid, hostname: 'other-host', token: 'first' }), { flag: 'wx' });
+        };
+        fs.renameSync = (from, to) => {
+            race(from);
+            return renameSync(from, to);
+        };
+        fs.unlinkSync = (target) => {
+            race(target);
+            return unlinkSync(target);
+        };
+        try {
+            await assert.rejects(acquireFileLock(lockPath, { stale: 1000, timeout: 50, retryInterval: 5 }), /блокировку/);
+        } finally {
+            fs.renameSync = renameSync;
+            fs.unlinkSync = unlinkSync;
+        }
+        assert.ok(raced);
+        assert.equal(JSON.parse(fs.readFileSync(lockPath, 'utf8')).token, 'first');
+        assert.deepEqual(fs.readdirSync(dir), ['.cookies.lock']);
+    });
+
+    it('release не удаляет lock, который уже захватил другой процесс', async () => {
+        const release = await acquireFileLock(lockPath);
+        // Наш lock сочли брошенным и заменили своим
+        fs.unlinkSync(lockPath);
+        fs.writeFileSync(lockPath, JSON.stringify({ pid: process.pid, hostname: 'other-host', token: 'other' }));
+
+        await release();
+        assert.equal(JSON.parse(fs.readFileSync(lockPath, 'utf8')).token, 'other');
+        assert.deepEqual(fs.readdirSync(dir), ['.cookies.lock']);
+    });
+});
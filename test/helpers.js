@@ -0,0 +1,56 @@
+/**
+ * Общее для тестов: изоляция от окружения разработчика, временные каталоги и локальный HTTP-сервер.
+ */
+import fs from 'fs';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+
+/**
+ * Клиент читает токен, адрес и прокси из окружения (и из .env через dotenv) — тесты не должны
+ * зависеть от настроек разработчика и ходить через его прокси.
+ */
+export function isolateEnv() {
+    for (const name of ['ITD_ACCESS_TOKEN', 'ITD_BASE_URL', 'ITD_PROXY', 'HTTPS_PROXY', 'HTTP_PROXY', 'https_proxy', 'http_proxy', 'ITD_STORAGE_KEY', 'ITD_STORAGE_KEY_FILE']) {
+        delete process.env[name];
+    }
+}
+
+/**
+ * Временный каталог; удаляется функцией, которую возвращает вторым элементом.
+ *
+ * @returns {[string, function(): void]}
+ */
+export function makeTempDir() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'itd-sdk-test-'));
+    return [dir, () => fs.rmSync(dir, { recursive: true, force: true })];
+}
+
+/**
+ * Локальный HTTP-сервер для тестов клиента: handler({ method, path, query, headers, body }) → { status, headers, body }.
+ *
+ * @param {function(Object): Object} handler - Ответ на запрос (body — объект, отдаётся как JSON)
+ * @returns {Promise<{ url: string, requests: Array<Object>, close: function(): Promise<void> }>}
+ */
+export async function startServer(handler) {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        const chunks = [];
+        req.on('data', (chunk) => chunks.push(chunk));
+        req.on('end', async () => {
+            const raw = Buffer.concat(chunks).toString('utf8');
+            const url = new URL(req.url, 'http://127.0.0.1');
+            const request = { method: req.method, path: url.pathname, query: Object.fromEntries(url.searchParams), headers: req.headers, body: raw ? JSON.parse(raw) : null };
+            requests.push(request);
+            const { status = 200, headers = {}, body = null } = (await handler(request)) ?? {};
+            res.writeHead(status, body == null ? headers : { 'Content-Type': 'application/json', ...headers });
+            res.end(body == null ? undefined : JSON.stringify(body));
+        });
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    return {
+        url: `http://127.0.0.1:${server.address().port}`,
+        requests,
+        close: () => new Promise((resolve) => server.close(resolve)),
+    };
+}
@@ -0,0 +1,56 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { ITDClient } from '../src/client.js';
+import { decodeJwt, describeToken } from '../src/jwt.js';
+import { isolateEnv, makeTempDir } from './helpers.js';
+
+isolateEnv();
+
+/** JWT с данным payload (подпись не проверяется) */
+function jwt(payload) {
+    const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+    return `${encode({ alg: 'HS256', typ: 'JWT' })}.${encode(payload)}.signature`;
+}
+
+describe('jwt', () => {
+    it('decodeJwt: payload или null', () => {
+        assert.deepEqual(decodeJwt(jwt({ sub: 'u1', exp: 100 })), { sub: 'u1', exp: 100 });
+        assert.equal(decodeJwt('not-a-jwt'), null);
+        assert.equal(decodeJwt('a.!!!.c'), null);
+        assert.equal(decodeJwt(`a.${Buffer.from('"строка"').toString('base64url')}.c`), null);
+        assert.equal(decodeJwt(null), null);
+    });
+
+    it('describeToken: id пользователя, сроки и expired', () => {
+        const now = 1_700_000_000_000;
+        const info = describeToken(jwt({ sub: 'u1', iat: now / 1000 - 60, exp: now / 1000 + 840 }), now);
+        assert.equal(info.userId, 'u1');
+        assert.equal(info.issuedAt.getTime(), now - 60000);
+        assert.equal(info.expiresAt.getTime(), now + 840000);
+        assert.equal(info.expiresIn, 840000);
+        assert.equal(info.expired, false);
+
+        assert.equal(describeToken(jwt({ userId: 'u2', exp: now / 1000 }), now).expired, true);
+        assert.equal(describeToken(jwt({ id: 'u3' }), now).userId, 'u3');
+        const opaque = describeToken('opaque-token', now);
+        assert.deepEqual(opaque, { userId: null, issuedAt: null, expiresAt: null, expiresIn: null, expired: false, claims: null });
+    });
+
+    it('client.session и опция autoRefresh', () => {
+        const [projectRoot, cleanup] = makeTempDir();
+        const options = { baseUrl: 'http://127.0.0.1:9', projectRoot, logger: false };
+        try {
+            const exp = Math.floor(Date.now() / 1000) + 30;
+            const client = new ITDClient({ ...options, accessToken: jwt({ sub: 'u1', exp }), cookiesString: '' });
+            assert.equal(client.session.userId, 'u1');
+            assert.equal(client.session.expiresAt.getTime(), exp * 1000);
+            assert.deepEqual(client.autoRefresh, { mode: 'lazy', skew: 60000 });
+
+            assert.equal(new ITDClient({ ...options, autoRefresh: false }).autoRefresh, null);
+            assert.deepEqual(new ITDClient({ ...options, autoRefresh: { skew: 5000 } }).autoRefresh, { mode: 'lazy', skew: 5000 });
+            assert.throws(() => new ITDClient({ ...options, autoRefresh: 'eager' }), /autoRefresh/);
+        } finally {
+            cleanup();
+        }
+    });
+});
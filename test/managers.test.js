@@ -0,0 +1,289 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import fs from 'fs';
+import { createMockServer } from '../src/testing.js';
+import { isolateEnv, makeTempDir } from './helpers.js';
+
+isolateEnv();
+
+/**
+ * Один и тот же список в трёх формах, которые встречаются у API: в конверте { data }, без него и массивом.
+ */
+function envelopes(key, items) {
+    return [
+        ['{ data: { ... } }', { data: { [key]: items } }],
+        ['{ ... }', { [key]: items }],
+        ['массив', items],
+    ];
+}
+
+describe('менеджеры', () => {
+    let server;
+    let client;
+    let drifts;
+
+    before(async () => {
+        server = await createMockServer();
+        server.addUser({ username: 'alice', displayName: 'Alice' });
+        server.addUser({ username: 'bob' });
+        server.follow('bob', 'alice');
+    });
+
+    after(async () => {
+        await server.close();
+    });
+
+    beforeEach(() => {
+        server.clearFaults();
+        client = server.createClient();
+        drifts = [];
+        client.on('schemaDrift', (drift) => drifts.push(drift));
+    });
+
+    /** Следующий GET по пути получит такой ответ 200 */
+    function respond(pathPattern, body) {
+        server.inject({ method: 'GET', path: pathPattern, status: 200, body });
+    }
+
+    describe('posts', () => {
+        it('getPost снимает конверт и принимает объект без него', async () => {
+            const post = { id: 'p1', content: 'привет', likesCount: 1 };
+            respond('/api/posts/:id', { data: post });
+            assert.equal((await client.getPost('p1')).content, 'привет');
+            respond('/api/posts/:id', post);
+            assert.equal((await client.getPost('p1')).id, 'p1');
+            assert.deepEqual(drifts, []);
+        });
+
+        for (const [name, body] of envelopes('posts', [{ id: 'p1', content: 'a' }, { id: 'p2', content: 'b' }])) {
+            it(`getPosts: ${name}`, async () => {
+                respond('/api/posts/user/:username', body);
+                const result = await client.getPosts('alice');
+                assert.deepEqual(result.posts.map((p) => p.id), ['p1', 'p2']);
+                assert.deepEqual(drifts, []);
+            });
+        }
+
+        it('getPosts: pagination рядом со списком', async () => {
+            respond('/api/posts', { data: { posts: [{ id: 'p1' }], pagination: { hasMore: true, nextCursor: 'c2' } } });
+            const result = await client.getPosts();
+            assert.deepEqual(result.pagination, { hasMore: true, nextCursor: 'c2' });
+        });
+
+        it('getPosts: пропавший список — пустой результат и schemaDrift', async () => {
+            respond('/api/posts/user/:username', { data: { items: [{ id: 'p1' }] } });
+            const result = await client.getPosts('alice');
+            assert.deepEqual(result.posts, []);
+            assert.equal(drifts.length, 1);
+            assert.equal(drifts[0].method, 'posts.getPosts');
+            assert.equal(drifts[0].path, 'posts');
+            assert.equal(drifts[0].actual, 'undefined');
+        });
+
+        it('getPost: поле не того типа — schemaDrift, пост всё равно возвращается', async () => {
+            respond('/api/posts/:id', { data: { id: 'p1', likesCount: '5' } });
+            const post = await client.getPost('p1');
+            assert.equal(post.id, 'p1');
+            assert.equal(drifts[0].path, 'post.likesCount');
+            assert.equal(drifts[0].expected, 'number?');
+            assert.equal(drifts[0].actual, 'string');
+        });
+
+        it('создание, правка, удаление и восстановление поста', async () => {
+            const created = await client.createPost('первый пост');
+            assert.equal(created.content, 'первый пост');
+            assert.equal((await client.editPost(created.id, 'исправлено')).content, 'исправлено');
+            assert.equal((await client.getPost(created.id)).content, 'исправлено');
+            assert.equal(await client.deletePost(created.id), true);
+            assert.equal(await client.restorePost(created.id), true);
+            assert.equal((await client.getPosts('me')).posts[0].id, created.id);
+        });
+    });
+
+    describe('comments', () => {
+        for (const [name, body] of envelopes('comments', [{ id: 'c1', content: 'a' }])) {
+            it(`getComments: ${name}`, async () => {
+                respond('/api/posts/:id/comments', body);
+                const result = await client.getComments('p1');
+                assert.deepEqual(result.comments.map((c) => c.id), ['c1']);
+                assert.equal(result.total, 1);
+                assert.equal(result.hasMore, false);
+            });
+        }
+
+        it('getReplies: список в replies или в comments', async () => {
+            respond('/api/comments/:id/replies', { data: { replies: [{ id: 'r1' }], pagination: { page: 1, hasMore: false } } });
+            let result = await client.getReplies('c1');
+            assert.deepEqual(result.replies.map((r) => r.id), ['r1']);
+            assert.deepEqual(result.pagination, { page: 1, hasMore: false });
+
+            respond('/api/comments/:id/replies', { comments: [{ id: 'r2' }], total: 1 });
+            result = await client.getReplies('c1', 1, 10);
+            assert.deepEqual(result.replies.map((r) => r.id), ['r2']);
+            assert.deepEqual(result.pagination, { page: 1, limit: 10, total: 1, hasMore: false });
+            assert.deepEqual(drifts, []);
+        });
+
+        it('getComments: пропавший список — schemaDrift', async () => {
+            respond('/api/posts/:id/comments', { data: {} });
+            const result = await client.getComments('p1');
+            assert.deepEqual(result.comments, []);
+            assert.equal(drifts[0].method, 'comments.getComments');
+            assert.equal(drifts[0].path, 'comments');
+        });
+
+        it('комментарий, ответ, лайк и удаление', async () => {
+            const post = server.addPost('alice', { content: 'обсуждаем' });
+            const comment = await client.addComment(post.id, 'первый');
+            assert.equal(comment.content, 'первый');
+            const reply = await client.replyToComment(comment.id, 'ответ', server.me.id);
+            assert.equal(reply.content, 'ответ');
+            assert.deepEqual((await client.getReplies(comment.id)).replies.map((r) => r.id), [reply.id]);
+            assert.ok(await client.likeComment(comment.id));
+            assert.equal(await client.deleteComment(reply.id), true);
+            assert.deepEqual((await client.getReplies(comment.id)).replies, []);
+        });
+    });
+
+    describe('users', () => {
+        it('getUserProfile: с конвертом и без', async () => {
+            respond('/api/users/:username', { data: { username: 'alice', followersCount: 3 } });
+            assert.equal((await client.getUserProfile('alice')).followersCount, 3);
+            respond('/api/users/:username', { username: 'alice', followersCount: 4 });
+            assert.equal((await client.getUserProfile('alice')).followersCount, 4);
+        });
+
+        for (const [name, body] of envelopes('users', [{ username: 'bob' }])) {
+            it(`getFollowers: ${name}`, async () => {
+                respond('/api/users/:username/followers', body);
+                const result = await client.getFollowers('alice');
+                assert.deepEqual(result.users.map((u) => u.username), ['bob']);
+            });
+        }
+
+        it('getFollowers: пользователь без username — schemaDrift', async () => {
+            respond('/api/users/:username/followers', { data: { users: [{ id: 'u1' }] } });
+            await client.getFollowers('alice');
+            assert.equal(drifts[0].method, 'users.getFollowers');
+            assert.equal(drifts[0].path, 'users[0].username');
+        });
+
+        it('подписка и отписка', async () => {
+            assert.equal((await client.followUser('alice')).following, true);
+            assert.ok((await client.getFollowers('alice')).users.some((u) => u.username === 'me'));
+            assert.equal((await client.unfollowUser('alice')).following, false);
+            assert.equal(await client.isFollowing('alice'), false);
+        });
+
+        it('updateProfile меняет профиль', async () => {
+            const updated = await client.updateProfile('о себе', 'Я');
+            assert.equal(updated.bio, 'о себе');
+            assert.equal((await client.getMyProfile()).displayName, 'Я');
+        });
+    });
+
+    describe('notifications', () => {
+        for (const [name, body] of envelopes('notifications', [{ id: 'n1', type: 'like' }, { id: 'n2', type: 'follow' }])) {
+            it(`getNotifications: ${name}`, async () => {
+                respond('/api/notifications', body);
+                const result = await client.getNotifications();
+                assert.deepEqual(result.notifications.map((n) => n.id), ['n1', 'n2']);
+                assert.equal(result.hasMore, false);
+            });
+        }
+
+        it('getNotifications: фильтр по типу и hasMore', async () => {
+            respond('/api/notifications', { data: { notifications: [{ id: 'n1', type: 'like' }, { id: 'n2', type: 'follow' }], hasMore: true } });
+            const result = await client.getNotifications(20, 0, 'follow');
+            assert.deepEqual(result.notifications.map((n) => n.id), ['n2']);
+            assert.equal(result.hasMore, true);
+        });
+
+        it('уведомление без type — schemaDrift', async () => {
+            respond('/api/notifications', { notifications: [{ id: 'n1' }] });
+            await client.getNotifications();
+            assert.equal(drifts[0].path, 'notifications[0].type');
+        });
+
+        it('отметка прочитанными', async () => {
+            const first = server.notify('me', { type: 'like' });
+            server.notify('me', { type: 'follow' });
+            assert.equal(await client.getNotificationCount(), 2);
+            assert.ok(await client.markNotificationAsRead(first.id));
+            assert.equal(await client.getNotificationCount(), 1);
+            assert.ok(await client.markAllNotificationsAsRead());
+            assert.equal(await client.hasUnreadNotifications(), false);
+        });
+    });
+
+    describe('hashtags и search', () => {
+        for (const [name, body] of envelopes('hashtags', [{ name: 'итд', postsCount: 3 }])) {
+            it(`getTrending: ${name}`, async () => {
+                respond('/api/hashtags/trending', body);
+                const result = await client.hashtags.getTrending();
+                assert.deepEqual(result.hashtags.map((h) => h.name), ['итд']);
+            });
+        }
+
+        it('search: users и hashtags из одного ответа', async () => {
+            respond('/api/search', { data: { users: [{ username: 'alice' }], hashtags: [{ name: 'итд' }] } });
+            const result = await client.searchManager.search('а');
+            assert.deepEqual(result.users.map((u) => u.username), ['alice']);
+            assert.deepEqual(result.hashtags.map((h) => h.name), ['итд']);
+        });
+
+        it('search: пропавшие hashtags — schemaDrift, users на месте', async () => {
+            respond('/api/search', { users: [{ username: 'alice' }] });
+            const result = await client.searchManager.search('а');
+            assert.equal(result.users.length, 1);
+            assert.deepEqual(result.hashtags, []);
+            assert.equal(drifts[0].method, 'search.search');
+            assert.equal(drifts[0].path, 'hashtags');
+        });
+    });
+
+    describe('files, verification, reports', () => {
+        let dir;
+        let cleanup;
+
+        before(() => {
+            [dir, cleanup] = makeTempDir();
+        });
+
+        after(() => cleanup());
+
+        it('getFile: с конвертом и без', async () => {
+            respond('/api/files/:id', { data: { id: 'f1', url: 'https://cdn/f1.png' } });
+            assert.equal((await client.files.getFile('f1')).url, 'https://cdn/f1.png');
+            respond('/api/files/:id', { id: 'f2', url: 'https://cdn/f2.png' });
+            assert.equal((await client.files.getFile('f2')).id, 'f2');
+        });
+
+        it('загрузка, получение и удаление файла', async () => {
+            const filePath = path.join(dir, 'pic.png');
+            fs.writeFileSync(filePath, Buffer.from([0x89, 0x50, 0x4e, 0x47]));
+            const uploaded = await client.files.uploadFile(filePath);
+            assert.equal(uploaded.filename, 'pic.png');
+            assert.equal((await client.files.getFile(uploaded.id)).id, uploaded.id);
+            assert.equal(await client.files.deleteFile(uploaded.id), true);
+            assert.equal(await client.files.getFile(uploaded.id), null);
+        });
+
+        it('verification.getStatus: с конвертом и без', async () => {
+            respond('/api/verification/status', { data: { status: 'pending' } });
+            assert.equal((await client.verification.getStatus()).status, 'pending');
+            respond('/api/verification/status', { status: 'approved' });
+            assert.equal((await client.verification.getStatus()).status, 'approved');
+        });
+
+        it('reports: ответ из конверта и success по умолчанию', async () => {
+            const post = server.addPost('alice', { content: 'спам' });
+            const report = await client.reports.reportPost(post.id, 'spam');
+            assert.ok(report.id);
+
+            server.inject({ method: 'POST', path: '/api/reports', status: 201, body: '' });
+            assert.deepEqual(await client.reports.reportUser('u1'), { success: true });
+        });
+    });
+});
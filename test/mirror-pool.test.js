@@ -0,0 +1,749 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { ITDAuthError, ITDClient, ITDRateLimitError, MemorySessionStore } from '../src/client.js';
+import { createMirrorPool } from '../src/mirror-pool.js';
+import { createMockServer } from '../src/testing.js';
+import { isolateEnv, makeTempDir } from './helpers.js';
+
+isolateEnv();
+
+describe('createMirrorPool', () => {
+    let server;
+    let accounts;
+
+    before(async () => {
+        server = await createMockServer();
+        for (const username of ['gork', 'gork_1', 'gork_2']) {
+            server.addUser({ username });
+        }
+    });
+
+    after(async () => {
+        await server.close();
+    });
+
+    beforeEach(() => {
+        server.requests.length = 0;
+        accounts = ['gork', 'gork_1', 'gork_2'].map((username) => server.createClient({}, username));
+    });
+
+    it('распределяет вызовы методов по кругу', async () => {
+        const pool = createMirrorPool(accounts);
+        const names = [];
+        for (let i = 0; i < 6; i++) {
+            names.push((await pool.getMyProfile()).username);
+        }
+        assert.deepEqual(names, ['gork', 'gork_1', 'gork_2', 'gork', 'gork_1', 'gork_2']);
+    });
+
+    it('методы менеджеров тоже идут по кругу', async () => {
+        const pool = createMirrorPool(accounts);
+        const names = [];
+        for (let i = 0; i < 3; i++) {
+            names.push((await pool.users.getMyProfile()).username);
+        }
+        assert.deepEqual(names, ['gork', 'gork_1', 'gork_2']);
+    });
+
+    it('getClient() — ручной выбор аккаунта на несколько операций', async () => {
+        const pool = createMirrorPool(accounts);
+        const first = pool.getClient();
+        const second = pool.nextClient();
+        assert.equal(first, accounts[0]);
+        assert.equal(second, accounts[1]);
+        assert.equal((await first.getMyProfile()).username, 'gork');
+        assert.equal((await first.getMyProfile()).username, 'gork');
+        assert.equal(pool.size, 3);
+        assert.deepEqual(pool.clients, accounts);
+    });
+
+    it('создаёт ITDClient из конфигов', async () => {
+        const pool = createMirrorPool(['gork', 'gork_1'].map((username) => ({
+            baseUrl: server.url,
+            logger: false,
+            sessionStore: new MemorySessionStore(server.createSession(username)),
+        })));
+        assert.ok(pool.clients.every((client) => client instanceof ITDClient));
+        assert.equal((await pool.getMyProfile()).username, 'gork');
+        assert.equal((await pool.getMyProfile()).username, 'gork_1');
+    });
+
+    it('use() подключает плагин ко всем аккаунтам', async () => {
+        const seen = [];
+        const pool = createMirrorPool(accounts, {
+            plugins: [{ name: 'trace', afterResponse: (response) => { seen.push(response.config.headers.Authorization); return response; } }],
+        });
+        pool.use({ name: 'second' });
+        for (let i = 0; i < 3; i++) {
+            await pool.getMyProfile();
+        }
+        assert.equal(new Set(seen).size, 3);
+        // Первый — безымянный плагин пула, который следит за здоровьем аккаунта
+        assert.ok(accounts.every((client) => client.plugins.map((p) => p.name).join() === ',trace,second'));
+    });
+
+    it('проверяет аргументы', () => {
+        assert.throws(() => createMirrorPool([]), TypeError);
+        assert.throws(() => createMirrorPool({}), /mirrorsCookiesPath/);
+        assert.throws(() => createMirrorPool('gork'), TypeError);
+        assert.throws(() => createMirrorPool(accounts, { cooldown: -1 }), /cooldown/);
+        assert.throws(() => createMirrorPool(accounts, { failover: 'yes' }), /failover/);
+        const config = () => ({ name: 'a', baseUrl: server.url, logger: false, sessionStore: new MemorySessionStore() });
+        assert.throws(() => createMirrorPool([config(), config()]), /повторяется/);
+    });
+
+    describe('здоровье аккаунтов', () => {
+        beforeEach(() => {
+            server.clearFaults();
+            accounts = ['gork', 'gork_1', 'gork_2'].map((username) => server.createClient({ retry: false }, username));
+        });
+
+        it('после 429 аккаунт отдыхает Retry-After, вызов повторяется с другого', async () => {
+            const pool = createMirrorPool(accounts);
+            server.inject({ path: '/api/users/me', status: 429, retryAfter: 600 });
+
+            const before = Date.now();
+            assert.equal((await pool.getMyProfile()).username, 'gork_1');
+
+            const [gork] = pool.status();
+            assert.equal(gork.key, '0');
+            assert.equal(gork.state, 'rate_limited');
+            assert.equal(gork.available, false);
+            assert.ok(gork.cooldownUntil.getTime() >= before + 600000);
+            assert.equal(gork.lastError.status, 429);
+
+            const names = [];
+            for (let i = 0; i < 4; i++) {
+                names.push((await pool.users.getMyProfile()).username);
+            }
+            assert.deepEqual(names, ['gork_2', 'gork_1', 'gork_2', 'gork_1']);
+            assert.notEqual(pool.getClient(), accounts[0]);
+        });
+
+        it('с повторами клиента по умолчанию 429 сразу уводит вызов на другой аккаунт', async () => {
+            accounts = ['gork', 'gork_1'].map((username) => server.createClient({}, username));
+            const pool = createMirrorPool(accounts);
+            server.inject({ path: '/api/users/me', status: 429, retryAfter: 2 });
+
+            // Повтор клиента ждал бы 2 с и получил ответ от gork
+            const before = Date.now();
+            assert.equal((await pool.getMyProfile()).username, 'gork_1');
+            assert.ok(Date.now() - before < 1000);
+            assert.equal(server.requests.filter((r) => r.path === '/api/users/me').length, 2);
+            assert.equal(pool.status()[0].state, 'rate_limited');
+
+            // Без failover повторы клиента по 429 остаются
+            const single = createMirrorPool([server.createClient({ retry: { minDelay: 1 } }, 'gork')], { failover: false });
+            server.inject({ path: '/api/users/me', status: 429 });
+            assert.equal((await single.getMyProfile()).username, 'gork');
+        });
+
+        it('политику retry клиентов не меняет: pool.as и сам клиент повторяют 429', async () => {
+            accounts = ['gork', 'gork_1'].map((username) => server.createClient({ retry: { minDelay: 1 } }, username));
+            const statuses = [...accounts[0].retryPolicy.statuses];
+            const pool = createMirrorPool(accounts);
+            assert.deepEqual(accounts[0].retryPolicy.statuses, statuses);
+
+            // Закреплённый вызов перенести некуда — повтор клиента получает ответ от того же аккаунта
+            server.inject({ path: '/api/users/me', status: 429 });
+            assert.equal((await pool.as('0').getMyProfile()).username, 'gork');
+            assert.equal(server.requests.filter((r) => r.path === '/api/users/me').length, 2);
+
+            server.inject({ path: '/api/users/me', status: 429 });
+            assert.equal((await accounts[1].getMyProfile()).username, 'gork_1');
+        });
+
+        it('429 без Retry-After — пауза cooldown; в режиме throw ошибка тоже уходит на другой аккаунт', async () => {
+            accounts = ['gork', 'gork_1'].map((username) => server.createClient({ retry: false, errors: 'throw' }, username));
+            const pool = createMirrorPool(accounts, { cooldown: 5000 });
+            server.inject({ path: '/api/users/me', status: 429 });
+
+            const before = Date.now();
+            assert.equal((await pool.getMyProfile()).username, 'gork_1');
+            const cooldownUntil = pool.status()[0].cooldownUntil.getTime();
+            assert.ok(cooldownUntil >= before + 5000 && cooldownUntil < before + 60000);
+        });
+
+        it('failover: false — ошибка возвращается без повтора', async () => {
+            accounts = ['gork', 'gork_1'].map((username) => server.createClient({ retry: false, errors: 'throw' }, username));
+            const pool = createMirrorPool(accounts, { failover: false });
+            server.inject({ path: '/api/users/me', status: 429, retryAfter: 600 });
+            await assert.rejects(pool.getMyProfile(), ITDRateLimitError);
+            assert.equal((await pool.getMyProfile()).username, 'gork_1');
+        });
+
+        it('аккаунт с неудачным refresh исключается до успешного запроса с токеном', async () => {
+            const broken = server.createClient({ retry: false, sessionStore: new MemorySessionStore({ accessToken: 'expired', cookies: 'refresh_token=revoked' }) }, null);
+            const pool = createMirrorPool([broken, accounts[0]]);
+            const refreshErrors = [];
+            broken.on('tokenRefreshError', (error) => refreshErrors.push(error));
+
+            assert.equal((await pool.getMyProfile()).username, 'gork');
+            assert.equal(refreshErrors.length, 1);
+            assert.equal(pool.status()[0].state, 'auth_lost');
+            assert.equal((await pool.getMyProfile()).username, 'gork');
+            assert.equal((await pool.getMyProfile()).username, 'gork');
+
+            // Новая сессия на этом клиенте — аккаунт возвращается в ротацию
+            const session = server.createSession('gork_2');
+            broken.accessToken = session.accessToken;
+            assert.equal((await broken.getMyProfile()).username, 'gork_2');
+            assert.equal(pool.status()[0].state, 'healthy');
+        });
+
+        it('серия сетевых/5xx ошибок — пауза errorCooldown; такие вызовы не повторяются', async () => {
+            const pool = createMirrorPool(accounts, { maxConsecutiveErrors: 2, errorCooldown: 60000 });
+            server.inject({ path: '/api/users/me', status: 503, times: 2 });
+
+            assert.equal(await accounts[0].getMyProfile(), null);
+            assert.equal(pool.status()[0].state, 'healthy');
+            assert.equal(pool.status()[0].consecutiveErrors, 1);
+            assert.equal(await accounts[0].getMyProfile(), null);
+            const [gork] = pool.status();
+            assert.equal(gork.state, 'failing');
+            assert.equal(gork.available, false);
+            assert.equal(gork.consecutiveErrors, 2);
+            assert.equal(gork.requests, 2);
+            assert.equal(gork.failures, 2);
+
+            // Вызов через пул: 503 не повторяется с другого аккаунта — запрос мог быть выполнен
+            server.inject({ path: '/api/users/me', status: 503 });
+            server.requests.length = 0;
+            assert.equal(await pool.getMyProfile(), null);
+            assert.equal(server.requests.length, 1);
+            assert.equal(pool.status()[1].consecutiveErrors, 1);
+            assert.equal((await pool.getMyProfile()).username, 'gork_2');
+        });
+
+        it('успешный ответ обнуляет счётчик ошибок', async () => {
+            const pool = createMirrorPool([accounts[0]]);
+            server.inject({ path: '/api/users/me', status: 500 });
+            await pool.getMyProfile();
+            assert.equal(pool.status()[0].consecutiveErrors, 1);
+            await pool.getMyProfile();
+            assert.equal(pool.status()[0].consecutiveErrors, 0);
+            assert.equal(pool.status()[0].requests, 2);
+        });
+
+        it('когда доступных нет, вызов идёт через аккаунт, который освободится раньше', async () => {
+            accounts = ['gork', 'gork_1'].map((username) => server.createClient({ retry: false }, username));
+            const pool = createMirrorPool(accounts);
+            server.inject({ path: '/api/users/me', status: 429, retryAfter: 900 });
+            server.inject({ path: '/api/users/me', status: 429, retryAfter: 300 });
+            // gork — 900 с, повтор на gork_1 — 300 с, других аккаунтов нет
+            assert.equal(await pool.getMyProfile(), null);
+            assert.deepEqual(pool.status().map((a) => a.state), ['rate_limited', 'rate_limited']);
+            assert.equal(pool.getClient(), accounts[1]);
+        });
+    });
+
+    describe('стратегии', () => {
+        /** Имена аккаунтов (номера в массиве) для n выборов getClient() */
+        function picks(pool, n) {
+            return Array.from({ length: n }, () => String(accounts.indexOf(pool.getClient())));
+        }
+
+        it('least-recently-used — аккаунт, который дольше всех не выбирался', async () => {
+            const pool = createMirrorPool(accounts, { strategy: 'least-recently-used' });
+            assert.equal(pool.getClient(), accounts[0]);
+            assert.equal(pool.getClient(), accounts[1]);
+            assert.equal((await pool.getMyProfile()).username, 'gork_2');
+            assert.equal((await pool.getMyProfile()).username, 'gork');
+            assert.deepEqual(picks(pool, 4), ['1', '2', '0', '1']);
+            assert.ok(pool.status().every((account) => account.lastUsedAt instanceof Date));
+        });
+
+        it('least-in-flight — аккаунт с наименьшим числом незавершённых вызовов', async () => {
+            const pool = createMirrorPool(accounts, { strategy: 'least-in-flight' });
+            server.inject({ path: '/api/users/me', delay: 200 });
+            const slow = pool.getMyProfile();
+            await new Promise((resolve) => setTimeout(resolve, 20));
+            assert.deepEqual(pool.status().map((account) => account.inFlight), [1, 0, 0]);
+
+            assert.equal((await pool.getMyProfile()).username, 'gork_1');
+            assert.equal((await pool.getMyProfile()).username, 'gork_2');
+            assert.equal((await pool.getMyProfile()).username, 'gork_1');
+            assert.equal((await slow).username, 'gork');
+            assert.deepEqual(pool.status().map((account) => account.inFlight), [0, 0, 0]);
+        });
+
+        it('weighted — плавно по весам, вес по умолчанию 1', () => {
+            const pool = createMirrorPool(accounts.slice(0, 2), { strategy: 'weighted', weights: { 0: 3 } });
+            assert.deepEqual(picks(pool, 8), ['0', '0', '1', '0', '0', '0', '1', '0']);
+            assert.deepEqual(pool.status().map((account) => account.weight), [3, 1]);
+        });
+
+        it('random — только аккаунты пула', () => {
+            const pool = createMirrorPool(accounts.slice(0, 2), { strategy: 'random' });
+            const seen = new Set(picks(pool, 60));
+            assert.deepEqual([...seen].sort(), ['0', '1']);
+        });
+
+        it('функция получает имя метода, аргументы и доступные аккаунты', async () => {
+            const calls = [];
+            const pool = createMirrorPool(accounts, {
+                strategy(call, available) {
+                    calls.push({ method: call.method, args: call.args, keys: available.map((account) => account.key) });
+                    return call.method === 'users.getUserProfile' ? '2' : null;
+                },
+            });
+            await pool.users.getUserProfile('gork');
+            await pool.getMyProfile();
+            assert.deepEqual(calls, [
+                { method: 'users.getUserProfile', args: ['gork'], keys: ['0', '1', '2'] },
+                { method: 'getMyProfile', args: [], keys: ['0', '1', '2'] },
+            ]);
+            assert.equal(server.requests.at(-2).headers.authorization, `Bearer ${accounts[2].accessToken}`);
+            // null — по кругу
+            assert.equal(server.requests.at(-1).headers.authorization, `Bearer ${accounts[0].accessToken}`);
+        });
+
+        it('функция: недоступный аккаунт — по кругу, неизвестный — ошибка', async () => {
+            accounts = ['gork', 'gork_1'].map((username) => server.createClient({ retry: false }, username));
+            const pool = createMirrorPool(accounts, { strategy: () => '0' });
+            server.inject({ path: '/api/users/me', status: 429, retryAfter: 600 });
+            assert.equal((await pool.getMyProfile()).username, 'gork_1');
+            assert.equal((await pool.getMyProfile()).username, 'gork_1');
+
+            const broken = createMirrorPool(accounts, { strategy: () => 'nobody' });
+            assert.throws(() => broken.getMyProfile(), /nobody/);
+        });
+
+        it('проверяет strategy и weights', () => {
+            assert.throws(() => createMirrorPool(accounts, { strategy: 'fastest' }), /strategy/);
+            assert.throws(() => createMirrorPool(accounts, { weights: { 5: 2 } }), /weights\.5/);
+            assert.throws(() => createMirrorPool(accounts, { weights: { 0: 0 } }), /положительным/);
+        });
+    });
+
+    describe('выбор аккаунта вручную и sticky', () => {
+        it('чтение свойств не сдвигает очередь', async () => {
+            const pool = createMirrorPool(accounts);
+            for (let i = 0; i < 3; i++) {
+                assert.equal(pool.accessToken, accounts[0].accessToken);
+                assert.equal(pool.baseUrl, server.url);
+                assert.equal(typeof pool.posts.getPost, 'function');
+            }
+            assert.equal((await pool.getMyProfile()).username, 'gork');
+            assert.equal((await pool.posts.getPosts('gork')).posts.length, 0);
+            assert.equal((await pool.getMyProfile()).username, 'gork_2');
+        });
+
+        it('as(key) — вызовы через указанный аккаунт, без повтора с другого', async () => {
+            accounts = ['gork', 'gork_1'].map((username) => server.createClient({ retry: false }, username));
+            const pool = createMirrorPool(accounts);
+            const gork1 = pool.as(1);
+            assert.equal(gork1.key, '1');
+            assert.equal(gork1.client, accounts[1]);
+            assert.equal(gork1.accessToken, accounts[1].accessToken);
+            for (let i = 0; i < 3; i++) {
+                assert.equal((await gork1.getMyProfile()).username, 'gork_1');
+                assert.equal((await pool.as('1').users.getMyProfile()).username, 'gork_1');
+            }
+            // Очередь пула не сдвинулась
+            assert.equal((await pool.getMyProfile()).username, 'gork');
+
+            server.inject({ path: '/api/users/me', status: 429, retryAfter: 600 });
+            server.requests.length = 0;
+            assert.equal(await gork1.getMyProfile(), null);
+            assert.equal(server.requests.length, 1);
+            assert.equal(pool.status()[1].state, 'rate_limited');
+            assert.equal((await gork1.getMyProfile()).username, 'gork_1');
+
+            assert.throws(() => pool.as('nobody'), /nobody/);
+        });
+
+        it('session() держит один аккаунт на несколько вызовов', async () => {
+            const pool = createMirrorPool(accounts);
+            const session = pool.session();
+            assert.equal(session.key, '0');
+            for (let i = 0; i < 3; i++) {
+                assert.equal((await session.getMyProfile()).username, 'gork');
+            }
+            assert.equal((await pool.getMyProfile()).username, 'gork_1');
+            assert.equal(pool.session().key, '2');
+        });
+
+        it('sticky — вызовы с одним ключом идут через один аккаунт', async () => {
+            const first = server.addPost('gork', { content: 'тред 1' });
+            const second = server.addPost('gork', { content: 'тред 2' });
+            const keys = [];
+            const pool = createMirrorPool(accounts, {
+                sticky: (call) => {
+                    keys.push(call.method);
+                    return call.method === 'addComment' ? call.args[0] : null;
+                },
+            });
+
+            const authors = [];
+            for (const postId of [first.id, second.id, first.id, second.id, first.id]) {
+                authors.push((await pool.addComment(postId, 'ответ')).author.username);
+                await pool.getMyProfile();
+            }
+            assert.deepEqual(authors, ['gork', 'gork_2', 'gork', 'gork_2', 'gork']);
+            assert.ok(keys.includes('getMyProfile'));
+        });
+
+        it('sticky держит аккаунт на паузе, а при потере авторизации привязывает ключ к другому', async () => {
+            const post = server.addPost('gork', { content: 'тред' });
+            const broken = server.createClient({ retry: false, sessionStore: new MemorySessionStore({ accessToken: 'expired', cookies: 'refresh_token=revoked' }) }, null);
+            accounts = [broken, ...['gork_1', 'gork_2'].map((username) => server.createClient({ retry: false }, username))];
+            const pool = createMirrorPool(accounts, { sticky: (call) => call.args[0] ?? null });
+
+            // broken теряет авторизацию — ключ переезжает на следующий аккаунт
+            assert.equal((await pool.addComment(post.id, 'раз')).author.username, 'gork_1');
+            assert.equal(pool.status()[0].state, 'auth_lost');
+            assert.equal((await pool.addComment(post.id, 'два')).author.username, 'gork_1');
+
+            // 429 у привязанного аккаунта — вызов не уходит на другой, привязка остаётся
+            server.inject({ path: '/api/posts/:id/comments', method: 'POST', status: 429, retryAfter: 600 });
+            assert.equal(await pool.addComment(post.id, 'три'), null);
+            assert.equal(pool.status()[1].state, 'rate_limited');
+            assert.equal((await pool.addComment(post.id, 'четыре')).author.username, 'gork_1');
+        });
+
+        it('проверяет sticky', () => {
+            assert.throws(() => createMirrorPool(accounts, { sticky: 'postId' }), /sticky/);
+        });
+    });
+
+    describe('broadcast', () => {
+        it('pool.all.<метод>() — результат каждого аккаунта по имени', async () => {
+            const pool = createMirrorPool(accounts);
+            const { results, errors } = await pool.all.getMyProfile();
+            assert.deepEqual(Object.fromEntries(Object.entries(results).map(([key, me]) => [key, me.username])), {
+                0: 'gork',
+                1: 'gork_1',
+                2: 'gork_2',
+            });
+            assert.deepEqual(errors, {});
+
+            const profiles = await pool.all.users.getUserProfile('gork');
+            assert.deepEqual(Object.keys(profiles.results), ['0', '1', '2']);
+            assert.deepEqual(pool.all.accessToken, { 0: accounts[0].accessToken, 1: accounts[1].accessToken, 2: accounts[2].accessToken });
+            // Очередь пула не сдвигается
+            assert.equal((await pool.getMyProfile()).username, 'gork');
+        });
+
+        it('broadcast(fn) — не больше concurrency аккаунтов одновременно', async () => {
+            const pool = createMirrorPool(accounts, { concurrency: 2 });
+            server.inject({ path: '/api/users/me', delay: 50, times: Infinity });
+            let active = 0;
+            let peak = 0;
+            const run = (account, key) => {
+                active += 1;
+                peak = Math.max(peak, active);
+                return account.getMyProfile().then((me) => {
+                    active -= 1;
+                    return `${key}:${me.username}`;
+                });
+            };
+
+            const { results } = await pool.broadcast(run);
+            assert.deepEqual(results, { 0: '0:gork', 1: '1:gork_1', 2: '2:gork_2' });
+            assert.equal(peak, 2);
+
+            peak = 0;
+            await pool.broadcast(run, { concurrency: 1 });
+            assert.equal(peak, 1);
+            peak = 0;
+            await pool.broadcast(run, { concurrency: Infinity });
+            assert.equal(peak, 3);
+        });
+
+        it('ошибки по аккаунтам: исключения и, в режиме null, ошибки запросов', async () => {
+            const session = () => new MemorySessionStore({ accessToken: 'expired', cookies: 'refresh_token=revoked' });
+            const pool = createMirrorPool([
+                server.createClient({ retry: false, sessionStore: session() }, null),
+                accounts[1],
+            ]);
+            const { results, errors } = await pool.all.getMyProfile();
+            assert.equal(results[0], null);
+            assert.ok(errors[0] instanceof ITDAuthError);
+            assert.equal(results[1].username, 'gork_1');
+            assert.deepEqual(Object.keys(errors), ['0']);
+
+            const throwing = createMirrorPool([
+                server.createClient({ retry: false, errors: 'throw', sessionStore: session() }, null),
+                accounts[1],
+            ]);
+            const thrown = await throwing.all.getMyProfile();
+            assert.ok(thrown.errors[0] instanceof ITDAuthError);
+            assert.equal('0' in thrown.results, false);
+
+            const custom = await pool.broadcast((account, key) => {
+                if (key === '1') throw new Error('сломалось');
+                return key;
+            });
+            assert.equal(custom.errors[1].message, 'сломалось');
+            assert.equal(custom.results[0], '0');
+        });
+
+        it('проверяет аргументы', async () => {
+            const pool = createMirrorPool(accounts);
+            await assert.rejects(pool.broadcast('getMyProfile'), TypeError);
+            await assert.rejects(pool.broadcast(() => null, { concurrency: 0 }), /concurrency/);
+            assert.throws(() => createMirrorPool(accounts, { concurrency: 1.5 }), /concurrency/);
+        });
+    });
+
+    describe('состав пула', () => {
+        it('add() — аккаунт сразу в очереди и с плагинами пула', async () => {
+            const pool = createMirrorPool(accounts.slice(0, 2), { plugins: [{ name: 'trace' }] });
+            assert.equal(pool.add('extra', accounts[2]), pool);
+            assert.equal(pool.size, 3);
+            assert.deepEqual(pool.status().map((account) => account.key), ['0', '1', 'extra']);
+            assert.equal(accounts[2].plugins.map((p) => p.name).join(), ',trace');
+            const names = [];
+            for (let i = 0; i < 3; i++) {
+                names.push((await pool.getMyProfile()).username);
+            }
+            assert.deepEqual(names, ['gork', 'gork_1', 'gork_2']);
+            assert.equal((await pool.as('extra').getMyProfile()).username, 'gork_2');
+
+            assert.throws(() => pool.add('extra', accounts[2]), /уже есть/);
+            assert.throws(() => pool.add('', accounts[2]), TypeError);
+            assert.throws(() => pool.add('other'), TypeError);
+        });
+
+        it('remove() — новые вызовы мимо аккаунта, промис после его незавершённых вызовов', async () => {
+            const pool = createMirrorPool(accounts);
+            server.inject({ path: '/api/users/me', delay: 50 });
+            const pending = pool.as('0').getMyProfile();
+            let drained = false;
+            const removal = pool.remove('0').then((client) => {
+                drained = true;
+                return client;
+            });
+
+            assert.deepEqual(pool.status().map((account) => account.key), ['1', '2']);
+            await new Promise((resolve) => setTimeout(resolve, 10));
+            assert.equal(drained, false);
+            assert.equal((await pending).username, 'gork');
+            assert.equal(await removal, accounts[0]);
+            assert.equal((await pool.getMyProfile()).username, 'gork_1');
+            assert.deepEqual(pool.clients, accounts.slice(1));
+
+            assert.throws(() => pool.as('0'), /нет в пуле/);
+            assert.throws(() => pool.remove('0'), /нет в пуле/);
+            await pool.remove('1');
+            assert.throws(() => pool.remove('2'), /последний/);
+        });
+
+        it('remove() снимает с клиента плагины и обработчики пула — его можно добавить снова', async () => {
+            const pool = createMirrorPool(accounts, { plugins: [{ name: 'trace' }] });
+            const client = accounts[2];
+            const listeners = client.listenerCount('tokenRefresh');
+            await pool.remove('2');
+            assert.deepEqual(client.plugins, []);
+            assert.equal(client.listenerCount('tokenRefresh'), 0);
+            assert.equal(client.listenerCount('tokenRefreshError'), 0);
+
+            pool.add('again', client);
+            assert.equal(client.plugins.map((p) => p.name).join(), ',trace');
+            assert.equal(client.listenerCount('tokenRefresh'), listeners);
+            await pool.as('again').getMyProfile();
+            assert.equal(pool.status().find((account) => account.key === 'again').requests, 1);
+
+            pool.destroy();
+            assert.deepEqual(client.plugins, []);
+            assert.equal(client.listenerCount('tokenRefresh'), 0);
+        });
+
+        it('remove() забывает привязки sticky к аккаунту', async () => {
+            const pool = createMirrorPool(accounts, { sticky: (call) => call.args[0] });
+            const authorization = () => server.requests.at(-1).headers.authorization;
+            await pool.getUserProfile('gork');
+            assert.equal(authorization(), `Bearer ${accounts[0].accessToken}`);
+            await pool.remove('0');
+            await pool.getUserProfile('gork');
+            const rebound = authorization();
+            assert.notEqual(rebound, `Bearer ${accounts[0].accessToken}`);
+            await pool.getUserProfile('gork');
+            assert.equal(authorization(), rebound);
+        });
+
+        it('reload() и watch — только для файла зеркал', async () => {
+            const pool = createMirrorPool(accounts);
+            await assert.rejects(pool.reload(), /mirrorsCookiesPath/);
+            assert.throws(() => createMirrorPool(accounts, { watch: true }), /watch/);
+        });
+    });
+
+    describe('файл .cookies.mirrors', () => {
+        let dir;
+        let cleanup;
+
+        beforeEach(() => {
+            [dir, cleanup] = makeTempDir();
+        });
+
+        /** Пишет файл зеркал с refresh_token аккаунтов: строкой и объектом */
+        function writeMirrors(data) {
+            fs.writeFileSync(path.join(dir, '.cookies.mirrors'), JSON.stringify(data), 'utf8');
+        }
+
+        function refreshTokenOf(username) {
+            return /refresh_token=([^;]+)/.exec(server.createSession(username).cookies)[1];
+        }
+
+        it('загружает аккаунты и получает токены через refresh', async () => {
+            try {
+                writeMirrors({
+                    gork: `refresh_token=${refreshTokenOf('gork')}`,
+                    gork_1: { refresh_token: refreshTokenOf('gork_1'), theme: '' },
+                });
+                const pool = createMirrorPool({
+                    mirrorsCookiesPath: '.cookies.mirrors',
+                    projectRoot: dir,
+                    baseOptions: { baseUrl: server.url, logger: false },
+                });
+
+                assert.equal(pool.size, 2);
+                assert.deepEqual(pool.status().map((account) => account.key), ['gork', 'gork_1']);
+                assert.equal((await pool.getMyProfile()).username, 'gork');
+                assert.equal((await pool.getMyProfile()).username, 'gork_1');
+
+                // Токен и ротированные cookies сохраняются в файлы аккаунта, общий файл не меняется
+                const env = fs.readFileSync(path.join(dir, '.env.mirrors.gork'), 'utf8');
+                assert.match(env, /^ITD_ACCESS_TOKEN=ey/m);
+                const cookies = fs.readFileSync(path.join(dir, '.cookies.mirrors.gork_1'), 'utf8');
+                assert.match(cookies, /refresh_token=/);
+                assert.equal(fs.readFileSync(path.join(dir, '.cookies.mirrors'), 'utf8').includes('gork_1'), true);
+            } finally {
+                cleanup();
+            }
+        });
+
+        it('reload() — новые, пропавшие и изменённые ключи', async () => {
+            try {
+                writeMirrors({
+                    gork: `refresh_token=${refreshTokenOf('gork')}`,
+                    gork_1: `refresh_token=${refreshTokenOf('gork_1')}`,
+                });
+                const pool = createMirrorPool({
+                    mirrorsCookiesPath: '.cookies.mirrors',
+                    projectRoot: dir,
+                    baseOptions: { baseUrl: server.url, logger: false },
+                });
+                pool.add('manual', accounts[2]);
+                const oldGork1 = pool.as('gork_1').client;
+                assert.deepEqual(await pool.reload(), { added: [], removed: [], updated: [] });
+
+                writeMirrors({
+                    gork_1: `refresh_token=${refreshTokenOf('gork_1')}`,
+                    gork_2: { refresh_token: refreshTokenOf('gork_2') },
+                });
+                assert.deepEqual(await pool.reload(), { added: ['gork_2'], removed: ['gork'], updated: ['gork_1'] });
+                assert.deepEqual(pool.status().map((account) => account.key), ['gork_1', 'manual', 'gork_2']);
+                assert.notEqual(pool.as('gork_1').client, oldGork1);
+                assert.equal((await pool.as('gork_2').getMyProfile()).username, 'gork_2');
+                assert.equal((await pool.as('gork_1').getMyProfile()).username, 'gork_1');
+
+                // Файл сломан — пул как был
+                fs.writeFileSync(path.join(dir, '.cookies.mirrors'), '{', 'utf8');
+                await assert.rejects(pool.reload(), /валидным JSON/);
+                assert.equal(pool.size, 3);
+            } finally {
+                cleanup();
+            }
+        });
+
+        it('reload() — если клиент не создался, уже созданные останавливаются; destroy() не трогает чужие клиенты', async () => {
+            try {
+                writeMirrors({ gork: `refresh_token=${refreshTokenOf('gork')}` });
+                const pool = createMirrorPool({
+                    mirrorsCookiesPath: '.cookies.mirrors',
+                    projectRoot: dir,
+                    baseOptions: { baseUrl: server.url, logger: false },
+                });
+                const destroyed = [];
+                const spy = (client) => {
+                    const original = client.destroy.bind(client);
+                    client.destroy = () => {
+                        destroyed.push(client);
+                        original();
+                    };
+                };
+                const manual = server.createClient({}, 'gork_1');
+                spy(manual);
+                pool.add('manual', manual);
+
+                // Плагин пула подключается к gork, manual, затем при reload к gork_2 и бросает на gork_3
+                const built = [];
+                pool.use((client) => {
+                    spy(client);
+                    built.push(client);
+                    if (built.length === 4) throw new Error('плагин не подключился');
+                });
+
+                writeMirrors({
+                    gork: `refresh_token=${refreshTokenOf('gork')}`,
+                    gork_2: `refresh_token=${refreshTokenOf('gork_2')}`,
+                    gork_3: `refresh_token=${refreshTokenOf('gork_2')}`,
+                });
+                await assert.rejects(pool.reload(), /плагин не подключился/);
+                assert.deepEqual(pool.status().map((account) => account.key), ['gork', 'manual']);
+                assert.deepEqual(destroyed, [built[2], built[3]]);
+
+                destroyed.length = 0;
+                pool.destroy();
+                assert.deepEqual(destroyed, [built[0]]);
+            } finally {
+                cleanup();
+            }
+        });
+
+        it('watch — перечитывает файл при изменении', async () => {
+            try {
+                writeMirrors({ gork: `refresh_token=${refreshTokenOf('gork')}` });
+                const pool = createMirrorPool({
+                    mirrorsCookiesPath: '.cookies.mirrors',
+                    projectRoot: dir,
+                    baseOptions: { baseUrl: server.url, logger: false },
+                    watch: { interval: 20 },
+                });
+                try {
+                    // Первая проверка fs.watchFile запоминает исходное состояние файла — запись до неё не заметна
+                    await new Promise((resolve) => setTimeout(resolve, 100));
+                    writeMirrors({
+                        gork: `refresh_token=${refreshTokenOf('gork')}`,
+                        gork_1: `refresh_token=${refreshTokenOf('gork_1')}`,
+                    });
+                    for (let i = 0; i < 100 && pool.size < 2; i++) {
+                        await new Promise((resolve) => setTimeout(resolve, 20));
+                    }
+                    assert.deepEqual(pool.status().map((account) => account.key), ['gork', 'gork_1']);
+                } finally {
+                    pool.destroy();
+                }
+                assert.throws(() => createMirrorPool({ mirrorsCookiesPath: '.cookies.mirrors', projectRoot: dir, watch: { interval: 0 } }), /watch/);
+            } finally {
+                cleanup();
+            }
+        });
+
+        it('ошибки формата файла', () => {
+            try {
+                const create = () => createMirrorPool({ mirrorsCookiesPath: '.cookies.mirrors', projectRoot: dir, baseOptions: { logger: false } });
+                assert.throws(create, /не найден/);
+
+                fs.writeFileSync(path.join(dir, '.cookies.mirrors'), 'refresh_token=abc', 'utf8');
+                assert.throws(create, /валидным JSON/);
+
+                writeMirrors([]);
+                assert.throws(create, /объект/);
+
+                writeMirrors({});
+                assert.throws(create, /хотя бы один/);
+
+                writeMirrors({ gork: { refresh_token: '' } });
+                assert.throws(create, /Зеркало "gork"/);
+            } finally {
+                cleanup();
+            }
+        });
+    });
+});
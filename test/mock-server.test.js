@@ -0,0 +1,131 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMockServer } from '../src/testing.js';
+import { isolateEnv } from './helpers.js';
+
+isolateEnv();
+
+/** HTTP-запрос к серверу; тело ответа — JSON или null */
+async function request(server, method, path, { token, cookies, body } = {}) {
+    const headers = {};
+    if (token) headers.authorization = `Bearer ${token}`;
+    if (cookies) headers.cookie = cookies;
+    if (body) headers['content-type'] = 'application/json';
+    const response = await fetch(`${server.url}${path}`, { method, headers, body: body ? JSON.stringify(body) : undefined });
+    const text = await response.text();
+    return { status: response.status, headers: response.headers, body: text ? JSON.parse(text) : null };
+}
+
+/** Отдельный сервер на время теста */
+async function withServer(options, fn) {
+    const server = await createMockServer(options);
+    try {
+        await fn(server);
+    } finally {
+        await server.close();
+    }
+}
+
+describe('MockITDServer', () => {
+    let server;
+    let session;
+
+    beforeEach(async () => {
+        server = await createMockServer();
+        server.addUser({ username: 'alice' });
+        session = server.createSession();
+    });
+
+    afterEach(async () => {
+        await server.close();
+    });
+
+    it('авторизация по accessToken и журнал запросов', async () => {
+        assert.equal((await request(server, 'GET', '/api/users/me')).status, 401);
+        const me = await request(server, 'GET', '/api/users/me?fields=all', { token: session.accessToken });
+        assert.equal(me.status, 200);
+        assert.equal(me.body.username, 'me');
+
+        const last = server.requests.at(-1);
+        assert.equal(last.method, 'GET');
+        assert.equal(last.path, '/api/users/me');
+        assert.deepEqual(last.query, { fields: 'all' });
+        assert.equal((await request(server, 'GET', '/api/nowhere')).status, 404);
+    });
+
+    it('expireAccessTokens, refresh с ротацией и revokeRefreshTokens', async () => {
+        server.expireAccessTokens();
+        const expired = await request(server, 'GET', '/api/users/me', { token: session.accessToken });
+        assert.equal(expired.status, 401);
+
+        const refreshed = await request(server, 'POST', '/api/v1/auth/refresh', { cookies: session.cookies });
+        assert.equal(refreshed.status, 200);
+        assert.match(refreshed.headers.get('set-cookie'), /refresh_token=/);
+        assert.equal((await request(server, 'GET', '/api/users/me', { token: refreshed.body.accessToken })).status, 200);
+        // Старый refresh_token после ротации недействителен
+        assert.equal((await request(server, 'POST', '/api/v1/auth/refresh', { cookies: session.cookies })).status, 401);
+
+        const fresh = server.createSession();
+        server.revokeRefreshTokens();
+        assert.equal((await request(server, 'POST', '/api/v1/auth/refresh', { cookies: fresh.cookies })).status, 401);
+    });
+
+    it('inject: метод, шаблон пути, тело, Retry-After, times и remove', async () => {
+        const post = server.addPost('alice', 'Пост');
+        server.inject({ method: 'POST', path: '/api/posts/:id', status: 500 });
+        assert.equal((await request(server, 'GET', `/api/posts/${post.id}`)).status, 200);
+
+        const limited = server.inject({ path: /^\/api\/posts\//, status: 429, retryAfter: 7, times: 2 });
+        for (let i = 0; i < 3; i++) await request(server, 'GET', `/api/posts/${post.id}`);
+        assert.equal(limited.hits, 2);
+        server.clearFaults();
+
+        const custom = server.inject({ path: '/api/posts/:id', status: 200, body: { id: 'подмена' } });
+        const replaced = await request(server, 'GET', `/api/posts/${post.id}`);
+        assert.deepEqual(replaced.body, { id: 'подмена' });
+        assert.equal(custom.hits, 1);
+
+        const rule = server.inject({ path: '/api/posts/:id', status: 503, times: Infinity });
+        rule.remove();
+        assert.equal((await request(server, 'GET', `/api/posts/${post.id}`)).status, 200);
+
+        server.inject({ status: 429, retryAfter: 7 });
+        const response = await request(server, 'GET', '/api/posts');
+        assert.equal(response.headers.get('retry-after'), '7');
+        assert.equal(response.body.error.code, 'RATE_LIMIT_EXCEEDED');
+    });
+
+    it('серверный rateLimit — 429 с Retry-After сверх лимита окна', async () => {
+        await withServer({ rateLimit: { limit: 2, interval: 60000 } }, async (limited) => {
+            assert.notEqual((await request(limited, 'GET', '/api/posts')).status, 429);
+            assert.notEqual((await request(limited, 'GET', '/api/posts')).status, 429);
+            const last = await request(limited, 'GET', '/api/posts');
+            assert.equal(last.status, 429);
+            assert.ok(Number(last.headers.get('retry-after')) > 0);
+        });
+    });
+
+    it('данные тестов видны через API: посты, комментарии, подписки, уведомления', async () => {
+        const post = server.addPost('alice', { content: 'Привет', likes: ['me'] });
+        server.addComment(post.id, 'me', 'Первый');
+        server.follow('me', 'alice');
+        server.notify('me', { type: 'like', actor: 'alice', targetId: post.id, targetType: 'post' });
+        const auth = { token: session.accessToken };
+
+        const fetched = await request(server, 'GET', `/api/posts/${post.id}`, auth);
+        assert.equal(fetched.body.likesCount, 1);
+        assert.equal(fetched.body.isLiked, true);
+        const comments = await request(server, 'GET', `/api/posts/${post.id}/comments`, auth);
+        assert.deepEqual(comments.body.data.comments.map((c) => c.content), ['Первый']);
+        assert.equal((await request(server, 'GET', '/api/users/alice', auth)).body.isFollowing, true);
+        const notifications = await request(server, 'GET', '/api/notifications', auth);
+        assert.deepEqual(notifications.body.notifications.map((n) => [n.type, n.actor.username]), [['like', 'alice']]);
+        assert.throws(() => server.addPost('nobody', 'x'));
+    });
+
+    it('network — обрыв соединения', async () => {
+        server.inject({ path: '/api/posts', network: true });
+        await assert.rejects(fetch(`${server.url}/api/posts`));
+        assert.equal((await fetch(`${server.url}/api/posts`)).status, 200);
+    });
+});
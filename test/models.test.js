@@ -0,0 +1,84 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { ITDClient, MemorySessionStore, Post, User, createModel } from '../src/client.js';
+import { isolateEnv, startServer } from './helpers.js';
+
+isolateEnv();
+
+const client = new ITDClient({ baseUrl: 'http://127.0.0.1:9', logger: false, sessionStore: new MemorySessionStore() });
+
+describe('models', () => {
+    it('известные поля нормализуются, вложенные объекты становятся моделями', () => {
+        const post = createModel('post', {
+            id: 'p1',
+            content: 'Текст',
+            author: { id: 'u1', username: 'alice' },
+            createdAt: '2024-01-02T03:04:05.000Z',
+        }, client);
+
+        assert.ok(post instanceof Post);
+        assert.ok(post.author instanceof User);
+        assert.equal(post.author.displayName, 'alice');
+        assert.ok(post.createdAt instanceof Date);
+        assert.equal(post.likesCount, 0);
+    });
+
+    it('сохраняет поля, которых модель не знает', () => {
+        const raw = { id: 'p1', content: 'Текст', poll: { options: ['да', 'нет'] }, isPinned: true };
+        const post = createModel('post', raw, client);
+
+        assert.deepEqual(post.poll, { options: ['да', 'нет'] });
+        assert.equal(post.isPinned, true);
+        assert.equal(post.raw, raw);
+        // raw и client не попадают в перечисляемые поля
+        assert.ok(!Object.keys(post).includes('raw'));
+        assert.ok(!Object.keys(post).includes('client'));
+    });
+
+    it('поле с именем метода или геттера не перекрывает его и остаётся в .raw', () => {
+        const post = createModel('post', { id: 'p1', comments: [{ id: 'c1' }], isRepost: 'yes' }, client);
+
+        assert.equal(typeof post.comments, 'function');
+        assert.equal(post.isRepost, false);
+        assert.deepEqual(post.raw.comments, [{ id: 'c1' }]);
+    });
+    it('действия модели идут через клиент и обновляют поля', async () => {
+        const calls = [];
+        const fake = {
+            likePost: async (id) => {
+                calls.push(`like ${id}`);
+                return { liked: true, likesCount: 8 };
+            },
+            comments: {
+                addComment: async (id, text) => {
+                    calls.push(`comment ${id} ${text}`);
+                    return { id: 'c1', content: text };
+                },
+            },
+        };
+        const post = createModel('post', { id: 'p1', likesCount: 7, commentsCount: 1 }, fake);
+
+        assert.deepEqual(await post.like(), { liked: true, likesCount: 8 });
+        assert.equal(post.isLiked, true);
+        assert.equal(post.likesCount, 8);
+        await post.comment('Привет');
+        assert.equal(post.commentsCount, 2);
+        assert.deepEqual(calls, ['like p1', 'comment p1 Привет']);
+    });
+
+    it('models: true — методы клиента возвращают модели', async () => {
+        const server = await startServer(() => ({ body: { id: 'p1', content: 'Текст', author: { id: 'u1', username: 'alice' } } }));
+        try {
+            const options = { baseUrl: server.url, logger: false, sessionStore: new MemorySessionStore({ accessToken: 'token' }) };
+            const post = await new ITDClient({ ...options, models: true }).getPost('p1');
+            assert.ok(post instanceof Post);
+            assert.equal(post.author.username, 'alice');
+            assert.equal(post.raw.content, 'Текст');
+
+            const raw = await new ITDClient(options).getPost('p1');
+            assert.equal(raw instanceof Post, false);
+        } finally {
+            await server.close();
+        }
+    });
+});
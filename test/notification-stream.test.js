@@ -0,0 +1,173 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { ITDClient, ITDAuthError, MemorySessionStore } from '../src/client.js';
+import { createMockServer } from '../src/testing.js';
+import { isolateEnv } from './helpers.js';
+
+isolateEnv();
+
+/** Ждёт, пока условие не станет истинным (события стрима приходят асинхронно) */
+async function waitFor(condition, timeout = 2000) {
+    const start = Date.now();
+    while (!condition()) {
+        if (Date.now() - start > timeout) throw new Error('waitFor: не дождались');
+        await new Promise((resolve) => setTimeout(resolve, 5));
+    }
+}
+
+describe('getNotificationStream: разбор SSE', () => {
+    let server;
+    let baseUrl;
+    /** Обработчик текущего теста: (req, res) => void */
+    let handler;
+    const responses = new Set();
+
+    before(async () => {
+        server = http.createServer((req, res) => {
+            responses.add(res);
+            res.on('close', () => responses.delete(res));
+            handler(req, res);
+        });
+        await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    after(async () => {
+        for (const res of responses) res.end();
+        await new Promise((resolve) => server.close(resolve));
+    });
+
+    function createClient(options = {}) {
+        return new ITDClient({
+            baseUrl,
+            logger: false,
+            sessionStore: new MemorySessionStore({ accessToken: 'stream-token' }),
+            ...options,
+        });
+    }
+
+    /** SSE-ответ, куда тест пишет куски вручную */
+    function streamResponse() {
+        let write;
+        const ready = new Promise((resolve) => {
+            handler = (req, res) => {
+                res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+                res.flushHeaders();
+                write = (chunk) => res.write(chunk);
+                resolve(req);
+            };
+        });
+        return { ready, write: (chunk) => write(chunk) };
+    }
+
+    it('собирает события из кусков и разбирает JSON', async () => {
+        const sse = streamResponse();
+        const events = [];
+        const stream = await createClient().getNotificationStream({ onEvent: (event) => events.push(event) });
+        const req = await sse.ready;
+
+        assert.equal(req.url, '/api/notifications/stream');
+        assert.equal(req.headers.authorization, 'Bearer stream-token');
+        assert.equal(req.headers.accept, 'text/event-stream');
+
+        sse.write('data: {"type":"li');
+        sse.write('ke","id":"1"}\n');
+        sse.write('\ndata: {"type":"follow","id":"2"}\n\ndata: {"type":"comment"');
+        sse.write(',"id":"3"}\n\n');
+        await waitFor(() => events.length === 3);
+
+        assert.deepEqual(events, [
+            { type: 'like', id: '1' },
+            { type: 'follow', id: '2' },
+            { type: 'comment', id: '3' },
+        ]);
+        stream.close();
+    });
+
+    it('не-JSON — строкой, пустые data — null, комментарии и event/id пропускаются', async () => {
+        const sse = streamResponse();
+        const events = [];
+        const stream = await createClient().getNotificationStream({ onEvent: (event) => events.push(event) });
+        await sse.ready;
+
+        sse.write(': connected\n\n');
+        sse.write('event: ping\nid: 7\ndata: keep-alive\n\n');
+        sse.write('data:\n\n');
+        sse.write('data:{"n":1}\n\n');
+        await waitFor(() => events.length === 3);
+
+        assert.deepEqual(events, ['keep-alive', null, { n: 1 }]);
+        stream.close();
+    });
+
+    it('понимает переводы строк CRLF', async () => {
+        const sse = streamResponse();
+        const events = [];
+        const stream = await createClient().getNotificationStream({ onEvent: (event) => events.push(event) });
+        await sse.ready;
+
+        sse.write('data: {"id":"a"}\r\n\r\ndata: {"id":"b"}\r');
+        sse.write('\n\r\n');
+        await waitFor(() => events.length === 2);
+
+        assert.deepEqual(events, [{ id: 'a' }, { id: 'b' }]);
+        stream.close();
+    });
+
+    it('close() останавливает стрим', async () => {
+        const sse = streamResponse();
+        const events = [];
+        const stream = await createClient().getNotificationStream({ onEvent: (event) => events.push(event) });
+        const req = await sse.ready;
+
+        sse.write('data: 1\n\n');
+        await waitFor(() => events.length === 1);
+        const closed = new Promise((resolve) => req.on('close', resolve));
+        stream.close();
+        await closed;
+
+        assert.deepEqual(events, [1]);
+    });
+
+    it('ответ не 200: onError и null; в режиме throw — ошибка по статусу', async () => {
+        handler = (req, res) => {
+            res.writeHead(401, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ error: { code: 'UNAUTHORIZED', message: 'Требуется авторизация' } }));
+        };
+        const errors = [];
+        assert.equal(await createClient().getNotificationStream({ onError: (error) => errors.push(error) }), null);
+        assert.equal(errors.length, 1);
+
+        await assert.rejects(createClient({ errors: 'throw' }).getNotificationStream({ onError: () => {} }), ITDAuthError);
+    });
+
+    it('без авторизации стрим не открывается', async () => {
+        let requested = false;
+        handler = (req, res) => {
+            requested = true;
+            res.end();
+        };
+        const client = new ITDClient({ baseUrl, logger: false, sessionStore: new MemorySessionStore() });
+        assert.equal(await client.getNotificationStream(), null);
+        assert.equal(requested, false);
+    });
+
+    it('уведомления сервера-заглушки приходят объектами API', async () => {
+        const mock = await createMockServer();
+        try {
+            mock.addUser({ username: 'alice' });
+            const events = [];
+            const stream = await mock.createClient().getNotificationStream({ onEvent: (event) => events.push(event) });
+
+            mock.notify('me', { type: 'follow', actor: 'alice' });
+            await waitFor(() => events.length === 1);
+
+            assert.equal(events[0].type, 'follow');
+            assert.equal(events[0].actor.username, 'alice');
+            stream.close();
+        } finally {
+            await mock.close();
+        }
+    });
+});
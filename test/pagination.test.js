@@ -0,0 +1,136 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { ITDClient, ITDServerError, MemorySessionStore, Paginator } from '../src/client.js';
+import { createLogger } from '../src/logger.js';
+import { createMockServer } from '../src/testing.js';
+import { isolateEnv, startServer } from './helpers.js';
+
+isolateEnv();
+
+const silent = createLogger(false);
+
+/** Страницы по два элемента из списка id; курсор — номер страницы */
+function pages(ids) {
+    return async (page) => {
+        const current = page ?? 0;
+        const items = ids.slice(current * 2, current * 2 + 2).map((id) => ({ id }));
+        return { items, next: (current + 1) * 2 < ids.length ? current + 1 : null };
+    };
+}
+
+describe('Paginator', () => {
+    it('обходит все страницы и отмечает done', async () => {
+        const paginator = new Paginator(pages(['a', 'b', 'c', 'd', 'e']), {}, silent);
+        assert.deepEqual((await paginator.toArray()).map((item) => item.id), ['a', 'b', 'c', 'd', 'e']);
+        assert.equal(paginator.done, true);
+        assert.equal(paginator.count, 5);
+        assert.equal(paginator.lastError, null);
+    });
+
+    it('max и until останавливают обход, cursor позволяет продолжить', async () => {
+        const limited = new Paginator(pages(['a', 'b', 'c', 'd', 'e']), { max: 3 }, silent);
+        assert.deepEqual((await limited.toArray()).map((item) => item.id), ['a', 'b', 'c']);
+        assert.equal(limited.done, false);
+
+        // Третья страница выдана не полностью — продолжение начнётся с неё
+        const rest = new Paginator(pages(['a', 'b', 'c', 'd', 'e']), { cursor: limited.cursor }, silent);
+        assert.deepEqual((await rest.toArray()).map((item) => item.id), ['c', 'd', 'e']);
+
+        const until = new Paginator(pages(['a', 'b', 'c']), { until: (item) => item.id === 'b' }, silent);
+        assert.deepEqual((await until.toArray()).map((item) => item.id), ['a']);
+        assert.equal(until.done, true);
+    });
+
+    it('повтор той же страницы останавливает обход', async () => {
+        const events = [];
+        const logger = createLogger({ level: 'warn', sink: (entry) => events.push(entry.event) });
+        const paginator = new Paginator(async (page) => ({ items: [{ id: 'same' }], next: (page ?? 0) + 1 }), {}, logger);
+        assert.equal((await paginator.toArray()).length, 1);
+        assert.deepEqual(events, ['pagination.repeated_page']);
+    });
+
+    it('iterateUserPosts идёт по nextCursor до hasMore: false', async () => {
+        const ids = ['p1', 'p2', 'p3', 'p4', 'p5'];
+        const server = await startServer(({ path, query }) => {
+            if (path !== '/api/posts/user/carol') return { status: 404, body: { error: { code: 'NOT_FOUND', message: 'Не найдено' } } };
+            const start = Number(query.cursor ?? 0);
+            const end = start + Number(query.limit);
+            return { body: { data: {
+                posts: ids.slice(start, end).map((id) => ({ id })),
+                pagination: { nextCursor: String(end), hasMore: end < ids.length },
+            } } };
+        });
+        try {
+            const client = new ITDClient({ baseUrl: server.url, logger: false, sessionStore: new MemorySessionStore({ accessToken: 'token' }) });
+            const posts = client.posts.iterateUserPosts('carol', { limit: 2 });
+            assert.deepEqual((await posts.toArray()).map((post) => post.id), ids);
+            assert.equal(posts.done, true);
+            assert.deepEqual(server.requests.map((r) => r.query.cursor), [undefined, '2', '4']);
+        } finally {
+            await server.close();
+        }
+    });
+
+    describe('ошибки загрузки страницы', () => {
+        let server;
+
+        before(async () => {
+            server = await createMockServer();
+            server.addUser({ username: 'carol' });
+            for (let i = 1; i <= 5; i++) server.addPost('carol', `Пост ${i}`);
+        });
+
+        after(async () => {
+            await server.close();
+        });
+
+        beforeEach(() => {
+            server.clearFaults();
+        });
+
+        it("errors: 'null' — обход останавливается с lastError, а не как конец списка", async () => {
+            const client = server.createClient({ retry: false });
+            const seen = [];
+            const posts = client.posts.iterateUserPosts('carol', { limit: 2, onError: (error) => seen.push(error) });
+
+            const ids = [];
+            for await (const post of posts) {
+                ids.push(post.id);
+                if (ids.length === 2) server.inject({ path: '/api/posts/user/:username', status: 500, times: Infinity });
+            }
+
+            assert.equal(ids.length, 2);
+            assert.equal(posts.done, false);
+            assert.ok(posts.lastError instanceof ITDServerError);
+            assert.equal(posts.lastError.status, 500);
+            assert.deepEqual(seen, [posts.lastError]);
+            assert.notEqual(posts.cursor, null);
+
+            // После сбоя обход продолжается с незагруженной страницы
+            server.clearFaults();
+            for await (const post of posts) ids.push(post.id);
+            assert.equal(new Set(ids).size, 5);
+            assert.equal(posts.done, true);
+            assert.equal(posts.lastError, null);
+        });
+
+        it("errors: 'throw' — ошибка пробрасывается и остаётся в lastError", async () => {
+            const client = server.createClient({ errors: 'throw', retry: false });
+            server.inject({ path: '/api/posts/user/:username', status: 500 });
+            const posts = client.posts.iterateUserPosts('carol', { limit: 2 });
+
+            await assert.rejects(posts.toArray(), ITDServerError);
+            assert.ok(posts.lastError instanceof ITDServerError);
+            assert.equal(posts.done, false);
+        });
+
+        it('ошибка вне обхода не попадает в Paginator', async () => {
+            const client = server.createClient({ retry: false });
+            const posts = client.posts.iterateUserPosts('carol', { limit: 10 });
+            server.inject({ path: '/api/posts/:id', status: 500 });
+            assert.equal(await client.getPost('p-missing'), null);
+            assert.equal((await posts.toArray()).length, 5);
+            assert.equal(posts.lastError, null);
+        });
+    });
+});
@@ -0,0 +1,123 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { ITDClient } from '../src/client.js';
+import { isolateEnv, makeTempDir, startServer } from './helpers.js';
+
+isolateEnv();
+
+describe('плагины', () => {
+    let server;
+    let dir;
+    let cleanup;
+    /** Путь → статус, который сервер отдаёт вместо ответа */
+    const failures = new Map();
+    let refreshes = 0;
+
+    before(async () => {
+        [dir, cleanup] = makeTempDir();
+        server = await startServer(({ method, path }) => {
+            if (failures.has(path)) return { status: failures.get(path), body: { error: { code: 'INJECTED_FAILURE', message: 'Сбой' } } };
+            if (method === 'POST' && path === '/api/v1/auth/refresh') {
+                refreshes++;
+                return { headers: { 'Set-Cookie': `refresh_token=r${refreshes}; Path=/` }, body: { accessToken: `token-${refreshes}` } };
+            }
+            if (method === 'GET' && path === '/api/users/me') return { body: { id: 'u1', username: 'me' } };
+            return { status: 404, body: { error: { code: 'NOT_FOUND', message: 'Не найдено' } } };
+        });
+    });
+
+    after(async () => {
+        await server.close();
+        cleanup();
+    });
+
+    beforeEach(() => {
+        failures.clear();
+        server.requests.length = 0;
+    });
+
+    /** Клиент с сессией против локального сервера */
+    function createClient(options = {}) {
+        return new ITDClient({
+            baseUrl: server.url,
+            projectRoot: dir,
+            accessToken: 'token',
+            cookiesString: 'refresh_token=r0',
+            logger: false,
+            ...options,
+        });
+    }
+
+    it('beforeRequest и afterResponse могут заменить config и ответ', async () => {
+        const client = createClient({
+            plugins: [{
+                name: 'headers',
+                beforeRequest: (config) => ({ ...config, headers: { ...config.headers, 'X-Trace': 'abc' } }),
+                afterResponse: (response) => ({ ...response, data: { ...response.data, traced: true } }),
+            }],
+        });
+        const me = await client.getMyProfile();
+        assert.equal(me.traced, true);
+        assert.equal(server.requests.at(-1).headers['x-trace'], 'abc');
+    });
+
+    it('onError: значение вместо ошибки; ошибка доходит до хука один раз после повторов', async () => {
+        const errors = [];
+        const client = createClient({
+            errors: 'throw',
+            retry: { retries: 2, minDelay: 1, maxDelay: 2 },
+            plugins: [{
+                name: 'fallback',
+                onError: (error) => {
+                    errors.push(error.response?.status);
+                    if (error.response?.status === 404) return { status: 200, data: { fallback: true } };
+                    return undefined;
+                },
+            }],
+        });
+
+        assert.deepEqual((await client.get('/api/posts/missing')).data, { fallback: true });
+
+        failures.set('/api/users/me', 503);
+        await assert.rejects(client.getMyProfile());
+        assert.deepEqual(errors, [404, 503]);
+        assert.equal(server.requests.filter((r) => r.path === '/api/users/me').length, 3);
+    });
+
+    it('setup, managers и onTokenRefresh', async () => {
+        const refreshed = [];
+        const plugin = {
+            name: 'stats',
+            setup: (client) => {
+                client.setupCalled = true;
+            },
+            managers: {
+                stats: (client) => ({ me: async () => (await client.getMyProfile()).username }),
+            },
+            onTokenRefresh: (token) => refreshed.push(token),
+        };
+        const client = createClient({ plugins: [plugin] });
+        assert.equal(client.setupCalled, true);
+        assert.equal(await client.stats.me(), 'me');
+
+        const token = await client.refreshAccessToken();
+        assert.ok(token);
+        assert.equal(refreshed.at(-1), token);
+
+        // Повторное подключение и занятое имя менеджера — ошибки
+        assert.throws(() => client.use(plugin), /уже подключён/);
+        assert.throws(() => client.use({ name: 'other', managers: { posts: () => ({}) } }), /client\.posts уже существует/);
+        assert.throws(() => client.use({ onError: 'нет' }), /onError плагина должен быть функцией/);
+        assert.throws(() => client.use(42), TypeError);
+    });
+
+    it('ошибка в onTokenRefresh не ломает refresh', async () => {
+        const events = [];
+        const client = createClient({
+            logger: { level: 'error', sink: (entry) => events.push(entry.event) },
+            plugins: [{ onTokenRefresh: () => { throw new Error('сломался'); } }],
+        });
+        assert.ok(await client.refreshAccessToken());
+        assert.deepEqual(events, ['plugins.onTokenRefresh.failed']);
+    });
+});
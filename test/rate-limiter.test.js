@@ -0,0 +1,90 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { ITDClient, ITDQueueFullError, ITDRateLimitError, RateLimiter } from '../src/client.js';
+import { TokenBucket } from '../src/rate-limiter.js';
+import { isolateEnv, makeTempDir, startServer } from './helpers.js';
+
+isolateEnv();
+
+describe('RateLimiter', () => {
+    it('группа по методу и пути', () => {
+        const limiter = new RateLimiter();
+        assert.equal(limiter.classify({ method: 'get', url: '/api/posts' }), 'reads');
+        assert.equal(limiter.classify({ method: 'delete', url: 'https://example.test/api/posts/1' }), 'writes');
+        assert.equal(limiter.classify({ method: 'post', url: '/api/files/upload' }), 'uploads');
+        assert.equal(limiter.classify({ method: 'post', url: '/api/v1/auth/refresh' }), 'auth');
+    });
+
+    it('сверх burst запросы ждут пополнения и идут по очереди', async () => {
+        const limiter = new RateLimiter({ reads: { limit: 1, interval: 40, burst: 2 } });
+        const order = [];
+        const started = Date.now();
+        await Promise.all([1, 2, 3, 4].map((n) => limiter.acquire('reads').then(() => order.push(n))));
+
+        assert.deepEqual(order, [1, 2, 3, 4]);
+        // Два из ведра сразу, ещё два — по одному за interval
+        assert.ok(Date.now() - started >= 70, `прошло ${Date.now() - started} мс`);
+    });
+
+    it('pause() задерживает группу, остальные не ждут', async () => {
+        const limiter = new RateLimiter();
+        limiter.pause('writes', 60);
+        assert.ok(limiter.getState().writes.pausedUntil instanceof Date);
+
+        const started = Date.now();
+        await limiter.acquire('reads');
+        assert.ok(Date.now() - started < 50);
+        await limiter.acquire('writes');
+        assert.ok(Date.now() - started >= 55);
+    });
+
+    it('maxQueue — ошибка сверх очереди; группа false — без лимита', async () => {
+        const limiter = new RateLimiter({ writes: { limit: 1, interval: 30 }, auth: false, maxQueue: 1 });
+        await limiter.acquire('writes');
+        const queued = limiter.acquire('writes');
+        await assert.rejects(limiter.acquire('writes'), (error) => {
+            assert.ok(error instanceof ITDQueueFullError);
+            assert.ok(error instanceof ITDRateLimitError);
+            assert.equal(error.code, 'RATE_LIMIT_QUEUE_FULL');
+            assert.match(error.message, /переполнена/);
+            return true;
+        });
+        await queued;
+
+        assert.equal(limiter.getState().auth, null);
+        for (let i = 0; i < 5; i++) await limiter.acquire('auth');
+    });
+
+    it('TokenBucket проверяет параметры', () => {
+        assert.throws(() => new TokenBucket({ limit: 0, interval: 1000 }), TypeError);
+        const bucket = new TokenBucket({ limit: 2, interval: 1000 });
+        assert.equal(bucket.capacity, 2);
+        assert.ok(bucket.tryTake() && bucket.tryTake());
+        assert.equal(bucket.tryTake(), false);
+        assert.ok(bucket.msUntilToken() > 0 && bucket.msUntilToken() <= 500);
+    });
+
+    it('клиент: запросы проходят через лимитер, 429 с Retry-After ставит группу на паузу', async () => {
+        let limited = false;
+        const server = await startServer(() => (limited
+            ? { status: 429, headers: { 'Retry-After': '1' }, body: { error: { code: 'RATE_LIMIT_EXCEEDED', message: 'Too many requests' } } }
+            : { body: { id: 'u1', username: 'me' } }));
+        const [dir, cleanup] = makeTempDir();
+        try {
+            const client = new ITDClient({ baseUrl: server.url, projectRoot: dir, accessToken: 'token', rateLimit: { reads: { limit: 1, interval: 30 } }, retry: false });
+            const started = Date.now();
+            await Promise.all([client.getMyProfile(), client.getMyProfile(), client.getMyProfile()]);
+            assert.ok(Date.now() - started >= 55, `прошло ${Date.now() - started} мс`);
+            assert.equal(server.requests.length, 3);
+
+            limited = true;
+            assert.equal(await client.getMyProfile(), null);
+            const state = client.getRateLimitState();
+            assert.ok(state.reads.pausedUntil.getTime() - Date.now() > 800);
+            assert.equal(state.writes.pausedUntil, null);
+        } finally {
+            cleanup();
+            await server.close();
+        }
+    });
+});
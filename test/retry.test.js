@@ -0,0 +1,69 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    DEFAULT_RETRY_POLICY,
+    normalizeRetryPolicy,
+    resolveRequestPolicy,
+    isRetryableError,
+    computeRetryDelay,
+} from '../src/retry.js';
+
+/** Ошибка axios с ответом (status) или без него (сеть) */
+function axiosError(method, status = null, headers = {}) {
+    const error = new Error('Request failed');
+    error.config = { method };
+    error.request = {};
+    if (status) error.response = { status, headers };
+    return error;
+}
+
+describe('retry', () => {
+    it('normalizeRetryPolicy: false, true и переопределения', () => {
+        assert.equal(normalizeRetryPolicy(false), null);
+        assert.deepEqual(normalizeRetryPolicy(true), { ...DEFAULT_RETRY_POLICY });
+        assert.deepEqual(normalizeRetryPolicy(undefined), { ...DEFAULT_RETRY_POLICY });
+        const custom = normalizeRetryPolicy({ retries: 1, statuses: [503] });
+        assert.equal(custom.retries, 1);
+        assert.deepEqual(custom.statuses, [503]);
+        assert.equal(custom.minDelay, DEFAULT_RETRY_POLICY.minDelay);
+        assert.throws(() => normalizeRetryPolicy('yes'), TypeError);
+    });
+
+    it('resolveRequestPolicy: itdRetry запроса поверх политики клиента', () => {
+        const policy = normalizeRetryPolicy({ retries: 2 });
+        assert.equal(resolveRequestPolicy(policy, false), null);
+        assert.equal(resolveRequestPolicy(policy, undefined), policy);
+        assert.equal(resolveRequestPolicy(policy, { retries: 5 }).retries, 5);
+        // Повторы клиента выключены, но запрос просит их явно — от политики по умолчанию
+        assert.equal(resolveRequestPolicy(null, { retries: 1 }).minDelay, DEFAULT_RETRY_POLICY.minDelay);
+    });
+
+    it('isRetryableError: статусы, сеть и методы', () => {
+        const policy = normalizeRetryPolicy();
+        assert.equal(isRetryableError(axiosError('get', 503), policy), true);
+        assert.equal(isRetryableError(axiosError('get', 429), policy), true);
+        assert.equal(isRetryableError(axiosError('get', 404), policy), false);
+        assert.equal(isRetryableError(axiosError('delete'), policy), true);
+        assert.equal(isRetryableError(axiosError('get'), { ...policy, retryNetworkErrors: false }), false);
+        assert.equal(isRetryableError(Object.assign(axiosError('get'), { code: 'ERR_CANCELED' }), policy), false);
+
+        assert.equal(isRetryableError(axiosError('post', 503), policy), false);
+        assert.equal(isRetryableError(axiosError('post'), policy), false);
+        assert.equal(isRetryableError(axiosError('post', 429), policy), false);
+        assert.equal(isRetryableError(axiosError('post', 429, { 'retry-after': '1' }), policy), true);
+        assert.equal(isRetryableError(axiosError('post', 503), { ...policy, methods: ['post'] }), true);
+    });
+
+    it('computeRetryDelay: экспонента с потолком, jitter и Retry-After', () => {
+        const policy = normalizeRetryPolicy({ jitter: false, minDelay: 100, maxDelay: 1000 });
+        const error = axiosError('get', 503);
+        assert.deepEqual([0, 1, 2, 3, 4].map((attempt) => computeRetryDelay(error, policy, attempt)), [100, 200, 400, 800, 1000]);
+
+        const jittered = computeRetryDelay(error, { ...policy, jitter: true }, 3);
+        assert.ok(jittered >= 0 && jittered <= 800);
+
+        assert.equal(computeRetryDelay(axiosError('get', 429, { 'retry-after': '2' }), policy, 0), 2000);
+        // Retry-After длиннее maxRetryAfter — не ждём
+        assert.equal(computeRetryDelay(axiosError('get', 429, { 'retry-after': '600' }), policy, 0), null);
+    });
+});
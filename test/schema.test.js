@@ -0,0 +1,62 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'events';
+import { SchemaValidator, validateEntity, unwrapEnvelope } from '../src/client.js';
+import { createLogger } from '../src/logger.js';
+
+describe('schema', () => {
+    it('unwrapEnvelope снимает только объектный data', () => {
+        assert.deepEqual(unwrapEnvelope({ data: { id: 1 } }), { id: 1 });
+        assert.deepEqual(unwrapEnvelope({ data: 'текст', id: 1 }), { data: 'текст', id: 1 });
+        assert.deepEqual(unwrapEnvelope([1]), [1]);
+        assert.equal(unwrapEnvelope(null), null);
+    });
+
+    it('validateEntity: обязательные и необязательные поля, лишние поля не мешают', () => {
+        assert.deepEqual(validateEntity('post', { id: 1, content: null, extra: true }), []);
+        assert.deepEqual(validateEntity('post', { id: 'p1', likesCount: '3' }), [{ path: 'post.likesCount', expected: 'number?', actual: 'string' }]);
+        assert.deepEqual(validateEntity('notification', { id: 'n1' }, 'notifications[0]'), [{ path: 'notifications[0].type', expected: 'string', actual: 'undefined' }]);
+        assert.deepEqual(validateEntity('user', []), [{ path: 'user', expected: 'object', actual: 'array' }]);
+    });
+
+    it('о расхождении сообщается один раз на метод и поле: onDrift, событие и лог', () => {
+        const drifts = [];
+        const events = [];
+        const logged = [];
+        const emitter = new EventEmitter();
+        emitter.on('schemaDrift', (drift) => events.push(drift.path));
+        const validator = new SchemaValidator({
+            onDrift: (drift) => drifts.push(drift),
+            emitter,
+            logger: createLogger({ level: 'warn', sink: (entry) => logged.push(entry.event) }),
+        });
+
+        const body = { data: { posts: [{ id: 'p1', likesCount: '1' }, { id: 'p2', likesCount: '2' }] } };
+        const { items } = validator.list('posts.getPosts', 'post', body, 'posts');
+        validator.list('posts.getPosts', 'post', body, 'posts');
+        assert.equal(items.length, 2);
+        assert.deepEqual(drifts.map((d) => [d.method, d.path, d.actual]), [['posts.getPosts', 'posts[0].likesCount', 'string']]);
+        assert.equal(drifts[0].body, body);
+        assert.deepEqual(events, ['posts[0].likesCount']);
+        assert.deepEqual(logged, ['schema.drift']);
+    });
+
+    it('validate: false — поля не проверяются, пропавший список и не-объект — всё равно расхождение', () => {
+        const drifts = [];
+        const validator = new SchemaValidator({ validate: false, onDrift: (drift) => drifts.push(drift.path) });
+        assert.deepEqual(validator.entity('posts.getPost', 'post', { data: { likesCount: 'x' } }), { likesCount: 'x' });
+        assert.equal(validator.entity('posts.getPost', 'post', 'Internal error'), null);
+        assert.deepEqual(validator.list('users.getFollowers', 'user', { data: { total: 0 } }, 'users'), { items: [], meta: { total: 0 } });
+        assert.deepEqual(drifts, ['post', 'users']);
+    });
+
+    it('ошибка в onDrift не ломает разбор', () => {
+        const logged = [];
+        const validator = new SchemaValidator({
+            onDrift: () => { throw new Error('сломался'); },
+            logger: createLogger({ level: 'error', sink: (entry) => logged.push(entry.event) }),
+        });
+        assert.deepEqual(validator.entity('users.getUserProfile', 'user', { id: 1 }), { id: 1 });
+        assert.deepEqual(logged, ['schema.on_drift.failed']);
+    });
+});
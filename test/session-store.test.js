@@ -0,0 +1,117 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import {
+    ITDClient,
+    MemorySessionStore,
+    JsonFileSessionStore,
+    DirectorySessionStore,
+    EnvFileSessionStore,
+} from '../src/client.js';
+import { isEncrypted } from '../src/storage-crypto.js';
+import { createLogger } from '../src/logger.js';
+import { isolateEnv, makeTempDir, startServer } from './helpers.js';
+
+isolateEnv();
+
+describe('sessionStore', () => {
+    let dir;
+    let cleanup;
+
+    beforeEach(() => {
+        [dir, cleanup] = makeTempDir();
+    });
+
+    afterEach(() => {
+        cleanup();
+    });
+
+    it('MemorySessionStore: частичное сохранение', async () => {
+        const store = new MemorySessionStore({ accessToken: 'a', cookies: ' refresh_token=r ' });
+        assert.deepEqual(await store.load(), { accessToken: 'a', cookies: 'refresh_token=r' });
+        await store.save({ accessToken: 'b' });
+        await store.save({ cookies: '' });
+        assert.deepEqual(await store.load(), { accessToken: 'b', cookies: null });
+    });
+
+    it('JsonFileSessionStore: файл создаётся при сохранении, поля обновляются по отдельности', async () => {
+        const filePath = path.join(dir, 'nested', 'session.json');
+        const store = new JsonFileSessionStore(filePath);
+        assert.equal(await store.load(), null);
+        assert.equal(store.lockPath, `${filePath}.lock`);
+
+        await store.save({ accessToken: 'a', cookies: 'refresh_token=r' });
+        await store.save({ accessToken: 'b' });
+        assert.deepEqual(await store.load(), { accessToken: 'b', cookies: 'refresh_token=r' });
+        const json = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        assert.ok(json.updatedAt);
+
+        fs.writeFileSync(filePath, '{', 'utf8');
+        await assert.rejects(store.load(), /не является валидным JSON/);
+        assert.throws(() => new JsonFileSessionStore(''), TypeError);
+    });
+
+    it('DirectorySessionStore: по файлу на значение', async () => {
+        const store = new DirectorySessionStore(path.join(dir, 'secrets'));
+        assert.equal(await store.load(), null);
+        await store.save({ cookies: 'refresh_token=r' });
+        assert.deepEqual(await store.load(), { accessToken: null, cookies: 'refresh_token=r' });
+        await store.save({ accessToken: 'a\n' });
+        assert.equal(fs.readFileSync(path.join(dir, 'secrets', 'access_token'), 'utf8'), 'a\n');
+        assert.deepEqual(await store.load(), { accessToken: 'a', cookies: 'refresh_token=r' });
+    });
+
+    it('EnvFileSessionStore: ITD_ACCESS_TOKEN в .env и cookies в .cookies', async () => {
+        const envPath = path.join(dir, '.env');
+        const cookiesPath = path.join(dir, '.cookies');
+        fs.writeFileSync(envPath, 'ITD_BASE_URL=https://example.test\n', 'utf8');
+        const store = new EnvFileSessionStore({ envPath, cookiesPath, logger: createLogger(false) });
+
+        assert.deepEqual(await store.load(), { accessToken: null, cookies: null });
+        await store.save({ accessToken: 'a', cookies: 'refresh_token=r' });
+        assert.deepEqual(await store.load(), { accessToken: 'a', cookies: 'refresh_token=r' });
+        assert.match(fs.readFileSync(envPath, 'utf8'), /^ITD_BASE_URL=https:\/\/example\.test$/m);
+    });
+
+    it('файловые хранилища шифруют значения с encryption', async () => {
+        const encryption = { key: 'test-secret' };
+        const json = new JsonFileSessionStore(path.join(dir, 'session.json'), { encryption });
+        await json.save({ accessToken: 'a', cookies: 'refresh_token=r' });
+        assert.ok(isEncrypted(fs.readFileSync(json.filePath, 'utf8')));
+        assert.deepEqual(await json.load(), { accessToken: 'a', cookies: 'refresh_token=r' });
+
+        const directory = new DirectorySessionStore(path.join(dir, 'secrets'), { encryption });
+        await directory.save({ accessToken: 'a', cookies: 'refresh_token=r' });
+        assert.ok(isEncrypted(fs.readFileSync(directory.cookiesPath, 'utf8')));
+        assert.deepEqual(await directory.load(), { accessToken: 'a', cookies: 'refresh_token=r' });
+    });
+
+    it('клиент берёт сессию из своего хранилища и сохраняет туда refresh', async () => {
+        const server = await startServer(({ method, path, headers }) => {
+            if (method === 'POST' && path === '/api/v1/auth/refresh') {
+                return { headers: { 'Set-Cookie': 'refresh_token=r2; Path=/' }, body: { accessToken: 'fresh' } };
+            }
+            if (headers.authorization === 'Bearer fresh') return { body: { id: 'u1', username: 'me' } };
+            return { status: 401, body: { error: { code: 'UNAUTHORIZED', message: 'Требуется авторизация' } } };
+        });
+        try {
+            const saved = [];
+            const store = {
+                load: async () => ({ accessToken: null, cookies: 'refresh_token=r1' }),
+                save: async (session) => saved.push(session),
+            };
+            const client = new ITDClient({ baseUrl: server.url, projectRoot: dir, logger: false, sessionStore: store });
+            assert.equal((await client.getMyProfile()).username, 'me');
+
+            assert.ok(saved.some((session) => session.accessToken === 'fresh'));
+            assert.ok(saved.some((session) => /refresh_token=r2/.test(session.cookies ?? '')));
+            // С sessionStore .env и .cookies не создаются
+            assert.deepEqual(fs.readdirSync(dir), []);
+
+            assert.throws(() => new ITDClient({ baseUrl: server.url, logger: false, sessionStore: {} }), /sessionStore/);
+        } finally {
+            await server.close();
+        }
+    });
+});
@@ -0,0 +1,108 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { ITDClient, StorageCipher, createStorageCipher, migrateToEncrypted, isEncrypted } from '../src/client.js';
+import { decryptIfNeeded } from '../src/storage-crypto.js';
+import { isolateEnv, makeTempDir, startServer } from './helpers.js';
+
+describe('storage-crypto', () => {
+    let dir;
+    let cleanup;
+
+    beforeEach(() => {
+        isolateEnv();
+        [dir, cleanup] = makeTempDir();
+    });
+
+    afterEach(() => {
+        isolateEnv();
+        cleanup();
+    });
+
+    it('шифрует и расшифровывает; открытый текст читается как есть', () => {
+        const cipher = new StorageCipher('secret');
+        const encrypted = cipher.encrypt('refresh_token=abc');
+        assert.ok(isEncrypted(encrypted));
+        assert.notEqual(cipher.encrypt('refresh_token=abc'), encrypted);
+        assert.equal(cipher.decrypt(encrypted), 'refresh_token=abc');
+        assert.equal(cipher.decrypt('plain'), 'plain');
+        // Другой экземпляр с тем же секретом (другая соль) читает запись
+        assert.equal(new StorageCipher('secret').decrypt(encrypted), 'refresh_token=abc');
+    });
+
+    it('неверный ключ и повреждённые данные — ошибка, а не мусор', () => {
+        const encrypted = new StorageCipher('secret').encrypt('value');
+        assert.throws(() => new StorageCipher('other').decrypt(encrypted), /неверный ключ/);
+        const tampered = encrypted.slice(0, -4) + (encrypted.endsWith('AAAA') ? 'BBBB' : 'AAAA');
+        assert.throws(() => new StorageCipher('secret').decrypt(tampered), /неверный ключ или данные повреждены/);
+        assert.throws(() => new StorageCipher('secret').decrypt('itd-enc:v1:abc'), /повреждённое/);
+        assert.throws(() => new StorageCipher(''), TypeError);
+        assert.throws(() => decryptIfNeeded(encrypted, null), /ITD_STORAGE_KEY/);
+    });
+
+    it('createStorageCipher: окружение, keyFile, true без ключа', () => {
+        assert.equal(createStorageCipher(undefined), null);
+        assert.equal(createStorageCipher(false), null);
+        assert.throws(() => createStorageCipher(true), /нет ключа/);
+        assert.throws(() => createStorageCipher('key'), TypeError);
+
+        process.env.ITD_STORAGE_KEY = 'env-secret';
+        const fromEnv = createStorageCipher(undefined);
+        assert.ok(fromEnv instanceof StorageCipher);
+        // Один шифр на секрет
+        assert.equal(createStorageCipher({ key: 'env-secret' }), fromEnv);
+
+        const keyFile = path.join(dir, 'key');
+        fs.writeFileSync(keyFile, 'file-secret\n', 'utf8');
+        const fromFile = createStorageCipher({ keyFile });
+        assert.equal(fromFile.decrypt(createStorageCipher({ key: 'file-secret' }).encrypt('x')), 'x');
+    });
+
+    it('migrateToEncrypted шифрует .env (только токен) и остальные файлы целиком', async () => {
+        const envPath = path.join(dir, '.env');
+        const cookiesPath = path.join(dir, '.cookies');
+        const emptyPath = path.join(dir, '.env.empty');
+        fs.writeFileSync(envPath, 'ITD_BASE_URL=https://example.test\nITD_ACCESS_TOKEN=token\n', 'utf8');
+        fs.writeFileSync(cookiesPath, 'refresh_token=abc\n', 'utf8');
+        fs.writeFileSync(emptyPath, 'ITD_ACCESS_TOKEN=\n', 'utf8');
+        const option = { key: 'secret' };
+
+        const results = await migrateToEncrypted([envPath, cookiesPath, emptyPath, path.join(dir, 'missing')], option);
+        assert.deepEqual(results.map((r) => r.status), ['encrypted', 'encrypted', 'empty', 'missing']);
+
+        const env = fs.readFileSync(envPath, 'utf8');
+        assert.match(env, /^ITD_BASE_URL=https:\/\/example\.test$/m);
+        const cipher = createStorageCipher(option);
+        assert.equal(cipher.decrypt(/^ITD_ACCESS_TOKEN=(.*)$/m.exec(env)[1]), 'token');
+        assert.equal(cipher.decrypt(fs.readFileSync(cookiesPath, 'utf8')), 'refresh_token=abc');
+
+        const again = await migrateToEncrypted([envPath, cookiesPath], option);
+        assert.deepEqual(again.map((r) => r.status), ['already', 'already']);
+        await assert.rejects(migrateToEncrypted([envPath]), /нет ключа/);
+    });
+
+    it('клиент читает зашифрованные .cookies и сохраняет новые значения зашифрованными', async () => {
+        const server = await startServer(({ method, path, headers }) => {
+            if (method === 'POST' && path === '/api/v1/auth/refresh' && headers.cookie === 'refresh_token=r1') {
+                return { headers: { 'Set-Cookie': 'refresh_token=r2; Path=/' }, body: { accessToken: 'fresh' } };
+            }
+            if (headers.authorization === 'Bearer fresh') return { body: { id: 'u1', username: 'me' } };
+            return { status: 401, body: { error: { code: 'UNAUTHORIZED', message: 'Требуется авторизация' } } };
+        });
+        try {
+            const cipher = createStorageCipher({ key: 'secret' });
+            fs.writeFileSync(path.join(dir, '.cookies'), cipher.encrypt('refresh_token=r1'), 'utf8');
+            const client = new ITDClient({ baseUrl: server.url, projectRoot: dir, logger: false, storageEncryption: { key: 'secret' } });
+
+            assert.equal((await client.getMyProfile()).username, 'me');
+            const env = fs.readFileSync(path.join(dir, '.env'), 'utf8');
+            assert.equal(cipher.decrypt(/^ITD_ACCESS_TOKEN=(.*)$/m.exec(env)[1]), 'fresh');
+            const stored = fs.readFileSync(path.join(dir, '.cookies'), 'utf8');
+            assert.ok(isEncrypted(stored));
+            assert.match(cipher.decrypt(stored), /refresh_token=r2/);
+        } finally {
+            await server.close();
+        }
+    });
+});
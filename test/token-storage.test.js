@@ -0,0 +1,141 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { ITDClient } from '../src/client.js';
+import { saveAccessToken, saveCookieHeader } from '../src/token-storage.js';
+import { StorageCipher, isEncrypted } from '../src/storage-crypto.js';
+import { createLogger } from '../src/logger.js';
+import { createMockServer } from '../src/testing.js';
+import { isolateEnv, makeTempDir } from './helpers.js';
+
+isolateEnv();
+
+const silent = createLogger(false);
+
+describe('token-storage', () => {
+    let dir;
+    let cleanup;
+    let envPath;
+    let cookiesPath;
+
+    beforeEach(() => {
+        [dir, cleanup] = makeTempDir();
+        envPath = path.join(dir, '.env');
+        cookiesPath = path.join(dir, '.cookies');
+    });
+
+    afterEach(() => {
+        cleanup();
+    });
+
+    it('заменяет ITD_ACCESS_TOKEN и не трогает остальные строки', async () => {
+        fs.writeFileSync(envPath, '# мой .env\nITD_BASE_URL=https://example.test\nITD_ACCESS_TOKEN=old\nITD_PROXY=http://127.0.0.1:10808\n', 'utf8');
+
+        assert.equal(await saveAccessToken('new-token', envPath, silent), true);
+
+        assert.equal(
+            fs.readFileSync(envPath, 'utf8'),
+            '# мой .env\nITD_BASE_URL=https://example.test\nITD_ACCESS_TOKEN=new-token\nITD_PROXY=http://127.0.0.1:10808\n'
+        );
+    });
+
+    it('повторная запись не дублирует строку', async () => {
+        fs.writeFileSync(envPath, 'ITD_ACCESS_TOKEN=\n', 'utf8');
+        await saveAccessToken('first', envPath, silent);
+        await saveAccessToken('second', envPath, silent);
+        const lines = fs.readFileSync(envPath, 'utf8').split('\n').filter((line) => line.startsWith('ITD_ACCESS_TOKEN='));
+        assert.deepEqual(lines, ['ITD_ACCESS_TOKEN=second']);
+    });
+
+    it('дописывает ITD_ACCESS_TOKEN, если строки нет', async () => {
+        fs.writeFileSync(envPath, 'ITD_USER_AGENT=bot', 'utf8');
+        await saveAccessToken('token', envPath, silent);
+        const content = fs.readFileSync(envPath, 'utf8');
+        assert.match(content, /^ITD_USER_AGENT=bot$/m);
+        assert.match(content, /^ITD_ACCESS_TOKEN=token$/m);
+    });
+
+    it('создаёт .env, если файла нет', async () => {
+        await saveAccessToken('token', envPath, silent);
+        const content = fs.readFileSync(envPath, 'utf8');
+        assert.match(content, /^ITD_BASE_URL=https:\/\/xn--d1ah4a\.com$/m);
+        assert.match(content, /^ITD_ACCESS_TOKEN=token$/m);
+    });
+
+    it('шифрует значение, если передан cipher', async () => {
+        const cipher = new StorageCipher('test-secret');
+        await saveAccessToken('token', envPath, silent, cipher);
+        await saveCookieHeader('refresh_token=abc', cookiesPath, silent, cipher);
+
+        const stored = /^ITD_ACCESS_TOKEN=(.*)$/m.exec(fs.readFileSync(envPath, 'utf8'))[1];
+        assert.ok(isEncrypted(stored));
+        assert.equal(cipher.decrypt(stored), 'token');
+        assert.equal(cipher.decrypt(fs.readFileSync(cookiesPath, 'utf8')), 'refresh_token=abc');
+    });
+
+    it('.cookies перезаписывается целиком', async () => {
+        fs.writeFileSync(cookiesPath, 'refresh_token=old; theme=dark', 'utf8');
+        await saveCookieHeader('refresh_token=new', cookiesPath, silent);
+        assert.equal(fs.readFileSync(cookiesPath, 'utf8'), 'refresh_token=new');
+    });
+
+    it('запись атомарная: новый файл — права 0600, у существующего права прежние', { skip: process.platform === 'win32' }, async () => {
+        fs.writeFileSync(envPath, 'ITD_ACCESS_TOKEN=old\n');
+        fs.chmodSync(envPath, 0o640);
+        await saveAccessToken('secret', envPath, silent);
+        await saveCookieHeader('refresh_token=secret', cookiesPath, silent);
+
+        assert.equal(fs.statSync(envPath).mode & 0o777, 0o640);
+        assert.equal(fs.statSync(cookiesPath).mode & 0o777, 0o600);
+        // Временные файлы после rename не остаются
+        assert.deepEqual(fs.readdirSync(dir).sort(), ['.cookies', '.env']);
+    });
+
+    it('.env-симлинк остаётся ссылкой, запись идёт в файл, на который он указывает', { skip: process.platform === 'win32' }, async () => {
+        const shared = path.join(dir, 'shared');
+        fs.mkdirSync(shared);
+        const realPath = path.join(shared, '.env');
+        fs.writeFileSync(realPath, 'ITD_USER_AGENT=bot\n');
+        fs.symlinkSync(path.relative(dir, realPath), envPath);
+
+        await saveAccessToken('token', envPath, silent);
+
+        assert.ok(fs.lstatSync(envPath).isSymbolicLink());
+        assert.match(fs.readFileSync(realPath, 'utf8'), /^ITD_USER_AGENT=bot\n+ITD_ACCESS_TOKEN=token\n$/);
+        assert.deepEqual(fs.readdirSync(shared), ['.env']);
+    });
+
+    it('ошибка записи — false и событие в логгер', async () => {
+        const events = [];
+        const logger = createLogger({ level: 'debug', sink: (entry) => events.push(entry.event) });
+        // Каталог на месте файла не создать
+        fs.writeFileSync(path.join(dir, 'файл'), '', 'utf8');
+        const missing = path.join(dir, 'файл', '.env');
+
+        assert.equal(await saveAccessToken('token', missing, logger), false);
+        assert.equal(await saveCookieHeader('a=b', missing, logger), false);
+        assert.deepEqual(events, ['storage.token.save_failed', 'storage.cookies.save_failed']);
+    });
+
+    it('клиент без sessionStore переписывает .env и .cookies после refresh', async () => {
+        const server = await createMockServer();
+        try {
+            const { cookies } = server.createSession();
+            fs.writeFileSync(envPath, 'ITD_BASE_URL=ignored\nITD_ACCESS_TOKEN=\n', 'utf8');
+            fs.writeFileSync(cookiesPath, cookies, 'utf8');
+            const client = new ITDClient({ baseUrl: server.url, projectRoot: dir, logger: false });
+
+            assert.equal((await client.getMyProfile()).username, 'me');
+
+            const env = fs.readFileSync(envPath, 'utf8');
+            assert.match(env, /^ITD_BASE_URL=ignored$/m);
+            assert.equal(/^ITD_ACCESS_TOKEN=(.*)$/m.exec(env)[1], client.accessToken);
+            const rotated = fs.readFileSync(cookiesPath, 'utf8');
+            assert.match(rotated, /refresh_token=/);
+            assert.notEqual(rotated, cookies);
+        } finally {
+            await server.close();
+        }
+    });
+});
@@ -0,0 +1,42 @@
+/**
+ * Авторизация: вход, OTP, refresh, logout, сброс пароля.
+ */
+import type { AxiosInstance } from 'axios';
+import type { ITDClient } from './client.js';
+import type { ApiObject } from './entities.js';
+
+export interface OtpRequest {
+    email: string;
+    /** Ответ sign-in */
+    data: ApiObject;
+    /** Отправить код повторно */
+    resend: () => Promise<boolean>;
+}
+
+export interface SignInOptions {
+    /** Возвращает код из письма; без него signIn вернёт { otpRequired: true, ... } */
+    onOtp?: (request: OtpRequest) => string | Promise<string>;
+}
+
+/** Ответ входа: accessToken или запрос кода */
+export interface SignInResult extends ApiObject {
+    accessToken?: string;
+    otpRequired?: boolean;
+}
+
+export interface AuthManager {
+    readonly client: ITDClient<boolean>;
+    readonly axios: AxiosInstance;
+    hasRefreshToken(): boolean;
+    refreshAccessToken(): Promise<string | null>;
+    changePassword(oldPassword: string, newPassword: string): Promise<ApiObject | null>;
+    logout(): Promise<boolean>;
+    /** По умолчанию email и пароль — ITD_USERNAME и ITD_PASSWORD из .env */
+    signIn(email?: string, password?: string, options?: SignInOptions): Promise<SignInResult | null>;
+    verifyOtp(email: string, code: string): Promise<SignInResult | null>;
+    resendOtp(email: string): Promise<boolean>;
+    forgotPassword(email: string): Promise<boolean>;
+    resetPassword(email: string, code: string, newPassword: string): Promise<boolean>;
+    checkAuth(): Promise<boolean>;
+    validateAndRefreshToken(): Promise<boolean>;
+}
@@ -0,0 +1,39 @@
+/**
+ * Кэш GET-ответов с TTL по группам ресурсов и объединением одинаковых запросов.
+ */
+
+export type CacheResource = 'posts' | 'comments' | 'users' | 'hashtags' | 'search' | 'files' | 'notifications' | 'default';
+
+export interface CacheOptions {
+    /** TTL групп в мс; 0 — не хранить, но объединять одновременные запросы */
+    ttl?: Partial<Record<CacheResource, number>>;
+    /** Максимум ответов в памяти (по умолчанию 500) */
+    maxEntries?: number;
+}
+
+export interface CacheStats {
+    hits: number;
+    misses: number;
+    coalesced: number;
+    invalidations: number;
+    evictions: number;
+    size: number;
+    inflight: number;
+    hitRate: number;
+}
+
+export const DEFAULT_CACHE_TTL: Readonly<Record<CacheResource, number>>;
+
+export class ResponseCache {
+    constructor(options: CacheOptions | undefined, adapter: (config: object) => Promise<object>);
+    ttl: Record<CacheResource, number>;
+    maxEntries: number;
+    classify(config: { url?: string }): CacheResource | 'auth' | 'reports';
+    attach(config: object, key: string): boolean;
+    release(config: object, error: unknown): void;
+    invalidateFor(config: { method?: string; url?: string }): void;
+    /** Группа ('posts', 'users', ...) или RegExp по полному URL; возвращает число удалённых ответов */
+    invalidate(target: string | RegExp): number;
+    clear(): void;
+    getStats(): CacheStats;
+}
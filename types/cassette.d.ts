@@ -0,0 +1,57 @@
+/**
+ * Запись и воспроизведение HTTP-трафика клиента (опция cassette).
+ */
+
+export type CassetteMode = 'record' | 'replay' | 'auto';
+export type CassetteMatchField = 'method' | 'path' | 'query' | 'body';
+
+/** Запрос в кассете: query отсортирован, секреты в query и body скрыты */
+export interface CassetteRequest {
+    method: string;
+    path: string;
+    query: Record<string, string | string[]>;
+    body: unknown;
+}
+
+export interface CassetteResponse {
+    status: number;
+    headers: Record<string, string | string[]>;
+    body: unknown;
+}
+
+export interface CassetteInteraction {
+    request: CassetteRequest;
+    response: CassetteResponse;
+}
+
+export interface CassetteOptions {
+    /** JSON-файл кассеты */
+    path: string;
+    /** По умолчанию 'replay'; 'auto' — replay, если файл есть, иначе record */
+    mode?: CassetteMode;
+    /** Части запроса для поиска записи (по умолчанию все четыре) или своя функция */
+    match?: CassetteMatchField[] | ((request: CassetteRequest, recorded: CassetteRequest) => boolean);
+    /** Запрос без записи — ITDCassetteError (по умолчанию true); false — запрос уходит в сеть */
+    strict?: boolean;
+    /** Израсходованные записи отдаются повторно (последняя подходящая, по умолчанию true) */
+    repeat?: boolean;
+    /** Дополнительное скрытие данных перед сохранением записи */
+    scrub?: (interaction: CassetteInteraction) => CassetteInteraction | void;
+}
+
+export class Cassette {
+    constructor(options: CassetteOptions);
+    path: string;
+    /** Итоговый режим ('auto' уже разрешён) */
+    mode: 'record' | 'replay';
+    match: CassetteMatchField[] | ((request: CassetteRequest, recorded: CassetteRequest) => boolean);
+    strict: boolean;
+    repeat: boolean;
+    scrub: ((interaction: CassetteInteraction) => CassetteInteraction | void) | null;
+    interactions: CassetteInteraction[];
+    /** replay: запросы, для которых не нашлось записи */
+    unmatched: CassetteRequest[];
+    wrap(adapter: (config: object) => Promise<object>, getUri: (config: object) => string): (config: object) => Promise<object>;
+    /** Записи, которые ни разу не воспроизводились */
+    pending(): CassetteInteraction[];
+}
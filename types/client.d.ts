@@ -0,0 +1,373 @@
+/**
+ * Типы главного клиента: import { ITDClient } from 'itd-sdk-js'.
+ *
+ * Параметр M — значение опции models: при models: true методы возвращают модели
+ * (Post, Comment, User, ...), иначе — сырые объекты API (PostData, CommentData, ...).
+ */
+import { EventEmitter } from 'events';
+import type { AxiosInstance, AxiosRequestConfig, AxiosResponse } from 'axios';
+import type { CookieJar } from 'tough-cookie';
+import type { ITDError } from './errors.js';
+import type { Logger, LoggerOption } from './logger.js';
+import type { RateLimiter, RateLimitOptions, RateLimitState } from './rate-limiter.js';
+import type { ResponseCache, CacheOptions } from './cache.js';
+import type { Cassette, CassetteOptions } from './cassette.js';
+import type { SessionStore } from './session-store.js';
+import type { StorageCipher, StorageEncryptionOption } from './storage-crypto.js';
+import type { Paginator, IterateOptions } from './pagination.js';
+import type { SchemaValidator, SchemaOptions, SchemaDrift } from './schema.js';
+import type { Entity } from './models.js';
+import type { Plugin, ITDPlugin } from './plugins.js';
+import type { AuthManager, SignInOptions, SignInResult } from './auth.js';
+import type { PostsManager, PostsPage, PostSort, FeedTab } from './posts.js';
+import type { CommentsManager, CommentsPage, RepliesPage, CommentSort, CommentThreadOptions } from './comments.js';
+import type { UsersManager, UsersPage } from './users.js';
+import type { NotificationsManager, NotificationsPage, NotificationStream, NotificationStreamOptions } from './notifications.js';
+import type { HashtagsManager, HashtagPostsPage } from './hashtags.js';
+import type { FilesManager } from './files.js';
+import type { ReportsManager, ReportTargetType } from './reports.js';
+import type { SearchManager, SearchResult } from './search.js';
+import type { VerificationManager } from './verification.js';
+import type {
+    ApiObject,
+    ClanData,
+    FollowResult,
+    LikeResult,
+    NotificationType,
+    PostStats,
+    PrivacySettings,
+    ReportResult,
+} from './entities.js';
+
+export {
+    ITDError,
+    ITDErrorDetails,
+    ITDAuthError,
+    ITDRateLimitError,
+    ITDQueueFullError,
+    ITDNotFoundError,
+    ITDValidationError,
+    ITDServerError,
+    ITDNetworkError,
+    ITDCassetteError,
+} from './errors.js';
+export { RateLimiter, DEFAULT_RATE_LIMITS, RateLimitGroup, RateLimitBudget, RateLimitOptions, RateLimitState, RateLimitGroupState } from './rate-limiter.js';
+export { ResponseCache, DEFAULT_CACHE_TTL, CacheOptions, CacheStats, CacheResource } from './cache.js';
+export {
+    Cassette,
+    CassetteOptions,
+    CassetteMode,
+    CassetteMatchField,
+    CassetteRequest,
+    CassetteResponse,
+    CassetteInteraction,
+} from './cassette.js';
+export { Logger, createLogger, LOG_LEVELS, LogLevel, LogEntry, LoggerOptions, LoggerOption, ExternalLogger } from './logger.js';
+export {
+    MemorySessionStore,
+    JsonFileSessionStore,
+    DirectorySessionStore,
+    EnvFileSessionStore,
+    Session,
+    SessionStore,
+    FileStoreOptions,
+} from './session-store.js';
+export { StorageCipher, createStorageCipher, migrateToEncrypted, isEncrypted, StorageEncryptionOption, StorageKeyOptions } from './storage-crypto.js';
+export { Paginator, Page, PaginatorOptions, IterateOptions } from './pagination.js';
+export { SchemaValidator, SCHEMAS, validateEntity, unwrapEnvelope, SchemaEntity, SchemaFieldType, SchemaIssue, SchemaDrift, SchemaOptions } from './schema.js';
+export {
+    Model,
+    Post,
+    Comment,
+    User,
+    Notification,
+    Hashtag,
+    FileAttachment,
+    createModel,
+    Entity,
+    EntityKind,
+    RawEntities,
+    ModelEntities,
+} from './models.js';
+export * from './entities.js';
+export { Plugin, ITDPlugin } from './plugins.js';
+export { AuthManager, SignInOptions, SignInResult, OtpRequest } from './auth.js';
+export { PostsManager, PostsPage, PostSort, FeedTab } from './posts.js';
+export { CommentsManager, CommentsPage, RepliesPage, CommentSort, CommentThreadOptions } from './comments.js';
+export { UsersManager, UsersPage } from './users.js';
+export { NotificationsManager, NotificationsPage, NotificationStream, NotificationStreamOptions } from './notifications.js';
+export { HashtagsManager, HashtagPostsPage } from './hashtags.js';
+export { FilesManager } from './files.js';
+export { ReportsManager, ReportTargetType } from './reports.js';
+export { SearchManager, SearchResult } from './search.js';
+export { VerificationManager } from './verification.js';
+
+/** Опция retry: false — выключить повторы */
+export interface RetryOptions {
+    /** Максимум повторов, не считая первой попытки (по умолчанию 3) */
+    retries?: number;
+    /** Базовая задержка, мс (по умолчанию 500) */
+    minDelay?: number;
+    /** Верхняя граница задержки, мс (по умолчанию 30000) */
+    maxDelay?: number;
+    /** Множитель экспоненты (по умолчанию 2) */
+    factor?: number;
+    /** Full jitter (по умолчанию true) */
+    jitter?: boolean;
+    /** HTTP-статусы для повтора (по умолчанию 429, 500, 502, 503, 504) */
+    statuses?: number[];
+    /**
+     * Методы, которые повторяются при любом статусе из statuses и сетевых ошибках (по умолчанию get, head, options, put, delete).
+     * Остальные — только при 429 с Retry-After
+     */
+    methods?: string[];
+    /** Повторять при таймаутах и обрывах (по умолчанию true) */
+    retryNetworkErrors?: boolean;
+    /** Retry-After длиннее этого (мс) — сразу ошибка (по умолчанию 120000) */
+    maxRetryAfter?: number;
+}
+
+export interface AutoRefreshOptions {
+    mode?: false | 'lazy' | 'timer';
+    /** За сколько мс до exp обновлять токен (по умолчанию 60000) */
+    skew?: number;
+}
+
+export interface RefreshLockOptions {
+    /** Сколько ждать блокировку, мс (по умолчанию 30000) */
+    timeout?: number;
+    /** Через сколько мс без обновления lock считается брошенным (по умолчанию 60000); владелец обновляет его каждые stale / 3 мс */
+    stale?: number;
+}
+
+export interface ITDClientOptions<M extends boolean = false> {
+    baseUrl?: string;
+    userAgent?: string;
+    /** Корень проекта (по умолчанию process.cwd()); здесь ищутся .env и .cookies */
+    projectRoot?: string;
+    envPath?: string;
+    cookiesPath?: string;
+    /** Таймаут обычных запросов, мс (по умолчанию 60000) */
+    requestTimeout?: number;
+    /** Таймаут загрузки файлов и создания поста, мс (по умолчанию 120000) */
+    uploadTimeout?: number;
+    accessToken?: string | null;
+    /** Строка cookies, как в .cookies: "name=value; name2=value2" */
+    cookiesString?: string | null;
+    errors?: 'null' | 'throw';
+    retry?: boolean | RetryOptions;
+    rateLimit?: boolean | RateLimitOptions;
+    schema?: false | SchemaOptions;
+    /** Возвращать модели вместо сырых объектов */
+    models?: M;
+    cache?: boolean | CacheOptions;
+    /** Запись и воспроизведение HTTP для тестов */
+    cassette?: CassetteOptions;
+    logger?: LoggerOption;
+    sessionStore?: SessionStore | null;
+    storageEncryption?: StorageEncryptionOption;
+    autoRefresh?: false | 'lazy' | 'timer' | AutoRefreshOptions;
+    refreshLock?: boolean | RefreshLockOptions;
+    plugins?: Plugin[];
+}
+
+/** client.session — сведения о сессии по accessToken (JWT) */
+export interface SessionInfo {
+    authenticated: boolean;
+    userId: string | null;
+    issuedAt: Date | null;
+    expiresAt: Date | null;
+    /** Мс до истечения; null — токен не JWT или без exp */
+    expiresIn: number | null;
+    expired: boolean;
+    hasRefreshToken: boolean;
+}
+
+/** Опции запроса SDK поверх axios */
+declare module 'axios' {
+    interface AxiosRequestConfig {
+        /** false — не повторять запрос; объект — переопределить политику повторов */
+        itdRetry?: boolean | RetryOptions;
+        /** false — мимо кэша; { ttl } — свой TTL ответа */
+        itdCache?: false | { ttl: number };
+    }
+}
+
+export class ITDClient<M extends boolean = false> extends EventEmitter {
+    constructor(options?: ITDClientOptions<M>);
+    constructor(baseUrl?: string | URL | null, userAgent?: string | null);
+
+    baseUrl: string;
+    userAgent: string;
+    envPath: string;
+    cookiesPath: string;
+    requestTimeout: number;
+    uploadTimeout: number;
+    accessToken: string | null;
+    logger: Logger;
+    /** Шифр для .env/.cookies; null — файлы пишутся открытым текстом */
+    storageCipher: StorageCipher | null;
+    /** Заблаговременный refresh; null — только по 401 */
+    autoRefresh: { mode: 'lazy' | 'timer'; skew: number } | null;
+    refreshLock: RefreshLockOptions | null;
+    errorMode: 'null' | 'throw';
+    models: M;
+    schema: SchemaValidator;
+    retryPolicy: Required<RetryOptions> | null;
+    rateLimiter: RateLimiter | null;
+    proxyUrl: string | null;
+    cookieJar: CookieJar;
+    sessionStore: SessionStore;
+    axios: AxiosInstance;
+    cassette: Cassette | null;
+    cache: ResponseCache | null;
+    plugins: ITDPlugin[];
+
+    auth: AuthManager;
+    posts: PostsManager<M>;
+    comments: CommentsManager<M>;
+    users: UsersManager<M>;
+    notifications: NotificationsManager<M>;
+    hashtags: HashtagsManager<M>;
+    files: FilesManager<M>;
+    reports: ReportsManager;
+    searchManager: SearchManager<M>;
+    verification: VerificationManager;
+
+    on(event: 'tokenRefresh', listener: (accessToken: string, session: SessionInfo) => void): this;
+    on(event: 'tokenRefreshError', listener: (error: ITDError) => void): this;
+    on(event: 'schemaDrift', listener: (drift: SchemaDrift) => void): this;
+    on(event: string | symbol, listener: (...args: any[]) => void): this;
+    once(event: 'tokenRefresh', listener: (accessToken: string, session: SessionInfo) => void): this;
+    once(event: 'tokenRefreshError', listener: (error: ITDError) => void): this;
+    once(event: 'schemaDrift', listener: (drift: SchemaDrift) => void): this;
+    once(event: string | symbol, listener: (...args: any[]) => void): this;
+
+    readonly session: SessionInfo;
+    /** Останавливает таймер refresh (режим autoRefresh: 'timer') */
+    destroy(): void;
+    getRateLimitState(): RateLimitState | null;
+    use(plugin: Plugin): this;
+    setAccessToken(token: string | null): void;
+    ensureAuthenticated(): Promise<boolean>;
+    requireAuth(): Promise<boolean>;
+
+    get<T = any>(path: string, config?: AxiosRequestConfig): Promise<AxiosResponse<T>>;
+    post<T = any>(path: string, data?: unknown, config?: AxiosRequestConfig): Promise<AxiosResponse<T>>;
+    put<T = any>(path: string, data?: unknown, config?: AxiosRequestConfig): Promise<AxiosResponse<T>>;
+    patch<T = any>(path: string, data?: unknown, config?: AxiosRequestConfig): Promise<AxiosResponse<T>>;
+    delete<T = any>(path: string, config?: AxiosRequestConfig): Promise<AxiosResponse<T>>;
+
+    // Авторизация
+    refreshAccessToken(): Promise<string | null>;
+    hasRefreshToken(): boolean;
+    validateAndRefreshToken(): Promise<boolean>;
+    logout(): Promise<boolean>;
+    changePassword(oldPassword: string, newPassword: string): Promise<ApiObject | null>;
+    signIn(email?: string, password?: string, options?: SignInOptions): Promise<SignInResult | null>;
+    verifyOtp(email: string, code: string): Promise<SignInResult | null>;
+    resendOtp(email: string): Promise<boolean>;
+    forgotPassword(email: string): Promise<boolean>;
+    resetPassword(email: string, code: string, newPassword: string): Promise<boolean>;
+
+    // Посты
+    createPost(text: string, imagePath?: string | null): Promise<Entity<'post', M> | null>;
+    createWallPost(username: string, text: string, imagePath?: string | null): Promise<Entity<'post', M> | null>;
+    editPost(postId: string, newContent: string): Promise<Entity<'post', M> | null>;
+    getPosts(username?: string | null, limit?: number, sort?: PostSort, cursor?: string | null, tab?: FeedTab): Promise<PostsPage<M>>;
+    iterateUserPosts(username: string, options?: IterateOptions<Entity<'post', M>, string> & { sort?: PostSort }): Paginator<Entity<'post', M>, string>;
+    getFeedPopular(limit?: number, cursor?: string | null): Promise<PostsPage<M>>;
+    getFeedFollowing(limit?: number, cursor?: string | null): Promise<PostsPage<M>>;
+    getLikedPosts(username: string, limit?: number, cursor?: string | null): Promise<PostsPage<M>>;
+    getPostsList(username?: string | null, limit?: number): Promise<Array<Entity<'post', M>>>;
+    getPost(postId: string): Promise<Entity<'post', M> | null>;
+    isRepost(post: { originalPost?: unknown } | null | undefined): boolean;
+    getOriginalPost(post: Entity<'post', M> | null | undefined): Entity<'post', M> | null;
+    viewPost(postId: string): Promise<boolean>;
+    getWallByUser(username: string, limit?: number, cursor?: string | null): Promise<PostsPage<M>>;
+    deletePost(postId: string): Promise<boolean>;
+    restorePost(postId: string): Promise<boolean>;
+    pinPost(postId: string): Promise<boolean>;
+    unpinPost(postId: string): Promise<boolean>;
+    repost(postId: string, comment?: string | null): Promise<Entity<'post', M> | null>;
+    likePost(postId: string): Promise<LikeResult | null>;
+    unlikePost(postId: string): Promise<LikeResult | null>;
+
+    // Комментарии
+    addComment(postId: string, text: string, replyToCommentId?: string | null, attachmentIds?: string[] | null): Promise<Entity<'comment', M> | null>;
+    addVoiceComment(postId: string, audioPath: string, replyToCommentId?: string | null): Promise<Entity<'comment', M> | null>;
+    replyToComment(commentId: string, content: string, replyToUserId: string): Promise<Entity<'comment', M> | null>;
+    likeComment(commentId: string): Promise<LikeResult | null>;
+    unlikeComment(commentId: string): Promise<LikeResult | null>;
+    deleteComment(commentId: string): Promise<boolean>;
+    restoreComment(commentId: string): Promise<boolean>;
+    getComments(postId: string, limit?: number, sort?: CommentSort, cursor?: string | null): Promise<CommentsPage<M>>;
+    iterateComments(postId: string, options?: IterateOptions<Entity<'comment', M>, string> & { sort?: CommentSort }): Paginator<Entity<'comment', M>, string>;
+    getReplies(commentId: string, page?: number, limit?: number, sort?: CommentSort): Promise<RepliesPage<M>>;
+    getCommentThread(postId: string, options?: CommentThreadOptions): Promise<Array<Entity<'comment', M>> | null>;
+
+    // Профили и подписки
+    updateProfile(bio?: string | null, displayName?: string | null, username?: string | null, bannerId?: string | null): Promise<Entity<'user', M> | null>;
+    getPrivacy(): Promise<PrivacySettings | null>;
+    updatePrivacy(options?: Partial<PrivacySettings>): Promise<PrivacySettings | null>;
+    getMyProfile(): Promise<Entity<'user', M> | null>;
+    getUserProfile(username: string): Promise<Entity<'user', M> | null>;
+    followUser(username: string): Promise<FollowResult | null>;
+    unfollowUser(username: string): Promise<FollowResult | null>;
+    getFollowers(username: string, page?: number, limit?: number): Promise<UsersPage<M> | null>;
+    getFollowing(username: string, page?: number, limit?: number): Promise<UsersPage<M> | null>;
+    iterateFollowers(username: string, options?: IterateOptions<Entity<'user', M>, number>): Paginator<Entity<'user', M>, number>;
+    iterateFollowing(username: string, options?: IterateOptions<Entity<'user', M>, number>): Paginator<Entity<'user', M>, number>;
+    getUserClan(username: string): Promise<string | null>;
+
+    // Уведомления
+    getNotifications(limit?: number, offset?: number, type?: NotificationType | string | null): Promise<NotificationsPage<M> | null>;
+    iterateNotifications(options?: IterateOptions<Entity<'notification', M>, number> & { type?: NotificationType | string | null }): Paginator<Entity<'notification', M>, number>;
+    getNotificationsByType(type: NotificationType | string, limit?: number, offset?: number): Promise<NotificationsPage<M> | null>;
+    markNotificationsAsReadBatch(ids: string[]): Promise<{ success: boolean; count?: number } | null>;
+    markNotificationAsRead(notificationId: string): Promise<{ success: boolean } | null>;
+    markAllNotificationsAsRead(): Promise<boolean>;
+    getNotificationCount(): Promise<number | null>;
+    getNotificationStream(options?: NotificationStreamOptions): Promise<NotificationStream | null>;
+
+    // Хэштеги, рекомендации, файлы
+    getTrendingHashtags(limit?: number): Promise<{ hashtags: Array<Entity<'hashtag', M>> } | null>;
+    getPostsByHashtag(hashtagName: string, limit?: number, cursor?: string | null): Promise<HashtagPostsPage<M> | null>;
+    getTopClans(): Promise<ClanData[] | null>;
+    getWhoToFollow(): Promise<Array<Entity<'user', M>> | null>;
+    uploadFile(filePath: string): Promise<Entity<'file', M> | null>;
+    getFile(fileId: string): Promise<Entity<'file', M> | null>;
+    deleteFile(fileId: string): Promise<boolean>;
+
+    // Репорты, верификация, статус платформы
+    report(targetType: ReportTargetType, targetId: string, reason?: string, description?: string): Promise<ReportResult | null>;
+    reportPost(postId: string, reason?: string, description?: string): Promise<ReportResult | null>;
+    reportComment(commentId: string, reason?: string, description?: string): Promise<ReportResult | null>;
+    reportUser(userId: string, reason?: string, description?: string): Promise<ReportResult | null>;
+    getVerificationStatus(): Promise<ApiObject | null>;
+    submitVerification(videoUrl: string): Promise<ApiObject | null>;
+    getPlatformStatus(): Promise<ApiObject | null>;
+
+    // Поиск
+    search(query: string, userLimit?: number, hashtagLimit?: number): Promise<SearchResult<M> | null>;
+    searchUsers(query: string, limit?: number): Promise<Array<Entity<'user', M>> | null>;
+    searchHashtags(query: string, limit?: number): Promise<Array<Entity<'hashtag', M>> | null>;
+
+    // Удобные методы
+    getTrendingPosts(limit?: number, cursor?: string | null): Promise<PostsPage<M>>;
+    getRecentPosts(limit?: number, cursor?: string | null): Promise<PostsPage<M>>;
+    getMyPosts(limit?: number, sort?: PostSort, cursor?: string | null): Promise<PostsPage<M>>;
+    getUserLatestPost(username: string): Promise<Entity<'post', M> | null>;
+    getPostLikesCount(postId: string): Promise<number>;
+    getPostViewsCount(postId: string): Promise<number>;
+    getPostCommentsCount(postId: string): Promise<number>;
+    getPostStats(postId: string): Promise<PostStats | null>;
+    isFollowing(username: string): Promise<boolean>;
+    getMyFollowersCount(): Promise<number>;
+    getMyFollowingCount(): Promise<number>;
+    getMyClan(): Promise<string | null>;
+    getTopComment(postId: string): Promise<Entity<'comment', M> | null>;
+    hasComments(postId: string): Promise<boolean>;
+    hasUnreadNotifications(): Promise<boolean>;
+    getUnreadNotifications(limit?: number, offset?: number): Promise<NotificationsPage<M> | null>;
+}
@@ -0,0 +1,53 @@
+/**
+ * Комментарии: добавление, ответы, дерево обсуждения, лайки.
+ */
+import type { AxiosInstance } from 'axios';
+import type { ITDClient } from './client.js';
+import type { Entity } from './models.js';
+import type { Paginator, IterateOptions } from './pagination.js';
+import type { LikeResult, PagePagination } from './entities.js';
+
+/** Сортировки SDK: new, old, popular (в API уходят как newest, oldest, popular); значения API newest/oldest тоже принимаются */
+export type CommentSort = 'new' | 'old' | 'popular' | 'newest' | 'oldest';
+
+export interface CommentsPage<M extends boolean = false> {
+    comments: Array<Entity<'comment', M>>;
+    total: number;
+    hasMore: boolean;
+    nextCursor: string | null;
+}
+
+export interface RepliesPage<M extends boolean = false> {
+    replies: Array<Entity<'comment', M>>;
+    pagination: PagePagination;
+}
+
+export interface CommentThreadOptions {
+    /** Сортировка комментариев верхнего уровня (как в getComments) */
+    sort?: CommentSort;
+    /** Максимум комментариев верхнего уровня */
+    max?: number;
+    /** Глубина догрузки ответов (по умолчанию 5) */
+    maxDepth?: number;
+}
+
+export interface CommentsManager<M extends boolean = false> {
+    readonly client: ITDClient<M>;
+    readonly axios: AxiosInstance;
+    addComment(postId: string, text: string, replyToCommentId?: string | null, attachmentIds?: string[] | null): Promise<Entity<'comment', M> | null>;
+    addVoiceComment(postId: string, audioPath: string, replyToCommentId?: string | null): Promise<Entity<'comment', M> | null>;
+    replyToComment(commentId: string, content: string, replyToUserId: string): Promise<Entity<'comment', M> | null>;
+    getComments(postId: string, limit?: number, sort?: CommentSort, cursor?: string | null): Promise<CommentsPage<M>>;
+    iterate(postId: string, options?: IterateOptions<Entity<'comment', M>, string> & { sort?: CommentSort }): Paginator<Entity<'comment', M>, string>;
+    getReplies(commentId: string, page?: number, limit?: number, sort?: CommentSort): Promise<RepliesPage<M>>;
+    iterateReplies(commentId: string, options?: IterateOptions<Entity<'comment', M>, number> & { sort?: CommentSort }): Paginator<Entity<'comment', M>, number>;
+    /** Комментарии верхнего уровня с полностью загруженными replies */
+    getCommentThread(postId: string, options?: CommentThreadOptions): Promise<Array<Entity<'comment', M>> | null>;
+    likeComment(commentId: string): Promise<LikeResult | null>;
+    unlikeComment(commentId: string): Promise<LikeResult | null>;
+    deleteComment(commentId: string): Promise<boolean>;
+    restoreComment(commentId: string): Promise<boolean>;
+    getPostCommentsCount(postId: string): Promise<number>;
+    getTopComment(postId: string): Promise<Entity<'comment', M> | null>;
+    hasComments(postId: string): Promise<boolean>;
+}
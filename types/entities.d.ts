@@ -0,0 +1,176 @@
+/**
+ * Формы объектов API итд.com (см. «Структура данных» в API_REFERENCE.md).
+ * API неофициальный: поля, которые приходят не всегда, помечены как необязательные.
+ */
+
+/** Краткий автор в постах, комментариях и уведомлениях */
+export interface AuthorData {
+    id: string;
+    username: string;
+    displayName?: string;
+    avatar?: string;
+    verified?: boolean;
+}
+
+/** Вложение поста или комментария (изображение, аудио) */
+export interface AttachmentData {
+    id: string;
+    type?: 'image' | 'audio' | 'video' | string;
+    url: string;
+    thumbnailUrl?: string | null;
+    filename?: string;
+    mimeType?: string;
+    size?: number;
+    width?: number | null;
+    height?: number | null;
+    duration?: number | null;
+}
+
+/** Файл из uploadFile / getFile */
+export interface FileData {
+    id: string;
+    url: string;
+    filename?: string;
+    mimeType?: string;
+    size?: number;
+    type?: string;
+}
+
+export interface PostData {
+    id: string;
+    content: string;
+    author: AuthorData;
+    attachments?: AttachmentData[];
+    likesCount: number;
+    commentsCount: number;
+    repostsCount: number;
+    viewsCount: number;
+    isLiked: boolean;
+    isReposted?: boolean;
+    isOwner?: boolean;
+    /** Исходный пост, если это репост */
+    originalPost?: PostData | null;
+    /** Комментарии, вложенные в ответ getPost */
+    comments?: CommentData[];
+    createdAt: string;
+    updatedAt?: string;
+}
+
+export interface CommentData {
+    id: string;
+    content: string;
+    author: AuthorData;
+    attachments?: AttachmentData[];
+    likesCount: number;
+    repliesCount: number;
+    isLiked: boolean;
+    createdAt: string;
+    /** Вложенные ответы */
+    replies?: CommentData[];
+    replyTo?: Pick<AuthorData, 'id' | 'username' | 'displayName'>;
+}
+
+export interface UserData {
+    id: string;
+    username: string;
+    displayName?: string;
+    /** Эмодзи клана */
+    avatar?: string;
+    banner?: string | null;
+    bio?: string | null;
+    verified?: boolean;
+    followersCount?: number;
+    followingCount?: number;
+    postsCount?: number;
+    isFollowing?: boolean;
+    isFollowedBy?: boolean;
+    pinnedPostId?: string | null;
+    wallClosed?: boolean;
+    isPrivate?: boolean;
+    createdAt?: string;
+}
+
+export type NotificationType =
+    | 'like'
+    | 'comment'
+    | 'reply'
+    | 'follow'
+    | 'repost'
+    | 'mention'
+    | 'wall_post'
+    | 'verification_approved'
+    | 'verification_rejected';
+
+export interface NotificationData {
+    id: string;
+    type: NotificationType | string;
+    actor?: AuthorData | null;
+    targetId?: string | null;
+    targetType?: string | null;
+    /** Текст-превью (для verification_rejected — причина) */
+    preview?: string | null;
+    read?: boolean;
+    createdAt?: string;
+}
+
+export interface HashtagData {
+    id?: string;
+    name: string;
+    postsCount?: number;
+}
+
+export interface ClanData {
+    /** Эмодзи клана */
+    avatar: string;
+    memberCount: number;
+}
+
+/** Курсорная пагинация: getPosts, getComments, getPostsByHashtag, getLikedPosts */
+export interface CursorPagination {
+    limit?: number;
+    nextCursor?: string | null;
+    hasMore?: boolean;
+}
+
+/** Постраничная пагинация: getFollowers, getFollowing, getReplies */
+export interface PagePagination {
+    page?: number;
+    limit?: number;
+    total?: number;
+    hasMore?: boolean;
+}
+
+/** { liked, likesCount } — лайк поста или комментария */
+export interface LikeResult {
+    liked: boolean;
+    likesCount: number;
+}
+
+/** { following, followersCount } — подписка и отписка */
+export interface FollowResult {
+    following: boolean;
+    followersCount: number;
+}
+
+export interface PrivacySettings {
+    isPrivate: boolean;
+    wallClosed: boolean;
+}
+
+export interface ReportResult {
+    id?: string;
+    createdAt?: string;
+    success?: boolean;
+}
+
+export interface PostStats {
+    likes: number;
+    views: number;
+    comments: number;
+    reposts: number;
+}
+
+/** Ответ API без описанной формы (статусы, ответы auth-эндпоинтов) */
+export interface ApiObject {
+    [key: string]: unknown;
+}
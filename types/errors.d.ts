@@ -0,0 +1,55 @@
+/**
+ * Иерархия ошибок SDK (режим клиента errors: 'throw').
+ */
+
+export interface ITDErrorDetails {
+    /** HTTP-статус ответа (null, если ответа не было) */
+    status?: number | null;
+    /** Код ошибки API (error.code из тела ответа) */
+    code?: string | null;
+    /** { method, url } исходного запроса */
+    request?: { method: string; url: string } | null;
+    /** Тело ответа API */
+    data?: unknown;
+    /** Исходная ошибка (axios и т.п.) */
+    cause?: unknown;
+}
+
+export class ITDError extends Error {
+    constructor(message: string, details?: ITDErrorDetails);
+    status: number | null;
+    code: string | null;
+    request: { method: string; url: string } | null;
+    data: unknown;
+    cause?: unknown;
+}
+
+/** 401/403, нет accessToken или не удалось обновить токен */
+export class ITDAuthError extends ITDError {}
+
+/** 429 Too Many Requests */
+export class ITDRateLimitError extends ITDError {
+    constructor(message: string, details?: ITDErrorDetails & { retryAfter?: number | null });
+    /** Мс до повтора из заголовка Retry-After */
+    retryAfter: number | null;
+}
+
+/** Опция rateLimit: очередь группы заполнена (maxQueue); code — 'RATE_LIMIT_QUEUE_FULL', status — null */
+export class ITDQueueFullError extends ITDRateLimitError {
+    code: 'RATE_LIMIT_QUEUE_FULL';
+}
+
+/** 404 Not Found */
+export class ITDNotFoundError extends ITDError {}
+
+/** 400/409/422 и ошибки аргументов SDK */
+export class ITDValidationError extends ITDError {}
+
+/** 5xx */
+export class ITDServerError extends ITDError {}
+
+/** Сеть: таймаут, обрыв соединения, DNS */
+export class ITDNetworkError extends ITDError {}
+
+/** Опция cassette: для запроса нет записи (бросается и при errors: 'null') */
+export class ITDCassetteError extends ITDError {}
@@ -0,0 +1,97 @@
+/**
+ * Клиент-подделка без HTTP: import { FakeITDClient } from 'itd-sdk-js/testing'.
+ */
+import { ITDClient, type ITDClientOptions } from './client.js';
+import type { MockITDServer, MockUserInput, MockPostInput, MockCommentInput, MockNotificationInput } from './mock-server.js';
+import type { CommentData, NotificationData, PostData, UserData } from './entities.js';
+
+export type FakeActionName =
+    | 'signIn'
+    | 'verifyOtp'
+    | 'resendOtp'
+    | 'forgotPassword'
+    | 'resetPassword'
+    | 'changePassword'
+    | 'logout'
+    | 'updateProfile'
+    | 'updatePrivacy'
+    | 'followUser'
+    | 'unfollowUser'
+    | 'createPost'
+    | 'createWallPost'
+    | 'editPost'
+    | 'deletePost'
+    | 'restorePost'
+    | 'likePost'
+    | 'unlikePost'
+    | 'pinPost'
+    | 'unpinPost'
+    | 'viewPost'
+    | 'repost'
+    | 'addComment'
+    | 'replyToComment'
+    | 'likeComment'
+    | 'unlikeComment'
+    | 'deleteComment'
+    | 'restoreComment'
+    | 'markNotificationsAsReadBatch'
+    | 'markAllNotificationsAsRead'
+    | 'markNotificationAsRead'
+    | 'uploadFile'
+    | 'deleteFile'
+    | 'report'
+    | 'submitVerification';
+
+/** Выполненное изменяющее действие */
+export interface FakeAction {
+    name: FakeActionName;
+    method: string;
+    path: string;
+    /** Параметры пути: id, username */
+    params: Record<string, string>;
+    /** JSON-тело запроса (null — без тела или multipart) */
+    body: Record<string, unknown> | null;
+    /** Ответ backend */
+    result: unknown;
+}
+
+/** Поля params и body, которые должны совпасть, или предикат */
+export type FakeActionMatch = Record<string, unknown> | ((action: FakeAction) => boolean);
+
+export type FakeITDClientOptions<M extends boolean = false> = Omit<ITDClientOptions<M>, 'baseUrl'> & {
+    /** Общие данные с другим клиентом (по умолчанию — новые) */
+    backend?: MockITDServer;
+    /** От чьего имени (по умолчанию backend.me) */
+    username?: string;
+    /** Аккаунт по умолчанию для нового backend */
+    user?: Partial<MockUserInput>;
+};
+
+type UserRef = string | Pick<UserData, 'username'>;
+
+export interface FakeFactory {
+    user(overrides?: Partial<MockUserInput>): UserData;
+    post(overrides?: MockPostInput & { author?: UserRef }): PostData;
+    comment(overrides?: Omit<MockCommentInput, 'replyTo'> & { post?: string | Pick<PostData, 'id'>; author?: UserRef; replyTo?: string | Pick<CommentData, 'id'> }): CommentData;
+    notification(overrides?: Partial<MockNotificationInput> & { to?: UserRef; actor?: UserRef }): NotificationData;
+}
+
+export class FakeITDClient<M extends boolean = false> extends ITDClient<M> {
+    constructor(options?: FakeITDClientOptions<M>);
+    /** Данные в памяти: db, requests, inject(), expireAccessTokens() */
+    backend: MockITDServer;
+    /** Пользователь, от имени которого работает клиент */
+    me: UserData;
+    actions: FakeAction[];
+    factory: FakeFactory;
+    /** Клиент другого пользователя на тех же данных */
+    as<N extends boolean = M>(user: UserRef, options?: FakeITDClientOptions<N>): FakeITDClient<N>;
+    findActions(name: FakeActionName, match?: FakeActionMatch | null): FakeAction[];
+    /** AssertionError, если действия не было; иначе — последнее подходящее */
+    assertAction(name: FakeActionName, match?: FakeActionMatch | null): FakeAction;
+    assertActionCount(name: FakeActionName, count: number, match?: FakeActionMatch | null): void;
+    assertNoAction(name: FakeActionName, match?: FakeActionMatch | null): void;
+    clearActions(): void;
+}
+
+export function createFakeClient<M extends boolean = false>(options?: FakeITDClientOptions<M>): FakeITDClient<M>;
@@ -0,0 +1,14 @@
+/**
+ * Файлы: загрузка, получение, удаление.
+ */
+import type { AxiosInstance } from 'axios';
+import type { ITDClient } from './client.js';
+import type { Entity } from './models.js';
+
+export interface FilesManager<M extends boolean = false> {
+    readonly client: ITDClient<M>;
+    readonly axios: AxiosInstance;
+    uploadFile(filePath: string): Promise<Entity<'file', M> | null>;
+    getFile(fileId: string): Promise<Entity<'file', M> | null>;
+    deleteFile(fileId: string): Promise<boolean>;
+}
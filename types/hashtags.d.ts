@@ -0,0 +1,24 @@
+/**
+ * Хэштеги: тренды, поиск, посты по хэштегу.
+ */
+import type { AxiosInstance } from 'axios';
+import type { ITDClient } from './client.js';
+import type { Entity } from './models.js';
+import type { Paginator, IterateOptions } from './pagination.js';
+import type { CursorPagination } from './entities.js';
+
+export interface HashtagPostsPage<M extends boolean = false> {
+    hashtag: Entity<'hashtag', M> | null;
+    posts: Array<Entity<'post', M>>;
+    pagination: CursorPagination;
+}
+
+export interface HashtagsManager<M extends boolean = false> {
+    readonly client: ITDClient<M>;
+    readonly axios: AxiosInstance;
+    getTrending(limit?: number): Promise<{ hashtags: Array<Entity<'hashtag', M>> } | null>;
+    search(query: string, limit?: number): Promise<{ hashtags: Array<Entity<'hashtag', M>> } | null>;
+    /** hashtagName — без # */
+    getPostsByHashtag(hashtagName: string, limit?: number, cursor?: string | null): Promise<HashtagPostsPage<M> | null>;
+    iteratePosts(hashtagName: string, options?: IterateOptions<Entity<'post', M>, string>): Paginator<Entity<'post', M>, string>;
+}
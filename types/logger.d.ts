@@ -0,0 +1,54 @@
+/**
+ * Логгер SDK: уровни, JSON-вывод, коды событий, скрытие токенов и cookies.
+ */
+
+export type LogLevel = 'debug' | 'info' | 'warn' | 'error' | 'silent';
+
+export const LOG_LEVELS: Readonly<Record<LogLevel, number>>;
+
+/** Событие лога: { level, event, message, time, ...meta } */
+export interface LogEntry {
+    level: Exclude<LogLevel, 'silent'>;
+    /** Стабильный код события, например 'auth.refresh.failed' */
+    event: string;
+    message: string;
+    time: string;
+    [key: string]: unknown;
+}
+
+export interface LoggerOptions {
+    /** Минимальный уровень (по умолчанию 'info') */
+    level?: LogLevel;
+    /** 'pretty' — текст в консоль, 'json' — одна JSON-строка на событие */
+    format?: 'pretty' | 'json';
+    /** Куда отдавать события вместо консоли */
+    sink?: ((entry: LogEntry) => void) | null;
+}
+
+/** Внешний логгер (pino, winston, console): методы уровней или log(entry) */
+export interface ExternalLogger {
+    debug?(message: string, meta?: object): unknown;
+    info?(message: string, meta?: object): unknown;
+    warn?(message: string, meta?: object): unknown;
+    error?(message: string, meta?: object): unknown;
+    log?(entry: LogEntry): unknown;
+    level?: string;
+}
+
+/** Опция клиента logger */
+export type LoggerOption = undefined | false | LogLevel | 'json' | LoggerOptions | ExternalLogger | Logger;
+
+export class Logger {
+    constructor(options?: LoggerOptions);
+    level: LogLevel;
+    format: 'pretty' | 'json';
+    sink: ((entry: LogEntry) => void) | null;
+    isLevelEnabled(level: LogLevel): boolean;
+    log(level: Exclude<LogLevel, 'silent'>, event: string, message: string, meta?: object): void;
+    debug(event: string, message: string, meta?: object): void;
+    info(event: string, message: string, meta?: object): void;
+    warn(event: string, message: string, meta?: object): void;
+    error(event: string, message: string, meta?: object): void;
+}
+
+export function createLogger(option?: LoggerOption): Logger;
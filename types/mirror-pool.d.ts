@@ -0,0 +1,189 @@
+/**
+ * Пул зеркал: import { createMirrorPool } from 'itd-sdk-js/mirrors'.
+ */
+import type { ITDClient, ITDClientOptions } from './client.js';
+import type { ITDError } from './errors.js';
+import type { Plugin } from './plugins.js';
+
+/**
+ * Состояние аккаунта: healthy — в ротации; rate_limited — пауза после 429; failing — пауза после серии
+ * сетевых/5xx ошибок; auth_lost — не удалось обновить токен, аккаунт исключён до успешного запроса с токеном.
+ */
+export type MirrorAccountState = 'healthy' | 'rate_limited' | 'failing' | 'auth_lost';
+
+/** Элемент pool.status() */
+export interface MirrorAccountStatus {
+    /** Имя аккаунта: ключ в файле зеркал, name конфига или номер в массиве */
+    key: string;
+    state: MirrorAccountState;
+    /** Получает ли аккаунт вызовы прямо сейчас */
+    available: boolean;
+    /** Конец паузы (rate_limited, failing) */
+    cooldownUntil: Date | null;
+    /** Сетевые/5xx ошибки подряд */
+    consecutiveErrors: number;
+    /** HTTP-запросов через аккаунт */
+    requests: number;
+    /** Из них с ошибкой (после всех повторов клиента) */
+    failures: number;
+    lastError: ITDError | null;
+    /** Вызовы через пул, которые ещё выполняются */
+    inFlight: number;
+    /** Когда пул последний раз выбрал аккаунт */
+    lastUsedAt: Date | null;
+    /** Вес для стратегии 'weighted' */
+    weight: number;
+}
+
+/** Вызов пула, для которого выбирается аккаунт */
+export interface MirrorCall {
+    /** 'getPost', 'posts.getPost'; null — pool.getClient() */
+    method: string | null;
+    args: unknown[];
+}
+
+/**
+ * Своя стратегия: имя аккаунта из accounts (доступные сейчас) или null — по кругу.
+ * Имя аккаунта, который сейчас недоступен, тоже означает «по кругу».
+ */
+export type MirrorStrategyFunction = (call: MirrorCall, accounts: MirrorAccountStatus[]) => string | MirrorAccountStatus | null | undefined;
+
+/**
+ * round-robin — по кругу; least-recently-used — дольше всех не выбирался; least-in-flight — меньше всего
+ * незавершённых вызовов; weighted — по весам weights; random — случайно.
+ */
+export type MirrorStrategy = 'round-robin' | 'least-recently-used' | 'least-in-flight' | 'weighted' | 'random' | MirrorStrategyFunction;
+
+/** Конфиг аккаунта в массиве: опции ITDClient и имя для pool.status() */
+export type MirrorConfig<M extends boolean = false> = ITDClientOptions<M> & { name?: string };
+
+/**
+ * Вызовы через один аккаунт пула (pool.as, pool.session): API ITDClient и имя аккаунта.
+ */
+export type MirrorAccount<M extends boolean = false> = ITDClient<M> & {
+    /** Имя аккаунта */
+    readonly key: string;
+    /** Сам клиент аккаунта */
+    readonly client: ITDClient<M>;
+};
+
+/** Итог broadcast: значения и ошибки по именам аккаунтов */
+export interface BroadcastResult<T> {
+    /** Что вернул вызов (в режиме errors: 'null' — и null/пустое значение при ошибке) */
+    results: Record<string, T>;
+    /** Исключение или, если вызов не бросил (errors: 'null'), последняя ошибка запроса */
+    errors: Record<string, Error>;
+}
+
+export interface BroadcastOptions {
+    /** Сколько аккаунтов одновременно (по умолчанию опция пула concurrency) */
+    concurrency?: number;
+}
+
+/** Менеджеры клиента, доступные через pool.all.<менеджер>.<метод>() */
+type MirrorManagerKey = 'auth' | 'posts' | 'comments' | 'users' | 'notifications' | 'hashtags' | 'files' | 'reports' | 'searchManager' | 'verification';
+
+type FunctionKeys<T> = { [K in keyof T]: T[K] extends (...args: any[]) => any ? K : never }[keyof T];
+
+/** Методы объекта, превращённые в broadcast одного вызова */
+export type BroadcastMethods<T> = {
+    [K in FunctionKeys<T>]: T[K] extends (...args: infer A) => infer R ? (...args: A) => Promise<BroadcastResult<Awaited<R>>> : never;
+};
+
+/**
+ * pool.all: методы и методы менеджеров — вызов на каждом аккаунте; свойства — { имя аккаунта: значение }.
+ */
+export type MirrorBroadcast<M extends boolean = false> = BroadcastMethods<ITDClient<M>> & {
+    readonly [K in MirrorManagerKey]: BroadcastMethods<ITDClient<M>[K]>;
+} & {
+    readonly [K in Exclude<keyof ITDClient<M>, FunctionKeys<ITDClient<M>> | MirrorManagerKey>]: Record<string, ITDClient<M>[K]>;
+};
+
+/**
+ * Пул с тем же API, что и ITDClient: каждый вызов метода идёт с аккаунта, выбранного стратегией (по умолчанию по кругу).
+ * Свойства (accessToken, baseUrl, ...) читаются у первого аккаунта и очередь не сдвигают.
+ */
+/** Итог pool.reload(): имена аккаунтов */
+export interface MirrorReloadResult {
+    /** Новые ключи файла */
+    added: string[];
+    /** Ключи, пропавшие из файла */
+    removed: string[];
+    /** Ключи с изменёнными cookies — клиент создан заново */
+    updated: string[];
+}
+
+export type MirrorPool<M extends boolean = false> = Omit<ITDClient<M>, 'use' | 'session' | 'destroy'> & {
+    /** Вызовы через аккаунт key — без выбора стратегией и без повтора с другого аккаунта */
+    as(key: string | number): MirrorAccount<M>;
+    /** Аккаунт, выбранный стратегией, на несколько операций подряд */
+    session(): MirrorAccount<M>;
+    /** fn для каждого аккаунта (не больше concurrency одновременно); аккаунты на паузе тоже получают вызов */
+    broadcast<T>(fn: (account: MirrorAccount<M>, key: string) => T | Promise<T>, options?: BroadcastOptions): Promise<BroadcastResult<Awaited<T>>>;
+    /** Один вызов на каждом аккаунте: pool.all.getMyProfile(), pool.all.notifications.markAllAsRead() */
+    readonly all: MirrorBroadcast<M>;
+    /** Следующий клиент пула — для нескольких операций подряд с одного аккаунта */
+    getClient(): ITDClient<M>;
+    nextClient(): ITDClient<M>;
+    readonly clients: Array<ITDClient<M>>;
+    readonly size: number;
+    /** Подключает плагин ко всем клиентам пула */
+    use(plugin: Plugin): MirrorPool<M>;
+    /** Здоровье аккаунтов в порядке пула */
+    status(): MirrorAccountStatus[];
+    /** Добавляет аккаунт: ITDClient или опции для него; сразу участвует в выборе и получает плагины pool.use */
+    add(key: string | number, config: ITDClient<M> | Omit<MirrorConfig<M>, 'name'>): MirrorPool<M>;
+    /**
+     * Убирает аккаунт: новые вызовы через него сразу перестают идти. Промис — когда начатые вызовы завершились;
+     * плагины и обработчики пула к этому моменту с клиента сняты, клиент, созданный пулом из конфига, остановлен (destroy)
+     */
+    remove(key: string | number): Promise<ITDClient<M>>;
+    /** Перечитывает файл зеркал (только пул из mirrorsCookiesPath); аккаунты из pool.add не трогает */
+    reload(): Promise<MirrorReloadResult>;
+    /** Останавливает наблюдение за файлом (watch) и таймеры refresh клиентов, созданных пулом из конфигов; с переданных ITDClient только снимает плагины и обработчики пула */
+    destroy(): void;
+};
+
+export interface MirrorPoolOptions {
+    /** Плагины, подключаемые к каждому клиенту пула */
+    plugins?: Plugin[];
+    /** Выбор аккаунта для вызова (по умолчанию 'round-robin') */
+    strategy?: MirrorStrategy;
+    /** Веса аккаунтов для 'weighted': { имя: вес }, по умолчанию 1 */
+    weights?: Record<string, number>;
+    /**
+     * Ключ привязки вызова: вызовы с одним ключом идут через один аккаунт (например, ответы в одном треде);
+     * null — без привязки. Привязка держится и во время паузы аккаунта, меняется только при потере авторизации
+     */
+    sticky?: (call: MirrorCall) => string | number | null | undefined;
+    /** Сколько аккаунтов pool.broadcast и pool.all обрабатывают одновременно (по умолчанию 5; Infinity — все сразу) */
+    concurrency?: number;
+    /** Пауза после 429 без Retry-After, мс (по умолчанию 60000) */
+    cooldown?: number;
+    /** Сколько сетевых/5xx ошибок подряд выводят аккаунт на паузу (по умолчанию 5) */
+    maxConsecutiveErrors?: number;
+    /** Пауза после серии ошибок, мс (по умолчанию 30000) */
+    errorCooldown?: number;
+    /**
+     * Повтор вызова, отклонённого по 429 или из-за потерянной авторизации, с другого аккаунта:
+     * true — пока есть доступные (по умолчанию), false — без повторов, число — не больше стольких повторов
+     */
+    failover?: boolean | number;
+}
+
+export interface MirrorsFileOptions<M extends boolean = false> extends MirrorPoolOptions {
+    /** JSON-файл с cookies всех аккаунтов (например .cookies.mirrors) */
+    mirrorsCookiesPath: string;
+    /** По умолчанию process.cwd() */
+    projectRoot?: string;
+    /** Общие опции ITDClient для всех зеркал */
+    baseOptions?: ITDClientOptions<M>;
+    /** Перечитывать файл при изменении (как pool.reload()); interval — период проверки, мс (по умолчанию 2000) */
+    watch?: boolean | { interval?: number };
+}
+
+export function createMirrorPool<M extends boolean = false>(
+    configs: Array<ITDClient<M> | MirrorConfig<M>>,
+    poolOptions?: MirrorPoolOptions
+): MirrorPool<M>;
+export function createMirrorPool<M extends boolean = false>(options: MirrorsFileOptions<M>): MirrorPool<M>;
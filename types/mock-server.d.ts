@@ -0,0 +1,154 @@
+/**
+ * Сервер-заглушка итд.com для тестов: import { createMockServer } from 'itd-sdk-js/testing'.
+ */
+import type { IncomingHttpHeaders } from 'http';
+import type { PassThrough } from 'stream';
+import type { ITDClient, ITDClientOptions } from './client.js';
+import type { CommentData, NotificationData, NotificationType, PostData, UserData } from './entities.js';
+
+export interface MockServerOptions {
+    /** Задержка каждого ответа, мс */
+    latency?: number | { min: number; max: number };
+    /** Серверный лимит: больше limit запросов за interval мс → 429 с Retry-After */
+    rateLimit?: { limit: number; interval: number; retryAfter?: number } | null;
+    /** Время жизни accessToken, мс (по умолчанию 15 минут) */
+    accessTokenTtl?: number;
+    /** Новый refresh_token при каждом refresh (по умолчанию true) */
+    rotateRefreshToken?: boolean;
+    /** Код для verify-otp и reset-password (по умолчанию '123456') */
+    otpCode?: string;
+    /** Аккаунт по умолчанию (server.me) */
+    user?: Partial<MockUserInput>;
+}
+
+export interface MockUserInput {
+    username: string;
+    id?: string;
+    displayName?: string;
+    email?: string;
+    password?: string;
+    avatar?: string;
+    banner?: string | null;
+    bio?: string | null;
+    verified?: boolean;
+    isPrivate?: boolean;
+    wallClosed?: boolean;
+    /** Вход требует кода из письма */
+    otp?: boolean;
+    createdAt?: string;
+}
+
+export interface MockPostInput {
+    content?: string;
+    attachmentIds?: string[];
+    /** username владельца стены */
+    wallRecipient?: string;
+    /** username тех, кто лайкнул */
+    likes?: string[];
+    views?: number;
+    createdAt?: string;
+}
+
+export interface MockCommentInput {
+    content?: string;
+    /** id комментария, на который это ответ */
+    replyTo?: string;
+    likes?: string[];
+    createdAt?: string;
+}
+
+export interface MockNotificationInput {
+    type: NotificationType | string;
+    /** username автора действия */
+    actor?: string;
+    targetId?: string | null;
+    targetType?: string | null;
+    preview?: string | null;
+    read?: boolean;
+}
+
+export interface MockFault {
+    method?: string;
+    path?: string | RegExp;
+    status?: number;
+    body?: unknown;
+    headers?: Record<string, string>;
+    /** Retry-After, секунды */
+    retryAfter?: number;
+    /** Задержка перед ответом, мс */
+    delay?: number;
+    /** Оборвать соединение без ответа */
+    network?: boolean;
+    /** Сколько раз сработать (по умолчанию 1) */
+    times?: number;
+}
+
+export interface MockFaultHandle extends MockFault {
+    hits: number;
+    remove(): void;
+}
+
+export interface MockRequest {
+    method: string;
+    path: string;
+    query: Record<string, string>;
+    headers: IncomingHttpHeaders;
+    body: unknown;
+}
+
+/** Запрос для handle(): транспорт — HTTP-сервер или FakeITDClient */
+export interface MockHandleRequest {
+    method: string;
+    /** Путь с query */
+    url: string;
+    /** Имена в нижнем регистре */
+    headers?: Record<string, string | string[] | undefined>;
+    body?: Buffer;
+}
+
+export type MockHandleResult =
+    | { status?: number; headers?: Record<string, string>; body?: unknown; network?: undefined; stream?: undefined }
+    | { network: true }
+    | { status: number; headers: Record<string, string>; stream: PassThrough & { userId: string } };
+
+export interface MockDatabase {
+    users: Map<string, Record<string, any>>;
+    posts: Map<string, Record<string, any>>;
+    comments: Map<string, Record<string, any>>;
+    notifications: Array<Record<string, any>>;
+    files: Map<string, Record<string, any>>;
+    reports: Array<Record<string, any>>;
+    verifications: Map<string, Record<string, any>>;
+}
+
+export class MockITDServer {
+    constructor(options?: MockServerOptions);
+    latency: number | { min: number; max: number };
+    rateLimit: { limit: number; interval: number; retryAfter?: number } | null;
+    accessTokenTtl: number;
+    rotateRefreshToken: boolean;
+    otpCode: string;
+    /** http://127.0.0.1:<port> после listen() */
+    url: string | null;
+    db: MockDatabase;
+    requests: MockRequest[];
+    /** Аккаунт по умолчанию */
+    me: UserData;
+    listen(port?: number): Promise<this>;
+    close(): Promise<void>;
+    createClient<M extends boolean = false>(options?: ITDClientOptions<M>, username?: string | null): ITDClient<M>;
+    createSession(username?: string): { accessToken: string; cookies: string };
+    expireAccessTokens(): void;
+    revokeRefreshTokens(): void;
+    inject(rule?: MockFault): MockFaultHandle;
+    clearFaults(): void;
+    handle(request: MockHandleRequest): Promise<MockHandleResult>;
+    getUser(username: string): UserData | null;
+    addUser(data: MockUserInput): UserData;
+    addPost(username: string, data?: MockPostInput | string): PostData;
+    addComment(postId: string, username: string, data?: MockCommentInput | string): CommentData;
+    follow(follower: string, target: string): void;
+    notify(username: string, data: MockNotificationInput): NotificationData;
+}
+
+export function createMockServer(options?: MockServerOptions & { port?: number }): Promise<MockITDServer>;
@@ -0,0 +1,166 @@
+/**
+ * Модели сущностей (опция клиента models: true): нормализованные поля, действия, .raw.
+ */
+import type { ITDClient } from './client.js';
+import type { Paginator, IterateOptions } from './pagination.js';
+import type {
+    AttachmentData,
+    CommentData,
+    FileData,
+    FollowResult,
+    HashtagData,
+    LikeResult,
+    NotificationData,
+    PostData,
+    UserData,
+    ApiObject,
+} from './entities.js';
+import type { CommentSort, CommentThreadOptions } from './comments.js';
+import type { PostSort } from './posts.js';
+
+/** Поля ответа, которых модель не знает, тоже копируются в экземпляр; типизированно они доступны через .raw. */
+export class Model<R extends object = Record<string, unknown>> {
+    constructor(raw: R, client: ITDClient<boolean>);
+    /** Исходный объект из ответа API */
+    readonly raw: R;
+    readonly client: ITDClient<boolean>;
+    id: string | null;
+}
+
+export class User extends Model<UserData> {
+    username: string | null;
+    displayName: string | null;
+    avatar: string | null;
+    banner: string | null;
+    bio: string | null;
+    verified: boolean;
+    followersCount: number;
+    followingCount: number;
+    postsCount: number;
+    isFollowing: boolean;
+    isFollowedBy: boolean;
+    pinnedPostId: string | null;
+    wallClosed: boolean;
+    createdAt: Date | null;
+    follow(): Promise<FollowResult | null>;
+    unfollow(): Promise<FollowResult | null>;
+    posts(options?: IterateOptions<Post, string> & { sort?: PostSort }): Paginator<Post, string>;
+    wall(options?: IterateOptions<Post, string>): Paginator<Post, string>;
+    likedPosts(options?: IterateOptions<Post, string>): Paginator<Post, string>;
+    followers(options?: IterateOptions<User, number>): Paginator<User, number>;
+    following(options?: IterateOptions<User, number>): Paginator<User, number>;
+    /** Свежий профиль (краткие объекты автора не содержат счётчиков) */
+    fetch(): Promise<User | null>;
+}
+
+export class FileAttachment extends Model<AttachmentData | FileData> {
+    type: string | null;
+    url: string | null;
+    thumbnailUrl: string | null;
+    filename: string | null;
+    mimeType: string | null;
+    size: number | null;
+    width: number | null;
+    height: number | null;
+    duration: number | null;
+    readonly isAudio: boolean;
+    readonly isImage: boolean;
+    delete(): Promise<boolean>;
+}
+
+export class Post extends Model<PostData> {
+    content: string;
+    author: User | null;
+    attachments: FileAttachment[];
+    likesCount: number;
+    commentsCount: number;
+    repostsCount: number;
+    viewsCount: number;
+    isLiked: boolean;
+    isReposted: boolean;
+    isOwner: boolean;
+    originalPost: Post | null;
+    createdAt: Date | null;
+    updatedAt: Date | null;
+    readonly isRepost: boolean;
+    like(): Promise<LikeResult | null>;
+    unlike(): Promise<LikeResult | null>;
+    comments(options?: IterateOptions<Comment, string> & { sort?: CommentSort }): Paginator<Comment, string>;
+    thread(options?: CommentThreadOptions): Promise<Comment[]>;
+    comment(text: string): Promise<Comment | null>;
+    repost(comment?: string | null): Promise<Post | null>;
+    edit(content: string): Promise<Post | null>;
+    delete(): Promise<boolean>;
+    pin(): Promise<boolean>;
+    unpin(): Promise<boolean>;
+    view(): Promise<boolean>;
+    fetch(): Promise<Post | null>;
+}
+
+export class Comment extends Model<CommentData> {
+    content: string;
+    author: User | null;
+    attachments: FileAttachment[];
+    likesCount: number;
+    repliesCount: number;
+    isLiked: boolean;
+    replyTo: User | null;
+    replies: Comment[];
+    createdAt: Date | null;
+    like(): Promise<LikeResult | null>;
+    unlike(): Promise<LikeResult | null>;
+    reply(text: string): Promise<Comment | null>;
+    iterateReplies(options?: IterateOptions<Comment, number> & { sort?: CommentSort }): Paginator<Comment, number>;
+    delete(): Promise<boolean>;
+    restore(): Promise<boolean>;
+}
+
+export class Notification extends Model<NotificationData> {
+    type: string | null;
+    actor: User | null;
+    targetId: string | null;
+    targetType: string | null;
+    preview: string | null;
+    read: boolean;
+    createdAt: Date | null;
+    markAsRead(): Promise<ApiObject | null>;
+    /** Пост, к которому относится уведомление; null — уведомление не о посте */
+    post(): Promise<Post | null>;
+}
+
+export class Hashtag extends Model<HashtagData> {
+    name: string | null;
+    postsCount: number;
+    posts(options?: IterateOptions<Post, string>): Paginator<Post, string>;
+}
+
+/** Сырые объекты API по виду сущности */
+export interface RawEntities {
+    post: PostData;
+    comment: CommentData;
+    user: UserData;
+    notification: NotificationData;
+    hashtag: HashtagData;
+    file: FileData;
+}
+
+/** Модели по виду сущности */
+export interface ModelEntities {
+    post: Post;
+    comment: Comment;
+    user: User;
+    notification: Notification;
+    hashtag: Hashtag;
+    file: FileAttachment;
+}
+
+export type EntityKind = keyof RawEntities;
+
+/**
+ * То, что возвращают методы SDK: модель при models: true, иначе сырой объект.
+ * @typeParam M - Значение опции клиента models
+ */
+export type Entity<K extends EntityKind, M extends boolean = false> = M extends true ? ModelEntities[K] : RawEntities[K];
+
+export function createModel<K extends EntityKind>(kind: K, raw: RawEntities[K] | ModelEntities[K], client: ITDClient<boolean>): ModelEntities[K];
+export function createModel(kind: EntityKind, raw: null | undefined, client: ITDClient<boolean>): null;
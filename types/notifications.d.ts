@@ -0,0 +1,38 @@
+/**
+ * Уведомления: список, счётчик, отметки о прочтении, SSE-стрим.
+ */
+import type { AxiosInstance } from 'axios';
+import type { ITDClient } from './client.js';
+import type { Entity } from './models.js';
+import type { Paginator, IterateOptions } from './pagination.js';
+import type { NotificationType } from './entities.js';
+
+export interface NotificationsPage<M extends boolean = false> {
+    notifications: Array<Entity<'notification', M>>;
+    hasMore: boolean;
+}
+
+export interface NotificationStreamOptions {
+    /** Каждое событие: распарсенный JSON или строка */
+    onEvent?: (data: unknown) => void;
+    onError?: (error: Error) => void;
+}
+
+export interface NotificationStream {
+    close(): void;
+}
+
+export interface NotificationsManager<M extends boolean = false> {
+    readonly client: ITDClient<M>;
+    readonly axios: AxiosInstance;
+    getNotifications(limit?: number, offset?: number, type?: NotificationType | string | null): Promise<NotificationsPage<M> | null>;
+    /** Курсор — offset */
+    iterate(options?: IterateOptions<Entity<'notification', M>, number> & { type?: NotificationType | string | null }): Paginator<Entity<'notification', M>, number>;
+    markAsReadBatch(ids: string[]): Promise<{ success: boolean; count?: number } | null>;
+    markAsRead(notificationId: string): Promise<{ success: boolean } | null>;
+    getUnreadCount(): Promise<number | null>;
+    markAllAsRead(): Promise<boolean>;
+    hasUnreadNotifications(): Promise<boolean>;
+    getUnreadNotifications(limit?: number, offset?: number): Promise<NotificationsPage<M> | null>;
+    getNotificationStream(options?: NotificationStreamOptions): Promise<NotificationStream | null>;
+}
@@ -0,0 +1,46 @@
+/**
+ * Обход постраничных эндпоинтов через for await.
+ */
+import type { Logger } from './logger.js';
+
+/** Страница для Paginator; next — курсор следующей страницы (null — страниц больше нет) */
+export interface Page<T, C> {
+    items: T[];
+    next: C | null;
+}
+
+export interface PaginatorOptions<T, C> {
+    /** Курсор, с которого начать (сохранённый paginator.cursor) */
+    cursor?: C | null;
+    /** Максимум элементов за обход */
+    max?: number;
+    /** Остановиться на первом элементе, для которого вернёт true (сам элемент не выдаётся) */
+    until?: (item: T, index: number) => boolean;
+    /** Вызывается при ошибке загрузки страницы (в обоих режимах errors) */
+    onError?: (error: Error) => void;
+}
+
+/** Опции итераторов менеджеров: limit — размер страницы запроса */
+export interface IterateOptions<T, C> extends PaginatorOptions<T, C> {
+    limit?: number;
+}
+
+/**
+ * @typeParam T - Элемент (пост, комментарий, пользователь, ...)
+ * @typeParam C - Курсор: строка (nextCursor), номер страницы или offset
+ */
+export class Paginator<T, C = unknown> implements AsyncIterable<T> {
+    constructor(fetchPage: (cursor: C | null) => Promise<Page<T, C> | null>, options?: PaginatorOptions<T, C>, logger?: Logger);
+    /** Курсор страницы, с которой продолжится обход */
+    cursor: C | null;
+    /** Обход дошёл до последней страницы */
+    done: boolean;
+    /** Сколько элементов выдано */
+    count: number;
+    /** Ошибка, на которой обход остановился (null — ошибок не было); done при этом остаётся false */
+    lastError: Error | null;
+    /** Максимум элементов (Infinity — без ограничения) */
+    max: number;
+    [Symbol.asyncIterator](): AsyncGenerator<T, void, undefined>;
+    toArray(): Promise<T[]>;
+}
@@ -0,0 +1,27 @@
+/**
+ * Плагины ITDClient: хуки запроса/ответа/ошибки/refresh и свои менеджеры.
+ */
+import type { AxiosResponse, InternalAxiosRequestConfig } from 'axios';
+import type { ITDClient } from './client.js';
+
+type MaybePromise<T> = T | Promise<T>;
+
+export interface ITDPlugin {
+    /** Имя; повторное подключение плагина с тем же именем — ошибка */
+    name?: string;
+    /** Вызывается один раз при подключении */
+    setup?(client: ITDClient<boolean>): void;
+    /** Новые пространства вроде client.posts: { имя: (client) => менеджер } */
+    managers?: Record<string, (client: ITDClient<boolean>) => unknown>;
+    /** Перед каждой попыткой запроса; может вернуть новый config */
+    beforeRequest?(config: InternalAxiosRequestConfig, client: ITDClient<boolean>): MaybePromise<InternalAxiosRequestConfig | void>;
+    /** После успешного ответа; может вернуть новый response */
+    afterResponse?(response: AxiosResponse, client: ITDClient<boolean>): MaybePromise<AxiosResponse | void>;
+    /** Ошибка после всех повторов и refresh; возвращённое значение станет ответом вместо ошибки */
+    onError?(error: unknown, client: ITDClient<boolean>): unknown;
+    /** После успешного обновления токена */
+    onTokenRefresh?(accessToken: string, client: ITDClient<boolean>): MaybePromise<void>;
+}
+
+/** Плагин-объект или функция setup(client) */
+export type Plugin = ITDPlugin | ((client: ITDClient<boolean>) => void);
@@ -0,0 +1,58 @@
+/**
+ * Посты: создание, лента, редактирование, закрепление, репосты.
+ */
+import type { AxiosInstance } from 'axios';
+import type { ITDClient } from './client.js';
+import type { Entity } from './models.js';
+import type { Paginator, IterateOptions } from './pagination.js';
+import type { CursorPagination, PostStats } from './entities.js';
+
+export type PostSort = 'new' | 'old' | 'popular' | 'trending' | 'recent';
+
+/** Лента: 'popular' — популярное, 'following' — подписки, null — обычная */
+export type FeedTab = 'popular' | 'following' | null;
+
+export interface PostsPage<M extends boolean = false> {
+    posts: Array<Entity<'post', M>>;
+    pagination: CursorPagination;
+}
+
+export interface PostsManager<M extends boolean = false> {
+    readonly client: ITDClient<M>;
+    readonly axios: AxiosInstance;
+    createPost(text: string, imagePath?: string | null): Promise<Entity<'post', M> | null>;
+    createWallPost(username: string, text: string, imagePath?: string | null): Promise<Entity<'post', M> | null>;
+    getPosts(
+        username?: string | null,
+        limit?: number,
+        sort?: PostSort,
+        cursor?: string | null,
+        tab?: FeedTab,
+        type?: string | null,
+        filter?: string | null
+    ): Promise<PostsPage<M>>;
+    getLikedPosts(username: string, limit?: number, cursor?: string | null): Promise<PostsPage<M>>;
+    getFeedPopular(limit?: number, cursor?: string | null): Promise<PostsPage<M>>;
+    getFeedFollowing(limit?: number, cursor?: string | null): Promise<PostsPage<M>>;
+    viewPost(postId: string): Promise<boolean>;
+    getWallByUser(username: string, limit?: number, cursor?: string | null): Promise<PostsPage<M>>;
+    iterateUserPosts(username: string, options?: IterateOptions<Entity<'post', M>, string> & { sort?: PostSort }): Paginator<Entity<'post', M>, string>;
+    iterateFeed(options?: IterateOptions<Entity<'post', M>, string> & { sort?: PostSort; tab?: FeedTab }): Paginator<Entity<'post', M>, string>;
+    iterateLikedPosts(username: string, options?: IterateOptions<Entity<'post', M>, string>): Paginator<Entity<'post', M>, string>;
+    iterateWall(username: string, options?: IterateOptions<Entity<'post', M>, string>): Paginator<Entity<'post', M>, string>;
+    getPost(postId: string): Promise<Entity<'post', M> | null>;
+    editPost(postId: string, newContent: string): Promise<Entity<'post', M> | null>;
+    deletePost(postId: string): Promise<boolean>;
+    restorePost(postId: string): Promise<boolean>;
+    pinPost(postId: string): Promise<boolean>;
+    unpinPost(postId: string): Promise<boolean>;
+    repost(postId: string, comment?: string | null): Promise<Entity<'post', M> | null>;
+    getTrendingPosts(limit?: number, cursor?: string | null): Promise<PostsPage<M>>;
+    getRecentPosts(limit?: number, cursor?: string | null): Promise<PostsPage<M>>;
+    getMyPosts(limit?: number, sort?: PostSort, cursor?: string | null): Promise<PostsPage<M>>;
+    getUserLatestPost(username: string): Promise<Entity<'post', M> | null>;
+    getPostLikesCount(postId: string): Promise<number>;
+    getPostViewsCount(postId: string): Promise<number>;
+    getPostCommentsCount(postId: string): Promise<number>;
+    getPostStats(postId: string): Promise<PostStats | null>;
+}
@@ -0,0 +1,47 @@
+/**
+ * Клиентский лимитер: token bucket на группы reads/writes/uploads/auth.
+ */
+
+export type RateLimitGroup = 'reads' | 'writes' | 'uploads' | 'auth';
+
+export interface RateLimitBudget {
+    /** Запросов за interval */
+    limit: number;
+    /** Интервал пополнения, мс */
+    interval: number;
+    /** Ёмкость ведра (по умолчанию limit) */
+    burst?: number;
+}
+
+export interface RateLimitOptions {
+    reads?: Partial<RateLimitBudget> | false;
+    writes?: Partial<RateLimitBudget> | false;
+    uploads?: Partial<RateLimitBudget> | false;
+    auth?: Partial<RateLimitBudget> | false;
+    /** Максимум ожидающих запросов в группе; сверх — ошибка */
+    maxQueue?: number;
+}
+
+export interface RateLimitGroupState {
+    limit: number;
+    interval: number;
+    capacity: number;
+    available: number;
+    queued: number;
+    pausedUntil: Date | null;
+}
+
+/** Состояние групп; null — группа без ограничения */
+export type RateLimitState = Record<RateLimitGroup, RateLimitGroupState | null>;
+
+export const DEFAULT_RATE_LIMITS: Readonly<Record<RateLimitGroup, Readonly<RateLimitBudget>>>;
+
+export class RateLimiter {
+    constructor(options?: RateLimitOptions);
+    maxQueue: number;
+    groups: Record<RateLimitGroup, { queue: Array<() => void>; pausedUntil: number; [key: string]: unknown }>;
+    classify(config: { method?: string; url?: string }): RateLimitGroup;
+    acquire(group: RateLimitGroup): Promise<void>;
+    pause(group: RateLimitGroup, ms: number): void;
+    getState(): RateLimitState;
+}
@@ -0,0 +1,17 @@
+/**
+ * Жалобы на посты, комментарии и пользователей.
+ */
+import type { AxiosInstance } from 'axios';
+import type { ITDClient } from './client.js';
+import type { ReportResult } from './entities.js';
+
+export type ReportTargetType = 'post' | 'comment' | 'user';
+
+export interface ReportsManager {
+    readonly client: ITDClient<boolean>;
+    readonly axios: AxiosInstance;
+    report(targetType: ReportTargetType, targetId: string, reason?: string, description?: string): Promise<ReportResult | null>;
+    reportPost(postId: string, reason?: string, description?: string): Promise<ReportResult | null>;
+    reportComment(commentId: string, reason?: string, description?: string): Promise<ReportResult | null>;
+    reportUser(userId: string, reason?: string, description?: string): Promise<ReportResult | null>;
+}
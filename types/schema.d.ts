@@ -0,0 +1,47 @@
+/**
+ * Разбор ответов API: конверт { data }, списки и проверка формы сущностей.
+ */
+import type { EventEmitter } from 'events';
+import type { Logger } from './logger.js';
+
+export type SchemaEntity = 'post' | 'comment' | 'user' | 'notification';
+
+/** Тип поля: 'id' — строка или число; «?» — необязательное */
+export type SchemaFieldType = 'id' | 'string' | 'number' | 'boolean' | 'object' | 'array' | `${'id' | 'string' | 'number' | 'boolean' | 'object' | 'array'}?`;
+
+export const SCHEMAS: Readonly<Record<SchemaEntity, Readonly<Record<string, SchemaFieldType>>>>;
+
+export interface SchemaIssue {
+    /** Путь к полю, например posts[0].likesCount */
+    path: string;
+    expected: string;
+    actual: string;
+}
+
+/** Расхождение ответа с ожидаемой формой (событие 'schemaDrift', хук onDrift) */
+export interface SchemaDrift extends SchemaIssue {
+    /** Метод SDK, например 'posts.getPosts' */
+    method: string;
+    /** Тело ответа */
+    body: unknown;
+}
+
+/** Опция клиента schema */
+export interface SchemaOptions {
+    /** Проверять поля сущностей (по умолчанию true) */
+    validate?: boolean;
+    onDrift?: ((drift: SchemaDrift) => void) | null;
+}
+
+export function unwrapEnvelope<T = unknown>(body: unknown): T;
+
+export function validateEntity(entity: SchemaEntity, value: unknown, path?: string): SchemaIssue[];
+
+export class SchemaValidator {
+    constructor(options?: SchemaOptions & { logger?: Logger; emitter?: EventEmitter });
+    validate: boolean;
+    onDrift: ((drift: SchemaDrift) => void) | null;
+    /** Объект сущности без конверта или null, если ответ не объект */
+    entity<T = Record<string, unknown>>(method: string, entity: SchemaEntity | null, body: unknown): T | null;
+    list<T = unknown>(method: string, entity: SchemaEntity | null, body: unknown, key: string): { items: T[]; meta: Record<string, unknown> };
+}
@@ -0,0 +1,19 @@
+/**
+ * Поиск пользователей и хэштегов.
+ */
+import type { AxiosInstance } from 'axios';
+import type { ITDClient } from './client.js';
+import type { Entity } from './models.js';
+
+export interface SearchResult<M extends boolean = false> {
+    users: Array<Entity<'user', M>>;
+    hashtags: Array<Entity<'hashtag', M>>;
+}
+
+export interface SearchManager<M extends boolean = false> {
+    readonly client: ITDClient<M>;
+    readonly axios: AxiosInstance;
+    search(query: string, userLimit?: number, hashtagLimit?: number): Promise<SearchResult<M> | null>;
+    searchUsers(query: string, limit?: number): Promise<Array<Entity<'user', M>> | null>;
+    searchHashtags(query: string, limit?: number): Promise<Array<Entity<'hashtag', M>> | null>;
+}
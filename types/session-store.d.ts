@@ -0,0 +1,67 @@
+/**
+ * Хранилища сессии: где клиент берёт и куда сохраняет accessToken и cookies.
+ */
+import type { Logger } from './logger.js';
+import type { StorageEncryptionOption, StorageCipher } from './storage-crypto.js';
+
+/** cookies — строка в формате заголовка Cookie ("name=value; name2=value2") */
+export interface Session {
+    accessToken: string | null;
+    cookies: string | null;
+}
+
+/** Интерфейс своего хранилища (БД, Redis и т.п.) */
+export interface SessionStore {
+    load(): Promise<Session | null>;
+    /** Частичное обновление: отсутствующие поля не меняются */
+    save(session: Partial<Session>): Promise<void>;
+    /** Путь к lock-файлу для опции клиента refreshLock */
+    lockPath?: string;
+}
+
+export interface FileStoreOptions {
+    /** Шифрование (по умолчанию — если задан ITD_STORAGE_KEY) */
+    encryption?: StorageEncryptionOption;
+}
+
+/** Сессия только в памяти процесса */
+export class MemorySessionStore implements SessionStore {
+    constructor(initial?: Partial<Session>);
+    session: Session;
+    load(): Promise<Session>;
+    save(session: Partial<Session>): Promise<void>;
+}
+
+/** Сессия в одном JSON-файле */
+export class JsonFileSessionStore implements SessionStore {
+    constructor(filePath: string, options?: FileStoreOptions);
+    filePath: string;
+    lockPath: string;
+    cipher: StorageCipher | null;
+    load(): Promise<Session | null>;
+    save(session: Partial<Session>): Promise<void>;
+}
+
+/** Сессия в каталоге: <dir>/access_token и <dir>/cookies */
+export class DirectorySessionStore implements SessionStore {
+    constructor(dir: string, options?: FileStoreOptions);
+    dir: string;
+    accessTokenPath: string;
+    cookiesPath: string;
+    lockPath: string;
+    cipher: StorageCipher | null;
+    load(): Promise<Session | null>;
+    save(session: Partial<Session>): Promise<void>;
+}
+
+/** Поведение по умолчанию: ITD_ACCESS_TOKEN в .env и cookies в .cookies */
+export class EnvFileSessionStore implements SessionStore {
+    constructor(options: { envPath: string; cookiesPath: string; logger?: Logger; encryption?: StorageEncryptionOption });
+    envPath: string;
+    cookiesPath: string;
+    lockPath: string;
+    logger: Logger;
+    cipher: StorageCipher | null;
+    load(): Promise<Session | null>;
+    save(session: Partial<Session>): Promise<void>;
+}
@@ -0,0 +1,29 @@
+/**
+ * Шифрование токена и cookies на диске (AES-256-GCM).
+ */
+
+export interface StorageKeyOptions {
+    /** Секрет */
+    key?: string;
+    /** Путь к файлу с секретом */
+    keyFile?: string;
+}
+
+/** Опция storageEncryption: true — ключ из ITD_STORAGE_KEY/ITD_STORAGE_KEY_FILE, false — выключить */
+export type StorageEncryptionOption = boolean | StorageKeyOptions | StorageCipher;
+
+export class StorageCipher {
+    constructor(secret: string | Buffer);
+    /** Возвращает строку вида itd-enc:v1:... */
+    encrypt(plaintext: string): string;
+    decrypt(text: string): string;
+}
+
+export function createStorageCipher(option?: StorageEncryptionOption): StorageCipher | null;
+
+export function isEncrypted(text: unknown): boolean;
+
+export function migrateToEncrypted(
+    filePaths: string[],
+    option?: StorageEncryptionOption
+): Promise<Array<{ path: string; status: 'encrypted' | 'already' | 'missing' | 'empty' }>>;
@@ -0,0 +1,5 @@
+/**
+ * Инструменты для тестов: import { createMockServer, FakeITDClient } from 'itd-sdk-js/testing'.
+ */
+export * from './mock-server.js';
+export * from './fake-client.js';
@@ -0,0 +1,69 @@
+/**
+ * Декларации не отстают от исходников: публичные члены (без префикса _) каждого класса
+ * в src/*.js и в types/*.d.ts совпадают в обе стороны. Новый метод без типа — ошибка tsc.
+ */
+import type * as JS from '../../src/client.js';
+import type * as JSPosts from '../../src/posts.js';
+import type * as JSComments from '../../src/comments.js';
+import type * as JSUsers from '../../src/users.js';
+import type * as JSNotifications from '../../src/notifications.js';
+import type * as JSHashtags from '../../src/hashtags.js';
+import type * as JSFiles from '../../src/files.js';
+import type * as JSReports from '../../src/reports.js';
+import type * as JSSearch from '../../src/search.js';
+import type * as JSVerification from '../../src/verification.js';
+import type * as JSAuth from '../../src/auth.js';
+import type * as JSMirrors from '../../src/mirror-pool.js';
+import type * as JSTesting from '../../src/testing.js';
+import type * as DTS from '../client.js';
+import type * as DTSMirrors from '../mirror-pool.js';
+import type * as DTSTesting from '../testing.js';
+
+type PublicKeys<T> = Exclude<keyof T, `_${string}` | symbol>;
+/** never, если наборы ключей совпадают; иначе — лишние/недостающие имена */
+type KeyDiff<A, B> = Exclude<PublicKeys<A>, PublicKeys<B>> | Exclude<PublicKeys<B>, PublicKeys<A>>;
+type AssertSynced<T extends never> = T;
+
+type EventEmitterKeys = keyof import('events').EventEmitter;
+type Own<T> = Omit<T, EventEmitterKeys>;
+/** raw и client моделей задаются через Object.defineProperty — tsc их в JS не видит */
+type Fields<T> = Omit<T, 'raw' | 'client'>;
+
+export type Checks = [
+    AssertSynced<KeyDiff<Own<JS.ITDClient>, Own<DTS.ITDClient>>>,
+    AssertSynced<KeyDiff<JSAuth.AuthManager, DTS.AuthManager>>,
+    AssertSynced<KeyDiff<JSPosts.PostsManager, DTS.PostsManager>>,
+    AssertSynced<KeyDiff<JSComments.CommentsManager, DTS.CommentsManager>>,
+    AssertSynced<KeyDiff<JSUsers.UsersManager, DTS.UsersManager>>,
+    AssertSynced<KeyDiff<JSNotifications.NotificationsManager, DTS.NotificationsManager>>,
+    AssertSynced<KeyDiff<JSHashtags.HashtagsManager, DTS.HashtagsManager>>,
+    AssertSynced<KeyDiff<JSFiles.FilesManager, DTS.FilesManager>>,
+    AssertSynced<KeyDiff<JSReports.ReportsManager, DTS.ReportsManager>>,
+    AssertSynced<KeyDiff<JSSearch.SearchManager, DTS.SearchManager>>,
+    AssertSynced<KeyDiff<JSVerification.VerificationManager, DTS.VerificationManager>>,
+    AssertSynced<KeyDiff<Fields<JS.Model>, Fields<DTS.Model>>>,
+    AssertSynced<KeyDiff<Fields<JS.Post>, Fields<DTS.Post>>>,
+    AssertSynced<KeyDiff<Fields<JS.Comment>, Fields<DTS.Comment>>>,
+    AssertSynced<KeyDiff<Fields<JS.User>, Fields<DTS.User>>>,
+    AssertSynced<KeyDiff<Fields<JS.Notification>, Fields<DTS.Notification>>>,
+    AssertSynced<KeyDiff<Fields<JS.Hashtag>, Fields<DTS.Hashtag>>>,
+    AssertSynced<KeyDiff<Fields<JS.FileAttachment>, Fields<DTS.FileAttachment>>>,
+    AssertSynced<KeyDiff<JS.Paginator, DTS.Paginator<unknown>>>,
+    AssertSynced<KeyDiff<JS.ResponseCache, DTS.ResponseCache>>,
+    AssertSynced<KeyDiff<JS.Cassette, DTS.Cassette>>,
+    AssertSynced<KeyDiff<JS.RateLimiter, DTS.RateLimiter>>,
+    AssertSynced<KeyDiff<JS.Logger, DTS.Logger>>,
+    AssertSynced<KeyDiff<JS.SchemaValidator, DTS.SchemaValidator>>,
+    AssertSynced<KeyDiff<JS.StorageCipher, DTS.StorageCipher>>,
+    AssertSynced<KeyDiff<JS.MemorySessionStore, DTS.MemorySessionStore>>,
+    AssertSynced<KeyDiff<JS.JsonFileSessionStore, DTS.JsonFileSessionStore>>,
+    AssertSynced<KeyDiff<JS.DirectorySessionStore, DTS.DirectorySessionStore>>,
+    AssertSynced<KeyDiff<JS.EnvFileSessionStore, DTS.EnvFileSessionStore>>,
+    AssertSynced<KeyDiff<JS.ITDError, DTS.ITDError>>,
+    AssertSynced<KeyDiff<JS.ITDRateLimitError, DTS.ITDRateLimitError>>,
+    AssertSynced<KeyDiff<typeof JS, typeof DTS>>,
+    AssertSynced<KeyDiff<typeof JSMirrors, typeof DTSMirrors>>,
+    AssertSynced<KeyDiff<typeof JSTesting, typeof DTSTesting>>,
+    AssertSynced<KeyDiff<JSTesting.MockITDServer, DTSTesting.MockITDServer>>,
+    AssertSynced<KeyDiff<Own<JSTesting.FakeITDClient>, Own<DTSTesting.FakeITDClient>>>,
+];
@@ -0,0 +1,191 @@
+/**
+ * Типичное использование SDK через имя пакета: типы выводятся без аннотаций,
+ * а ошибки использования ловит tsc (строки с @ts-expect-error).
+ */
+import {
+    ITDClient,
+    ITDCassetteError,
+    ITDError,
+    ITDQueueFullError,
+    ITDRateLimitError,
+    MemorySessionStore,
+    Paginator,
+    Post,
+    type PostData,
+    type SessionInfo,
+    type SchemaDrift,
+} from 'itd-sdk-js';
+import { createMirrorPool, type BroadcastResult, type MirrorPool, type MirrorReloadResult } from 'itd-sdk-js/mirrors';
+import { createMockServer, createFakeClient, FakeITDClient } from 'itd-sdk-js/testing';
+
+type Equal<A, B> = (<T>() => T extends A ? 1 : 2) extends (<T>() => T extends B ? 1 : 2) ? true : false;
+function expectType<T extends true>(): void {}
+
+async function rawClient(): Promise<void> {
+    const client = new ITDClient({ errors: 'throw', retry: { retries: 5 }, rateLimit: false, sessionStore: new MemorySessionStore() });
+
+    const post = await client.getPost('id');
+    expectType<Equal<typeof post, PostData | null>>();
+    if (post) {
+        const likes: number = post.likesCount;
+        // @ts-expect-error — сырой объект без действий модели
+        post.like();
+    }
+
+    const { posts, pagination } = await client.getPosts('user', 10, 'popular');
+    expectType<Equal<typeof posts, PostData[]>>();
+    const next: string | null | undefined = pagination.nextCursor;
+
+    const iterator = client.iterateComments('id', { limit: 50, max: 200 });
+    expectType<Equal<typeof iterator, Paginator<import('itd-sdk-js').CommentData, string>>>();
+    for await (const comment of iterator) {
+        const text: string = comment.content;
+    }
+    const failure: Error | null = iterator.lastError;
+    client.iterateComments('id', { onError: (error) => console.error(error.message) });
+
+    client.on('tokenRefresh', (token, session) => {
+        expectType<Equal<typeof token, string>>();
+        expectType<Equal<typeof session, SessionInfo>>();
+    });
+    client.on('schemaDrift', (drift: SchemaDrift) => drift.method);
+
+    try {
+        await client.likePost('id');
+    } catch (error) {
+        if (error instanceof ITDQueueFullError) {
+            expectType<Equal<typeof error.code, 'RATE_LIMIT_QUEUE_FULL'>>();
+        } else if (error instanceof ITDRateLimitError) {
+            const wait: number | null = error.retryAfter;
+        } else if (error instanceof ITDError) {
+            const status: number | null = error.status;
+        }
+    }
+
+    await client.get('/api/platform/status', { itdRetry: false, itdCache: false });
+
+    // @ts-expect-error — неизвестный режим ошибок
+    new ITDClient({ errors: 'warn' });
+    // @ts-expect-error — postId обязателен
+    await client.getPost();
+}
+
+async function modelClient(): Promise<void> {
+    const client = new ITDClient({ models: true });
+    const post = await client.getPost('id');
+    expectType<Equal<typeof post, Post | null>>();
+    if (post) {
+        await post.like();
+        const created: Date | null = post.createdAt;
+        const raw: PostData = post.raw;
+        for await (const comment of post.comments({ sort: 'popular' })) {
+            await comment.reply('ответ');
+        }
+    }
+    const page = await client.posts.getFeedPopular(20);
+    expectType<Equal<(typeof page.posts)[number], Post>>();
+}
+
+async function mirrors(): Promise<void> {
+    const pool = createMirrorPool([{ name: 'a', cookiesPath: '.cookies_a' }, { cookiesPath: '.cookies_b' }], { plugins: [], cooldown: 30000, failover: 1 });
+    expectType<Equal<typeof pool, MirrorPool<false>>>();
+    const client: ITDClient = pool.getClient();
+    const size: number = pool.size;
+    await pool.getNotifications(20);
+    pool.use({ name: 'metrics', afterResponse: () => {} }).use(() => {});
+    for (const account of pool.status()) {
+        const until: Date | null = account.cooldownUntil;
+        if (account.state === 'auth_lost') console.log(account.key, account.lastError?.status, until);
+    }
+
+    createMirrorPool({ mirrorsCookiesPath: '.cookies.mirrors', baseOptions: { models: true }, maxConsecutiveErrors: 3, errorCooldown: 10000 });
+    // @ts-expect-error — failover: boolean или число
+    createMirrorPool([{}], { failover: 'always' });
+    createMirrorPool([{ name: 'a' }, { name: 'b' }], { strategy: 'weighted', weights: { a: 3 } });
+    createMirrorPool([{}], {
+        strategy: (call, accounts) => (call.method === 'posts.getPost' ? accounts[0].key : null),
+    });
+    // @ts-expect-error — неизвестная стратегия
+    createMirrorPool([{}], { strategy: 'fastest' });
+
+    const gork = pool.as('gork');
+    const key: string = gork.key;
+    await gork.posts.getPost('id');
+    const held = pool.session();
+    await held.addComment('post', 'ответ');
+    const heldClient: ITDClient = held.client;
+    createMirrorPool([{}], { sticky: (call) => (call.method === 'addComment' ? String(call.args[0]) : null) });
+
+    const profiles = await pool.all.getMyProfile();
+    expectType<Equal<typeof profiles, BroadcastResult<Awaited<ReturnType<ITDClient['getMyProfile']>>>>>();
+    const counts = await pool.all.notifications.getUnreadCount();
+    const unread: number | null | undefined = counts.results.gork;
+    const tokens: Record<string, string | null> = pool.all.accessToken;
+    const keys = await pool.broadcast(async (account, name) => `${name}:${account.key}`, { concurrency: 2 });
+    expectType<Equal<typeof keys.results, Record<string, string>>>();
+    createMirrorPool([{}], { concurrency: Infinity });
+
+    pool.add('c', { cookiesPath: '.cookies_c' }).add('d', client);
+    const removed: ITDClient = await pool.remove('c');
+    const watched = createMirrorPool({ mirrorsCookiesPath: '.cookies.mirrors', watch: { interval: 5000 } });
+    const reloaded: MirrorReloadResult = await watched.reload();
+    const { added, updated } = reloaded;
+    const changed: string[] = [...added, ...updated];
+    watched.destroy();
+    // @ts-expect-error — watch только для файла зеркал
+    createMirrorPool([{}], { watch: true });
+    // @ts-expect-error — нужен mirrorsCookiesPath или массив конфигов
+    createMirrorPool({ projectRoot: '.' });
+}
+
+export { rawClient, modelClient, mirrors };
+
+async function testing(): Promise<void> {
+    const server = await createMockServer({ latency: { min: 5, max: 20 } });
+    const alice = server.addUser({ username: 'alice' });
+    const post = server.addPost('alice', { content: 'Привет', likes: ['me'] });
+    const client = server.createClient({ models: true });
+    const model = await client.getPost(post.id);
+    expectType<Equal<typeof model, Post | null>>();
+    const fault = server.inject({ path: '/api/posts/:id', status: 503, times: 2 });
+    const hits: number = fault.hits;
+    server.notify('me', { type: 'follow', actor: alice.username });
+    // @ts-expect-error — username обязателен
+    server.addUser({ displayName: 'Без имени' });
+    await server.close();
+}
+
+export { testing };
+
+async function cassette(): Promise<void> {
+    const client = new ITDClient({ errors: 'throw', cassette: { path: 'test/cassettes/feed.json', mode: 'auto', match: ['method', 'path'] } });
+    try {
+        await client.getPosts();
+    } catch (error) {
+        if (error instanceof ITDCassetteError) {
+            const missing: string[] = client.cassette?.unmatched.map((request) => request.path) ?? [];
+        }
+    }
+    const left: number = client.cassette?.pending().length ?? 0;
+    // @ts-expect-error — режима 'live' нет
+    new ITDClient({ cassette: { path: 'x.json', mode: 'live' } });
+}
+
+export { cassette };
+
+async function fakeClient(): Promise<void> {
+    const fake = createFakeClient({ models: true, user: { username: 'bot' } });
+    const post = fake.factory.post({ content: 'Как дела?' });
+    const model = await fake.getPost(post.id);
+    expectType<Equal<typeof model, Post | null>>();
+    await model?.like();
+    const action = fake.assertAction('likePost', { id: post.id });
+    const id: string | undefined = action.params.id;
+    fake.assertNoAction('followUser', (a) => a.params.username === 'alice');
+    const other: FakeITDClient = fake.as(fake.factory.user(), { models: false });
+    // @ts-expect-error — такого действия нет
+    fake.assertAction('likeEverything');
+    other.destroy();
+}
+
+export { fakeClient };
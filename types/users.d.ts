@@ -0,0 +1,38 @@
+/**
+ * Профили и подписки.
+ */
+import type { AxiosInstance } from 'axios';
+import type { ITDClient } from './client.js';
+import type { Entity } from './models.js';
+import type { Paginator, IterateOptions } from './pagination.js';
+import type { ClanData, FollowResult, PagePagination, PrivacySettings } from './entities.js';
+
+export interface UsersPage<M extends boolean = false> {
+    users: Array<Entity<'user', M>>;
+    pagination: PagePagination;
+}
+
+export interface UsersManager<M extends boolean = false> {
+    readonly client: ITDClient<M>;
+    readonly axios: AxiosInstance;
+    updateProfile(bio?: string | null, displayName?: string | null, username?: string | null, bannerId?: string | null): Promise<Entity<'user', M> | null>;
+    getMyProfile(): Promise<Entity<'user', M> | null>;
+    searchUsers(query: string, limit?: number): Promise<{ users: Array<Entity<'user', M>> } | null>;
+    getPrivacy(): Promise<PrivacySettings | null>;
+    updatePrivacy(options?: Partial<PrivacySettings>): Promise<PrivacySettings | null>;
+    getUserProfile(username: string): Promise<Entity<'user', M> | null>;
+    followUser(username: string): Promise<FollowResult | null>;
+    unfollowUser(username: string): Promise<FollowResult | null>;
+    getFollowers(username: string, page?: number, limit?: number): Promise<UsersPage<M> | null>;
+    getFollowing(username: string, page?: number, limit?: number): Promise<UsersPage<M> | null>;
+    iterateFollowers(username: string, options?: IterateOptions<Entity<'user', M>, number>): Paginator<Entity<'user', M>, number>;
+    iterateFollowing(username: string, options?: IterateOptions<Entity<'user', M>, number>): Paginator<Entity<'user', M>, number>;
+    /** Эмодзи клана */
+    getUserClan(username: string): Promise<string | null>;
+    getTopClans(): Promise<ClanData[] | null>;
+    getWhoToFollow(): Promise<Array<Entity<'user', M>> | null>;
+    isFollowing(username: string): Promise<boolean>;
+    getMyFollowersCount(): Promise<number>;
+    getMyFollowingCount(): Promise<number>;
+    getMyClan(): Promise<string | null>;
+}
@@ -0,0 +1,14 @@
+/**
+ * Верификация аккаунта.
+ */
+import type { AxiosInstance } from 'axios';
+import type { ITDClient } from './client.js';
+import type { ApiObject } from './entities.js';
+
+export interface VerificationManager {
+    readonly client: ITDClient<boolean>;
+    readonly axios: AxiosInstance;
+    getStatus(): Promise<ApiObject | null>;
+    /** videoUrl — URL видео, загруженного через uploadFile */
+    submit(videoUrl: string): Promise<ApiObject | null>;
+}